@@ -29,18 +29,9 @@ export const PLATFORM_INSTAGRAM = 2;
 
 // ========== UNIFIED FOLDER STRUCTURE ==========
 // All downloads now go to: downloads/{userId}/photos/ or downloads/{userId}/videos/
+// unless MEDIA_PATH_TEMPLATE is set in .env (see scripts/path_template.js)
 export const DOWNLOADS_FOLDER = process.env.DOWNLOADS_FOLDER || './downloads';
 
-/**
- * Get save folder path for a user's media
- * @param {string} userId - User ID
- * @param {string} mediaType - 'photos' or 'videos'
- * @returns {string} Folder path
- */
-export function getSaveFolderPath(userId, mediaType) {
-    return `${DOWNLOADS_FOLDER}/${userId}/${mediaType}`;
-}
-
 // ========== FILE FORMATS ==========
-export const PHOTO_FILE_FORMAT = process.env.PHOTO_FILE_FORMAT || "png";
+export const PHOTO_FILE_FORMAT = process.env.PHOTO_FILE_FORMAT || "jpg";
 export const VIDEO_FILE_FORMAT = process.env.VIDEO_FILE_FORMAT || "mp4";
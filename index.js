@@ -1,5 +1,4 @@
-import { menu } from "./scripts/menu.js";
-import { initDatabase } from "./scripts/database.js";
+import { initDatabase, closeDatabase } from "./scripts/database.js";
 import { DATABASE_ENABLED } from "./config.js";
 import { ensureValidToken } from "./scripts/token_validator.js";
 
@@ -16,6 +15,15 @@ import { ensureValidToken } from "./scripts/token_validator.js";
         }
     }
 
+    // Run a single command when arguments are given (non-interactive, no TTY needed)
+    const cliArgs = process.argv.slice(2);
+    if (cliArgs.length > 0) {
+        const { runCli } = await import("./scripts/cli/index.js");
+        const exitCode = await runCli(cliArgs);
+        closeDatabase();
+        process.exit(exitCode);
+    }
+
     // Validate token and display status
     const tokenValid = await ensureValidToken();
     if (!tokenValid) {
@@ -23,7 +31,8 @@ import { ensureValidToken } from "./scripts/token_validator.js";
         process.exit(1);
     }
 
-    // Launch main menu
+    // Launch main menu (imported lazily: it opens a readline on stdin)
+    const { menu } = await import("./scripts/menu.js");
     menu();
 })();
 
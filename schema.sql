@@ -240,8 +240,34 @@ CREATE TABLE IF NOT EXISTS saved_media (
     media_id TEXT NOT NULL,
     is_hd BOOLEAN DEFAULT 0,        -- 1 if downloaded in HD quality
     file_path TEXT,                  -- Path where file is stored
+    content_hash TEXT,               -- SHA-256 of the file content (deduplication)
+    file_size INTEGER,               -- File size in bytes
+    posted_by_user_id INTEGER,       -- Member who posted the media (group downloads)
+    quality TEXT,                    -- Resolved video quality, e.g. 720p (videos only)
+    duration REAL,                   -- Video length in seconds (videos only)
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
 
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (posted_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(user_id, media_id)
+);
+
+-- ============================================================
+-- Table: failed_media
+-- Purpose: Downloads that failed, kept so they can be retried later
+-- ============================================================
+CREATE TABLE IF NOT EXISTS failed_media (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    media_id TEXT NOT NULL,
+    media_type TEXT NOT NULL,            -- 'photo' or 'video' (see MEDIA_TYPE)
+    source_url TEXT,                     -- CDN URL of the last attempt (signed, may expire)
+    file_path TEXT,                      -- Where the file should be saved
+    error TEXT,                          -- Error of the last attempt
+    attempts INTEGER DEFAULT 1,
+    first_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     UNIQUE(user_id, media_id)
 );
@@ -263,6 +289,97 @@ CREATE TABLE IF NOT EXISTS user_cursors (
     UNIQUE(user_id, api_type_id)
 );
 
+-- ============================================================
+-- Table: sync_watermarks
+-- Purpose: Remember how far each source was synced (incremental mode)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS sync_watermarks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    api_type_id INTEGER NOT NULL,
+    source_id TEXT NOT NULL DEFAULT '',  -- Album ID for album syncs, '' otherwise
+    newest_media_time DATETIME,          -- created_time of the newest media seen (ISO 8601)
+    last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (api_type_id) REFERENCES api_types(id) ON DELETE CASCADE,
+    UNIQUE(user_id, api_type_id, source_id)
+);
+
+-- ============================================================
+-- Table: access_tokens
+-- Purpose: Pool of access tokens rotated by myFetch
+-- ============================================================
+CREATE TABLE IF NOT EXISTS access_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    platform_id INTEGER NOT NULL,
+    token TEXT NOT NULL UNIQUE,
+    label TEXT,
+    permissions TEXT,                    -- JSON array of granted permissions
+    priority INTEGER DEFAULT 0,          -- Higher priority tokens are used first
+    is_active BOOLEAN DEFAULT 1,         -- 0 = disabled by the user
+    is_rate_limited BOOLEAN DEFAULT 0,
+    rate_limit_reset DATETIME,           -- When the rate limit is expected to end
+    requests_made INTEGER DEFAULT 0,
+    last_request DATETIME,
+    last_used DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (platform_id) REFERENCES platforms(platform_id)
+);
+
+-- ============================================================
+-- Table: token_usage_log
+-- Purpose: Per-request log of token usage (analytics, load balancing)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS token_usage_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_id INTEGER NOT NULL,
+    endpoint TEXT,
+    success BOOLEAN,
+    http_status INTEGER,
+    response_time_ms INTEGER,
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (token_id) REFERENCES access_tokens(id) ON DELETE CASCADE
+);
+
+-- ============================================================
+-- Table: rate_limit_usage
+-- Purpose: Graph API usage headers per token (kept across runs, see rate_limit_manager.js)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS rate_limit_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_id INTEGER,                    -- NULL for FB_ACCESS_TOKEN from .env
+    header_type TEXT NOT NULL,           -- app | business | ad_account
+    scope_id TEXT NOT NULL DEFAULT '',   -- Business or ad account ID, '' for app usage
+    call_count REAL DEFAULT 0,           -- Percentages of the rolling limit
+    total_cputime REAL DEFAULT 0,
+    total_time REAL DEFAULT 0,
+    regain_access_at DATETIME,           -- Throttled until (from estimated_time_to_regain_access)
+    recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (token_id) REFERENCES access_tokens(id) ON DELETE CASCADE
+);
+
+-- ============================================================
+-- Table: proxy_health
+-- Purpose: Success/failure counts, latency and cooldown of each proxy (see proxy_manager.js)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS proxy_health (
+    proxy_id TEXT PRIMARY KEY,           -- SHA-256 of the proxy URL (no credentials stored)
+    success_count INTEGER DEFAULT 0,
+    failure_count INTEGER DEFAULT 0,
+    consecutive_failures INTEGER DEFAULT 0, -- Sets the length of the next cooldown
+    latency_ms INTEGER,                  -- Moving average of successful requests
+    last_error TEXT,
+    cooldown_until DATETIME,             -- Not used before this date
+    last_success_at DATETIME,
+    last_failure_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================================
 -- Table: api_reports
 -- Purpose: Store API call session metadata
@@ -384,10 +501,34 @@ CREATE INDEX IF NOT EXISTS idx_saved_media_created
 CREATE INDEX IF NOT EXISTS idx_saved_media_hd_status
     ON saved_media(user_id, is_hd);
 
+CREATE INDEX IF NOT EXISTS idx_saved_media_content_hash
+    ON saved_media(content_hash);
+
+CREATE INDEX IF NOT EXISTS idx_saved_media_posted_by
+    ON saved_media(posted_by_user_id);
+
+-- Failed media indexes
+CREATE INDEX IF NOT EXISTS idx_failed_media_user
+    ON failed_media(user_id, last_failed_at);
+
 -- Cursor indexes
 CREATE INDEX IF NOT EXISTS idx_user_cursors_lookup
     ON user_cursors(user_id, api_type_id);
 
+-- Sync watermark indexes
+CREATE INDEX IF NOT EXISTS idx_sync_watermarks_lookup
+    ON sync_watermarks(user_id, api_type_id, source_id);
+
+-- Token indexes
+CREATE INDEX IF NOT EXISTS idx_access_tokens_pick
+    ON access_tokens(platform_id, is_active, priority);
+
+CREATE INDEX IF NOT EXISTS idx_token_usage_log_token
+    ON token_usage_log(token_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_usage_recorded
+    ON rate_limit_usage(recorded_at, token_id);
+
 -- Report indexes
 CREATE INDEX IF NOT EXISTS idx_reports_timestamp
     ON api_reports(timestamp DESC);
@@ -529,6 +670,25 @@ JOIN report_details rd ON ar.id = rd.report_id
 JOIN users u ON rd.user_id = u.id
 GROUP BY at.name;
 
+-- View: Token usage analytics (token values are not exposed)
+CREATE VIEW IF NOT EXISTS v_token_analytics AS
+SELECT
+    t.id,
+    t.platform_id,
+    t.label,
+    t.priority,
+    t.is_active,
+    t.is_rate_limited,
+    t.rate_limit_reset,
+    t.requests_made as total_api_requests,
+    COUNT(l.id) as logged_requests,
+    SUM(CASE WHEN l.success = 1 THEN 1 ELSE 0 END) as successful_requests,
+    ROUND(AVG(l.response_time_ms), 2) as avg_response_time,
+    t.last_used
+FROM access_tokens t
+LEFT JOIN token_usage_log l ON l.token_id = t.id
+GROUP BY t.id;
+
 -- View: Current usernames (easy lookup)
 CREATE VIEW IF NOT EXISTS v_current_usernames AS
 SELECT
@@ -575,6 +735,12 @@ INSERT OR IGNORE INTO platforms (platform_name, base_url) VALUES
 -- Insert common API types
 INSERT OR IGNORE INTO api_types (name) VALUES
     ('get_list_fb_user_photos'),
+    ('get_list_fb_user_videos'),
+    ('get_list_fb_wall_feed'),
+    ('get_list_fb_album_photos'),
+    ('get_list_fb_user_tagged_photos'),
+    ('get_list_fb_user_profile_pictures'),
+    ('get_list_fb_user_cover_photos'),
     ('get_list_fb_user_reels'),
     ('get_list_fb_highlights'),
     ('get_list_ig_post'),
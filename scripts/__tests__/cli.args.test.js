@@ -0,0 +1,123 @@
+/**
+ * Tests for cli/args.js
+ */
+import { describe, it, expect } from 'vitest';
+import { parseCliArgs, parsePageLimit } from '../cli/args.js';
+
+describe('cli/args.js', () => {
+    describe('parseCliArgs', () => {
+        it('should default to help when no command is given', () => {
+            expect(parseCliArgs([]).command).toBe('help');
+            expect(parseCliArgs(['--help']).command).toBe('help');
+        });
+
+        it('should report unknown commands', () => {
+            const result = parseCliArgs(['download-everything']);
+            expect(result.error).toContain('Unknown command');
+        });
+
+        it('should parse --ids and positional IDs together', () => {
+            const result = parseCliArgs(['wall', '--ids', '123, 456', '789']);
+            expect(result.error).toBeNull();
+            expect(result.ids).toEqual(['123', '456', '789']);
+        });
+
+        it('should parse boolean and string options', () => {
+            const result = parseCliArgs(['wall', '--ids', '1', '--hd', '--include-video', '--page-limit', '5']);
+            expect(result.options.hd).toBe(true);
+            expect(result.options['include-video']).toBe(true);
+            expect(result.options['page-limit']).toBe('5');
+        });
+
+        it('should reject options that do not belong to the command', () => {
+            const result = parseCliArgs(['album', '--ids', '1', '--include-video']);
+            expect(result.error).not.toBeNull();
+        });
+
+        it('should reject an invalid page limit', () => {
+            const result = parseCliArgs(['user-photos', '--ids', '1', '--page-limit', 'abc']);
+            expect(result.error).toContain('--page-limit');
+        });
+
+        it('should reject --resume combined with --from-cursor', () => {
+            const result = parseCliArgs(['user-videos', '--ids', '1', '--resume', '--from-cursor', 'abc']);
+            expect(result.error).toContain('--resume');
+            expect(parseCliArgs(['user-videos', '--ids', '1', '--resume']).options.resume).toBe(true);
+        });
+
+        it('should validate --synced-since dates', () => {
+            expect(parseCliArgs(['wall', '--ids', '1', '--synced-since', 'yesterday']).error).toContain('--synced-since');
+            expect(parseCliArgs(['album', '--ids', '1', '--synced-since', '2024-01-01']).error).toBeNull();
+        });
+
+        it('should parse group filters and validate their dates', () => {
+            const result = parseCliArgs(['group', '--ids', '1', '--posters', '2,3', '--since', '2024-01-01', '--skip-albums']);
+            expect(result.error).toBeNull();
+            expect(result.options).toMatchObject({ posters: '2,3', since: '2024-01-01', 'skip-albums': true });
+            expect(parseCliArgs(['group', '--ids', '1', '--until', 'soon']).error).toContain('--until');
+        });
+
+        it('should validate the user-photos --type', () => {
+            expect(parseCliArgs(['user-photos', '--ids', '1', '--type', 'tagged']).options.type).toBe('tagged');
+            expect(parseCliArgs(['user-photos', '--ids', '1', '--type', 'cover']).error).toBeNull();
+            expect(parseCliArgs(['user-photos', '--ids', '1', '--type', 'friends']).error).toContain('--type');
+        });
+
+        it('should validate --format and require --links with it', () => {
+            expect(parseCliArgs(['album', '--ids', '1', '--links', '--format', 'csv']).options.format).toBe('csv');
+            expect(parseCliArgs(['user-photos', '--ids', '1', '--links', '--format', 'aria2']).error).toBeNull();
+            expect(parseCliArgs(['wall', '--ids', '1', '--links', '--format', 'xml']).error).toContain('--format');
+            expect(parseCliArgs(['wall', '--ids', '1', '--format', 'csv']).error).toContain('--links');
+        });
+
+        it('should accept --dry-run on crawl commands but not with --links', () => {
+            expect(parseCliArgs(['wall', '--ids', '1,2', '--dry-run', '--estimate-size']).options).toMatchObject({
+                'dry-run': true,
+                'estimate-size': true,
+            });
+            expect(parseCliArgs(['user-videos', '--ids', '1', '--dry-run']).error).toBeNull();
+            expect(parseCliArgs(['album', '--ids', '1', '--links', '--dry-run']).error).toContain('--links');
+            expect(parseCliArgs(['user-photos', '--ids', '1', '--estimate-size']).error).toContain('--dry-run');
+        });
+
+        it('should parse the albums command options', () => {
+            const result = parseCliArgs(['albums', '--ids', '1', '--select', 'profile,2-4', '--hd', '--incremental']);
+            expect(result.error).toBeNull();
+            expect(result.options).toMatchObject({ select: 'profile,2-4', hd: true, incremental: true });
+            expect(parseCliArgs(['albums', '1', '--list']).options.list).toBe(true);
+        });
+
+        it('should accept a date range on every crawl command', () => {
+            for (const command of ['album', 'wall', 'user-photos', 'user-videos']) {
+                const result = parseCliArgs([command, '--ids', '1', '--since', '2023-01-01', '--until', '2023-12-31']);
+                expect(result.error).toBeNull();
+                expect(result.options.until).toBe('2023-12-31');
+            }
+            expect(parseCliArgs(['wall', '--ids', '1', '--since', '2024-01-01', '--until', '2023-01-01']).error).toContain('--since');
+        });
+
+        it('should parse the tokens usage options and the global rate profile', () => {
+            const result = parseCliArgs(['tokens', 'usage', '2', '--hours', '6', '--rate-profile', 'safe']);
+            expect(result.error).toBeNull();
+            expect(result.ids).toEqual(['usage', '2']);
+            expect(result.options).toMatchObject({ hours: '6', 'rate-profile': 'safe' });
+            expect(parseCliArgs(['tokens', 'usage', '--hours', '0']).error).toContain('--hours');
+        });
+    });
+
+    describe('parsePageLimit', () => {
+        it('should treat missing and zero as unlimited', () => {
+            expect(parsePageLimit(undefined)).toBe(Infinity);
+            expect(parsePageLimit('0')).toBe(Infinity);
+        });
+
+        it('should parse positive integers', () => {
+            expect(parsePageLimit('3')).toBe(3);
+        });
+
+        it('should throw on negative or non-numeric values', () => {
+            expect(() => parsePageLimit('-1')).toThrow();
+            expect(() => parsePageLimit('1.5')).toThrow();
+        });
+    });
+});
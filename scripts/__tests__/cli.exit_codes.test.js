@@ -0,0 +1,19 @@
+/**
+ * Tests for cli/exit_codes.js
+ */
+import { describe, it, expect } from 'vitest';
+import { EXIT_CODE, exitCodeForBatch } from '../cli/exit_codes.js';
+
+describe('cli/exit_codes.js', () => {
+    describe('exitCodeForBatch', () => {
+        it('should succeed when every user was downloaded without failed files', () => {
+            expect(exitCodeForBatch([])).toBe(EXIT_CODE.OK);
+            expect(exitCodeForBatch([{ success: true, saved: 3, failed: 0 }, { success: true, saved: 1 }])).toBe(EXIT_CODE.OK);
+        });
+
+        it('should fail when a user failed or some of its files did', () => {
+            expect(exitCodeForBatch([{ success: true, failed: 0 }, { success: false, error: 'boom' }])).toBe(EXIT_CODE.FAILURE);
+            expect(exitCodeForBatch([{ success: true, saved: 5, failed: 2 }])).toBe(EXIT_CODE.FAILURE);
+        });
+    });
+});
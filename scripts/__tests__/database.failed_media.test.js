@@ -0,0 +1,62 @@
+/**
+ * Tests for failed download tracking in database/media.js
+ */
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { useTestDatabase } from './helpers/test_database.js';
+
+const {
+    getDatabase,
+    getOrCreateUser,
+    recordFailedMedia,
+    getFailedMedia,
+    saveMedia,
+} = await import('../database.js');
+
+describe('database failed_media', () => {
+    useTestDatabase();
+
+    let userId;
+    let otherUserId;
+
+    beforeAll(() => {
+        userId = getOrCreateUser(1, '1001');
+        otherUserId = getOrCreateUser(1, '1002');
+    });
+
+    beforeEach(() => {
+        getDatabase().exec('DELETE FROM failed_media; DELETE FROM saved_media;');
+    });
+
+    it('should count attempts and keep the last error', () => {
+        recordFailedMedia(userId, 'm1', { mediaType: 'video', sourceUrl: 'https://cdn/a.mp4', filePath: 'a.mp4', error: 'timeout' });
+        recordFailedMedia(userId, 'm1', { mediaType: 'video', sourceUrl: null, error: 'HTTP 403: Forbidden' });
+
+        const [item] = getFailedMedia();
+        expect(item).toMatchObject({
+            uid: '1001',
+            media_id: 'm1',
+            media_type: 'video',
+            source_url: 'https://cdn/a.mp4',
+            file_path: 'a.mp4',
+            error: 'HTTP 403: Forbidden',
+            attempts: 2,
+        });
+    });
+
+    it('should filter by user and attempt count', () => {
+        recordFailedMedia(userId, 'm1', { mediaType: 'photo', error: 'x' });
+        recordFailedMedia(userId, 'm1', { mediaType: 'photo', error: 'x' });
+        recordFailedMedia(otherUserId, 'm2', { mediaType: 'photo', error: 'x' });
+
+        expect(getFailedMedia({ userIds: [otherUserId] }).map((m) => m.media_id)).toEqual(['m2']);
+        expect(getFailedMedia({ maxAttempts: 2 }).map((m) => m.media_id)).toEqual(['m2']);
+        expect(getFailedMedia({ userIds: [] })).toEqual([]);
+    });
+
+    it('should forget a failure once the media is saved', () => {
+        recordFailedMedia(userId, 'm1', { mediaType: 'photo', error: 'x' });
+        saveMedia(userId, 'm1', true, 'm1.png');
+
+        expect(getFailedMedia()).toEqual([]);
+    });
+});
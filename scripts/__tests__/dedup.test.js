@@ -0,0 +1,100 @@
+/**
+ * Tests for dedup.js (content hash deduplication on a real SQLite database)
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestDatabase } from './helpers/test_database.js';
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'test-dedup-'));
+
+const {
+    getDatabase,
+    getOrCreateUser,
+    saveMedia,
+    getDuplicateClusters,
+} = await import('../database.js');
+const { DEDUP_MODE, deduplicateDownload, isDownloadKept, saveContentHash, hashSavedMedia } = await import('../dedup.js');
+
+describe('dedup.js', () => {
+    useTestDatabase();
+
+    let userId;
+
+    const writeFile = (name, content) => {
+        const filePath = `${TEST_DIR}/${name}`;
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    // Simulates a downloader saving a file
+    const saveDownload = async (mediaId, filePath, mode) => {
+        const stored = await deduplicateDownload(filePath, mode);
+        saveMedia(userId, mediaId, true, stored.filePath);
+        saveContentHash(userId, mediaId, stored);
+        return stored;
+    };
+
+    beforeAll(() => {
+        userId = getOrCreateUser(1, '2001');
+    });
+
+    afterAll(() => {
+        fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        getDatabase().exec('DELETE FROM saved_media');
+        fs.rmSync(TEST_DIR, { recursive: true, force: true });
+        fs.mkdirSync(TEST_DIR);
+    });
+
+    it('should hard-link a download whose content is already saved', async () => {
+        const first = writeFile('a.jpg', 'same image');
+        const second = writeFile('b.jpg', 'same image');
+
+        await saveDownload('m1', first, DEDUP_MODE.HARDLINK);
+        const stored = await saveDownload('m2', second, DEDUP_MODE.HARDLINK);
+
+        expect(stored.duplicateOf).toBe(first);
+        expect(stored.filePath).toBe(second);
+        expect(fs.statSync(second).ino).toBe(fs.statSync(first).ino);
+        expect(isDownloadKept(second, stored)).toBe(true);
+    });
+
+    it('should reference the existing copy in reference mode', async () => {
+        const first = writeFile('a.jpg', 'same image');
+        const second = writeFile('b.jpg', 'same image');
+
+        await saveDownload('m1', first, DEDUP_MODE.REFERENCE);
+        const stored = await saveDownload('m2', second, DEDUP_MODE.REFERENCE);
+
+        expect(stored.filePath).toBe(first);
+        expect(fs.existsSync(second)).toBe(false);
+        // No sidecars for a file that is gone
+        expect(isDownloadKept(second, stored)).toBe(false);
+    });
+
+    it('should keep different content and skip hashing when off', async () => {
+        await saveDownload('m1', writeFile('a.jpg', 'one'), DEDUP_MODE.HARDLINK);
+        const stored = await saveDownload('m2', writeFile('b.jpg', 'two'), DEDUP_MODE.HARDLINK);
+        expect(stored.duplicateOf).toBeNull();
+
+        const off = await deduplicateDownload(writeFile('c.jpg', 'one'), DEDUP_MODE.OFF);
+        expect(off.contentHash).toBeNull();
+    });
+
+    it('should report duplicate clusters, including files hashed afterwards', async () => {
+        saveMedia(userId, 'old1', true, writeFile('old1.jpg', 'reposted'));
+        saveMedia(userId, 'old2', true, writeFile('old2.jpg', 'reposted'));
+        saveMedia(userId, 'gone', true, `${TEST_DIR}/missing.jpg`);
+
+        expect(await hashSavedMedia()).toEqual({ hashed: 2, missing: 1 });
+
+        const [cluster] = getDuplicateClusters();
+        expect(cluster.copies).toBe(2);
+        expect(cluster.file_size).toBe('reposted'.length);
+        expect(cluster.media.map((m) => m.media_id)).toEqual(['old1', 'old2']);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for download_all_albums.js (album list selection)
+ */
+import { describe, it, expect } from 'vitest';
+import { selectAlbums, formatAlbum } from '../download_all_albums.js';
+
+describe('download_all_albums.js', () => {
+    const albums = [
+        { id: '101', name: 'Profile pictures', type: 'profile', count: 12, updated_time: '2024-03-01T10:00:00+0000' },
+        { id: '102', name: 'Cover photos', type: 'cover', count: 3, updated_time: '2023-11-20T08:00:00+0000' },
+        { id: '103', name: 'Timeline photos', type: 'wall', count: 250 },
+        { id: '104', name: 'Đà Lạt 2023', type: 'normal', count: 40 },
+        { id: '105', name: 'Mobile uploads', type: 'mobile', count: 90 },
+    ];
+
+    describe('selectAlbums', () => {
+        it('should select every album when the selection is empty or "all"', () => {
+            expect(selectAlbums(albums, '')).toEqual(albums);
+            expect(selectAlbums(albums, ' ALL ')).toEqual(albums);
+            expect(selectAlbums(albums)).toEqual(albums);
+        });
+
+        it('should select by list number and range', () => {
+            expect(selectAlbums(albums, '1, 3-4').map((a) => a.id)).toEqual(['101', '103', '104']);
+        });
+
+        it('should select by type and album ID, keeping list order', () => {
+            expect(selectAlbums(albums, '105,Profile,cover').map((a) => a.id)).toEqual(['101', '102', '105']);
+        });
+
+        it('should select nothing for unknown entries', () => {
+            expect(selectAlbums(albums, 'events,99')).toEqual([]);
+        });
+    });
+
+    describe('formatAlbum', () => {
+        it('should show the number, type, name, count, update date and ID', () => {
+            expect(formatAlbum(albums[0], 0)).toBe('  1. [profile] Profile pictures - 12 photos, updated 2024-03-01 (101)');
+            expect(formatAlbum(albums[2], 2)).toContain('updated ? (103)');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for download_from_file.js
+ */
+import { describe, it, expect, afterAll, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestDatabase } from './helpers/test_database.js';
+import { useGraphServer, setGraphRoutes, receivedRequests, GRAPH_SERVER_URL } from './helpers/graph_server.js';
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'test-from-file-'));
+process.env.DOWNLOADS_FOLDER = TEST_DIR;
+process.env.WAIT_BEFORE_NEXT_FETCH_LARGEST_PHOTO = '1';
+
+const { getDatabase, getOrCreateUser, getUserIdByUID, saveMedia, getMediaStatus, getFailedMedia } = await import('../database.js');
+const { downloadFromFile } = await import('../download_from_file.js');
+
+// Smallest file recognised as a JPEG (see detectFileExtension)
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46, 0, 1]);
+
+const serveFile = () => ({ body: JPEG, headers: { 'Content-Type': 'image/jpeg' } });
+const expired = () => ({ status: 403, body: 'URL signature expired' });
+
+describe('download_from_file.js', () => {
+    useTestDatabase();
+    useGraphServer();
+
+    const linkFile = path.join(TEST_DIR, 'links.txt');
+
+    // Writes a link file of id;url lines (bare URLs when id is null)
+    const writeLinks = (links) =>
+        fs.writeFileSync(linkFile, links.map(({ id, file }) => `${id ? `${id};` : ''}${GRAPH_SERVER_URL}/files/${file}`).join('\n'));
+
+    afterAll(() => {
+        fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        getDatabase().exec('DELETE FROM failed_media; DELETE FROM saved_media;');
+    });
+
+    describe('downloadFromFile', () => {
+        it('should save each link under from-file/{folder} and track it under its owner', async () => {
+            writeLinks([{ id: 'p1', file: 'p1' }]);
+            setGraphRoutes({ '/files/p1': serveFile });
+
+            expect(await downloadFromFile({ filePath: linkFile, folderName: 'saved', ownerId: '5001' }))
+                .toEqual({ total: 1, downloaded: 1, skipped: 0, failed: 0 });
+            expect(fs.existsSync(path.join(TEST_DIR, 'from-file', 'saved', 'p1.jpg'))).toBe(true);
+            expect(getMediaStatus(getUserIdByUID('5001'), 'p1')).toMatchObject({ exists: true, isHd: false });
+        });
+
+        it('should resolve a fresh URL by media ID when the link has expired', async () => {
+            writeLinks([{ id: 'p2', file: 'expired' }]);
+            setGraphRoutes({
+                '/files/expired': expired,
+                '/p2': () => ({ json: { largest_image: { source: `${GRAPH_SERVER_URL}/files/p2-hd` } } }),
+                '/files/p2-hd': serveFile,
+            });
+
+            expect(await downloadFromFile({ filePath: linkFile, folderName: 'saved', ownerId: '5001' }))
+                .toMatchObject({ downloaded: 1, failed: 0 });
+            expect(receivedRequests).toEqual(['/files/expired', '/p2?fields=largest_image', '/files/p2-hd']);
+            expect(getMediaStatus(getUserIdByUID('5001'), 'p2')).toMatchObject({ exists: true, isHd: true });
+        });
+
+        it('should skip media already saved for the owner only', async () => {
+            saveMedia(getOrCreateUser(1, '5001'), 'p3', true, 'p3.jpg');
+            writeLinks([{ id: 'p3', file: 'p3' }]);
+            setGraphRoutes({ '/files/p3': serveFile });
+
+            expect(await downloadFromFile({ filePath: linkFile, folderName: 'saved', ownerId: '5001' }))
+                .toMatchObject({ downloaded: 0, skipped: 1 });
+            expect(receivedRequests).toEqual([]);
+
+            expect(await downloadFromFile({ filePath: linkFile, folderName: 'saved', ownerId: '5002' }))
+                .toMatchObject({ downloaded: 1, skipped: 0 });
+        });
+
+        it('should count and record the links that cannot be downloaded', async () => {
+            writeLinks([{ id: 'p4', file: 'gone' }, { id: null, file: 'expired' }, { id: 'p5', file: 'p5' }]);
+            setGraphRoutes({
+                '/files/gone': () => ({ status: 404, body: 'Not Found' }),
+                '/files/expired': expired,
+                '/files/p5': serveFile,
+            });
+
+            expect(await downloadFromFile({ filePath: linkFile, folderName: 'saved', ownerId: '5001' }))
+                .toEqual({ total: 3, downloaded: 1, skipped: 0, failed: 2 });
+            // Links without media ID cannot be refreshed nor tracked
+            expect(getFailedMedia()).toMatchObject([{ uid: '5001', media_id: 'p4', error: 'HTTP 404: Not Found' }]);
+        });
+
+        it('should stop at a fatal Graph API error while refreshing a link', async () => {
+            writeLinks([{ id: 'p6', file: 'expired' }, { id: 'p7', file: 'p7' }]);
+            setGraphRoutes({
+                '/files/expired': expired,
+                '/p6': () => ({ status: 400, json: { error: { code: 190, error_subcode: 463, message: 'Session has expired' } } }),
+                '/files/p7': serveFile,
+            });
+
+            await expect(downloadFromFile({ filePath: linkFile, folderName: 'saved', ownerId: '5001' }))
+                .rejects.toMatchObject({ name: 'TokenExpiredError' });
+            expect(receivedRequests).not.toContain('/files/p7');
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for download_group.js
+ */
+import { describe, it, expect } from 'vitest';
+import { useGraphServer, setGraphRoutes, receivedRequests, GRAPH_SERVER_URL } from './helpers/graph_server.js';
+
+process.env.WAIT_BEFORE_NEXT_FETCH = '1';
+
+const { fetchGroupFeed } = await import('../download_group.js');
+const { parseDateRange } = await import('../download_helpers.js');
+
+// Group post with one photo attachment
+const post = (id, from, createdTime) => ({
+    id: `g1_${id}`,
+    created_time: createdTime,
+    from: { id: from, name: `Member ${from}` },
+    attachments: {
+        data: [{ type: 'photo', target: { id }, media: { image: { src: `https://cdn/${id}.jpg`, width: 720, height: 480 } } }],
+    },
+});
+
+// Feed of group g1: two pages chained by paging.next
+const feedPages = {
+    '': {
+        data: [post('p1', 'm1', '2024-03-10T10:00:00+0000'), post('p2', 'm2', '2024-02-10T10:00:00+0000')],
+        paging: { next: `${GRAPH_SERVER_URL}/g1/feed?after=c2` },
+    },
+    c2: {
+        data: [post('p3', 'm1', '2024-01-10T10:00:00+0000')],
+        paging: {},
+    },
+};
+
+const crawl = async (params = {}) => {
+    const pages = [];
+    const total = await fetchGroupFeed({
+        groupId: 'g1',
+        pageFetchedCallback: async (media) => pages.push(media.map((m) => m.id)),
+        ...params,
+    });
+    return { total, pages };
+};
+
+describe('download_group.js', () => {
+    useGraphServer();
+
+    describe('fetchGroupFeed', () => {
+        it('should follow paging.next until the last page', async () => {
+            setGraphRoutes({ '/g1/feed': (url) => ({ json: feedPages[url.searchParams.get('after') || ''] }) });
+
+            expect(await crawl()).toEqual({ total: 3, pages: [['p1', 'p2'], ['p3']] });
+            expect(receivedRequests).toHaveLength(2);
+            expect(receivedRequests[1]).toBe('/g1/feed?after=c2');
+        });
+
+        it('should stop at the page limit', async () => {
+            setGraphRoutes({ '/g1/feed': (url) => ({ json: feedPages[url.searchParams.get('after') || ''] }) });
+
+            expect(await crawl({ pageLimit: 1 })).toEqual({ total: 2, pages: [['p1', 'p2']] });
+            expect(receivedRequests).toHaveLength(1);
+        });
+
+        it('should give each media the metadata of its post', async () => {
+            setGraphRoutes({ '/g1/feed': () => ({ json: { data: [post('p1', 'm1', '2024-03-10T10:00:00+0000')] } }) });
+
+            let media;
+            await fetchGroupFeed({ groupId: 'g1', pageFetchedCallback: async (page) => { media = page; } });
+            expect(media).toMatchObject([{
+                type: 'photo',
+                id: 'p1',
+                url: 'https://cdn/p1.jpg',
+                post_id: 'g1_p1',
+                created_time: '2024-03-10T10:00:00+0000',
+                from: { id: 'm1' },
+            }]);
+        });
+
+        it('should only keep the posts of the given posters', async () => {
+            setGraphRoutes({ '/g1/feed': (url) => ({ json: feedPages[url.searchParams.get('after') || ''] }) });
+
+            expect(await crawl({ posterIds: new Set(['m1']) })).toEqual({ total: 2, pages: [['p1'], ['p3']] });
+        });
+
+        it('should ask for the date range and drop the posts outside of it', async () => {
+            // Posts the API still returns outside the range are filtered out of the page
+            setGraphRoutes({ '/g1/feed': (url) => ({ json: feedPages[url.searchParams.get('after') || ''] }) });
+            const dateRange = parseDateRange('2024-02-01', '2024-02-29');
+
+            expect(await crawl({ dateRange })).toEqual({ total: 1, pages: [['p2'], []] });
+            const firstRequest = new URL(receivedRequests[0], GRAPH_SERVER_URL).searchParams;
+            expect(firstRequest.get('since')).toBe(String(Math.floor(dateRange.since / 1000)));
+            expect(firstRequest.get('until')).toBe(String(Math.ceil(dateRange.until / 1000)));
+        });
+    });
+});
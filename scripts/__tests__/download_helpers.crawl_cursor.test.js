@@ -0,0 +1,105 @@
+/**
+ * Tests for the crawl cursor helpers in download_helpers.js (saved on a real SQLite database)
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { useTestDatabase } from './helpers/test_database.js';
+
+const { getOrCreateUser } = await import('../database.js');
+const { API_TYPE } = await import('../constants.js');
+const { cancel, resetCancellation } = await import('../cancellation.js');
+const {
+    getNextPageCursor,
+    getSavedCrawlCursor,
+    recordCrawlProgress,
+    resolveCrawlStart,
+    findSavedCrawlCursors,
+} = await import('../download_helpers.js');
+
+const page = (after, hasNext = true) => ({
+    cursors: { after },
+    ...(hasNext ? { next: `https://graph.facebook.com/v21.0/1/feed?after=${after}` } : {}),
+});
+
+describe('download_helpers.js crawl cursors', () => {
+    useTestDatabase();
+
+    afterEach(() => {
+        resetCancellation();
+    });
+
+    describe('getNextPageCursor', () => {
+        it('should prefer paging.cursors.after', () => {
+            expect(getNextPageCursor({ cursors: { after: 'A' }, next: 'https://x/feed?after=B' })).toBe('A');
+        });
+
+        it('should fall back to the after parameter of paging.next', () => {
+            expect(getNextPageCursor({ next: 'https://x/feed?limit=25&after=B' })).toBe('B');
+        });
+
+        it('should return null without a next page or a readable URL', () => {
+            expect(getNextPageCursor(undefined)).toBeNull();
+            expect(getNextPageCursor({ cursors: {} })).toBeNull();
+            expect(getNextPageCursor({ next: 'not a url' })).toBeNull();
+        });
+    });
+
+    describe('recordCrawlProgress and resolveCrawlStart', () => {
+        it('should resume after the last page of a crawl stopped by the page limit', () => {
+            const userId = getOrCreateUser(1, '7001');
+            const tracking = { userId, apiType: API_TYPE.WALL_FEED };
+
+            recordCrawlProgress(tracking, page('c1'), 1);
+            recordCrawlProgress(tracking, page('c2'), 2);
+
+            expect(getSavedCrawlCursor(userId, API_TYPE.WALL_FEED)).toMatchObject({ cursor: 'c2', pagesLoaded: 2 });
+            expect(resolveCrawlStart(userId, API_TYPE.WALL_FEED, null, true)).toEqual({ fromCursor: 'c2', startPage: 3 });
+            // Without --resume the crawl starts over
+            expect(resolveCrawlStart(userId, API_TYPE.WALL_FEED, null, false)).toEqual({ fromCursor: null, startPage: 1 });
+        });
+
+        it('should keep the cursor of the last finished page when cancelled', () => {
+            const userId = getOrCreateUser(1, '7002');
+            const tracking = { userId, apiType: API_TYPE.USER_VIDEOS };
+
+            recordCrawlProgress(tracking, page('v1'), 1);
+            cancel();
+            // the page being processed when cancelled was not finished
+            recordCrawlProgress(tracking, page('v2'), 2);
+
+            expect(resolveCrawlStart(userId, API_TYPE.USER_VIDEOS, null, true)).toEqual({ fromCursor: 'v1', startPage: 2 });
+        });
+
+        it('should clear the cursor once the crawl reaches the last page', () => {
+            const userId = getOrCreateUser(1, '7003');
+            const tracking = { userId, apiType: API_TYPE.USER_PHOTOS };
+
+            recordCrawlProgress(tracking, page('p1'), 1);
+            recordCrawlProgress(tracking, page('p2', false), 2);
+
+            expect(getSavedCrawlCursor(userId, API_TYPE.USER_PHOTOS)).toBeNull();
+            expect(resolveCrawlStart(userId, API_TYPE.USER_PHOTOS, null, true)).toEqual({ fromCursor: null, startPage: 1 });
+        });
+
+        it('should prefer an explicit cursor over the saved one', () => {
+            const userId = getOrCreateUser(1, '7004');
+            recordCrawlProgress({ userId, apiType: API_TYPE.WALL_FEED }, page('saved'), 4);
+
+            expect(resolveCrawlStart(userId, API_TYPE.WALL_FEED, 'given', true)).toEqual({ fromCursor: 'given', startPage: 1 });
+        });
+
+        it('should not save anything without a database user', () => {
+            recordCrawlProgress({ userId: null, apiType: API_TYPE.WALL_FEED }, page('x'), 1);
+            expect(resolveCrawlStart(null, API_TYPE.WALL_FEED, null, true)).toEqual({ fromCursor: null, startPage: 1 });
+        });
+    });
+
+    describe('findSavedCrawlCursors', () => {
+        it('should list the UIDs with an unfinished crawl', () => {
+            const userId = getOrCreateUser(1, '7005');
+            recordCrawlProgress({ userId, apiType: API_TYPE.USER_PHOTOS }, page('f1'), 3);
+
+            expect(findSavedCrawlCursors(['7005', '7003', 'unknown'], API_TYPE.USER_PHOTOS))
+                .toEqual([expect.objectContaining({ uid: '7005', pagesLoaded: 3 })]);
+        });
+    });
+});
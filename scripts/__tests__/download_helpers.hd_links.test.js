@@ -0,0 +1,81 @@
+/**
+ * Tests for resolving the HD URLs of exported photo links in download_helpers.js
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { useGraphServer, setGraphRoutes, receivedRequests } from './helpers/graph_server.js';
+
+process.env.DATABASE_ENABLED = 'false';
+process.env.WAIT_BEFORE_NEXT_FETCH_LARGEST_PHOTO = '1';
+
+const { resolveLargestPhotoLinks } = await import('../download_helpers.js');
+const { cancel, resetCancellation } = await import('../cancellation.js');
+
+// Largest image of p1 only (p2 has no HD version)
+const largestImageRoutes = {
+    '/': (url) => ({
+        json: Object.fromEntries(url.searchParams.get('ids').split(',').map((id) => [
+            id,
+            id === 'p1' ? { id, largest_image: { source: `https://cdn/${id}-hd.jpg` } } : { id },
+        ])),
+    }),
+};
+
+describe('download_helpers.js HD links', () => {
+    useGraphServer();
+
+    afterEach(() => {
+        resetCancellation();
+    });
+
+    describe('resolveLargestPhotoLinks', () => {
+        const page = [
+            { id: 'p1', type: 'photo', url: 'https://cdn/p1.jpg' },
+            { id: 'p2', type: 'photo', url: 'https://cdn/p2.jpg' },
+            { id: 'v1', type: 'video', url: 'https://cdn/v1.mp4' },
+        ];
+
+        it('should replace photo URLs with their largest version in one request per page', async () => {
+            setGraphRoutes(largestImageRoutes);
+
+            expect(await resolveLargestPhotoLinks(page)).toEqual([
+                { id: 'p1', type: 'photo', url: 'https://cdn/p1-hd.jpg' },
+                { id: 'p2', type: 'photo', url: 'https://cdn/p2.jpg' },
+                { id: 'v1', type: 'video', url: 'https://cdn/v1.mp4' },
+            ]);
+            expect(receivedRequests).toEqual(['/?ids=p1%2Cp2&fields=largest_image']);
+        });
+
+        it('should treat items without a type as photos', async () => {
+            setGraphRoutes(largestImageRoutes);
+
+            expect(await resolveLargestPhotoLinks([{ id: 'p1', url: 'https://cdn/p1.jpg' }]))
+                .toEqual([{ id: 'p1', url: 'https://cdn/p1-hd.jpg' }]);
+        });
+
+        it('should skip a deleted photo and still resolve the others of its page', async () => {
+            const deleted = () => ({ status: 400, json: { error: { code: 100, error_subcode: 33, message: 'Object does not exist' } } });
+            setGraphRoutes({
+                // The multi-ID request fails as a whole, so each photo is looked up alone
+                '/': deleted,
+                '/p1': () => ({ json: { id: 'p1', largest_image: { source: 'https://cdn/p1-hd.jpg' } } }),
+                '/p2': deleted,
+            });
+
+            expect((await resolveLargestPhotoLinks(page)).map((item) => item.url))
+                .toEqual(['https://cdn/p1-hd.jpg', 'https://cdn/p2.jpg', 'https://cdn/v1.mp4']);
+            expect(receivedRequests).toEqual([
+                '/?ids=p1%2Cp2&fields=largest_image',
+                '/p1?fields=largest_image',
+                '/p2?fields=largest_image',
+            ]);
+        });
+
+        it('should return no links without calling the Graph API when cancelled', async () => {
+            setGraphRoutes(largestImageRoutes);
+            cancel();
+
+            expect(await resolveLargestPhotoLinks(page)).toEqual([]);
+            expect(receivedRequests).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for the pure helpers in download_helpers.js
+ */
+import { describe, it, expect } from 'vitest';
+import {
+    parseDateRange,
+    isWithinDateRange,
+    getDateRangeParams,
+    filterPageByDateRange,
+    buildMediaMetadata,
+    getVideoQuality,
+    withVideoQuality,
+    attemptHDFetch,
+    prefetchHDPhotoLinks,
+} from '../download_helpers.js';
+
+describe('download_helpers.js', () => {
+    describe('parseDateRange', () => {
+        it('should leave missing bounds open', () => {
+            expect(parseDateRange()).toEqual({ since: null, until: null });
+        });
+
+        it('should include the whole day of a date-only until', () => {
+            const range = parseDateRange('2024-01-01', '2024-01-31');
+            expect(range.since).toBe(Date.parse('2024-01-01T00:00:00Z'));
+            expect(range.until).toBe(Date.parse('2024-01-31T23:59:59.999Z'));
+            expect(parseDateRange(null, '2024-01-31T12:00:00Z').until).toBe(Date.parse('2024-01-31T12:00:00Z'));
+        });
+    });
+
+    describe('isWithinDateRange', () => {
+        const range = parseDateRange('2024-01-01', '2024-01-31');
+
+        it('should keep Graph API times inside the range', () => {
+            expect(isWithinDateRange('2024-01-31T22:00:00+0000', range)).toBe(true);
+            expect(isWithinDateRange('2023-12-31T23:59:59+0000', range)).toBe(false);
+            expect(isWithinDateRange('2024-02-01T00:00:00+0000', range)).toBe(false);
+        });
+
+        it('should keep media without a readable time', () => {
+            expect(isWithinDateRange(undefined, range)).toBe(true);
+        });
+    });
+
+    describe('getDateRangeParams', () => {
+        it('should convert the range to unix timestamps', () => {
+            expect(getDateRangeParams(parseDateRange())).toBe('');
+            expect(getDateRangeParams(parseDateRange('2023-01-01', '2023-12-31'))).toBe('&since=1672531200&until=1704067200');
+        });
+    });
+
+    describe('filterPageByDateRange', () => {
+        const range = parseDateRange('2023-01-01', '2023-12-31');
+        const photo = (created_time) => ({ id: created_time, created_time });
+
+        it('should keep photos inside the range', () => {
+            const page = [photo('2024-02-01T00:00:00+0000'), photo('2023-06-01T00:00:00+0000'), photo('2022-12-31T00:00:00+0000')];
+            const result = filterPageByDateRange(page, range);
+
+            expect(result.items.map((p) => p.created_time)).toEqual(['2023-06-01T00:00:00+0000']);
+            expect(result.beforeRange).toBe(false);
+        });
+
+        it('should report a page entirely older than since', () => {
+            expect(filterPageByDateRange([photo('2022-12-31T00:00:00+0000')], range).beforeRange).toBe(true);
+            expect(filterPageByDateRange([photo('2022-12-31T00:00:00+0000')], parseDateRange(null, '2023-12-31')).beforeRange).toBe(false);
+            expect(filterPageByDateRange([], range).beforeRange).toBe(false);
+        });
+    });
+
+    describe('buildMediaMetadata', () => {
+        it('should map post fields and fill the rest with null', () => {
+            const item = {
+                id: '10',
+                post_id: '1_2',
+                permalink: 'https://www.facebook.com/1/posts/2',
+                created_time: '2024-01-01T10:00:00+0000',
+                message: 'Caption',
+                from: { id: '1', name: 'Poster' },
+                width: 720,
+                height: 480,
+            };
+
+            const metadata = buildMediaMetadata(item, { mediaId: '10', mediaType: 'photo', sourceUrl: 'https://cdn/10.jpg' });
+
+            expect(metadata).toMatchObject({
+                media_id: '10',
+                post_id: '1_2',
+                poster_uid: '1',
+                poster_name: 'Poster',
+                album_id: null,
+                width: 720,
+                source_url: 'https://cdn/10.jpg',
+            });
+            expect(buildMediaMetadata({}, { mediaId: '11', album: { id: '5', name: 'Trip' } })).toMatchObject({
+                post_id: null,
+                album_id: '5',
+                album_name: 'Trip',
+            });
+        });
+    });
+
+    describe('getVideoQuality', () => {
+        const video = {
+            source: 'https://cdn/v.mp4',
+            length: 42.5,
+            format: [
+                { filter: '130x130', width: 130, height: 73 },
+                { filter: 'native', width: 1920, height: 1080 },
+                { filter: '720x720', width: 720, height: 405 },
+            ],
+            thumbnails: { data: [{ uri: 'https://cdn/t1.jpg' }, { uri: 'https://cdn/t2.jpg', is_preferred: true }] },
+        };
+
+        it('should read the quality of the native format', () => {
+            expect(getVideoQuality(video)).toEqual({
+                url: 'https://cdn/v.mp4',
+                width: 1920,
+                height: 1080,
+                quality: '1080p',
+                isHd: true,
+                duration: 42.5,
+                thumbnail: 'https://cdn/t2.jpg',
+            });
+        });
+
+        it('should fall back to the largest format and use the shorter side', () => {
+            const portrait = { source: 'x', format: [{ filter: '130x130', width: 73, height: 130 }, { filter: '720x720', width: 405, height: 720 }] };
+            expect(getVideoQuality(portrait)).toMatchObject({ width: 405, height: 720, quality: '405p', isHd: false });
+        });
+
+        it('should report an unknown SD quality when the node is missing', () => {
+            expect(getVideoQuality(null)).toMatchObject({ url: null, quality: 'unknown', isHd: false, duration: null });
+        });
+    });
+
+    describe('withVideoQuality', () => {
+        it('should add the resolved size, quality and duration to video items only', () => {
+            const item = { id: '1', width: 405, height: 720 };
+            expect(withVideoQuality(item, null)).toBe(item);
+            expect(withVideoQuality(item, { width: 1080, height: null, quality: '1080p', duration: 3 }))
+                .toEqual({ id: '1', width: 1080, height: 720, quality: '1080p', duration: 3 });
+        });
+    });
+
+    describe('attemptHDFetch with prefetched links', () => {
+        const hdLinks = new Map([['1', 'https://cdn/1-hd.jpg']]);
+
+        it('should use the HD URL of the page', async () => {
+            expect(await attemptHDFetch('1', null, false, hdLinks)).toEqual({ url: 'https://cdn/1-hd.jpg', isHd: true, shouldSkip: false });
+        });
+
+        it('should keep the SD download, or skip an upgrade, when the page has no HD URL', async () => {
+            expect(await attemptHDFetch('2', null, false, hdLinks)).toEqual({ url: null, isHd: false, shouldSkip: false });
+            expect(await attemptHDFetch('2', null, true, hdLinks)).toMatchObject({ shouldSkip: true });
+        });
+    });
+
+    describe('prefetchHDPhotoLinks', () => {
+        it('should not call the Graph API for pages without photos', async () => {
+            expect((await prefetchHDPhotoLinks([{ id: '1', type: 'video' }], null)).size).toBe(0);
+            expect((await prefetchHDPhotoLinks([], null)).size).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for download_queue.js
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createDownloadQueue, getUrlHost } from '../download_queue.js';
+import { cancel, resetCancellation } from '../cancellation.js';
+
+/**
+ * Create a task that records peak concurrency (overall and per host)
+ */
+const trackedTask = (tracker, host) => async () => {
+    tracker.active++;
+    tracker.byHost[host] = (tracker.byHost[host] || 0) + 1;
+    tracker.peak = Math.max(tracker.peak, tracker.active);
+    tracker.peakByHost[host] = Math.max(tracker.peakByHost[host] || 0, tracker.byHost[host]);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    tracker.active--;
+    tracker.byHost[host]--;
+    tracker.done++;
+};
+
+const newTracker = () => ({ active: 0, peak: 0, byHost: {}, peakByHost: {}, done: 0 });
+
+describe('download_queue.js', () => {
+    afterEach(() => {
+        resetCancellation();
+    });
+
+    it('should extract the host of a URL', () => {
+        expect(getUrlHost('https://scontent.xx.fbcdn.net/v/1.jpg?x=1')).toBe('scontent.xx.fbcdn.net');
+        expect(getUrlHost('not a url')).toBe('');
+    });
+
+    it('should respect the global and per-host limits', async () => {
+        const queue = createDownloadQueue({ concurrency: 3, perHostLimit: 2 });
+        const tracker = newTracker();
+
+        for (let i = 0; i < 6; i++) {
+            queue.add('https://a.example/x', trackedTask(tracker, 'a'));
+            queue.add('https://b.example/x', trackedTask(tracker, 'b'));
+        }
+        await queue.drain();
+
+        expect(tracker.done).toBe(12);
+        expect(tracker.peak).toBe(3);
+        expect(tracker.peakByHost.a).toBeLessThanOrEqual(2);
+        expect(tracker.peakByHost.b).toBeLessThanOrEqual(2);
+    });
+
+    it('should keep running after a task fails', async () => {
+        const queue = createDownloadQueue({ concurrency: 1, perHostLimit: 1 });
+        let ran = false;
+
+        queue.add('https://a.example/x', async () => { throw new Error('boom'); });
+        queue.add('https://a.example/y', async () => { ran = true; });
+        await queue.drain();
+
+        expect(ran).toBe(true);
+    });
+
+    it('should drop queued tasks when cancelled', async () => {
+        const queue = createDownloadQueue({ concurrency: 1, perHostLimit: 1 });
+        const tracker = newTracker();
+
+        for (let i = 0; i < 5; i++) {
+            queue.add('https://a.example/x', trackedTask(tracker, 'a'));
+        }
+        cancel();
+        await queue.drain();
+
+        expect(tracker.done).toBe(1);
+        expect(queue.stats()).toEqual({ active: 0, pending: 0 });
+    });
+
+    it('should refuse a second task for a file already queued or running', async () => {
+        const queue = createDownloadQueue({ concurrency: 2, perHostLimit: 2 });
+        const tracker = newTracker();
+
+        expect(queue.add('https://a.example/x', trackedTask(tracker, 'a'), 'out/1.jpg')).toBe(true);
+        expect(queue.has('out/1.jpg')).toBe(true);
+        expect(queue.add('https://a.example/x', trackedTask(tracker, 'a'), 'out/1.jpg')).toBe(false);
+        expect(queue.add('https://a.example/y', trackedTask(tracker, 'a'), 'out/2.jpg')).toBe(true);
+        await queue.drain();
+
+        expect(tracker.done).toBe(2);
+        expect(queue.has('out/1.jpg')).toBe(false);
+        expect(queue.add('https://a.example/x', trackedTask(tracker, 'a'), 'out/1.jpg')).toBe(true);
+        await queue.drain();
+    });
+
+    it('should resolve drain immediately when idle', async () => {
+        await expect(createDownloadQueue().drain()).resolves.toBeUndefined();
+    });
+});
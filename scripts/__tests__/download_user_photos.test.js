@@ -0,0 +1,90 @@
+/**
+ * Tests for download_user_photos.js (photo sets of a user)
+ */
+import { describe, it, expect } from 'vitest';
+import { useTestDatabase } from './helpers/test_database.js';
+import { useGraphServer, setGraphRoutes, receivedRequests, GRAPH_SERVER_URL } from './helpers/graph_server.js';
+
+process.env.WAIT_BEFORE_NEXT_FETCH = '1';
+
+const { API_TYPE } = await import('../constants.js');
+const { downloadUserPhotos, findUserAlbumId, getUserPhotoApiType } = await import('../download_user_photos.js');
+
+// Albums of user u1, listed on two pages
+const albumRoutes = {
+    '/u1/albums': (url) => ({
+        json: url.searchParams.get('after')
+            ? { data: [{ id: 'a-cover', type: 'cover' }], paging: {} }
+            : { data: [{ id: 'a-trip', type: 'normal' }, { id: 'a-profile', type: 'profile' }], paging: { next: `${GRAPH_SERVER_URL}/u1/albums?after=c2` } },
+    }),
+};
+
+const photoPage = (id) => () => ({
+    json: { data: [{ id, created_time: '2024-01-01T00:00:00+0000', largest_image: { source: `https://cdn/${id}.jpg` } }] },
+});
+
+const pathsOf = (requests) => requests.map((request) => request.split('?')[0]);
+
+describe('download_user_photos.js', () => {
+    useTestDatabase();
+    useGraphServer();
+
+    describe('getUserPhotoApiType', () => {
+        it('should track each photo set under its own API type', () => {
+            expect(getUserPhotoApiType('uploaded')).toBe(API_TYPE.USER_PHOTOS);
+            expect(getUserPhotoApiType('tagged')).toBe(API_TYPE.USER_TAGGED_PHOTOS);
+            expect(getUserPhotoApiType('profile')).toBe(API_TYPE.USER_PROFILE_PICTURES);
+            expect(getUserPhotoApiType('cover')).toBe(API_TYPE.USER_COVER_PHOTOS);
+            expect(() => getUserPhotoApiType('liked')).toThrow('Unknown photo type: liked');
+        });
+    });
+
+    describe('findUserAlbumId', () => {
+        it('should find the profile and cover albums across album pages', async () => {
+            setGraphRoutes(albumRoutes);
+
+            expect(await findUserAlbumId('u1', 'profile')).toBe('a-profile');
+            expect(await findUserAlbumId('u1', 'cover')).toBe('a-cover');
+        });
+
+        it('should return null when the user has no such album', async () => {
+            setGraphRoutes({ '/u1/albums': () => ({ json: { data: [{ id: 'a-trip', type: 'normal' }] } }) });
+
+            expect(await findUserAlbumId('u1', 'profile')).toBeNull();
+        });
+    });
+
+    describe('downloadUserPhotos photo sets', () => {
+        it('should crawl uploaded and tagged photos from the photos edge of the user', async () => {
+            setGraphRoutes({ '/u1/photos': photoPage('p1') });
+
+            await downloadUserPhotos({ targetId: 'u1', photoType: 'uploaded', dryRun: true });
+            await downloadUserPhotos({ targetId: 'u1', photoType: 'tagged', dryRun: true });
+
+            const types = receivedRequests.map((request) => new URL(request, GRAPH_SERVER_URL).searchParams.get('type'));
+            expect(pathsOf(receivedRequests)).toEqual(['/u1/photos', '/u1/photos']);
+            expect(types).toEqual(['uploaded', 'tagged']);
+        });
+
+        it('should crawl profile and cover pictures from the matching album', async () => {
+            setGraphRoutes({ ...albumRoutes, '/a-profile/photos': photoPage('p2'), '/a-cover/photos': photoPage('p3') });
+
+            const { estimate } = await downloadUserPhotos({ targetId: 'u1', photoType: 'profile', dryRun: true });
+            expect(estimate).toMatchObject({ photos: 1, apiCalls: 2 });
+            expect(pathsOf(receivedRequests)).toEqual(['/u1/albums', '/u1/albums', '/a-profile/photos']);
+            expect(receivedRequests[2]).not.toContain('type=');
+
+            receivedRequests.length = 0;
+            await downloadUserPhotos({ targetId: 'u1', photoType: 'cover', dryRun: true });
+            expect(pathsOf(receivedRequests)).toEqual(['/u1/albums', '/u1/albums', '/a-cover/photos']);
+        });
+
+        it('should stop when the user has no album for the photo set', async () => {
+            setGraphRoutes({ '/u1/albums': () => ({ json: { data: [] } }) });
+
+            expect(await downloadUserPhotos({ targetId: 'u1', photoType: 'cover', dryRun: true }))
+                .toEqual({ saved: 0, skipped: 0, failed: 0 });
+            expect(pathsOf(receivedRequests)).toEqual(['/u1/albums']);
+        });
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for download_wall_media.js
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import { useGraphServer, setGraphRoutes } from './helpers/graph_server.js';
+
+process.env.DATABASE_ENABLED = 'false';
+process.env.WAIT_BEFORE_NEXT_FETCH = '1';
+process.env.WAIT_BEFORE_NEXT_FETCH_LARGEST_PHOTO = '1';
+
+const { FOLDER_TO_SAVE_LINKS } = await import('../../config.js');
+const { LINK_FORMAT } = await import('../constants.js');
+const { getLinkFileName, parseLinkFile } = await import('../link_export.js');
+const { downloadWallMediaLinks } = await import('../download_wall_media.js');
+
+// Wall of w1: one post with a photo and a video
+const wallRoutes = {
+    '/w1/feed': () => ({
+        json: {
+            data: [{
+                id: 'w1_1',
+                created_time: '2024-01-01T00:00:00+0000',
+                attachments: {
+                    data: [
+                        { type: 'photo', target: { id: 'p1' }, media: { image: { src: 'https://cdn/p1.jpg' } } },
+                        { type: 'video_inline', target: { id: 'v1' }, media: { image: { src: 'https://cdn/v1.jpg' }, source: 'https://cdn/v1.mp4' } },
+                    ],
+                },
+            }],
+        },
+    }),
+    '/': () => ({ json: { p1: { id: 'p1', largest_image: { source: 'https://cdn/p1-hd.jpg' } } } }),
+};
+
+describe('download_wall_media.js', () => {
+    useGraphServer();
+
+    const hadLinksFolder = fs.existsSync(FOLDER_TO_SAVE_LINKS);
+
+    afterEach(() => {
+        fs.rmSync(getLinkFileName('w1', LINK_FORMAT.CSV), { force: true });
+        if (!hadLinksFolder) fs.rmSync(FOLDER_TO_SAVE_LINKS, { recursive: true, force: true });
+    });
+
+    const exportedLinks = () =>
+        parseLinkFile(fs.readFileSync(getLinkFileName('w1', LINK_FORMAT.CSV), 'utf8')).map(({ id, url }) => ({ id, url }));
+
+    describe('downloadWallMediaLinks', () => {
+        it('should export the HD URL of photos when asked to', async () => {
+            setGraphRoutes(wallRoutes);
+
+            await downloadWallMediaLinks({ targetId: 'w1', isGetLargestPhoto: true, format: LINK_FORMAT.CSV });
+            expect(exportedLinks()).toEqual([
+                { id: 'p1', url: 'https://cdn/p1-hd.jpg' },
+                { id: 'v1', url: 'https://cdn/v1.mp4' },
+            ]);
+        });
+
+        it('should export the feed URLs otherwise', async () => {
+            setGraphRoutes(wallRoutes);
+
+            await downloadWallMediaLinks({ targetId: 'w1', format: LINK_FORMAT.CSV });
+            expect(exportedLinks()).toEqual([
+                { id: 'p1', url: 'https://cdn/p1.jpg' },
+                { id: 'v1', url: 'https://cdn/v1.mp4' },
+            ]);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for dry_run.js (download estimates on a real SQLite database)
+ */
+import { describe, it, expect, beforeAll } from 'vitest';
+import { useTestDatabase } from './helpers/test_database.js';
+import { useGraphServer, setGraphRoutes, receivedRequests, GRAPH_SERVER_URL } from './helpers/graph_server.js';
+
+const { getOrCreateUser, saveMedia } = await import('../database.js');
+const { createDryRunEstimate, sumEstimates, emptyEstimate, formatBytes } = await import('../dry_run.js');
+
+describe('dry_run.js', () => {
+    useTestDatabase();
+    useGraphServer();
+
+    let userId;
+
+    beforeAll(() => {
+        userId = getOrCreateUser(1, '5001');
+        saveMedia(userId, 'sd-photo', false, 'a.png');
+        saveMedia(userId, 'hd-photo', true, 'b.png');
+        saveMedia(userId, 'video', false, 'c.mp4');
+    });
+
+    const addAll = async (estimate) => {
+        estimate.addApiCall();
+        for (const id of ['new-photo', 'sd-photo', 'hd-photo']) {
+            await estimate.addMedia({ id, type: 'photo', extraApiCalls: 1 });
+        }
+        await estimate.addMedia({ id: 'video', type: 'video', extraApiCalls: 1 });
+        await estimate.addMedia({ id: 'new-video', type: 'video', extraApiCalls: 1 });
+    };
+
+    describe('createDryRunEstimate', () => {
+        it('should split new and already saved media', async () => {
+            const estimate = createDryRunEstimate({ userId });
+            await addAll(estimate);
+
+            expect(estimate.result()).toMatchObject({
+                photos: 3,
+                videos: 2,
+                new: 2,
+                existing: 3,
+                needsUpgrade: 0,
+                apiCalls: 3,
+                sizeEstimated: false,
+            });
+        });
+
+        it('should count SD photos as HD upgrades when fetching HD', async () => {
+            const estimate = createDryRunEstimate({ userId, isGetLargestPhoto: true });
+            await addAll(estimate);
+
+            expect(estimate.result()).toMatchObject({ new: 2, existing: 2, needsUpgrade: 1, apiCalls: 4 });
+        });
+
+        it('should count everything as new for users not in the database', async () => {
+            const estimate = createDryRunEstimate({ userId: null });
+            await addAll(estimate);
+
+            expect(estimate.result()).toMatchObject({ new: 5, existing: 0, apiCalls: 6 });
+        });
+
+        it('should count media without URL as unknown size', async () => {
+            const estimate = createDryRunEstimate({ userId: null, estimateSize: true });
+            await estimate.addMedia({ id: 'x', type: 'photo', url: null });
+
+            expect(estimate.result()).toMatchObject({ bytes: 0, unsized: 1, sizeEstimated: true });
+        });
+
+        it('should size the crawled URL, but not the SD URL of photos downloaded in HD', async () => {
+            setGraphRoutes({ '/files/sd': () => ({ body: 'x'.repeat(2048), headers: { 'Content-Length': 2048 } }) });
+            const url = `${GRAPH_SERVER_URL}/files/sd`;
+
+            const sdEstimate = createDryRunEstimate({ userId: null, estimateSize: true });
+            await sdEstimate.addMedia({ id: 'x', type: 'photo', url });
+            expect(sdEstimate.result()).toMatchObject({ bytes: 2048, unsized: 0 });
+
+            receivedRequests.length = 0;
+            const hdEstimate = createDryRunEstimate({ userId: null, isGetLargestPhoto: true, estimateSize: true });
+            await hdEstimate.addMedia({ id: 'x', type: 'photo', url });
+            await hdEstimate.addMedia({ id: 'y', type: 'video', url });
+            expect(hdEstimate.result()).toMatchObject({ bytes: 2048, unsized: 1 });
+            expect(receivedRequests).toEqual(['/files/sd']);
+        });
+    });
+
+    describe('sumEstimates', () => {
+        it('should add up counts and keep the size flag', () => {
+            const total = sumEstimates([
+                { ...emptyEstimate(), photos: 2, new: 1, apiCalls: 3 },
+                { ...emptyEstimate(), photos: 1, bytes: 2048, sizeEstimated: true },
+            ]);
+            expect(total).toMatchObject({ photos: 3, new: 1, apiCalls: 3, bytes: 2048, sizeEstimated: true });
+        });
+    });
+
+    describe('formatBytes', () => {
+        it('should pick a readable unit', () => {
+            expect(formatBytes(2048)).toBe('2.0 KB');
+            expect(formatBytes(50 * 1024 * 1024)).toBe('50 MB');
+            expect(formatBytes(3 * 1024 ** 3)).toBe('3.0 GB');
+        });
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for fix_extensions.js (renaming mislabelled files on a real SQLite database)
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestDatabase } from './helpers/test_database.js';
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'test-fix-extensions-'));
+
+const { getDatabase, getOrCreateUser, saveMedia, getMediaStatus } = await import('../database.js');
+const { fixFileExtensions } = await import('../fix_extensions.js');
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0]);
+
+describe('fix_extensions.js', () => {
+    useTestDatabase();
+
+    let userId;
+
+    beforeAll(() => {
+        userId = getOrCreateUser(1, '3001');
+    });
+
+    afterAll(() => {
+        fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        getDatabase().exec('DELETE FROM saved_media');
+        fs.rmSync(TEST_DIR, { recursive: true, force: true });
+        fs.mkdirSync(TEST_DIR);
+    });
+
+    it('should rename JPEGs saved as .png and update every row using the file', () => {
+        fs.writeFileSync(`${TEST_DIR}/1.png`, JPEG);
+        saveMedia(userId, '1', true, `${TEST_DIR}/1.png`);
+        saveMedia(userId, '1-repost', true, `${TEST_DIR}/1.png`);
+
+        const stats = fixFileExtensions();
+
+        expect(stats.renamed).toBe(1);
+        expect(fs.existsSync(`${TEST_DIR}/1.jpg`)).toBe(true);
+        expect(getMediaStatus(userId, '1').filePath).toBe(`${TEST_DIR}/1.jpg`);
+        expect(getMediaStatus(userId, '1-repost').filePath).toBe(`${TEST_DIR}/1.jpg`);
+    });
+
+    it('should leave correct, unknown and missing files alone', () => {
+        fs.writeFileSync(`${TEST_DIR}/2.jpeg`, JPEG);
+        fs.writeFileSync(`${TEST_DIR}/3.png`, 'not an image');
+        saveMedia(userId, '2', true, `${TEST_DIR}/2.jpeg`);
+        saveMedia(userId, '3', true, `${TEST_DIR}/3.png`);
+        saveMedia(userId, '4', true, `${TEST_DIR}/4.png`);
+
+        expect(fixFileExtensions()).toEqual({ checked: 2, renamed: 0, missing: 1, conflicts: 0 });
+    });
+
+    it('should not touch files in dry-run mode or when the target exists', () => {
+        fs.writeFileSync(`${TEST_DIR}/5.png`, JPEG);
+        saveMedia(userId, '5', true, `${TEST_DIR}/5.png`);
+
+        expect(fixFileExtensions({ dryRun: true }).renamed).toBe(1);
+        expect(fs.existsSync(`${TEST_DIR}/5.png`)).toBe(true);
+
+        fs.writeFileSync(`${TEST_DIR}/5.jpg`, JPEG);
+        expect(fixFileExtensions().conflicts).toBe(1);
+        expect(getMediaStatus(userId, '5').filePath).toBe(`${TEST_DIR}/5.png`);
+    });
+});
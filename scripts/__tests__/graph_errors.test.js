@@ -0,0 +1,74 @@
+/**
+ * Tests for graph_errors.js
+ */
+import { describe, it, expect } from 'vitest';
+import {
+    GraphApiError,
+    TokenExpiredError,
+    PermissionMissingError,
+    ObjectNotFoundError,
+    RateLimitedError,
+    NetworkError,
+    toGraphError,
+    isObjectError,
+    isFatalGraphError,
+    ignoreObjectError,
+    describeSkippedObject,
+} from '../graph_errors.js';
+
+describe('graph_errors.js', () => {
+    describe('toGraphError', () => {
+        it('should type errors by Graph code and subcode', () => {
+            expect(toGraphError({ code: 190, error_subcode: 463, message: 'expired' }, 400)).toBeInstanceOf(TokenExpiredError);
+            expect(toGraphError({ code: 10, message: 'no permission' }, 403)).toBeInstanceOf(PermissionMissingError);
+            expect(toGraphError({ code: 200, message: 'no permission' }, 403)).toBeInstanceOf(PermissionMissingError);
+            expect(toGraphError({ code: 100, error_subcode: 33, message: 'gone' }, 400)).toBeInstanceOf(ObjectNotFoundError);
+            expect(toGraphError({ code: 17, message: 'user limit' }, 400)).toBeInstanceOf(RateLimitedError);
+        });
+
+        it('should keep the code, subcode and status', () => {
+            const error = toGraphError({ code: 190, error_subcode: 463, message: 'Session has expired' }, 400);
+            expect(error).toMatchObject({ name: 'TokenExpiredError', message: 'Session has expired', code: 190, subcode: 463, status: 400 });
+            expect(error).toBeInstanceOf(GraphApiError);
+        });
+
+        it('should fall back to the HTTP status without an error body', () => {
+            expect(toGraphError(null, 404, 'Not Found')).toMatchObject({ name: 'ObjectNotFoundError', message: 'HTTP 404 Not Found' });
+            expect(toGraphError(null, 500, 'Server Error').name).toBe('GraphApiError');
+            expect(toGraphError({ code: 100, message: 'bad field' }, 400).name).toBe('GraphApiError');
+        });
+    });
+
+    describe('isObjectError / isFatalGraphError', () => {
+        it('should split object errors from errors that stop every request', () => {
+            expect(isObjectError(new ObjectNotFoundError('x'))).toBe(true);
+            expect(isObjectError(new PermissionMissingError('x'))).toBe(true);
+            expect(isObjectError(new TokenExpiredError('x'))).toBe(false);
+
+            expect(isFatalGraphError(new TokenExpiredError('x'))).toBe(true);
+            expect(isFatalGraphError(new RateLimitedError('x'))).toBe(true);
+            expect(isFatalGraphError(new NetworkError('x'))).toBe(true);
+            expect(isFatalGraphError(new ObjectNotFoundError('x'))).toBe(false);
+            expect(isFatalGraphError(new Error('x'))).toBe(false);
+        });
+    });
+
+    describe('ignoreObjectError', () => {
+        it('should resolve object errors to null and rethrow the others', async () => {
+            await expect(Promise.reject(new ObjectNotFoundError('gone')).catch(ignoreObjectError('123'))).resolves.toBeNull();
+            await expect(Promise.reject(new PermissionMissingError('hidden')).catch(ignoreObjectError())).resolves.toBeNull();
+            await expect(Promise.reject(new TokenExpiredError('expired')).catch(ignoreObjectError('123')))
+                .rejects.toBeInstanceOf(TokenExpiredError);
+        });
+    });
+
+    describe('describeSkippedObject', () => {
+        it('should name the skipped object with the Graph API code and subcode', () => {
+            const error = toGraphError({ code: 100, error_subcode: 33, message: 'Object does not exist' }, 400);
+            expect(describeSkippedObject('123', error))
+                .toBe('⏭️  Skipping 123: Object does not exist (ObjectNotFoundError, code 100, subcode 33)');
+            expect(describeSkippedObject('456', toGraphError(null, 404, 'Not Found')))
+                .toBe('⏭️  Skipping 456: HTTP 404 Not Found (ObjectNotFoundError, code -, subcode -)');
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Test Graph API Server
+ *
+ * Points FB_API_HOST at a local HTTP server, for tests that go through the
+ * real Graph API calls (myFetch) and downloads. Each test sets the routes the
+ * server answers; other paths get the Graph API "object does not exist" error.
+ *
+ * constants.js reads FB_API_HOST when it is first imported: import this helper
+ * before the modules under test, and import those dynamically, e.g.
+ *   import { useGraphServer, setGraphRoutes } from './helpers/graph_server.js';
+ *   const { myFetch } = await import('../utils.js');
+ */
+import http from 'http';
+import { afterEach, afterAll } from 'vitest';
+
+/**
+ * Handlers of the current test by path
+ * @type {Map<string, Function>}
+ */
+const routes = new Map();
+
+/**
+ * Requests received by the server, as "path?query" without the access token
+ * @type {string[]}
+ */
+export const receivedRequests = [];
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    url.searchParams.delete('access_token');
+    receivedRequests.push(url.pathname + url.search);
+
+    const handler = routes.get(url.pathname);
+    const reply = handler
+        ? handler(url, req)
+        : { status: 400, json: { error: { code: 100, error_subcode: 33, message: 'Object does not exist' } } };
+    const { status = 200, json, body, headers = {} } = reply;
+
+    if (json !== undefined) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(json));
+    } else {
+        res.writeHead(status, headers);
+        res.end(body);
+    }
+});
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+/**
+ * Base URL of the server (also used as FB_API_HOST)
+ * @constant {string}
+ */
+export const GRAPH_SERVER_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.FB_API_HOST = GRAPH_SERVER_URL;
+
+/**
+ * Set how the server answers, by path
+ * A handler gets the request URL (access token removed) and returns
+ * { status, json } for Graph API answers or { status, body, headers } for files
+ * @param {Object<string, Function>} handlers - Handler of each path, e.g. { '/123': () => ({ json: {...} }) }
+ * @returns {void}
+ */
+export const setGraphRoutes = (handlers) => {
+    for (const [pathname, handler] of Object.entries(handlers)) {
+        routes.set(pathname, handler);
+    }
+};
+
+/**
+ * Forget the routes and requests of each test, and stop the server after the suite
+ * @returns {void}
+ */
+export const useGraphServer = () => {
+    afterEach(() => {
+        routes.clear();
+        receivedRequests.length = 0;
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    });
+};
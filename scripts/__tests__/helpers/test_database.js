@@ -0,0 +1,34 @@
+/**
+ * Test Database Helper
+ *
+ * Points the database modules at an in-memory SQLite database created from
+ * schema.sql, for tests that go through the real query functions. Each test
+ * file runs in its own worker, so each gets its own database and nothing is
+ * written to the working directory.
+ *
+ * config.js reads DATABASE_PATH when it is first imported: import this helper
+ * before the modules under test, and import those dynamically, e.g.
+ *   import { useTestDatabase } from './helpers/test_database.js';
+ *   const { saveMedia } = await import('../database.js');
+ */
+import { beforeAll, afterAll } from 'vitest';
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.DATABASE_ENABLED = 'true';
+
+/**
+ * Open the test database before the tests of the current suite and close it after them
+ * @returns {void}
+ */
+export const useTestDatabase = () => {
+    let database;
+
+    beforeAll(async () => {
+        database = await import('../../database.js');
+        database.initDatabase();
+    });
+
+    afterAll(() => {
+        database.closeDatabase();
+    });
+};
@@ -0,0 +1,47 @@
+/**
+ * Tests for incremental_sync.js
+ */
+import { describe, it, expect } from 'vitest';
+import { parseSyncTime, isPageAlreadySynced } from '../incremental_sync.js';
+
+describe('incremental_sync.js', () => {
+    describe('parseSyncTime', () => {
+        it('should parse Graph API timestamps', () => {
+            expect(parseSyncTime('2021-09-01T10:00:00+0000').toISOString()).toBe('2021-09-01T10:00:00.000Z');
+        });
+
+        it('should return null for missing or invalid values', () => {
+            expect(parseSyncTime(null)).toBeNull();
+            expect(parseSyncTime('')).toBeNull();
+            expect(parseSyncTime('not a date')).toBeNull();
+        });
+    });
+
+    describe('isPageAlreadySynced', () => {
+        const knownIds = new Set(['1', '2', '3']);
+        const since = new Date('2024-01-01T00:00:00Z');
+
+        it('should stop when every media ID on the page is already saved', () => {
+            expect(isPageAlreadySynced({ mediaIds: ['1', '2'], createdTimes: [], knownIds, since })).toBe(true);
+        });
+
+        it('should not trust saved media without a watermark (earlier run may have stopped early)', () => {
+            expect(isPageAlreadySynced({ mediaIds: ['1', '2'], createdTimes: [], knownIds, since: null })).toBe(false);
+        });
+
+        it('should continue when the page has new media', () => {
+            expect(isPageAlreadySynced({ mediaIds: ['1', '9'], createdTimes: [], knownIds, since })).toBe(false);
+        });
+
+        it('should not treat a page without media as synced', () => {
+            expect(isPageAlreadySynced({ mediaIds: [], createdTimes: [], knownIds, since })).toBe(false);
+        });
+
+        it('should stop once an item is at or before the last synced time', () => {
+            const page = { mediaIds: ['9'], knownIds, since };
+            expect(isPageAlreadySynced({ ...page, createdTimes: ['2024-02-01T00:00:00+0000'] })).toBe(false);
+            expect(isPageAlreadySynced({ ...page, createdTimes: ['2024-02-01T00:00:00+0000', '2023-12-31T00:00:00+0000'] })).toBe(true);
+            expect(isPageAlreadySynced({ ...page, createdTimes: ['2024-01-01T00:00:00+0000'] })).toBe(true);
+        });
+    });
+});
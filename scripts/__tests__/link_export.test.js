@@ -0,0 +1,132 @@
+/**
+ * Tests for link_export.js (link file formats)
+ */
+import { describe, it, expect } from 'vitest';
+
+process.env.DATABASE_ENABLED = 'false';
+
+const { DOWNLOADS_FOLDER, FOLDER_TO_SAVE_LINKS, ID_LINK_SEPERATOR, PHOTO_FILE_FORMAT } = await import('../../config.js');
+const { LINK_FORMAT } = await import('../constants.js');
+const { getLinkFileName, toLinkRecord, formatLinkRecords, parseLinkFile } = await import('../link_export.js');
+
+describe('link_export.js', () => {
+    const photo = {
+        id: '123',
+        url: 'https://cdn.example/123.jpg?a=1&b=2',
+        created_time: '2023-05-09T22:10:00+0000',
+        message: 'Hello, "world"\nsecond line',
+        from: { id: '4001', name: 'Someone' },
+    };
+    const album = { id: '77', name: 'Trip' };
+
+    describe('getLinkFileName', () => {
+        it('should use a suffix per format', () => {
+            expect(getLinkFileName('77')).toBe(`${FOLDER_TO_SAVE_LINKS}/77.txt`);
+            expect(getLinkFileName('77', LINK_FORMAT.CSV)).toBe(`${FOLDER_TO_SAVE_LINKS}/77.csv`);
+            expect(getLinkFileName('77', LINK_FORMAT.ARIA2)).toBe(`${FOLDER_TO_SAVE_LINKS}/77.aria2.txt`);
+            expect(getLinkFileName('77', LINK_FORMAT.WGET)).toBe(`${FOLDER_TO_SAVE_LINKS}/77.wget.sh`);
+        });
+    });
+
+    describe('toLinkRecord', () => {
+        it('should fill in the album, poster and output file', () => {
+            const record = toLinkRecord(photo, { uid: '4001', album });
+            expect(record).toMatchObject({
+                id: '123',
+                type: 'photo',
+                uid: '4001',
+                album_id: '77',
+                album_name: 'Trip',
+                caption: photo.message,
+                poster_uid: '4001',
+                width: null,
+            });
+            expect(record.file).toBe(`${DOWNLOADS_FOLDER}/4001/photos/123.${PHOTO_FILE_FORMAT}`);
+        });
+
+        it('should prefer the album of the item', () => {
+            const record = toLinkRecord({ ...photo, album: { id: '88', name: 'Other' } }, { uid: '4001', album });
+            expect(record.album_id).toBe('88');
+        });
+    });
+
+    describe('formatLinkRecords', () => {
+        const record = toLinkRecord(photo, { uid: '4001', album });
+
+        it('should keep the id;url text format', () => {
+            expect(formatLinkRecords([record])).toBe(`123${ID_LINK_SEPERATOR}${photo.url}\n`);
+            expect(formatLinkRecords([])).toBe('');
+        });
+
+        it('should quote CSV fields containing separators, quotes or newlines', () => {
+            expect(formatLinkRecords([record], LINK_FORMAT.CSV)).toBe(
+                `123,photo,${photo.url},Trip,2023-05-09T22:10:00+0000,"Hello, ""world""\nsecond line",4001\n`
+            );
+        });
+
+        it('should write one JSON object per line', () => {
+            const lines = formatLinkRecords([record, { ...record, id: '124' }], LINK_FORMAT.JSONL).trim().split('\n');
+            expect(lines).toHaveLength(2);
+            expect(JSON.parse(lines[1])).toMatchObject({ id: '124', album_name: 'Trip', caption: photo.message });
+        });
+
+        it('should write aria2 input with the output folder and name', () => {
+            expect(formatLinkRecords([record], LINK_FORMAT.ARIA2)).toBe(
+                `# id=123\n${photo.url}\n  dir=${DOWNLOADS_FOLDER}/4001/photos\n  out=123.${PHOTO_FILE_FORMAT}\n`
+            );
+        });
+
+        it('should quote wget arguments for the shell', () => {
+            const quoted = formatLinkRecords([{ ...record, file: "a/it's.png" }], LINK_FORMAT.WGET);
+            expect(quoted).toBe(`# id=123\nmkdir -p 'a' && wget -nc -O 'a/it'\\''s.png' '${photo.url}'\n`);
+        });
+    });
+
+    describe('parseLinkFile', () => {
+        const records = [
+            toLinkRecord(photo, { uid: '4001', album }),
+            toLinkRecord({ id: '456', type: 'video', url: 'https://cdn.example/456.mp4' }, { uid: '4001' }),
+        ];
+
+        it('should read back every export format with IDs, types and owner', () => {
+            for (const format of [LINK_FORMAT.CSV, LINK_FORMAT.JSONL, LINK_FORMAT.ARIA2, LINK_FORMAT.WGET]) {
+                // aria2 and wget files name their owner in a header comment (see createLinkExporter)
+                const header = format === LINK_FORMAT.CSV
+                    ? 'id,type,url,album,created_time,caption,uid\n'
+                    : format === LINK_FORMAT.JSONL ? '' : '# uid=4001\n';
+                const links = parseLinkFile(header + formatLinkRecords(records, format));
+
+                expect(links.map((link) => [link.id, link.type, link.url, link.uid])).toEqual([
+                    ['123', 'photo', photo.url, '4001'],
+                    ['456', 'video', 'https://cdn.example/456.mp4', '4001'],
+                ]);
+            }
+        });
+
+        it('should read the media ID of aria2 and wget links named by a path template', () => {
+            const dated = [toLinkRecord(photo, { uid: '4001', template: '{created}_{media_id}.{ext}' })];
+            expect(dated[0].file).not.toContain(`/123.`);
+
+            for (const format of [LINK_FORMAT.ARIA2, LINK_FORMAT.WGET]) {
+                const [link] = parseLinkFile(formatLinkRecords(dated, format));
+                expect(link.id).toBe('123');
+            }
+        });
+
+        it('should keep the album of CSV and JSON Lines links', () => {
+            const csv = parseLinkFile('id,type,url,album,created_time,caption,uid\n' + formatLinkRecords(records, LINK_FORMAT.CSV));
+            expect(csv[0]).toMatchObject({ album_name: 'Trip' });
+            expect(parseLinkFile(formatLinkRecords(records, LINK_FORMAT.JSONL))[0].album_name).toBe('Trip');
+        });
+
+        it('should read id;url lines and plain URLs', () => {
+            const links = parseLinkFile(formatLinkRecords(records) + '\nhttps://example.com/video.mp4?x=1;2\n');
+            expect(links.map((link) => [link.id, link.type, link.uid])).toEqual([
+                ['123', 'photo', null],
+                ['456', 'video', null],
+                [null, 'video', null],
+            ]);
+            expect(links[2].url).toBe('https://example.com/video.mp4?x=1;2');
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for path_template.js (media path templates on a real SQLite database)
+ */
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { useTestDatabase } from './helpers/test_database.js';
+
+const { getOrCreateUser, saveUsername } = await import('../database.js');
+const { DOWNLOADS_FOLDER, PHOTO_FILE_FORMAT, VIDEO_FILE_FORMAT } = await import('../../config.js');
+const {
+    PATH_TEMPLATE,
+    expandPathTemplate,
+    getTemplateValues,
+    getMediaSavePath,
+    getSourceFolders,
+    withMediaId,
+} = await import('../path_template.js');
+
+describe('path_template.js', () => {
+    useTestDatabase();
+
+    const photo = {
+        uid: '4001',
+        mediaId: '123',
+        mediaType: 'photo',
+        album: { id: '77', name: 'Trip: Đà Lạt / 2023' },
+        createdTime: '2023-05-09T22:10:00+0000',
+    };
+
+    beforeAll(() => {
+        saveUsername(getOrCreateUser(1, '4001'), 'some.user');
+    });
+
+    afterEach(() => {
+        delete process.env.MEDIA_PATH_TEMPLATE;
+    });
+
+    it('should keep the default layouts when no template is configured', () => {
+        expect(getMediaSavePath({ uid: '4001', mediaId: '9', mediaType: 'video' }))
+            .toBe(`${DOWNLOADS_FOLDER}/4001/videos/9.${VIDEO_FILE_FORMAT}`);
+        expect(getMediaSavePath(photo, PATH_TEMPLATE.BY_ALBUM))
+            .toBe(`${DOWNLOADS_FOLDER}/4001/photos/Trip_ Đà Lạt _ 2023/123.${PHOTO_FILE_FORMAT}`);
+        expect(getMediaSavePath({ ...photo, album: null }, PATH_TEMPLATE.BY_ALBUM))
+            .toBe(`${DOWNLOADS_FOLDER}/4001/photos/(no album)/123.${PHOTO_FILE_FORMAT}`);
+    });
+
+    it('should expand MEDIA_PATH_TEMPLATE with the username and post date', () => {
+        process.env.MEDIA_PATH_TEMPLATE = '{username}/{year}/{month}/{album}/{created}_{media_id}.{ext}';
+
+        expect(getMediaSavePath(photo, PATH_TEMPLATE.BY_ALBUM))
+            .toBe(`${DOWNLOADS_FOLDER}/some.user/2023/05/Trip_ Đà Lạt _ 2023/2023-05-09_123.${PHOTO_FILE_FORMAT}`);
+    });
+
+    it('should sanitize each segment and keep values inside the downloads folder', () => {
+        const values = getTemplateValues({ uid: '1', mediaId: '2', mediaType: 'photo', album: { name: '..' } });
+
+        expect(expandPathTemplate('{album}/{media_id}.{ext}', values)).toBe(`_/2.${PHOTO_FILE_FORMAT}`);
+        expect(expandPathTemplate('{year}/{unknown}/{media_id}', values)).toBe('unknown/{unknown}/2');
+    });
+
+    it('should add {media_id} to the file name of a template without it', () => {
+        expect(withMediaId('{username}/{album}/{created}.{ext}')).toBe('{username}/{album}/{created}_{media_id}.{ext}');
+        expect(withMediaId('{username}/{created}')).toBe('{username}/{created}_{media_id}');
+        expect(withMediaId('{uid}/{media_id}.{ext}')).toBe('{uid}/{media_id}.{ext}');
+
+        process.env.MEDIA_PATH_TEMPLATE = '{username}/{created}.{ext}';
+        expect(getMediaSavePath(photo)).toBe(`${DOWNLOADS_FOLDER}/some.user/2023-05-09_123.${PHOTO_FILE_FORMAT}`);
+    });
+
+    it('should expand {source} to the folders of the default layout', () => {
+        expect(getSourceFolders(PATH_TEMPLATE.BY_ALBUM)).toBe('{type}/{album}');
+        expect(getSourceFolders(PATH_TEMPLATE.TAGGED)).toBe('tagged');
+        expect(getSourceFolders(PATH_TEMPLATE.FROM_FILE)).toBe('from-file/{folder}');
+
+        process.env.MEDIA_PATH_TEMPLATE = '{username}/{source}/{media_id}.{ext}';
+        expect(getMediaSavePath(photo, PATH_TEMPLATE.BY_ALBUM))
+            .toBe(`${DOWNLOADS_FOLDER}/some.user/photos/Trip_ Đà Lạt _ 2023/123.${PHOTO_FILE_FORMAT}`);
+        expect(getMediaSavePath(photo, PATH_TEMPLATE.PROFILE_PICTURES))
+            .toBe(`${DOWNLOADS_FOLDER}/some.user/profile_pictures/123.${PHOTO_FILE_FORMAT}`);
+        expect(getMediaSavePath({ ...photo, folder: 'saved links' }, PATH_TEMPLATE.FROM_FILE))
+            .toBe(`${DOWNLOADS_FOLDER}/some.user/from-file/saved links/123.${PHOTO_FILE_FORMAT}`);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for rate_limit_manager.js (usage headers, profiles, state saved on a real SQLite database)
+ */
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { useTestDatabase } from './helpers/test_database.js';
+
+const {
+    recordRateLimitUsage,
+    getRateLimitHistory
+} = await import('../database.js');
+const {
+    parseUsageHeaders,
+    updateRateLimitUsage,
+    getRegainAccessWait,
+    getRateLimitWait,
+    getMaxUsagePercent,
+    calculateSmartDelay,
+    handle429Response,
+    setRateLimitProfile,
+    getRateLimitProfile,
+    formatUsageHistory,
+    RATE_LIMIT_PROFILES
+} = await import('../rate_limit_manager.js');
+const { default: TokenManager } = await import('../token_manager.js');
+
+const response = (headers) => ({ headers: new Headers(headers) });
+
+describe('rate_limit_manager.js', () => {
+    useTestDatabase();
+
+    let tokenId;
+    let otherTokenId;
+
+    beforeAll(() => {
+        tokenId = TokenManager.addToken('token-usage-00000');
+        otherTokenId = TokenManager.addToken('token-other-00000');
+    });
+
+    afterEach(() => {
+        setRateLimitProfile('normal');
+    });
+
+    describe('state saved by a previous run', () => {
+        it('should still wait for a token throttled before the run started', () => {
+            // Saved before the manager reads the database for the first time
+            recordRateLimitUsage(null, {
+                headerType: 'business',
+                scopeId: '123:pages',
+                call_count: 100,
+                total_cputime: 10,
+                total_time: 10,
+                regainAccessAt: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+            });
+
+            const wait = getRegainAccessWait(null);
+            expect(wait).toBeGreaterThan(4 * 60 * 1000);
+            expect(wait).toBeLessThanOrEqual(301 * 1000);
+            expect(getRateLimitWait(null)).toBeGreaterThan(4 * 60 * 1000);
+            expect(getMaxUsagePercent(null)).toBe(100);
+        });
+    });
+
+    describe('parseUsageHeaders', () => {
+        it('should parse app, business and ad account usage', () => {
+            const usages = parseUsageHeaders(response({
+                'x-app-usage': '{"call_count":28,"total_cputime":15,"total_time":24}',
+                'x-business-use-case-usage': JSON.stringify({
+                    456: [{ type: 'pages', call_count: 90, total_cputime: 5, total_time: 7, estimated_time_to_regain_access: 2 }],
+                }),
+                'x-ad-account-usage': '{"acc_id_util_pct":12,"reset_time_duration":0}',
+            }));
+
+            expect(usages).toHaveLength(3);
+            expect(usages[0]).toMatchObject({ headerType: 'app', scopeId: '', call_count: 28, regainAccessAt: null });
+            expect(usages[1]).toMatchObject({ headerType: 'business', scopeId: '456:pages', call_count: 90 });
+            expect(Date.parse(usages[1].regainAccessAt) - Date.now()).toBeGreaterThan(110 * 1000);
+            expect(usages[2]).toMatchObject({ headerType: 'ad_account', call_count: 12, regainAccessAt: null });
+        });
+
+        it('should only read a throttle from the ad account header at 100% usage', () => {
+            const [below] = parseUsageHeaders(response({ 'x-ad-account-usage': '{"acc_id_util_pct":40,"reset_time_duration":300}' }));
+            const [throttled] = parseUsageHeaders(response({ 'x-ad-account-usage': '{"acc_id_util_pct":100,"reset_time_duration":300}' }));
+
+            expect(below.regainAccessAt).toBeNull();
+            expect(Date.parse(throttled.regainAccessAt) - Date.now()).toBeGreaterThan(290 * 1000);
+        });
+
+        it('should ignore missing or malformed headers', () => {
+            expect(parseUsageHeaders(response({}))).toEqual([]);
+            expect(parseUsageHeaders(response({ 'x-business-use-case-usage': 'not json' }))).toEqual([]);
+        });
+    });
+
+    describe('updateRateLimitUsage', () => {
+        it('should track usage per token and save it', () => {
+            updateRateLimitUsage([{ headerType: 'app', scopeId: '', call_count: 60, total_cputime: 1, total_time: 1, regainAccessAt: null }], tokenId);
+
+            expect(getMaxUsagePercent(tokenId)).toBe(60);
+            expect(getRegainAccessWait(tokenId)).toBe(0);
+            expect(getMaxUsagePercent(otherTokenId)).toBe(0);
+
+            const history = getRateLimitHistory({ tokenId });
+            expect(history).toHaveLength(1);
+            expect(history[0]).toMatchObject({ header_type: 'app', call_count: 60, samples: 1, throttled: 0 });
+        });
+
+        it('should only save usage that changed', () => {
+            const usage = { headerType: 'business', scopeId: '9:pages', call_count: 10, total_cputime: 1, total_time: 1, regainAccessAt: null };
+            updateRateLimitUsage([usage], tokenId);
+            updateRateLimitUsage([usage], tokenId);
+            expect(getRateLimitHistory({ tokenId }).find((row) => row.scope_id === '9:pages').samples).toBe(1);
+
+            updateRateLimitUsage([{ ...usage, call_count: 11 }], tokenId);
+            const row = getRateLimitHistory({ tokenId }).find((entry) => entry.scope_id === '9:pages');
+            expect(row).toMatchObject({ samples: 2, call_count: 11 });
+        });
+    });
+
+    describe('profiles', () => {
+        it('should pick delays from the active profile', () => {
+            updateRateLimitUsage([{ headerType: 'app', scopeId: '', call_count: 35, total_cputime: 0, total_time: 0, regainAccessAt: null }], otherTokenId);
+
+            expect(calculateSmartDelay(false, otherTokenId)).toBe(RATE_LIMIT_PROFILES.normal.delays.MINIMUM);
+            expect(setRateLimitProfile('safe')).toBe(true);
+            expect(calculateSmartDelay(false, otherTokenId)).toBe(RATE_LIMIT_PROFILES.safe.delays.MODERATE);
+            expect(setRateLimitProfile('aggressive')).toBe(true);
+            expect(calculateSmartDelay(false, otherTokenId)).toBe(0);
+            expect(getRateLimitWait(otherTokenId)).toBe(RATE_LIMIT_PROFILES.aggressive.delays.RATE_LIMITED);
+        });
+
+        it('should keep the active profile for unknown names', () => {
+            expect(setRateLimitProfile('reckless')).toBe(false);
+            expect(getRateLimitProfile()).toBe('normal');
+        });
+    });
+
+    describe('handle429Response', () => {
+        it('should prefer Retry-After, then the estimated time to regain access', () => {
+            expect(handle429Response(response({ 'retry-after': '30' }))).toBe(30000);
+
+            const wait = handle429Response(response({
+                'x-business-use-case-usage': '{"1":[{"type":"pages","call_count":100,"estimated_time_to_regain_access":3}]}',
+            }));
+            expect(wait).toBeGreaterThan(170 * 1000);
+            expect(wait).toBeLessThanOrEqual(181 * 1000);
+
+            expect(handle429Response(response({}))).toBe(RATE_LIMIT_PROFILES.normal.delays.RATE_LIMITED);
+        });
+    });
+
+    describe('formatUsageHistory', () => {
+        it('should draw one bar per row', () => {
+            const [line] = formatUsageHistory([{
+                bucket: '2024-01-01 10:00:00',
+                token_id: 3,
+                header_type: 'business',
+                scope_id: '456:pages',
+                call_count: 50,
+                total_cputime: 20,
+                total_time: 10,
+                samples: 4,
+                throttled: 1,
+            }]);
+
+            expect(line).toContain('#3');
+            expect(line).toContain('business 456:pages');
+            expect(line).toContain('█'.repeat(10) + '·'.repeat(10));
+            expect(line).toContain(' 50%');
+            expect(line).toContain('throttled');
+        });
+    });
+});
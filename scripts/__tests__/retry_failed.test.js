@@ -0,0 +1,128 @@
+/**
+ * Tests for retry_failed.js
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestDatabase } from './helpers/test_database.js';
+import { useGraphServer, setGraphRoutes, receivedRequests, GRAPH_SERVER_URL } from './helpers/graph_server.js';
+
+process.env.WAIT_BEFORE_NEXT_FETCH_LARGEST_PHOTO = '1';
+
+const { getDatabase, getOrCreateUser, recordFailedMedia, getFailedMedia, getMediaStatus } = await import('../database.js');
+const { resolveMedia, retryFailedMedia } = await import('../retry_failed.js');
+
+// Smallest file recognised as a JPEG (see detectFileExtension)
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46, 0, 1]);
+
+const serveFile = () => ({ body: JPEG, headers: { 'Content-Type': 'image/jpeg' } });
+
+describe('retry_failed.js', () => {
+    useTestDatabase();
+    useGraphServer();
+
+    let userId;
+    let tempDir;
+
+    beforeAll(() => {
+        userId = getOrCreateUser(1, '3001');
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-failed-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        getDatabase().exec('DELETE FROM failed_media; DELETE FROM saved_media;');
+    });
+
+    const recordFailure = (mediaId, mediaType = 'photo', sourceUrl = null) =>
+        recordFailedMedia(userId, mediaId, {
+            mediaType,
+            sourceUrl,
+            filePath: path.join(tempDir, `${mediaId}.jpg`),
+            error: 'HTTP 403: Forbidden',
+        });
+
+    describe('resolveMedia', () => {
+        it('should resolve the largest version of a photo', async () => {
+            setGraphRoutes({ '/p1': () => ({ json: { largest_image: { source: `${GRAPH_SERVER_URL}/files/p1-hd` } } }) });
+
+            expect(await resolveMedia('p1', 'photo', userId)).toEqual({
+                url: `${GRAPH_SERVER_URL}/files/p1-hd`,
+                isHd: true,
+                video: null,
+            });
+        });
+
+        it('should resolve the source and quality of a video', async () => {
+            setGraphRoutes({
+                '/v1': () => ({ json: { source: `${GRAPH_SERVER_URL}/files/v1`, format: [{ width: 1280, height: 720 }], length: 12 } }),
+            });
+
+            const resolved = await resolveMedia('v1', 'video', userId);
+            expect(resolved).toMatchObject({ url: `${GRAPH_SERVER_URL}/files/v1`, isHd: true });
+            expect(resolved.video).toMatchObject({ quality: '720p', duration: 12 });
+        });
+
+        it('should resolve no URL when the media no longer exists', async () => {
+            expect(await resolveMedia('gone', 'photo', userId)).toEqual({ url: null, isHd: false, video: null });
+        });
+    });
+
+    describe('retryFailedMedia', () => {
+        it('should save the media and clear its failure once the retry succeeds', async () => {
+            recordFailure('p1');
+            setGraphRoutes({
+                '/p1': () => ({ json: { largest_image: { source: `${GRAPH_SERVER_URL}/files/p1-hd` } } }),
+                '/files/p1-hd': serveFile,
+            });
+
+            expect(await retryFailedMedia()).toEqual({ total: 1, saved: 1, failed: 0 });
+            expect(getFailedMedia()).toEqual([]);
+            expect(getMediaStatus(userId, 'p1')).toMatchObject({ exists: true, isHd: true });
+            expect(fs.existsSync(path.join(tempDir, 'p1.jpg'))).toBe(true);
+        });
+
+        it('should fall back to the stored URL when the media cannot be resolved', async () => {
+            recordFailure('p2', 'photo', `${GRAPH_SERVER_URL}/files/p2-sd`);
+            setGraphRoutes({ '/files/p2-sd': serveFile });
+
+            expect(await retryFailedMedia()).toEqual({ total: 1, saved: 1, failed: 0 });
+            expect(getMediaStatus(userId, 'p2')).toMatchObject({ exists: true, isHd: false });
+        });
+
+        it('should count another attempt when the download fails again', async () => {
+            recordFailure('p3', 'photo', `${GRAPH_SERVER_URL}/files/p3-sd`);
+            setGraphRoutes({ '/files/p3-sd': () => ({ status: 404, body: 'Not Found' }) });
+
+            expect(await retryFailedMedia()).toEqual({ total: 1, saved: 0, failed: 1 });
+            expect(getFailedMedia()).toMatchObject([{ media_id: 'p3', attempts: 2 }]);
+            expect(getMediaStatus(userId, 'p3')?.exists).toBeFalsy();
+        });
+
+        it('should count another attempt when no URL is left', async () => {
+            recordFailure('p4');
+
+            expect(await retryFailedMedia()).toEqual({ total: 1, saved: 0, failed: 1 });
+            expect(getFailedMedia()).toMatchObject([{ media_id: 'p4', attempts: 2, error: 'No download URL' }]);
+        });
+
+        it('should stop at a fatal Graph API error without touching the remaining failures', async () => {
+            recordFailure('p5');
+            recordFailure('p6');
+            setGraphRoutes({
+                '/p5': () => ({ status: 400, json: { error: { code: 190, error_subcode: 463, message: 'Session has expired' } } }),
+            });
+
+            await expect(retryFailedMedia()).rejects.toMatchObject({ name: 'TokenExpiredError' });
+            expect(receivedRequests).toEqual(['/p5?fields=largest_image']);
+            expect(getFailedMedia()).toMatchObject([
+                { media_id: 'p5', attempts: 1 },
+                { media_id: 'p6', attempts: 1 },
+            ]);
+        });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for token_manager.js (token pool on a real SQLite database)
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import http from 'http';
+import { useTestDatabase } from './helpers/test_database.js';
+
+const { getDatabase } = await import('../database.js');
+const { default: TokenManager, maskToken, saveToken } = await import('../token_manager.js');
+const { myFetch } = await import('../utils.js');
+
+describe('token_manager.js', () => {
+    useTestDatabase();
+
+    beforeEach(() => {
+        getDatabase().exec('DELETE FROM access_tokens');
+    });
+
+    it('should mask tokens', () => {
+        expect(maskToken('EAAB1234567890abcdef')).toBe('EAAB12...abcdef');
+        expect(maskToken('short')).toBe('***');
+    });
+
+    it('should pick the highest priority active token', () => {
+        const low = TokenManager.addToken('token-low-0000000', { priority: 0 });
+        const high = TokenManager.addToken('token-high-000000', { priority: 5 });
+
+        expect(TokenManager.getToken().tokenId).toBe(high);
+
+        TokenManager.setActive(high, false);
+        expect(TokenManager.getToken().tokenId).toBe(low);
+    });
+
+    it('should rotate away from rate limited tokens until the reset time', () => {
+        const first = TokenManager.addToken('token-first-00000', { priority: 2 });
+        const second = TokenManager.addToken('token-second-0000', { priority: 1 });
+
+        TokenManager.markRateLimited(first, new Date(Date.now() + 60000).toISOString());
+        expect(TokenManager.getToken().tokenId).toBe(second);
+
+        TokenManager.markRateLimited(second, new Date(Date.now() + 60000).toISOString());
+        expect(TokenManager.getToken()).toBeNull();
+        expect(TokenManager.hasAvailableToken()).toBe(false);
+
+        TokenManager.markRateLimited(first, new Date(Date.now() - 1000).toISOString());
+        expect(TokenManager.getToken().tokenId).toBe(first);
+    });
+
+    it.each([4, 17, 32])('should move on to the next token when a 4xx response carries rate limit code %i', async (code) => {
+        const limited = TokenManager.addToken('token-limited-000', { priority: 2 });
+        const spare = TokenManager.addToken('token-spare-00000', { priority: 1 });
+        const seen = [];
+        const server = http.createServer((req, res) => {
+            const token = new URL(req.url, 'http://localhost').searchParams.get('access_token');
+            seen.push(token);
+            res.writeHead(token === 'token-limited-000' ? 400 : 200, { 'Content-Type': 'application/json' });
+            res.end(token === 'token-limited-000'
+                ? JSON.stringify({ error: { message: 'Request limit reached', code } })
+                : '{"id":"1"}');
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const json = await myFetch(`http://127.0.0.1:${server.address().port}/v21.0/me?access_token=`, { skipRateLimitDelay: true });
+
+            expect(json).toEqual({ id: '1' });
+            expect(seen).toEqual(['token-limited-000', 'token-spare-00000']);
+            expect(TokenManager.getToken().tokenId).toBe(spare);
+            expect(TokenManager.getToken().tokenId).not.toBe(limited);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('should update priority, list masked tokens and remove tokens', () => {
+        expect(saveToken(1, 'token-saved-00000', ['user_photos'], 'main')).toBe(true);
+        const [row] = TokenManager.listTokens();
+
+        expect(row.label).toBe('main');
+        expect(row.masked).toBe('token-...-00000');
+        expect(row.token).toBeUndefined();
+
+        expect(TokenManager.setPriority(row.id, 9)).toBe(true);
+        expect(TokenManager.listTokens()[0].priority).toBe(9);
+
+        expect(TokenManager.removeToken(row.id)).toBe(true);
+        expect(TokenManager.listTokens()).toEqual([]);
+    });
+});
@@ -3,14 +3,34 @@
  */
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import fs from 'fs';
+import http from 'http';
 import path from 'path';
 import {
     checkFileExist,
     createIfNotExistDir,
     deleteFile,
     parseUserIds,
-    sleep
+    sleep,
+    withAccessToken,
+    getEndpointName,
+    download,
+    parseContentRange,
+    isRetryableDownloadError,
+    detectFileExtension,
+    replaceExtension,
+    saveMetadataFile,
+    parseBatchResponse,
+    myFetch,
+    setTokenExpiredHandler
 } from '../utils.js';
+import {
+    GraphApiError,
+    NetworkError,
+    ObjectNotFoundError,
+    PermissionMissingError,
+    RateLimitedError,
+    TokenExpiredError
+} from '../graph_errors.js';
 
 describe('utils.js', () => {
     const testDir = './test_temp_dir';
@@ -81,6 +101,29 @@ describe('utils.js', () => {
         });
     });
 
+    describe('withAccessToken', () => {
+        it('should replace an existing access_token parameter', () => {
+            expect(withAccessToken('https://x/v21.0/1/photos?fields=a&access_token=OLD&after=c', 'NEW'))
+                .toBe('https://x/v21.0/1/photos?fields=a&access_token=NEW&after=c');
+        });
+
+        it('should replace an empty access_token parameter', () => {
+            expect(withAccessToken('https://x/me?access_token=', 'NEW')).toBe('https://x/me?access_token=NEW');
+        });
+
+        it('should add the parameter when missing', () => {
+            expect(withAccessToken('https://x/me', 'T')).toBe('https://x/me?access_token=T');
+            expect(withAccessToken('https://x/me?fields=id', 'T')).toBe('https://x/me?fields=id&access_token=T');
+        });
+    });
+
+    describe('getEndpointName', () => {
+        it('should strip the API version and numeric IDs', () => {
+            expect(getEndpointName('https://graph.facebook.com/v21.0/12345/photos?type=uploaded')).toBe('/{id}/photos');
+            expect(getEndpointName('https://graph.facebook.com/v21.0/me')).toBe('/me');
+        });
+    });
+
     describe('sleep', () => {
         it('should delay for specified milliseconds', async () => {
             const start = Date.now();
@@ -90,4 +133,265 @@ describe('utils.js', () => {
             expect(elapsed).toBeLessThan(200);
         });
     });
+
+    describe('parseContentRange', () => {
+        it('should parse the range start and total size', () => {
+            expect(parseContentRange('bytes 100-999/1000')).toEqual({ start: 100, total: 1000 });
+            expect(parseContentRange('bytes 0-9/*')).toEqual({ start: 0, total: null });
+            expect(parseContentRange(undefined)).toBeNull();
+        });
+    });
+
+    describe('isRetryableDownloadError', () => {
+        it('should retry network and server errors but not missing media', () => {
+            expect(isRetryableDownloadError(new Error('socket hang up'))).toBe(true);
+            expect(isRetryableDownloadError(Object.assign(new Error(), { statusCode: 503 }))).toBe(true);
+            expect(isRetryableDownloadError(Object.assign(new Error(), { statusCode: 429 }))).toBe(true);
+            expect(isRetryableDownloadError(Object.assign(new Error(), { statusCode: 404 }))).toBe(false);
+        });
+    });
+
+    describe('detectFileExtension', () => {
+        it('should detect the type from magic bytes first', () => {
+            expect(detectFileExtension(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'image/png')).toBe('jpg');
+            expect(detectFileExtension(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBe('png');
+            expect(detectFileExtension(Buffer.from('GIF89a'))).toBe('gif');
+            expect(detectFileExtension(Buffer.from('RIFF0000WEBP'))).toBe('webp');
+            expect(detectFileExtension(Buffer.from('0000ftypisom'))).toBe('mp4');
+        });
+
+        it('should fall back to the Content-Type', () => {
+            expect(detectFileExtension(Buffer.from('????'), 'image/webp; charset=binary')).toBe('webp');
+            expect(detectFileExtension(Buffer.from('????'), 'application/octet-stream')).toBeNull();
+        });
+    });
+
+    describe('replaceExtension', () => {
+        it('should replace or add the extension', () => {
+            expect(replaceExtension('downloads/1/photos/123.png', 'jpg')).toBe('downloads/1/photos/123.jpg');
+            expect(replaceExtension('downloads/a.b/123', 'mp4')).toBe('downloads/a.b/123.mp4');
+        });
+    });
+
+    describe('parseBatchResponse', () => {
+        it('should return the body of successful requests', () => {
+            expect(parseBatchResponse({ code: 200, body: '{"id":"4","name":"Zuck"}' })).toEqual({ id: '4', name: 'Zuck' });
+        });
+
+        it('should throw the typed error of failed, errored or timed out requests', () => {
+            expect(() => parseBatchResponse({ code: 400, body: '{"error":{"message":"denied","code":200}}' }))
+                .toThrow(PermissionMissingError);
+            expect(() => parseBatchResponse({ code: 200, body: '{"error":{"message":"Too many calls","code":4}}' }))
+                .toThrow(RateLimitedError);
+            expect(() => parseBatchResponse({ code: 400, body: '{"error":{"message":"expired","code":190}}' }))
+                .toThrow(TokenExpiredError);
+            expect(() => parseBatchResponse({ code: 404, body: '' })).toThrow(ObjectNotFoundError);
+            expect(() => parseBatchResponse({ code: 200, body: 'not json' })).toThrow(GraphApiError);
+            expect(() => parseBatchResponse(null)).toThrow(NetworkError);
+        });
+    });
+
+    describe('myFetch', () => {
+        let server;
+        let baseUrl;
+
+        beforeEach(async () => {
+            // Answers like the Graph API: only "good-token" can read object 1
+            server = http.createServer((req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                const [status, body] = url.searchParams.get('access_token') !== 'good-token'
+                    ? [400, { error: { code: 190, error_subcode: 463, message: 'Session has expired' } }]
+                    : url.pathname === '/1'
+                        ? [200, { id: '1' }]
+                        : [400, { error: { code: 100, error_subcode: 33, message: 'Object does not exist' } }];
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(body));
+            });
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            setTokenExpiredHandler(null);
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        it('should throw a typed error instead of returning null', async () => {
+            await expect(myFetch(`${baseUrl}/2?access_token=good-token`, { skipRateLimitDelay: true }))
+                .rejects.toMatchObject({ name: 'ObjectNotFoundError', code: 100, subcode: 33, status: 400 });
+            await expect(myFetch(`${baseUrl}/1?access_token=old-token`, { skipRateLimitDelay: true }))
+                .rejects.toBeInstanceOf(TokenExpiredError);
+        });
+
+        it('should retry with the token given by the token expired handler', async () => {
+            let asked = 0;
+            setTokenExpiredHandler(async () => {
+                asked++;
+                return 'good-token';
+            });
+
+            expect(await myFetch(`${baseUrl}/1?access_token=old-token`, { skipRateLimitDelay: true })).toEqual({ id: '1' });
+            expect(asked).toBe(1);
+            await expect(myFetch(`${baseUrl}/2?access_token=old-token`, { skipRateLimitDelay: true }))
+                .rejects.toBeInstanceOf(ObjectNotFoundError);
+            expect(asked).toBe(1);
+        });
+    });
+
+    describe('saveMetadataFile', () => {
+        it('should write a JSON sidecar named after the media file', () => {
+            fs.mkdirSync(testDir);
+            saveMetadataFile(`${testDir}/123.jpg`, { media_id: '123', message: 'Hello' });
+
+            expect(JSON.parse(fs.readFileSync(`${testDir}/123.json`, 'utf8'))).toEqual({ media_id: '123', message: 'Hello' });
+        });
+    });
+
+    describe('download', () => {
+        const body = Buffer.from('0123456789'.repeat(100));
+        const destination = './test_download.bin';
+        let server;
+        let baseUrl;
+        let handler;
+        let rangeHeaders;
+
+        beforeEach(async () => {
+            rangeHeaders = [];
+            server = http.createServer((req, res) => {
+                rangeHeaders.push(req.headers.range || null);
+                handler(req, res);
+            });
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}/file`;
+        });
+
+        afterEach(async () => {
+            await new Promise((resolve) => server.close(resolve));
+            for (const file of [destination, `${destination}.tmp`, `${destination}.tmp.json`]) {
+                if (fs.existsSync(file)) fs.unlinkSync(file);
+            }
+        });
+
+        // Serves Range requests; the first full response is cut off halfway
+        const rangeServer = ({ honorRange = true, cutFirst = true } = {}) => {
+            let requests = 0;
+            return (req, res) => {
+                requests++;
+                const match = /bytes=(\d+)-/.exec(req.headers.range || '');
+                if (match && honorRange) {
+                    const start = parseInt(match[1]);
+                    res.writeHead(206, {
+                        'Content-Length': body.length - start,
+                        'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}`,
+                        ETag: '"v1"',
+                    });
+                    res.end(body.subarray(start));
+                    return;
+                }
+                res.writeHead(200, { 'Content-Length': body.length, ETag: '"v1"' });
+                if (cutFirst && requests === 1) {
+                    res.write(body.subarray(0, 400), () => res.destroy());
+                    return;
+                }
+                res.end(body);
+            };
+        };
+
+        it('should resume a cut-off download with a Range request', async () => {
+            handler = rangeServer();
+            await download(baseUrl, destination, { retries: 2, retryDelay: 0 });
+
+            expect(fs.readFileSync(destination).equals(body)).toBe(true);
+            expect(rangeHeaders).toEqual([null, 'bytes=400-']);
+            expect(fs.existsSync(`${destination}.tmp`)).toBe(false);
+            expect(fs.existsSync(`${destination}.tmp.json`)).toBe(false);
+        });
+
+        it('should restart the download when the server ignores the range', async () => {
+            handler = rangeServer({ honorRange: false });
+            await download(baseUrl, destination, { retries: 2, retryDelay: 0 });
+
+            expect(fs.readFileSync(destination).equals(body)).toBe(true);
+            expect(rangeHeaders).toEqual([null, 'bytes=400-']);
+        });
+
+        it('should keep the partial file when retries run out', async () => {
+            handler = rangeServer();
+            await expect(download(baseUrl, destination, { retries: 0 })).rejects.toThrow();
+
+            expect(fs.existsSync(destination)).toBe(false);
+            expect(fs.statSync(`${destination}.tmp`).size).toBe(400);
+        });
+
+        it('should restart instead of resuming a partial file without ETag or Last-Modified', async () => {
+            let requests = 0;
+            handler = (req, res) => {
+                requests++;
+                res.writeHead(200, { 'Content-Length': body.length });
+                if (requests === 1) {
+                    res.write(body.subarray(0, 400), () => res.destroy());
+                    return;
+                }
+                res.end(body);
+            };
+            await download(baseUrl, destination, { retries: 1, retryDelay: 0 });
+
+            expect(fs.readFileSync(destination).equals(body)).toBe(true);
+            expect(rangeHeaders).toEqual([null, null]);
+        });
+
+        it('should not resume a partial file downloaded from another URL', async () => {
+            handler = rangeServer();
+            await expect(download(baseUrl, destination, { retries: 0 })).rejects.toThrow();
+            await download(`${baseUrl}?refreshed=1`, destination, { retries: 0 });
+
+            expect(fs.readFileSync(destination).equals(body)).toBe(true);
+            expect(rangeHeaders).toEqual([null, null]);
+        });
+
+        it('should discard the partial file on a permanent error', async () => {
+            handler = rangeServer();
+            await expect(download(baseUrl, destination, { retries: 0 })).rejects.toThrow();
+            handler = (req, res) => {
+                res.writeHead(403);
+                res.end();
+            };
+            await expect(download(baseUrl, destination, { retries: 0 })).rejects.toMatchObject({ statusCode: 403 });
+
+            expect(fs.existsSync(`${destination}.tmp`)).toBe(false);
+            expect(fs.existsSync(`${destination}.tmp.json`)).toBe(false);
+        });
+
+        it('should reject a file shorter than Content-Length', async () => {
+            handler = (req, res) => {
+                res.writeHead(200, { 'Content-Length': body.length });
+                res.write(body.subarray(0, 100), () => res.destroy());
+            };
+            await expect(download(baseUrl, destination, { retries: 0 })).rejects.toThrow();
+            expect(fs.existsSync(destination)).toBe(false);
+        });
+
+        it('should save the file with its real extension', async () => {
+            handler = (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+                res.end(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]));
+            };
+            const saved = await download(baseUrl, './test_download.png', { retries: 0 });
+
+            expect(saved).toBe('./test_download.jpg');
+            expect(fs.existsSync('./test_download.jpg')).toBe(true);
+            expect(fs.existsSync('./test_download.png')).toBe(false);
+            fs.unlinkSync(saved);
+        });
+
+        it('should not retry permanent HTTP errors', async () => {
+            handler = (req, res) => {
+                res.writeHead(404);
+                res.end();
+            };
+            await expect(download(baseUrl, destination, { retries: 3, retryDelay: 0 }))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(rangeHeaders).toHaveLength(1);
+        });
+    });
 });
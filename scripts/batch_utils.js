@@ -2,6 +2,8 @@ import { sleep } from "./utils.js";
 import { isCancelled } from "./cancellation.js";
 import { S } from "./constants.js";
 import { log } from "./logger.js";
+import { formatBytes, sumEstimates } from "./dry_run.js";
+import { isFatalGraphError } from "./graph_errors.js";
 
 /**
  * Print standardized batch download summary
@@ -59,16 +61,71 @@ export const printBatchSummary = (results, startTime, options = {}) => {
     console.log('='.repeat(50) + '\n');
 };
 
+/**
+ * Format one estimate for the dry run summary
+ * @param {object} estimate - Estimate (see emptyEstimate in dry_run.js)
+ * @returns {string} Estimate line
+ */
+const formatEstimate = (estimate) => {
+    let line = `${estimate.photos} photos, ${estimate.videos} videos | ` +
+        `${estimate.new} new, ${estimate.existing} already saved, ${estimate.needsUpgrade} HD upgrades | ` +
+        `~${estimate.apiCalls} API calls`;
+    if (estimate.sizeEstimated) {
+        line += ` | ~${formatBytes(estimate.bytes)}` + (estimate.unsized > 0 ? ` (+${estimate.unsized} unknown)` : '');
+    }
+    return line;
+};
+
+/**
+ * Print the batch summary of a dry run: estimates per user and in total
+ * @param {Array} results - Array of dry run results (with estimate)
+ * @param {number} startTime - Start timestamp
+ * @param {boolean} wasCancelled - Whether the batch was cancelled
+ */
+export const printDryRunSummary = (results, startTime, wasCancelled = false) => {
+    const estimated = results.filter(r => r.success && r.estimate);
+    const failed = results.filter(r => !r.success);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    console.log('\n' + '='.repeat(50));
+    console.log('DRY RUN SUMMARY'.padStart(33));
+    console.log('='.repeat(50));
+
+    if (wasCancelled) {
+        console.log(S.FgYellow + '⚠️  Batch was cancelled by user' + S.Reset);
+    }
+
+    estimated.forEach(r => {
+        console.log(`  ${r.userId}: ${formatEstimate(r.estimate)}`);
+    });
+
+    if (estimated.length > 0) {
+        console.log(`Total (${estimated.length} users): ${formatEstimate(sumEstimates(estimated.map(r => r.estimate)))}`);
+    }
+
+    if (failed.length > 0) {
+        console.log('\nFailed Users:');
+        failed.forEach(r => {
+            console.log(`  - ${r.userId}: ${r.error}`);
+        });
+    }
+
+    console.log('Nothing was downloaded (dry run).');
+    console.log(`Time Elapsed: ${duration}s`);
+    console.log('='.repeat(50) + '\n');
+};
+
 /**
  * Run batch download with consistent error handling and progress reporting
  * @param {string[]} userIds - Array of user IDs to process
  * @param {Function} downloadFn - Single-user download function (receives { targetId, ...options })
- * @param {object} options - Options to pass to each download function call
+ * @param {object} options - Options to pass to each download function call (dryRun only estimates, see dry_run.js)
  * @param {object} config - Batch configuration
  * @param {string} config.mediaType - Type of media: 'photos', 'videos', or 'wall media'
  * @param {boolean} config.showPhotoVideoSplit - Show separate photo/video counts in summary
  * @param {number} config.delayBetweenUsers - Delay in ms between processing users (default: 1000)
- * @returns {Array} Array of results with userId, success, and download stats
+ * @returns {Array} Array of results with userId, success, and download stats (stops at the first
+ *   error that no other user can get past, see isFatalGraphError)
  */
 export const runBatchDownload = async (userIds, downloadFn, options = {}, config = {}) => {
     const {
@@ -93,7 +150,7 @@ export const runBatchDownload = async (userIds, downloadFn, options = {}, config
         }
 
         const userId = userIds[i];
-        console.log(`[${i + 1}/${totalUsers}] Downloading ${mediaType} from user ${userId}...`);
+        console.log(`[${i + 1}/${totalUsers}] ${options.dryRun ? 'Estimating' : 'Downloading'} ${mediaType} from user ${userId}...`);
 
         try {
             const result = await downloadFn({
@@ -107,10 +164,10 @@ export const runBatchDownload = async (userIds, downloadFn, options = {}, config
                 ...result
             });
 
-            // Log individual result
+            // Log individual result (a dry run logs its estimate in the downloader)
             if (showPhotoVideoSplit && result.savedPhotos !== undefined) {
                 console.log(`✅ User ${userId}: ${result.savedPhotos} photos, ${result.savedVideos} videos saved | ${result.skippedPhotos || 0}+${result.skippedVideos || 0} skipped`);
-            } else {
+            } else if (!result.estimate) {
                 console.log(`✅ User ${userId}: ${result.saved} saved, ${result.skipped} skipped`);
             }
 
@@ -122,6 +179,12 @@ export const runBatchDownload = async (userIds, downloadFn, options = {}, config
             });
 
             console.log(`❌ User ${userId}: ${error.message}`);
+
+            // A deleted or hidden user is skipped; without a token or network no other user can succeed
+            if (isFatalGraphError(error)) {
+                log(S.FgYellow + `⏹️  Batch stopped after ${i + 1} of ${totalUsers} users (${error.name})` + S.Reset);
+                break;
+            }
         }
 
         // Small delay between users to avoid rate limiting
@@ -131,7 +194,11 @@ export const runBatchDownload = async (userIds, downloadFn, options = {}, config
     }
 
     // Print summary
-    printBatchSummary(results, startTime, { mediaType, showPhotoVideoSplit, wasCancelled });
+    if (options.dryRun) {
+        printDryRunSummary(results, startTime, wasCancelled);
+    } else {
+        printBatchSummary(results, startTime, { mediaType, showPhotoVideoSplit, wasCancelled });
+    }
 
     return results;
 };
@@ -114,6 +114,26 @@ export const stopCancellableOperation = () => {
     keyListenerActive = false;
 };
 
+/**
+ * Ask the user something in the middle of a cancellable operation
+ * The key listener is paused so the typed answer does not cancel the operation
+ * @param {Function} question - Async function prompting the user
+ * @returns {Promise<*>} Result of the question
+ */
+export const withKeyListenerPaused = async (question) => {
+    if (!keyListenerActive) return question();
+
+    stopCancellableOperation();
+    try {
+        return await question();
+    } finally {
+        process.stdin.setRawMode(true);
+        process.stdin.resume();
+        process.stdin.on('data', handleKeyPress);
+        keyListenerActive = true;
+    }
+};
+
 /**
  * Check cancellation and throw if cancelled
  * Use this at strategic points in loops to enable clean exit
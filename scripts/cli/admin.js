@@ -0,0 +1,201 @@
+/**
+ * CLI Admin Commands Module
+ *
+ * Non-interactive handlers for profile fetching, UID scanning, the token pool,
+ * the duplicate files report and file extension fixing.
+ * @module cli/admin
+ */
+
+import { log } from "../logger.js";
+import { EXIT_CODE } from "./exit_codes.js";
+import { fetchAndSaveProfiles } from "../user_profile.js";
+import { ensureUsername, scanAllUIDs } from "../user_info.js";
+import { isCancelled } from "../cancellation.js";
+import TokenManager, { formatTokenRow } from "../token_manager.js";
+import { validateAndSaveToken } from "../token_validator.js";
+import { getDuplicateClusters, getRateLimitHistory } from "../database.js";
+import { formatUsageHistory } from "../rate_limit_manager.js";
+import { hashSavedMedia, formatDuplicateCluster } from "../dedup.js";
+import { fixFileExtensions } from "../fix_extensions.js";
+
+/**
+ * Fetch and save profiles for one or more UIDs
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliProfiles = async ({ ids, options }) => {
+    if (ids.length === 0) {
+        log("[!] Missing UIDs. Use --ids <uid1,uid2,...>");
+        return EXIT_CODE.USAGE;
+    }
+
+    let failed = 0;
+    await fetchAndSaveProfiles(ids, { includeLikes: !!options["include-likes"] }, (uid, result, i) => {
+        log(`\n[${i + 1}/${ids.length}] UID: ${uid}`);
+
+        if (result.saved) {
+            log(`   ✅ ${result.profile?.name || 'N/A'}${result.changedFields?.length ? ` (changed: ${result.changedFields.join(', ')})` : ''}`);
+        } else {
+            log(`   ❌ ${result.reason || 'Unknown error'}`);
+            failed++;
+        }
+    });
+    if (isCancelled()) return EXIT_CODE.CANCELLED;
+
+    log(`\n📊 Summary: ${ids.length - failed} saved, ${failed} failed`);
+    return failed > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+};
+
+/**
+ * Fetch missing usernames for the given UIDs, or for every UID in the database
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliScanUIDs = async ({ ids }) => {
+    if (ids.length === 0) {
+        const stats = await scanAllUIDs((current, total, uid, username, status) => {
+            if (status === 'fetched') {
+                log(`  [${current}/${total}] ✅ ${uid} → ${username}`);
+            } else if (status === 'error') {
+                log(`  [${current}/${total}] ❌ ${uid} → Failed to fetch`);
+            }
+        });
+        return stats.errors > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+    }
+
+    let errors = 0;
+    for (let i = 0; i < ids.length; i++) {
+        if (isCancelled()) return EXIT_CODE.CANCELLED;
+
+        const uid = ids[i];
+        const result = await ensureUsername(uid);
+        if (result.username) {
+            log(`  [${i + 1}/${ids.length}] ✅ ${uid} → ${result.username}${result.fetched ? '' : ' (already exists)'}`);
+        } else {
+            log(`  [${i + 1}/${ids.length}] ❌ ${uid} → ${result.error || 'Failed'}`);
+            errors++;
+        }
+    }
+
+    return errors > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+};
+
+/**
+ * Manage the access token pool
+ * Actions: list | add <token> [--label] [--priority] | enable <id> | disable <id> | priority <id> <n> | remove <id>
+ *   | usage [<id>] [--hours <n>]
+ * @param {{ids: string[], options: Object}} args - Parsed arguments (action and its values are positional)
+ * @returns {Promise<number>} Exit code
+ */
+export const cliTokens = async ({ ids, options }) => {
+    const [action = "list", target, value] = ids;
+    const tokenId = Number(target);
+
+    switch (action) {
+        case "list": {
+            const tokens = TokenManager.listTokens();
+            if (tokens.length === 0) {
+                log("No tokens in the pool. FB_ACCESS_TOKEN from .env is used.");
+            }
+            tokens.forEach((row) => log(formatTokenRow(row)));
+            return EXIT_CODE.OK;
+        }
+
+        case "usage": {
+            if (target !== undefined && (!Number.isInteger(tokenId) || tokenId <= 0)) {
+                log("[!] Invalid token ID. Use: tokens usage [<id>] [--hours <n>]");
+                return EXIT_CODE.USAGE;
+            }
+            const hours = Number(options.hours || 24);
+            const rows = getRateLimitHistory({ hours, tokenId: target === undefined ? null : tokenId });
+            if (rows.length === 0) {
+                log(`No rate limit usage recorded in the last ${hours} hours.`);
+            }
+            formatUsageHistory(rows).forEach((line) => log(line));
+            return EXIT_CODE.OK;
+        }
+
+        case "add": {
+            if (!target) {
+                log("[!] Missing token. Use: tokens add <token> [--label <name>] [--priority <n>]");
+                return EXIT_CODE.USAGE;
+            }
+            const priority = Number(options.priority || 0);
+            if (!Number.isInteger(priority)) {
+                log(`[!] Invalid --priority: ${options.priority}`);
+                return EXIT_CODE.USAGE;
+            }
+            const saved = await validateAndSaveToken(target, { label: options.label || null, priority });
+            return saved ? EXIT_CODE.OK : EXIT_CODE.FAILURE;
+        }
+
+        case "enable":
+        case "disable":
+        case "remove":
+        case "priority": {
+            if (!Number.isInteger(tokenId) || tokenId <= 0) {
+                log(`[!] Missing or invalid token ID. Use: tokens ${action} <id>${action === "priority" ? " <n>" : ""}`);
+                return EXIT_CODE.USAGE;
+            }
+
+            let updated;
+            if (action === "priority") {
+                const priority = Number(value);
+                if (value === undefined || !Number.isInteger(priority)) {
+                    log("[!] Missing or invalid priority. Use: tokens priority <id> <n>");
+                    return EXIT_CODE.USAGE;
+                }
+                updated = TokenManager.setPriority(tokenId, priority);
+            } else if (action === "remove") {
+                updated = TokenManager.removeToken(tokenId);
+            } else {
+                updated = TokenManager.setActive(tokenId, action === "enable");
+            }
+
+            log(updated ? `✅ Token #${tokenId} updated` : `❌ Token #${tokenId} not found`);
+            return updated ? EXIT_CODE.OK : EXIT_CODE.FAILURE;
+        }
+
+        default:
+            log(`[!] Unknown tokens action: ${action}`);
+            return EXIT_CODE.USAGE;
+    }
+};
+
+/**
+ * Print clusters of saved media with identical content
+ * --scan first hashes files saved before deduplication was added
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliDuplicates = async ({ options }) => {
+    if (options.scan) {
+        const { hashed, missing } = await hashSavedMedia((current, total) => {
+            if (current % 100 === 0 || current === total) log(`  Hashed ${current}/${total}`);
+        });
+        log(`🔎 ${hashed} files hashed, ${missing} not found on disk`);
+        if (isCancelled()) return EXIT_CODE.CANCELLED;
+    }
+
+    const clusters = getDuplicateClusters({ limit: options.limit ? Number(options.limit) : undefined });
+    if (clusters.length === 0) {
+        log("No duplicate files found.");
+        return EXIT_CODE.OK;
+    }
+
+    clusters.forEach((cluster) => log(formatDuplicateCluster(cluster)));
+
+    const wasted = clusters.reduce((sum, c) => sum + (c.copies - 1) * (c.file_size || 0), 0);
+    log(`\n📊 ${clusters.length} duplicate clusters, ${Math.round(wasted / 1024 / 1024)} MB in extra copies`);
+    return EXIT_CODE.OK;
+};
+
+/**
+ * Rename saved files whose extension does not match their content and update the database
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliFixExtensions = async ({ options }) => {
+    const stats = fixFileExtensions({ dryRun: !!options["dry-run"] });
+    return stats.conflicts > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+};
@@ -0,0 +1,252 @@
+/**
+ * CLI Argument Parsing Module
+ *
+ * Parses command-line arguments into a command name and typed options.
+ * Kept free of side effects so it can be unit tested.
+ * @module cli/args
+ */
+
+import { parseArgs } from "util";
+import { parseUserIds } from "../utils.js";
+import { LINK_FORMAT, USER_PHOTO_TYPE } from "../constants.js";
+
+/**
+ * Options accepted by every command
+ * @constant {Object}
+ */
+const GLOBAL_OPTIONS = {
+    help: { type: "boolean", short: "h" },
+    lang: { type: "string" },
+    "rate-profile": { type: "string" },
+};
+
+/**
+ * Options accepted by each command (in addition to GLOBAL_OPTIONS)
+ * Mirrors the questions the interactive menus ask
+ * @constant {Object<string, Object>}
+ */
+export const COMMAND_OPTIONS = {
+    album: {
+        ids: { type: "string" },
+        "from-photo": { type: "string" },
+        hd: { type: "boolean" },
+        links: { type: "boolean" },
+        format: { type: "string" },
+        incremental: { type: "boolean" },
+        "synced-since": { type: "string" },
+        since: { type: "string" },
+        until: { type: "string" },
+        "dry-run": { type: "boolean" },
+        "estimate-size": { type: "boolean" },
+    },
+    albums: {
+        ids: { type: "string" },
+        select: { type: "string" },
+        list: { type: "boolean" },
+        hd: { type: "boolean" },
+        incremental: { type: "boolean" },
+        "synced-since": { type: "string" },
+        since: { type: "string" },
+        until: { type: "string" },
+    },
+    wall: {
+        ids: { type: "string" },
+        "page-limit": { type: "string" },
+        "include-video": { type: "boolean" },
+        hd: { type: "boolean" },
+        links: { type: "boolean" },
+        format: { type: "string" },
+        "from-cursor": { type: "string" },
+        resume: { type: "boolean" },
+        incremental: { type: "boolean" },
+        "synced-since": { type: "string" },
+        since: { type: "string" },
+        until: { type: "string" },
+        "dry-run": { type: "boolean" },
+        "estimate-size": { type: "boolean" },
+        "skip-profiles": { type: "boolean" },
+    },
+    "user-photos": {
+        ids: { type: "string" },
+        type: { type: "string" },
+        links: { type: "boolean" },
+        format: { type: "string" },
+        "page-limit": { type: "string" },
+        "from-cursor": { type: "string" },
+        resume: { type: "boolean" },
+        incremental: { type: "boolean" },
+        "synced-since": { type: "string" },
+        since: { type: "string" },
+        until: { type: "string" },
+        "dry-run": { type: "boolean" },
+        "estimate-size": { type: "boolean" },
+        "skip-profiles": { type: "boolean" },
+    },
+    "user-videos": {
+        ids: { type: "string" },
+        "page-limit": { type: "string" },
+        "from-cursor": { type: "string" },
+        resume: { type: "boolean" },
+        incremental: { type: "boolean" },
+        "synced-since": { type: "string" },
+        since: { type: "string" },
+        until: { type: "string" },
+        "dry-run": { type: "boolean" },
+        "estimate-size": { type: "boolean" },
+        "skip-profiles": { type: "boolean" },
+    },
+    group: {
+        ids: { type: "string" },
+        "page-limit": { type: "string" },
+        "include-video": { type: "boolean" },
+        hd: { type: "boolean" },
+        "skip-albums": { type: "boolean" },
+        posters: { type: "string" },
+        since: { type: "string" },
+        until: { type: "string" },
+    },
+    "timeline-album": {
+        ids: { type: "string" },
+        "from-photo": { type: "string" },
+        links: { type: "boolean" },
+    },
+    "from-file": {
+        file: { type: "string" },
+        folder: { type: "string" },
+        owner: { type: "string" },
+    },
+    "retry-failed": {
+        ids: { type: "string" },
+        "max-attempts": { type: "string" },
+    },
+    "upgrade-videos": {
+        ids: { type: "string" },
+    },
+    duplicates: {
+        scan: { type: "boolean" },
+        limit: { type: "string" },
+    },
+    "fix-extensions": {
+        "dry-run": { type: "boolean" },
+    },
+    profiles: {
+        ids: { type: "string" },
+        "include-likes": { type: "boolean" },
+    },
+    "scan-uids": {
+        ids: { type: "string" },
+    },
+    tokens: {
+        label: { type: "string" },
+        priority: { type: "string" },
+        hours: { type: "string" },
+    },
+    help: {},
+};
+
+/**
+ * Parse a page limit option (0 or missing means no limit)
+ * @param {string|undefined} value - Raw option value
+ * @returns {number} Page limit (Infinity when unlimited)
+ * @throws {Error} If the value is not a non-negative integer
+ */
+export const parsePageLimit = (value) => {
+    if (value === undefined || value === "") return Infinity;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`Invalid --page-limit: ${value}`);
+    }
+
+    return limit === 0 ? Infinity : limit;
+};
+
+/**
+ * Parse command-line arguments
+ * IDs may be given with --ids (comma-separated) and/or as positional arguments
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {{command: string|null, options: Object, ids: string[], error: string|null}} Parsed arguments
+ */
+export const parseCliArgs = (argv) => {
+    const [command = null, ...rest] = argv;
+
+    if (!command || command === "--help" || command === "-h") {
+        return { command: "help", options: {}, ids: [], error: null };
+    }
+
+    if (!(command in COMMAND_OPTIONS)) {
+        return { command, options: {}, ids: [], error: `Unknown command: ${command}` };
+    }
+
+    try {
+        const { values, positionals } = parseArgs({
+            args: rest,
+            options: { ...GLOBAL_OPTIONS, ...COMMAND_OPTIONS[command] },
+            allowPositionals: true,
+            strict: true,
+        });
+
+        if (values["page-limit"] !== undefined) {
+            parsePageLimit(values["page-limit"]);
+        }
+
+        if (values.limit !== undefined && !/^[1-9]\d*$/.test(values.limit)) {
+            throw new Error(`Invalid --limit: ${values.limit}`);
+        }
+
+        if (values.hours !== undefined && !/^[1-9]\d*$/.test(values.hours)) {
+            throw new Error(`Invalid --hours: ${values.hours}`);
+        }
+
+        if (values["max-attempts"] !== undefined && !/^[1-9]\d*$/.test(values["max-attempts"])) {
+            throw new Error(`Invalid --max-attempts: ${values["max-attempts"]}`);
+        }
+
+        if (values.type !== undefined && !Object.values(USER_PHOTO_TYPE).includes(values.type)) {
+            throw new Error(`Invalid --type: ${values.type}`);
+        }
+
+        if (values.format !== undefined && !Object.values(LINK_FORMAT).includes(values.format)) {
+            throw new Error(`Invalid --format: ${values.format}`);
+        }
+
+        if (values.format !== undefined && !values.links) {
+            throw new Error("--format can only be used with --links");
+        }
+
+        if (values["dry-run"] && values.links) {
+            throw new Error("--dry-run cannot be used with --links");
+        }
+
+        if (values["estimate-size"] && !values["dry-run"]) {
+            throw new Error("--estimate-size can only be used with --dry-run");
+        }
+
+        if (values.resume && values["from-cursor"]) {
+            throw new Error("--resume and --from-cursor cannot be used together");
+        }
+
+        if (values["synced-since"] !== undefined && Number.isNaN(Date.parse(values["synced-since"]))) {
+            throw new Error(`Invalid --synced-since: ${values["synced-since"]}`);
+        }
+
+        for (const name of ["since", "until"]) {
+            if (values[name] !== undefined && Number.isNaN(Date.parse(values[name]))) {
+                throw new Error(`Invalid --${name}: ${values[name]}`);
+            }
+        }
+
+        if (values.since && values.until && Date.parse(values.since) > Date.parse(values.until)) {
+            throw new Error("--since must not be after --until");
+        }
+
+        const ids = [
+            ...parseUserIds(values.ids),
+            ...positionals.flatMap((p) => parseUserIds(p)),
+        ];
+
+        return { command, options: values, ids, error: null };
+    } catch (error) {
+        return { command, options: {}, ids: [], error: error.message };
+    }
+};
@@ -0,0 +1,349 @@
+/**
+ * CLI Download Commands Module
+ *
+ * Non-interactive handlers for every download mode.
+ * Each handler receives parsed arguments and resolves to a process exit code.
+ * @module cli/download
+ */
+
+import { parseUserIds } from "../utils.js";
+import { USER_PHOTO_TYPE } from "../constants.js";
+import { log } from "../logger.js";
+import { EXIT_CODE, exitCodeForBatch } from "./exit_codes.js";
+import { parsePageLimit } from "./args.js";
+import { downloadAlbumPhoto, downloadAlbumPhotoLinks } from "../download_album.js";
+import { fetchAllAlbums, formatAlbum, downloadAllAlbumsBatch } from "../download_all_albums.js";
+import { downloadWallMediaBatch, downloadWallMediaLinks } from "../download_wall_media.js";
+import { downloadGroupMediaBatch } from "../download_group.js";
+import { downloadUserPhotosBatch, downloadUserPhotoLinks } from "../download_user_photos.js";
+import { downloadUserVideosBatch } from "../download_user_videos.js";
+import {
+    downloadTimeLineAlbum_FBPage,
+    downloadTimeLineAlbumPhotoLinks_FBPage,
+} from "../download_timeline_album.js";
+import { downloadFromFile } from "../download_from_file.js";
+import { retryFailedMedia } from "../retry_failed.js";
+import { upgradeSDVideos } from "../upgrade_videos.js";
+import { ensureUserProfileForUIDs } from "../user_profile.js";
+import { isCancelled } from "../cancellation.js";
+
+/**
+ * Fail with a usage error when no IDs were given
+ * @param {string[]} ids - Parsed IDs
+ * @param {string} label - What the IDs identify (for the message)
+ * @returns {boolean} True if IDs are present
+ */
+const requireIds = (ids, label) => {
+    if (ids.length === 0) {
+        log(`[!] Missing ${label}. Use --ids <id1,id2,...>`);
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Build incremental sync options (--synced-since implies --incremental)
+ * @param {Object} options - Parsed options
+ * @returns {{incremental: boolean, syncedSince: string|null}} Sync options
+ */
+const syncOptions = (options) => ({
+    incremental: !!options.incremental || !!options["synced-since"],
+    syncedSince: options["synced-since"] || null,
+});
+
+/**
+ * Build date range options (--since/--until)
+ * @param {Object} options - Parsed options
+ * @returns {{since: string|null, until: string|null}} Date range options
+ */
+const dateRangeOptions = (options) => ({
+    since: options.since || null,
+    until: options.until || null,
+});
+
+/**
+ * Build dry run options (--estimate-size requires --dry-run, see parseCliArgs)
+ * @param {Object} options - Parsed options
+ * @returns {{dryRun: boolean, estimateSize: boolean}} Dry run options
+ */
+const dryRunOptions = (options) => ({
+    dryRun: !!options["dry-run"],
+    estimateSize: !!options["estimate-size"],
+});
+
+/**
+ * Download photos (or photo links) from one or more albums
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliAlbum = async ({ ids, options }) => {
+    if (!requireIds(ids, "album IDs")) return EXIT_CODE.USAGE;
+
+    let failed = 0;
+    for (const albumId of ids) {
+        if (isCancelled()) break;
+
+        const params = {
+            albumId,
+            fromPhotoId: options["from-photo"] || null,
+            isGetLargestPhoto: !!options.hd,
+            ...dateRangeOptions(options),
+        };
+
+        try {
+            if (options.links) {
+                await downloadAlbumPhotoLinks({ ...params, format: options.format });
+            } else {
+                const result = await downloadAlbumPhoto({ ...params, ...syncOptions(options), ...dryRunOptions(options) });
+                if (result.failed > 0) failed++;
+            }
+        } catch (error) {
+            log(`❌ Album ${albumId}: ${error.message || error}`);
+            failed++;
+        }
+    }
+
+    if (isCancelled()) return EXIT_CODE.CANCELLED;
+    return failed > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+};
+
+/**
+ * List or download every album of one or more users/pages
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliAlbums = async ({ ids, options }) => {
+    if (!requireIds(ids, "user/page IDs")) return EXIT_CODE.USAGE;
+
+    if (options.list) {
+        for (const targetId of ids) {
+            if (isCancelled()) break;
+            log(`\n${targetId}:`);
+            (await fetchAllAlbums(targetId)).forEach((album, index) => log(formatAlbum(album, index)));
+        }
+        return isCancelled() ? EXIT_CODE.CANCELLED : EXIT_CODE.OK;
+    }
+
+    const results = await downloadAllAlbumsBatch(ids, {
+        selection: options.select || "",
+        isGetLargestPhoto: !!options.hd,
+        ...syncOptions(options),
+        ...dateRangeOptions(options),
+    });
+    return exitCodeForBatch(results);
+};
+
+/**
+ * Download wall media (or media links) for one or more targets
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliWall = async ({ ids, options }) => {
+    if (!requireIds(ids, "target IDs")) return EXIT_CODE.USAGE;
+
+    const downloadOptions = {
+        includeVideo: !!options["include-video"],
+        pageLimit: parsePageLimit(options["page-limit"]),
+        isGetLargestPhoto: !!options.hd,
+        fromCursor: options["from-cursor"] || null,
+        resume: !!options.resume,
+        ...syncOptions(options),
+        ...dateRangeOptions(options),
+        ...dryRunOptions(options),
+    };
+
+    if (options.links) {
+        let failed = 0;
+        for (const targetId of ids) {
+            if (isCancelled()) break;
+            try {
+                await downloadWallMediaLinks({ targetId, ...downloadOptions, format: options.format });
+            } catch (error) {
+                log(`❌ Wall ${targetId}: ${error.message || error}`);
+                failed++;
+            }
+        }
+        if (isCancelled()) return EXIT_CODE.CANCELLED;
+        return failed > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+    }
+
+    // a dry run saves nothing, not even profiles
+    if (!options["skip-profiles"] && !options["dry-run"]) {
+        await ensureUserProfileForUIDs(ids);
+    }
+
+    const results = await downloadWallMediaBatch(ids, downloadOptions);
+    return exitCodeForBatch(results);
+};
+
+/**
+ * Download media posted in one or more groups (feed and group albums)
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliGroup = async ({ ids, options }) => {
+    if (!requireIds(ids, "group IDs")) return EXIT_CODE.USAGE;
+
+    const results = await downloadGroupMediaBatch(ids, {
+        includeVideo: !!options["include-video"],
+        pageLimit: parsePageLimit(options["page-limit"]),
+        isGetLargestPhoto: !!options.hd,
+        includeAlbums: !options["skip-albums"],
+        posterIds: parseUserIds(options.posters),
+        ...dateRangeOptions(options),
+    });
+    return exitCodeForBatch(results);
+};
+
+/**
+ * Download photos (uploaded, tagged, profile or cover pictures) of one or more users,
+ * or save their links
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliUserPhotos = async ({ ids, options }) => {
+    if (!requireIds(ids, "user IDs")) return EXIT_CODE.USAGE;
+
+    if (options.links) {
+        let failed = 0;
+        for (const targetId of ids) {
+            if (isCancelled()) break;
+            try {
+                await downloadUserPhotoLinks({
+                    targetId,
+                    photoType: options.type || USER_PHOTO_TYPE.UPLOADED,
+                    fromCursor: options["from-cursor"] || null,
+                    pageLimit: parsePageLimit(options["page-limit"]),
+                    format: options.format,
+                    ...dateRangeOptions(options),
+                });
+            } catch (error) {
+                log(`❌ User ${targetId}: ${error.message || error}`);
+                failed++;
+            }
+        }
+        if (isCancelled()) return EXIT_CODE.CANCELLED;
+        return failed > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+    }
+
+    // a dry run saves nothing, not even profiles
+    if (!options["skip-profiles"] && !options["dry-run"]) {
+        await ensureUserProfileForUIDs(ids);
+    }
+
+    const results = await downloadUserPhotosBatch(ids, {
+        photoType: options.type || USER_PHOTO_TYPE.UPLOADED,
+        fromCursor: options["from-cursor"] || null,
+        pageLimit: parsePageLimit(options["page-limit"]),
+        resume: !!options.resume,
+        ...syncOptions(options),
+        ...dateRangeOptions(options),
+        ...dryRunOptions(options),
+    });
+    return exitCodeForBatch(results);
+};
+
+/**
+ * Download videos of one or more users
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliUserVideos = async ({ ids, options }) => {
+    if (!requireIds(ids, "user IDs")) return EXIT_CODE.USAGE;
+
+    // a dry run saves nothing, not even profiles
+    if (!options["skip-profiles"] && !options["dry-run"]) {
+        await ensureUserProfileForUIDs(ids);
+    }
+
+    const results = await downloadUserVideosBatch(ids, {
+        fromCursor: options["from-cursor"] || null,
+        pageLimit: parsePageLimit(options["page-limit"]),
+        resume: !!options.resume,
+        ...syncOptions(options),
+        ...dateRangeOptions(options),
+        ...dryRunOptions(options),
+    });
+    return exitCodeForBatch(results);
+};
+
+/**
+ * Download the timeline album (or its links) of one or more pages
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliTimelineAlbum = async ({ ids, options }) => {
+    if (!requireIds(ids, "page IDs")) return EXIT_CODE.USAGE;
+
+    let failed = 0;
+    for (const page_id of ids) {
+        if (isCancelled()) break;
+
+        const params = { page_id, fromPhotoId: options["from-photo"] || null };
+        try {
+            if (options.links) {
+                await downloadTimeLineAlbumPhotoLinks_FBPage(params);
+            } else {
+                // No timeline album, or some photos could not be downloaded
+                const result = await downloadTimeLineAlbum_FBPage(params);
+                if (!result || result.failed > 0) failed++;
+            }
+        } catch (error) {
+            log(`❌ Page ${page_id}: ${error.message || error}`);
+            failed++;
+        }
+    }
+
+    if (isCancelled()) return EXIT_CODE.CANCELLED;
+    return failed > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+};
+
+/**
+ * Download every link listed in a link file or URL list
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliFromFile = async ({ options }) => {
+    if (!options.file || !options.folder) {
+        log("[!] Missing --file <path> or --folder <name>");
+        return EXIT_CODE.USAGE;
+    }
+
+    try {
+        const result = await downloadFromFile({
+            filePath: options.file,
+            folderName: options.folder,
+            ownerId: options.owner || null,
+        });
+        if (isCancelled()) return EXIT_CODE.CANCELLED;
+        return result.failed > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+    } catch (error) {
+        log(`❌ ${error.message || error}`);
+        return EXIT_CODE.FAILURE;
+    }
+};
+
+/**
+ * Retry failed downloads with fresh URLs (all of them, or those of the given UIDs)
+ * @param {{ids: string[], options: Object}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliRetryFailed = async ({ ids, options }) => {
+    const maxAttempts = options["max-attempts"] ? Number(options["max-attempts"]) : null;
+    const result = await retryFailedMedia({ uids: ids, maxAttempts });
+
+    if (isCancelled()) return EXIT_CODE.CANCELLED;
+    return result.failed > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+};
+
+/**
+ * Download saved SD videos again where the video node now offers HD
+ * @param {{ids: string[]}} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+export const cliUpgradeVideos = async ({ ids }) => {
+    const result = await upgradeSDVideos({ uids: ids });
+
+    if (isCancelled()) return EXIT_CODE.CANCELLED;
+    return result.failed > 0 ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+};
@@ -0,0 +1,37 @@
+/**
+ * CLI Exit Codes Module
+ *
+ * Process exit codes returned by CLI commands, so scripts and cron jobs
+ * can tell success, partial failure and usage errors apart.
+ * @module cli/exit_codes
+ */
+
+import { isCancelled } from "../cancellation.js";
+
+/**
+ * Process exit codes
+ * @constant {Object}
+ * @property {number} OK - Command completed successfully
+ * @property {number} FAILURE - Command ran but at least one item/user failed
+ * @property {number} USAGE - Invalid command or arguments
+ * @property {number} AUTH - No valid access token (or it expired during the command)
+ * @property {number} CANCELLED - Interrupted by the user (SIGINT)
+ */
+export const EXIT_CODE = Object.freeze({
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    AUTH: 3,
+    CANCELLED: 130,
+});
+
+/**
+ * Derive an exit code from runBatchDownload results
+ * A user whose crawl succeeded but some files failed (see recordDownloadFailure) is a failure too
+ * @param {Array<{success: boolean, failed?: number}>} results - Batch results
+ * @returns {number} Exit code
+ */
+export const exitCodeForBatch = (results) => {
+    if (isCancelled()) return EXIT_CODE.CANCELLED;
+    return results.some((r) => !r.success || r.failed > 0) ? EXIT_CODE.FAILURE : EXIT_CODE.OK;
+};
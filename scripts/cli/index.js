@@ -0,0 +1,183 @@
+/**
+ * CLI Module - Main Entry Point
+ *
+ * Runs a single download/admin command without the interactive menu,
+ * so the tool can be scripted or scheduled (cron, Task Scheduler).
+ * Nothing here reads from stdin, so no TTY is required.
+ * @module cli
+ */
+
+import { log } from "../logger.js";
+import { LANGKEY, setLang } from "../lang.js";
+import { ensureValidToken } from "../token_validator.js";
+import { cancel, isCancelled } from "../cancellation.js";
+import { parseCliArgs } from "./args.js";
+import { EXIT_CODE } from "./exit_codes.js";
+import { TokenExpiredError } from "../graph_errors.js";
+import { RATE_LIMIT_PROFILES, setRateLimitProfile } from "../rate_limit_manager.js";
+import {
+    cliAlbum,
+    cliAlbums,
+    cliWall,
+    cliGroup,
+    cliUserPhotos,
+    cliUserVideos,
+    cliTimelineAlbum,
+    cliFromFile,
+    cliRetryFailed,
+    cliUpgradeVideos,
+} from "./download.js";
+import { cliProfiles, cliScanUIDs, cliTokens, cliDuplicates, cliFixExtensions } from "./admin.js";
+
+export { EXIT_CODE } from "./exit_codes.js";
+
+/**
+ * Command handlers
+ * @constant {Object<string, {run: Function, needsToken: boolean}>}
+ */
+const COMMANDS = {
+    album: { run: cliAlbum, needsToken: true },
+    albums: { run: cliAlbums, needsToken: true },
+    wall: { run: cliWall, needsToken: true },
+    group: { run: cliGroup, needsToken: true },
+    "user-photos": { run: cliUserPhotos, needsToken: true },
+    "user-videos": { run: cliUserVideos, needsToken: true },
+    "timeline-album": { run: cliTimelineAlbum, needsToken: true },
+    "from-file": { run: cliFromFile, needsToken: false },
+    "retry-failed": { run: cliRetryFailed, needsToken: true },
+    "upgrade-videos": { run: cliUpgradeVideos, needsToken: true },
+    profiles: { run: cliProfiles, needsToken: true },
+    "scan-uids": { run: cliScanUIDs, needsToken: true },
+    tokens: { run: cliTokens, needsToken: false },
+    duplicates: { run: cliDuplicates, needsToken: false },
+    "fix-extensions": { run: cliFixExtensions, needsToken: false },
+};
+
+/**
+ * Usage text printed by `help` and on argument errors
+ * @constant {string}
+ */
+const USAGE = `
+Usage: node index.js <command> [options]
+       node index.js                 (interactive menu)
+
+Commands:
+  album           --ids <albumIds> [--from-photo <photoId>] [--hd] [--links [--format <fmt>]] [<sync>] [<range>]
+  albums          --ids <userIds> [--list] [--select <albums>] [--hd] [<sync>] [<range>]
+                  (every album of a user/page, each saved into a folder named after the album)
+  wall            --ids <targetIds> [--page-limit <n>] [--include-video] [--hd] [--links [--format <fmt>]]
+                  [--from-cursor <cursor> | --resume] [<sync>] [<range>] [--skip-profiles]
+  group           --ids <groupIds> [--page-limit <n>] [--include-video] [--hd] [--skip-albums]
+                  [--posters <uids>] [<range>]
+  user-photos     --ids <userIds> [--type <uploaded|tagged|profile|cover>] [--page-limit <n>]
+                  [--from-cursor <cursor> | --resume] [<sync>] [<range>] [--skip-profiles]
+                  [--links [--format <fmt>]]
+  user-videos     --ids <userIds> [--page-limit <n>] [--from-cursor <cursor> | --resume] [<sync>] [<range>]
+                  [--skip-profiles]
+  timeline-album  --ids <pageIds> [--from-photo <photoId>] [--links]
+  from-file       --file <path> --folder <name> [--owner <uid>]
+                  (link files exported with --links in any --format, or one URL per line)
+  retry-failed    [--ids <uids>] [--max-attempts <n>]   (every failed download when --ids is omitted)
+  upgrade-videos  [--ids <uids>]   (download SD videos again where HD is now available)
+  profiles        --ids <uids> [--include-likes]
+  scan-uids       [--ids <uids>]   (all UIDs in the database when omitted)
+  tokens          [list] | add <token> [--label <name>] [--priority <n>]
+                  | enable <id> | disable <id> | priority <id> <n> | remove <id>
+                  | usage [<id>] [--hours <n>]   (rate limit usage per hour, default: last 24 hours)
+  duplicates      [--scan] [--limit <n>]   (--scan hashes files saved before deduplication)
+  fix-extensions  [--dry-run]   (rename saved files to their real type, e.g. JPEGs saved as .png)
+  help
+
+Global options:
+  --lang <vi|en>  Output language
+  --rate-profile <safe|normal|aggressive>
+                  How early requests slow down as rate limit usage grows
+                  (overrides RATE_LIMIT_PROFILE in .env)
+  -h, --help      Show this help
+
+IDs may also be passed as positional arguments. --page-limit 0 means no limit.
+--resume continues each UID from the cursor saved by its last unfinished run.
+<sync> is [--incremental] [--synced-since <date>]: stop at the first page that was
+already downloaded or is older than the last sync (--synced-since overrides it).
+<range> is [--since <date>] [--until <date>]: only download media created in that range
+(a date without a time includes the whole day), e.g. --since 2023-01-01 --until 2023-12-31.
+album, wall, user-photos and user-videos also take [--dry-run [--estimate-size]]: crawl only
+and report per user the media found, how many are new, already saved or need an HD upgrade,
+and the Graph API calls a real run makes. --estimate-size adds file sizes (one HEAD request per
+new file). Nothing is downloaded or saved.
+--select takes album numbers from --list (1,3,5-7), album types (profile, cover, mobile,
+wall, normal) and/or album IDs, comma-separated. Every album is downloaded when omitted.
+--format sets the link file written by --links in ./links/: txt (id;url, default), csv,
+jsonl (one JSON object per line), aria2 (aria2c -i input) or wget (shell script).
+
+Exit codes:
+  ${EXIT_CODE.OK}    success
+  ${EXIT_CODE.FAILURE}    finished with failures
+  ${EXIT_CODE.USAGE}    invalid command or arguments
+  ${EXIT_CODE.AUTH}    no valid access token
+  ${EXIT_CODE.CANCELLED}  interrupted (Ctrl+C)
+`;
+
+/**
+ * Cancel gracefully on the first Ctrl+C (current file finishes), exit on the second
+ * @returns {void}
+ */
+const installSignalHandlers = () => {
+    process.on("SIGINT", () => {
+        if (isCancelled()) {
+            process.exit(EXIT_CODE.CANCELLED);
+        }
+        cancel();
+    });
+};
+
+/**
+ * Run a CLI command
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Process exit code
+ */
+export const runCli = async (argv) => {
+    const { command, options, ids, error } = parseCliArgs(argv);
+
+    if (error) {
+        log(`[!] ${error}`);
+        log(USAGE);
+        return EXIT_CODE.USAGE;
+    }
+
+    if (command === "help" || options.help) {
+        log(USAGE);
+        return EXIT_CODE.OK;
+    }
+
+    if (options.lang) {
+        if (!(options.lang in LANGKEY)) {
+            log(`[!] Unknown language: ${options.lang}`);
+            return EXIT_CODE.USAGE;
+        }
+        setLang(options.lang);
+    }
+
+    if (options["rate-profile"]) {
+        if (!(options["rate-profile"] in RATE_LIMIT_PROFILES)) {
+            log(`[!] Unknown rate limit profile: ${options["rate-profile"]}`);
+            return EXIT_CODE.USAGE;
+        }
+        setRateLimitProfile(options["rate-profile"]);
+    }
+
+    const { run, needsToken } = COMMANDS[command];
+
+    if (needsToken && !(await ensureValidToken())) {
+        return EXIT_CODE.AUTH;
+    }
+
+    installSignalHandlers();
+
+    try {
+        return await run({ ids, options });
+    } catch (e) {
+        log(`❌ ${command} failed: ${e.message || e}`);
+        return e instanceof TokenExpiredError ? EXIT_CODE.AUTH : EXIT_CODE.FAILURE;
+    }
+};
@@ -5,11 +5,14 @@
  * @module constants
  */
 
+// Load .env here too: FB_API_HOST is read when this module is first imported
+import "dotenv/config";
+
 /**
- * Facebook Graph API base URL with version
+ * Facebook Graph API base URL with version (override with FB_API_HOST)
  * @constant {string}
  */
-export const FB_API_HOST = "https://graph.facebook.com/v21.0";
+export const FB_API_HOST = process.env.FB_API_HOST || "https://graph.facebook.com/v21.0";
 
 /**
  * Supported media types for downloads
@@ -22,6 +25,76 @@ export const MEDIA_TYPE = Object.freeze({
   VIDEO: "video",
 });
 
+/**
+ * API type names used to key persisted crawl state (matches api_types.name)
+ * @constant {Object}
+ * @property {string} USER_PHOTOS - /{id}/photos crawl
+ * @property {string} USER_VIDEOS - /{id}/feed crawl for videos
+ * @property {string} WALL_FEED - /{id}/feed crawl for wall media
+ * @property {string} ALBUM_PHOTOS - /{album-id}/photos crawl
+ * @property {string} USER_TAGGED_PHOTOS - /{id}/photos?type=tagged crawl
+ * @property {string} USER_PROFILE_PICTURES - Profile pictures album crawl
+ * @property {string} USER_COVER_PHOTOS - Cover photos album crawl
+ */
+export const API_TYPE = Object.freeze({
+  USER_PHOTOS: "get_list_fb_user_photos",
+  USER_VIDEOS: "get_list_fb_user_videos",
+  WALL_FEED: "get_list_fb_wall_feed",
+  ALBUM_PHOTOS: "get_list_fb_album_photos",
+  USER_TAGGED_PHOTOS: "get_list_fb_user_tagged_photos",
+  USER_PROFILE_PICTURES: "get_list_fb_user_profile_pictures",
+  USER_COVER_PHOTOS: "get_list_fb_user_cover_photos",
+});
+
+/**
+ * Album types returned in the `type` field of /{id}/albums
+ * @constant {Object}
+ * @property {string} PROFILE - Profile pictures
+ * @property {string} COVER - Cover photos
+ * @property {string} MOBILE - Mobile uploads
+ * @property {string} WALL - Timeline photos
+ * @property {string} NORMAL - Albums created by the user
+ */
+export const ALBUM_TYPE = Object.freeze({
+  PROFILE: "profile",
+  COVER: "cover",
+  MOBILE: "mobile",
+  WALL: "wall",
+  NORMAL: "normal",
+});
+
+/**
+ * Photo sets of a user that can be downloaded on their own
+ * @constant {Object}
+ * @property {string} UPLOADED - Photos uploaded by the user
+ * @property {string} TAGGED - Photos the user is tagged in
+ * @property {string} PROFILE - Profile picture history (profile pictures album)
+ * @property {string} COVER - Cover photo history (cover photos album)
+ */
+export const USER_PHOTO_TYPE = Object.freeze({
+  UPLOADED: "uploaded",
+  TAGGED: "tagged",
+  PROFILE: "profile",
+  COVER: "cover",
+});
+
+/**
+ * File formats of link exports (see link_export.js)
+ * @constant {Object}
+ * @property {string} TXT - id;url lines (readable by "download from file")
+ * @property {string} CSV - CSV with a header row
+ * @property {string} JSONL - One JSON object per line with the full metadata
+ * @property {string} ARIA2 - aria2c input file (aria2c -i) with output folders and names
+ * @property {string} WGET - Shell script of wget commands with output names
+ */
+export const LINK_FORMAT = Object.freeze({
+  TXT: "txt",
+  CSV: "csv",
+  JSONL: "jsonl",
+  ARIA2: "aria2",
+  WGET: "wget",
+});
+
 /**
  * Console text styling codes for terminal output
  * @see https://stackoverflow.com/a/41407246
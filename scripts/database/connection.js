@@ -58,6 +58,211 @@ export const initDatabase = () => {
                     log(`⚠️ Migration error: ${migrationError.message}`);
                 }
             }
+
+            // Content hash columns for deduplication (see dedup.js)
+            const hasContentHashColumn = db.prepare(
+                "SELECT 1 FROM pragma_table_info('saved_media') WHERE name='content_hash'"
+            ).get();
+
+            if (!hasContentHashColumn) {
+                log('📊 Adding content hash columns to existing database...');
+                try {
+                    db.exec(`
+                        ALTER TABLE saved_media ADD COLUMN content_hash TEXT;
+                        ALTER TABLE saved_media ADD COLUMN file_size INTEGER;
+                        CREATE INDEX IF NOT EXISTS idx_saved_media_content_hash ON saved_media(content_hash);
+                    `);
+                    log('✅ Content hash columns added successfully');
+                } catch (migrationError) {
+                    log(`⚠️ Migration error: ${migrationError.message}`);
+                }
+            }
+
+            // Poster column for group downloads (see download_group.js)
+            const hasPostedByColumn = db.prepare(
+                "SELECT 1 FROM pragma_table_info('saved_media') WHERE name='posted_by_user_id'"
+            ).get();
+
+            if (!hasPostedByColumn) {
+                log('📊 Adding poster column to existing database...');
+                try {
+                    db.exec(`
+                        ALTER TABLE saved_media ADD COLUMN posted_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+                        CREATE INDEX IF NOT EXISTS idx_saved_media_posted_by ON saved_media(posted_by_user_id);
+                    `);
+                    log('✅ Poster column added successfully');
+                } catch (migrationError) {
+                    log(`⚠️ Migration error: ${migrationError.message}`);
+                }
+            }
+
+            // Video quality columns (see resolveVideoSource in download_helpers.js)
+            const hasQualityColumn = db.prepare(
+                "SELECT 1 FROM pragma_table_info('saved_media') WHERE name='quality'"
+            ).get();
+
+            if (!hasQualityColumn) {
+                log('📊 Adding video quality columns to existing database...');
+                try {
+                    db.exec(`
+                        ALTER TABLE saved_media ADD COLUMN quality TEXT;
+                        ALTER TABLE saved_media ADD COLUMN duration REAL;
+                    `);
+                    log('✅ Video quality columns added successfully');
+                } catch (migrationError) {
+                    log(`⚠️ Migration error: ${migrationError.message}`);
+                }
+            }
+
+            // API types added after the initial schema (used to key saved crawl cursors)
+            db.exec(`
+                INSERT OR IGNORE INTO api_types (name) VALUES
+                    ('get_list_fb_user_videos'),
+                    ('get_list_fb_wall_feed'),
+                    ('get_list_fb_album_photos'),
+                    ('get_list_fb_user_tagged_photos'),
+                    ('get_list_fb_user_profile_pictures'),
+                    ('get_list_fb_user_cover_photos');
+            `);
+
+            // Sync watermarks for incremental downloads
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS sync_watermarks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    api_type_id INTEGER NOT NULL,
+                    source_id TEXT NOT NULL DEFAULT '',
+                    newest_media_time DATETIME,
+                    last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    FOREIGN KEY (api_type_id) REFERENCES api_types(id) ON DELETE CASCADE,
+                    UNIQUE(user_id, api_type_id, source_id)
+                );
+                CREATE INDEX IF NOT EXISTS idx_sync_watermarks_lookup
+                    ON sync_watermarks(user_id, api_type_id, source_id);
+            `);
+
+            // Failed downloads waiting to be retried (see retry_failed.js)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS failed_media (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    media_id TEXT NOT NULL,
+                    media_type TEXT NOT NULL,
+                    source_url TEXT,
+                    file_path TEXT,
+                    error TEXT,
+                    attempts INTEGER DEFAULT 1,
+                    first_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    UNIQUE(user_id, media_id)
+                );
+                CREATE INDEX IF NOT EXISTS idx_failed_media_user
+                    ON failed_media(user_id, last_failed_at);
+            `);
+
+            // Access token pool used by myFetch (see token_manager.js)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS access_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    platform_id INTEGER NOT NULL,
+                    token TEXT NOT NULL UNIQUE,
+                    label TEXT,
+                    permissions TEXT,
+                    priority INTEGER DEFAULT 0,
+                    is_active BOOLEAN DEFAULT 1,
+                    is_rate_limited BOOLEAN DEFAULT 0,
+                    rate_limit_reset DATETIME,
+                    requests_made INTEGER DEFAULT 0,
+                    last_request DATETIME,
+                    last_used DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (platform_id) REFERENCES platforms(platform_id)
+                );
+                CREATE TABLE IF NOT EXISTS token_usage_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    token_id INTEGER NOT NULL,
+                    endpoint TEXT,
+                    success BOOLEAN,
+                    http_status INTEGER,
+                    response_time_ms INTEGER,
+                    error_message TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (token_id) REFERENCES access_tokens(id) ON DELETE CASCADE
+                );
+                CREATE INDEX IF NOT EXISTS idx_access_tokens_pick
+                    ON access_tokens(platform_id, is_active, priority);
+                CREATE INDEX IF NOT EXISTS idx_token_usage_log_token
+                    ON token_usage_log(token_id, created_at);
+                CREATE VIEW IF NOT EXISTS v_token_analytics AS
+                SELECT
+                    t.id,
+                    t.platform_id,
+                    t.label,
+                    t.priority,
+                    t.is_active,
+                    t.is_rate_limited,
+                    t.rate_limit_reset,
+                    t.requests_made as total_api_requests,
+                    COUNT(l.id) as logged_requests,
+                    SUM(CASE WHEN l.success = 1 THEN 1 ELSE 0 END) as successful_requests,
+                    ROUND(AVG(l.response_time_ms), 2) as avg_response_time,
+                    t.last_used
+                FROM access_tokens t
+                LEFT JOIN token_usage_log l ON l.token_id = t.id
+                GROUP BY t.id;
+            `);
+
+            // Rate limit usage history (see rate_limit_manager.js)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS rate_limit_usage (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    token_id INTEGER,
+                    header_type TEXT NOT NULL,
+                    scope_id TEXT NOT NULL DEFAULT '',
+                    call_count REAL DEFAULT 0,
+                    total_cputime REAL DEFAULT 0,
+                    total_time REAL DEFAULT 0,
+                    regain_access_at DATETIME,
+                    recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (token_id) REFERENCES access_tokens(id) ON DELETE CASCADE
+                );
+                CREATE INDEX IF NOT EXISTS idx_rate_limit_usage_recorded
+                    ON rate_limit_usage(recorded_at, token_id);
+            `);
+
+            // Proxy health used to be keyed by the proxy URL, credentials included
+            const hasProxyUrlColumn = db.prepare(
+                "SELECT 1 FROM pragma_table_info('proxy_health') WHERE name='proxy_url'"
+            ).get();
+
+            if (hasProxyUrlColumn) {
+                log('📊 Removing proxy health saved with proxy credentials...');
+                try {
+                    // Only cached health: proxies start over with a fresh score
+                    db.exec('DROP TABLE proxy_health');
+                    log('✅ Proxy health removed successfully');
+                } catch (migrationError) {
+                    log(`⚠️ Migration error: ${migrationError.message}`);
+                }
+            }
+
+            // Proxy health (see proxy_manager.js)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS proxy_health (
+                    proxy_id TEXT PRIMARY KEY,
+                    success_count INTEGER DEFAULT 0,
+                    failure_count INTEGER DEFAULT 0,
+                    consecutive_failures INTEGER DEFAULT 0,
+                    latency_ms INTEGER,
+                    last_error TEXT,
+                    cooldown_until DATETIME,
+                    last_success_at DATETIME,
+                    last_failure_at DATETIME,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
         }
 
         return db;
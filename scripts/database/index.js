@@ -30,14 +30,44 @@ export {
     getMediaStatus,
     updateMediaToHD,
     getMediaNeedingHDUpgrade,
+    setMediaVideoInfo,
+    getVideosNeedingHDUpgrade,
     getSavedMediaIds,
+    getSavedMediaFilePaths,
+    updateMediaFilePath,
+    setMediaContentHash,
+    setMediaPoster,
+    findMediaByContentHash,
+    getMediaWithoutContentHash,
+    recordFailedMedia,
+    clearFailedMedia,
+    getFailedMedia,
+    getApiTypeId,
     getCursor,
-    updateCursor
+    updateCursor,
+    deleteCursor,
+    getSyncWatermark,
+    updateSyncWatermark
 } from './media.js';
 
+// Rate limit usage (see rate_limit_manager.js)
+export {
+    recordRateLimitUsage,
+    getLatestRateLimitUsage,
+    getRateLimitHistory,
+    pruneRateLimitUsage
+} from './rate_limits.js';
+
+// Proxy health (see proxy_manager.js)
+export {
+    getProxyHealth,
+    saveProxyHealth
+} from './proxies.js';
+
 // Reporting operations
 export {
     createReport,
     addReportDetail,
-    getDownloadStats
+    getDownloadStats,
+    getDuplicateClusters
 } from './reports.js';
@@ -1,7 +1,8 @@
 /**
  * Database Media Module
  *
- * Handles media tracking: download status, HD upgrades, and cursor management.
+ * Handles media tracking: download status, HD upgrades, content hashes, failed downloads,
+ * cursor management and sync watermarks.
  * @module database/media
  */
 
@@ -47,6 +48,7 @@ export const saveMedia = (userId, mediaId, isHd = false, filePath = null) => {
         db.prepare(
             'INSERT OR IGNORE INTO saved_media (user_id, media_id, is_hd, file_path) VALUES (?, ?, ?, ?)'
         ).run(userId, mediaId, isHd ? 1 : 0, filePath);
+        clearFailedMedia(userId, mediaId);
 
         return true;
     } catch (error) {
@@ -104,6 +106,7 @@ export const updateMediaToHD = (userId, mediaId, filePath = null) => {
                 'UPDATE saved_media SET is_hd = 1 WHERE user_id = ? AND media_id = ?'
             ).run(userId, mediaId);
         }
+        clearFailedMedia(userId, mediaId);
         return true;
     } catch (error) {
         log(`⚠️ Error updating media to HD: ${error.message}`);
@@ -131,6 +134,61 @@ export const getMediaNeedingHDUpgrade = (userId) => {
     }
 };
 
+/**
+ * Store the resolved quality and duration of a saved video
+ * @param {number} userId - User ID
+ * @param {string} mediaId - Video ID
+ * @param {{quality: string|null, duration: number|null}} video - Video quality (e.g. 720p) and length in seconds
+ * @returns {boolean} Success status
+ */
+export const setMediaVideoInfo = (userId, mediaId, { quality = null, duration = null }) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return false;
+
+    try {
+        db.prepare(
+            'UPDATE saved_media SET quality = ?, duration = ? WHERE user_id = ? AND media_id = ?'
+        ).run(quality, duration, userId, mediaId);
+        return true;
+    } catch (error) {
+        log(`⚠️ Error saving video info: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Get saved videos that were only available in SD (for the video upgrade pass)
+ * Only videos with a resolved quality are returned, photos never have one
+ * @param {Object} filters - Query filters
+ * @param {number[]|null} filters.userIds - Only videos of these users (null for all)
+ * @returns {Array<{user_id: number, uid: string, media_id: string, file_path: string|null, quality: string}>} SD videos
+ */
+export const getVideosNeedingHDUpgrade = ({ userIds = null } = {}) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return [];
+
+    try {
+        const params = [];
+        let userFilter = '';
+
+        if (userIds) {
+            userFilter = `AND s.user_id IN (${userIds.map(() => '?').join(', ') || 'NULL'})`;
+            params.push(...userIds);
+        }
+
+        return db.prepare(`
+      SELECT s.user_id, u.uid, s.media_id, s.file_path, s.quality
+      FROM saved_media s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.is_hd = 0 AND s.quality IS NOT NULL ${userFilter}
+      ORDER BY s.id
+    `).all(...params);
+    } catch (error) {
+        log(`⚠️ Error getting videos needing HD upgrade: ${error.message}`);
+        return [];
+    }
+};
+
 /**
  * Get all saved media IDs for a user
  * @param {number} userId - User ID
@@ -152,11 +210,243 @@ export const getSavedMediaIds = (userId) => {
     }
 };
 
+/**
+ * Get every distinct file path of saved media
+ * @returns {string[]} File paths
+ */
+export const getSavedMediaFilePaths = () => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return [];
+
+    try {
+        return db.prepare(
+            'SELECT DISTINCT file_path FROM saved_media WHERE file_path IS NOT NULL ORDER BY file_path'
+        ).all().map((row) => row.file_path);
+    } catch (error) {
+        log(`⚠️ Error getting saved file paths: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+ * Point every saved media stored at a path to a new path (file was renamed)
+ * @param {string} oldPath - Previous file path
+ * @param {string} newPath - New file path
+ * @returns {number} Number of updated rows
+ */
+export const updateMediaFilePath = (oldPath, newPath) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return 0;
+
+    try {
+        return db.prepare(
+            'UPDATE saved_media SET file_path = ? WHERE file_path = ?'
+        ).run(newPath, oldPath).changes;
+    } catch (error) {
+        log(`⚠️ Error updating file path: ${error.message}`);
+        return 0;
+    }
+};
+
+/**
+ * Store the content hash and size of a saved media file
+ * @param {number} userId - User ID
+ * @param {string} mediaId - Media ID
+ * @param {string} contentHash - SHA-256 of the file (hex)
+ * @param {number|null} fileSize - File size in bytes
+ * @returns {boolean} Success status
+ */
+export const setMediaContentHash = (userId, mediaId, contentHash, fileSize = null) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return false;
+
+    try {
+        db.prepare(
+            'UPDATE saved_media SET content_hash = ?, file_size = ? WHERE user_id = ? AND media_id = ?'
+        ).run(contentHash, fileSize, userId, mediaId);
+        return true;
+    } catch (error) {
+        log(`⚠️ Error saving content hash: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Store which member posted a saved media (group downloads)
+ * @param {number} userId - User ID the media is saved under (the group)
+ * @param {string} mediaId - Media ID
+ * @param {number} posterUserId - User ID of the member who posted it
+ * @returns {boolean} Success status
+ */
+export const setMediaPoster = (userId, mediaId, posterUserId) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return false;
+
+    try {
+        db.prepare(
+            'UPDATE saved_media SET posted_by_user_id = ? WHERE user_id = ? AND media_id = ?'
+        ).run(posterUserId, userId, mediaId);
+        return true;
+    } catch (error) {
+        log(`⚠️ Error saving media poster: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Get saved media files with the given content hash, oldest first
+ * @param {string} contentHash - SHA-256 of the file (hex)
+ * @returns {Array<{user_id: number, media_id: string, file_path: string}>} Media with that content
+ */
+export const findMediaByContentHash = (contentHash) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return [];
+
+    try {
+        return db.prepare(
+            'SELECT user_id, media_id, file_path FROM saved_media WHERE content_hash = ? AND file_path IS NOT NULL ORDER BY id'
+        ).all(contentHash);
+    } catch (error) {
+        log(`⚠️ Error finding media by hash: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+ * Get saved media files that have no content hash yet (saved before deduplication)
+ * @returns {Array<{user_id: number, media_id: string, file_path: string}>} Media without a hash
+ */
+export const getMediaWithoutContentHash = () => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return [];
+
+    try {
+        return db.prepare(
+            'SELECT user_id, media_id, file_path FROM saved_media WHERE content_hash IS NULL AND file_path IS NOT NULL ORDER BY id'
+        ).all();
+    } catch (error) {
+        log(`⚠️ Error getting media without hash: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+ * Record a failed download (or one more failed attempt of it)
+ * @param {number} userId - User ID
+ * @param {string} mediaId - Media ID
+ * @param {Object} details - Failure details
+ * @param {string} details.mediaType - Media type (see MEDIA_TYPE in constants.js)
+ * @param {string|null} details.sourceUrl - URL that failed
+ * @param {string|null} details.filePath - Path the file should be saved to
+ * @param {string|null} details.error - Error message
+ * @returns {boolean} Success status
+ */
+export const recordFailedMedia = (userId, mediaId, { mediaType, sourceUrl = null, filePath = null, error = null }) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return false;
+
+    try {
+        db.prepare(`
+      INSERT INTO failed_media (user_id, media_id, media_type, source_url, file_path, error)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(user_id, media_id) DO UPDATE SET
+        media_type = excluded.media_type,
+        source_url = COALESCE(excluded.source_url, source_url),
+        file_path = COALESCE(excluded.file_path, file_path),
+        error = excluded.error,
+        attempts = attempts + 1,
+        last_failed_at = CURRENT_TIMESTAMP
+    `).run(userId, mediaId, mediaType, sourceUrl, filePath, error);
+
+        return true;
+    } catch (err) {
+        log(`⚠️ Error recording failed media: ${err.message}`);
+        return false;
+    }
+};
+
+/**
+ * Remove a media from the failed downloads (it was downloaded)
+ * @param {number} userId - User ID
+ * @param {string} mediaId - Media ID
+ * @returns {boolean} Success status
+ */
+export const clearFailedMedia = (userId, mediaId) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return false;
+
+    try {
+        db.prepare(
+            'DELETE FROM failed_media WHERE user_id = ? AND media_id = ?'
+        ).run(userId, mediaId);
+        return true;
+    } catch (error) {
+        log(`⚠️ Error clearing failed media: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Get failed downloads, oldest failure first
+ * @param {Object} filters - Optional filters
+ * @param {number[]|null} filters.userIds - Only these users (null for all)
+ * @param {number|null} filters.maxAttempts - Only media that failed fewer times than this
+ * @returns {Array<{user_id: number, uid: string, media_id: string, media_type: string, source_url: string|null, file_path: string|null, error: string|null, attempts: number, last_failed_at: string}>} Failed media
+ */
+export const getFailedMedia = ({ userIds = null, maxAttempts = null } = {}) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return [];
+
+    try {
+        const conditions = [];
+        const params = [];
+
+        if (userIds) {
+            conditions.push(`f.user_id IN (${userIds.map(() => '?').join(', ') || 'NULL'})`);
+            params.push(...userIds);
+        }
+        if (maxAttempts) {
+            conditions.push('f.attempts < ?');
+            params.push(maxAttempts);
+        }
+
+        return db.prepare(`
+      SELECT f.user_id, u.uid, f.media_id, f.media_type, f.source_url, f.file_path,
+             f.error, f.attempts, f.last_failed_at
+      FROM failed_media f
+      JOIN users u ON u.id = f.user_id
+      ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY f.last_failed_at, f.id
+    `).all(...params);
+    } catch (error) {
+        log(`⚠️ Error getting failed media: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+ * Get API type ID by name
+ * @param {string} name - API type name (see API_TYPE in constants.js)
+ * @returns {number|null} API type ID or null if not found
+ */
+export const getApiTypeId = (name) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return null;
+
+    try {
+        const result = db.prepare('SELECT id FROM api_types WHERE name = ?').get(name);
+        return result?.id || null;
+    } catch (error) {
+        log(`⚠️ Error getting API type: ${error.message}`);
+        return null;
+    }
+};
+
 /**
  * Get pagination cursor for user and API type
  * @param {number} userId - User ID
  * @param {number} apiTypeId - API type ID
- * @returns {{cursor: string, pages_loaded: number}|null} Cursor data or null
+ * @returns {{cursor: string, pages_loaded: number, last_updated: string}|null} Cursor data or null
  */
 export const getCursor = (userId, apiTypeId) => {
     const db = getDatabase();
@@ -164,7 +454,7 @@ export const getCursor = (userId, apiTypeId) => {
 
     try {
         const result = db.prepare(
-            'SELECT cursor, pages_loaded FROM user_cursors WHERE user_id = ? AND api_type_id = ?'
+            'SELECT cursor, pages_loaded, last_updated FROM user_cursors WHERE user_id = ? AND api_type_id = ?'
         ).get(userId, apiTypeId);
 
         return result;
@@ -202,3 +492,78 @@ export const updateCursor = (userId, apiTypeId, cursor, pagesLoaded) => {
         return false;
     }
 };
+
+/**
+ * Delete pagination cursor for user and API type (crawl reached the last page)
+ * @param {number} userId - User ID
+ * @param {number} apiTypeId - API type ID
+ * @returns {boolean} Success status
+ */
+export const deleteCursor = (userId, apiTypeId) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return false;
+
+    try {
+        db.prepare(
+            'DELETE FROM user_cursors WHERE user_id = ? AND api_type_id = ?'
+        ).run(userId, apiTypeId);
+        return true;
+    } catch (error) {
+        log(`⚠️ Error deleting cursor: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Get the sync watermark for a user, API type and source
+ * @param {number} userId - User ID
+ * @param {number} apiTypeId - API type ID
+ * @param {string} sourceId - Source ID (album ID, or '' for user-level crawls)
+ * @returns {{newest_media_time: string|null, last_synced_at: string}|null} Watermark or null
+ */
+export const getSyncWatermark = (userId, apiTypeId, sourceId = '') => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return null;
+
+    try {
+        const result = db.prepare(
+            'SELECT newest_media_time, last_synced_at FROM sync_watermarks WHERE user_id = ? AND api_type_id = ? AND source_id = ?'
+        ).get(userId, apiTypeId, sourceId);
+
+        return result || null;
+    } catch (error) {
+        log(`⚠️ Error getting sync watermark: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Record a completed sync for a user, API type and source
+ * The stored newest media time only moves forward
+ * @param {number} userId - User ID
+ * @param {number} apiTypeId - API type ID
+ * @param {string} sourceId - Source ID (album ID, or '' for user-level crawls)
+ * @param {string|null} newestMediaTime - created_time of the newest media seen (ISO 8601)
+ * @returns {boolean} Success status
+ */
+export const updateSyncWatermark = (userId, apiTypeId, sourceId = '', newestMediaTime = null) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return false;
+
+    try {
+        db.prepare(`
+      INSERT INTO sync_watermarks (user_id, api_type_id, source_id, newest_media_time)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(user_id, api_type_id, source_id) DO UPDATE SET
+        newest_media_time = CASE
+          WHEN newest_media_time IS NULL OR excluded.newest_media_time > newest_media_time
+          THEN excluded.newest_media_time ELSE newest_media_time END,
+        last_synced_at = CURRENT_TIMESTAMP
+    `).run(userId, apiTypeId, sourceId, newestMediaTime);
+
+        return true;
+    } catch (error) {
+        log(`⚠️ Error updating sync watermark: ${error.message}`);
+        return false;
+    }
+};
@@ -0,0 +1,84 @@
+/**
+ * Database Proxies Module
+ *
+ * Stores the health of each proxy (success and failure counts, latency, last
+ * error, cooldown), so a new run keeps favouring good proxies and still waits
+ * out the cooldown of failing ones. Proxies are keyed by a hash of their URL
+ * (see getProxyId in proxy_manager.js), never by the URL and its credentials.
+ * @module database/proxies
+ */
+
+import { DATABASE_ENABLED } from '../../config.js';
+import { getDatabase } from './connection.js';
+import { log } from '../logger.js';
+
+/**
+ * Get the saved health of every proxy
+ * @returns {Array<{proxy_id: string, success_count: number, failure_count: number, consecutive_failures: number, latency_ms: number|null, last_error: string|null, cooldown_until: string|null, last_success_at: string|null, last_failure_at: string|null}>} Proxy health rows
+ */
+export const getProxyHealth = () => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return [];
+
+    try {
+        return db.prepare(`
+      SELECT proxy_id, success_count, failure_count, consecutive_failures, latency_ms,
+             last_error, cooldown_until, last_success_at, last_failure_at
+      FROM proxy_health
+    `).all();
+    } catch (error) {
+        log(`⚠️ Error getting proxy health: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+ * Save the health of a proxy (insert or replace)
+ * @param {string} proxyId - Proxy ID (hash of the proxy URL)
+ * @param {Object} health - Health (see proxy_manager.js)
+ * @param {number} health.successCount - Successful requests
+ * @param {number} health.failureCount - Failed requests
+ * @param {number} health.consecutiveFailures - Failures since the last success
+ * @param {number|null} health.latency - Average latency in ms
+ * @param {string|null} health.lastError - Last error message
+ * @param {string|null} health.cooldownUntil - ISO date the proxy is not used before
+ * @param {string|null} health.lastSuccessAt - ISO date of the last success
+ * @param {string|null} health.lastFailureAt - ISO date of the last failure
+ * @returns {boolean} Success status
+ */
+export const saveProxyHealth = (proxyId, health) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return false;
+
+    try {
+        db.prepare(`
+      INSERT INTO proxy_health (proxy_id, success_count, failure_count, consecutive_failures, latency_ms,
+                                last_error, cooldown_until, last_success_at, last_failure_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(proxy_id) DO UPDATE SET
+        success_count = excluded.success_count,
+        failure_count = excluded.failure_count,
+        consecutive_failures = excluded.consecutive_failures,
+        latency_ms = excluded.latency_ms,
+        last_error = excluded.last_error,
+        cooldown_until = excluded.cooldown_until,
+        last_success_at = excluded.last_success_at,
+        last_failure_at = excluded.last_failure_at,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+            proxyId,
+            health.successCount,
+            health.failureCount,
+            health.consecutiveFailures,
+            health.latency === null ? null : Math.round(health.latency),
+            health.lastError,
+            health.cooldownUntil,
+            health.lastSuccessAt,
+            health.lastFailureAt
+        );
+        return true;
+    } catch (error) {
+        log(`⚠️ Error saving proxy health: ${error.message}`);
+        return false;
+    }
+};
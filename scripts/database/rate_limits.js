@@ -0,0 +1,118 @@
+/**
+ * Database Rate Limits Module
+ *
+ * Stores the Graph API usage headers of each token, so a new run knows a token
+ * is still throttled and usage can be reviewed over time.
+ * @module database/rate_limits
+ */
+
+import { DATABASE_ENABLED } from '../../config.js';
+import { getDatabase } from './connection.js';
+import { log } from '../logger.js';
+
+/**
+ * Save the usage reported by one header of a response
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
+ * @param {Object} usage - Usage (see parseUsageHeaders in rate_limit_manager.js)
+ * @param {string} usage.headerType - app, business or ad_account
+ * @param {string} usage.scopeId - Business or ad account ID ('' for app usage)
+ * @param {number} usage.call_count - Call count percentage
+ * @param {number} usage.total_cputime - CPU time percentage
+ * @param {number} usage.total_time - Total time percentage
+ * @param {string|null} usage.regainAccessAt - ISO date the token is throttled until
+ * @returns {boolean} Success status
+ */
+export const recordRateLimitUsage = (tokenId, { headerType, scopeId = '', call_count, total_cputime, total_time, regainAccessAt = null }) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return false;
+
+    try {
+        db.prepare(`
+      INSERT INTO rate_limit_usage (token_id, header_type, scope_id, call_count, total_cputime, total_time, regain_access_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(tokenId, headerType, scopeId, call_count, total_cputime, total_time, regainAccessAt);
+        return true;
+    } catch (error) {
+        log(`⚠️ Error recording rate limit usage: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Get the last usage saved for each token and header within a time window
+ * @param {number} minutes - Only usage recorded in the last minutes (the rolling window of the limits)
+ * @returns {Array<{token_id: number|null, header_type: string, scope_id: string, call_count: number, total_cputime: number, total_time: number, regain_access_at: string|null, recorded_at: string}>} Latest usage rows
+ */
+export const getLatestRateLimitUsage = (minutes = 60) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return [];
+
+    try {
+        return db.prepare(`
+      SELECT r.token_id, r.header_type, r.scope_id, r.call_count, r.total_cputime, r.total_time,
+             r.regain_access_at, r.recorded_at
+      FROM rate_limit_usage r
+      WHERE r.id IN (
+        SELECT MAX(id) FROM rate_limit_usage
+        WHERE recorded_at > datetime('now', '-' || ? || ' minutes')
+        GROUP BY token_id, header_type, scope_id
+      )
+    `).all(minutes);
+    } catch (error) {
+        log(`⚠️ Error getting rate limit usage: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+ * Get the usage history as a time series: the highest usage of each token and header per time bucket
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.hours - How far back to go (default: 24)
+ * @param {number} filters.bucketMinutes - Size of each time bucket (default: 60)
+ * @param {number|null} filters.tokenId - Only this pool token (null for every token)
+ * @returns {Array<{bucket: string, token_id: number|null, header_type: string, scope_id: string, call_count: number, total_cputime: number, total_time: number, samples: number, throttled: number}>} Rows ordered by bucket
+ */
+export const getRateLimitHistory = ({ hours = 24, bucketMinutes = 60, tokenId = null } = {}) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return [];
+
+    try {
+        const bucketSeconds = bucketMinutes * 60;
+        return db.prepare(`
+      SELECT datetime((CAST(strftime('%s', recorded_at) AS INTEGER) / ?) * ?, 'unixepoch') as bucket,
+             token_id, header_type, scope_id,
+             MAX(call_count) as call_count,
+             MAX(total_cputime) as total_cputime,
+             MAX(total_time) as total_time,
+             COUNT(*) as samples,
+             SUM(CASE WHEN regain_access_at IS NOT NULL THEN 1 ELSE 0 END) as throttled
+      FROM rate_limit_usage
+      WHERE recorded_at > datetime('now', '-' || ? || ' hours')
+        AND (? IS NULL OR token_id = ?)
+      GROUP BY bucket, token_id, header_type, scope_id
+      ORDER BY bucket, token_id, header_type, scope_id
+    `).all(bucketSeconds, bucketSeconds, hours, tokenId, tokenId);
+    } catch (error) {
+        log(`⚠️ Error getting rate limit history: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+ * Delete usage older than the history that is kept
+ * @param {number} days - Keep this many days of usage (default: 7)
+ * @returns {number} Number of deleted rows
+ */
+export const pruneRateLimitUsage = (days = 7) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return 0;
+
+    try {
+        return db.prepare(
+            "DELETE FROM rate_limit_usage WHERE recorded_at < datetime('now', '-' || ? || ' days')"
+        ).run(days).changes;
+    } catch (error) {
+        log(`⚠️ Error pruning rate limit usage: ${error.message}`);
+        return 0;
+    }
+};
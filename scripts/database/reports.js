@@ -1,7 +1,7 @@
 /**
  * Database Reports Module
  *
- * Handles download reporting and statistics tracking.
+ * Handles download reporting, statistics tracking and the duplicate files report.
  * @module database/reports
  */
 
@@ -97,3 +97,42 @@ export const getDownloadStats = (userId) => {
         return null;
     }
 };
+
+/**
+ * Get clusters of saved media sharing the same content hash, largest wasted space first
+ * @param {Object} options - Report options
+ * @param {number} options.limit - Maximum number of clusters (default: 50)
+ * @returns {Array<{content_hash: string, file_size: number|null, copies: number, media: Array<{uid: string, media_id: string, file_path: string}>}>} Duplicate clusters
+ */
+export const getDuplicateClusters = ({ limit = 50 } = {}) => {
+    const db = getDatabase();
+    if (!db || !DATABASE_ENABLED) return [];
+
+    try {
+        const clusters = db.prepare(`
+      SELECT content_hash, MAX(file_size) as file_size, COUNT(*) as copies
+      FROM saved_media
+      WHERE content_hash IS NOT NULL
+      GROUP BY content_hash
+      HAVING COUNT(*) > 1
+      ORDER BY (COUNT(*) - 1) * COALESCE(MAX(file_size), 0) DESC, copies DESC
+      LIMIT ?
+    `).all(limit);
+
+        const members = db.prepare(`
+      SELECT u.uid, sm.media_id, sm.file_path
+      FROM saved_media sm
+      JOIN users u ON u.id = sm.user_id
+      WHERE sm.content_hash = ?
+      ORDER BY sm.id
+    `);
+
+        return clusters.map((cluster) => ({
+            ...cluster,
+            media: members.all(cluster.content_hash),
+        }));
+    } catch (error) {
+        log(`⚠️ Error getting duplicate clusters: ${error.message}`);
+        return [];
+    }
+};
@@ -0,0 +1,223 @@
+/**
+ * Content Deduplication for FB Media Downloader
+ * Detects downloads whose content (SHA-256) is already saved for another user,
+ * album or folder, e.g. the same photo reposted by a page and shared into a group.
+ *
+ * Configuration via .env:
+ * - DEDUP_MODE=hardlink (hardlink | reference | off)
+ *   - hardlink: the new file becomes a hard link to the existing copy (no extra disk space)
+ *   - reference: the new file is deleted and the database points to the existing copy
+ *   - off: downloads are not hashed
+ *
+ * Hard links need both files on the same file system; otherwise the copy is kept.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+    isDatabaseReady,
+    findMediaByContentHash,
+    setMediaContentHash,
+    getMediaWithoutContentHash,
+} from './database.js';
+import { isCancelled } from './cancellation.js';
+import { log } from './logger.js';
+
+/**
+ * What to do with a download whose content is already saved
+ * @constant {Object}
+ */
+export const DEDUP_MODE = Object.freeze({
+    HARDLINK: 'hardlink',
+    REFERENCE: 'reference',
+    OFF: 'off',
+});
+
+/**
+ * Get the configured deduplication mode
+ * @returns {string} One of DEDUP_MODE (hardlink when missing or invalid)
+ */
+export const getDedupMode = () => {
+    const mode = (process.env.DEDUP_MODE || '').trim().toLowerCase();
+    return Object.values(DEDUP_MODE).includes(mode) ? mode : DEDUP_MODE.HARDLINK;
+};
+
+/**
+ * Compute the SHA-256 of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashFile = (filePath) =>
+    new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+
+/**
+ * Check whether two paths are the same file on disk (e.g. already hard-linked)
+ * @param {string} a - First path
+ * @param {string} b - Second path
+ * @returns {boolean} True if both paths point to the same inode
+ */
+const isSameFile = (a, b) => {
+    try {
+        const statA = fs.statSync(a);
+        const statB = fs.statSync(b);
+        return statA.dev === statB.dev && statA.ino === statB.ino;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Find a saved copy of some content, other than the given file
+ * @param {string} contentHash - SHA-256 of the content
+ * @param {string} filePath - File that should not be returned
+ * @returns {string|undefined} Path of an existing copy
+ */
+const findExistingCopy = (contentHash, filePath) =>
+    findMediaByContentHash(contentHash)
+        .map((media) => media.file_path)
+        .find((p) => path.resolve(p) !== path.resolve(filePath) && fs.existsSync(p));
+
+/**
+ * Replace a file with a hard link to another file (atomically, via a temporary link)
+ * @param {string} existingPath - File to link to
+ * @param {string} filePath - File to replace
+ * @returns {boolean} True if the file is now a hard link
+ */
+const replaceWithHardLink = (existingPath, filePath) => {
+    const linkPath = `${filePath}.link`;
+    try {
+        if (fs.existsSync(linkPath)) fs.unlinkSync(linkPath);
+        fs.linkSync(existingPath, linkPath);
+        fs.renameSync(linkPath, filePath);
+        return true;
+    } catch (error) {
+        if (fs.existsSync(linkPath)) fs.unlinkSync(linkPath);
+        log(`⚠️ Could not hard-link ${filePath} (${error.message}), keeping the copy`);
+        return false;
+    }
+};
+
+/**
+ * Delete a download that duplicates a saved file
+ * @param {string} filePath - File to delete
+ * @returns {boolean} True if the file was deleted
+ */
+const deleteDuplicate = (filePath) => {
+    try {
+        fs.unlinkSync(filePath);
+        return true;
+    } catch (error) {
+        log(`⚠️ Could not delete ${filePath} (${error.message}), keeping the copy`);
+        return false;
+    }
+};
+
+/**
+ * Hash a file that was just downloaded and deduplicate it against saved media
+ * @param {string} filePath - Downloaded file
+ * @param {string} mode - Deduplication mode (see DEDUP_MODE)
+ * @returns {Promise<{filePath: string, contentHash: string|null, fileSize: number|null, duplicateOf: string|null}>}
+ *   Path to store in the database (the existing copy in reference mode) and content details
+ */
+export const deduplicateDownload = async (filePath, mode = getDedupMode()) => {
+    const result = { filePath, contentHash: null, fileSize: null, duplicateOf: null };
+    if (mode === DEDUP_MODE.OFF || !isDatabaseReady()) return result;
+
+    try {
+        result.contentHash = await hashFile(filePath);
+        result.fileSize = fs.statSync(filePath).size;
+    } catch (error) {
+        log(`⚠️ Could not hash ${filePath}: ${error.message}`);
+        return result;
+    }
+
+    const existingPath = findExistingCopy(result.contentHash, filePath);
+    if (!existingPath || isSameFile(existingPath, filePath)) return result;
+
+    result.duplicateOf = existingPath;
+
+    if (mode === DEDUP_MODE.REFERENCE) {
+        if (deleteDuplicate(filePath)) {
+            result.filePath = existingPath;
+            log(`🔗 Duplicate of ${existingPath}, not keeping another copy`);
+        }
+    } else if (replaceWithHardLink(existingPath, filePath)) {
+        log(`🔗 Duplicate of ${existingPath}, hard-linked ${filePath}`);
+    }
+
+    return result;
+};
+
+/**
+ * Whether the downloaded file is still on disk after deduplicateDownload
+ * (reference mode deletes it and stores the existing copy instead), so
+ * caption and metadata sidecars are only written next to a real file
+ * @param {string} filePath - Downloaded file
+ * @param {{filePath: string}} stored - Result of deduplicateDownload
+ * @returns {boolean} True when the download was kept (possibly as a hard link)
+ */
+export const isDownloadKept = (filePath, stored) => stored.filePath === filePath;
+
+/**
+ * Save the content hash returned by deduplicateDownload for a saved media
+ * @param {number|null} userId - Database user ID
+ * @param {string} mediaId - Media ID
+ * @param {{contentHash: string|null, fileSize: number|null}} stored - Result of deduplicateDownload
+ * @returns {void}
+ */
+export const saveContentHash = (userId, mediaId, stored) => {
+    if (!userId || !stored?.contentHash) return;
+    setMediaContentHash(userId, mediaId, stored.contentHash, stored.fileSize);
+};
+
+/**
+ * Hash saved media files that have no content hash yet (downloaded before deduplication)
+ * Files are only hashed, not linked, so existing folders stay untouched
+ * @param {Function} progressCallback - Called with (current, total) after each file
+ * @returns {Promise<{hashed: number, missing: number}>} Hashed files and files not found on disk
+ */
+export const hashSavedMedia = async (progressCallback = () => { }) => {
+    const media = getMediaWithoutContentHash();
+    let hashed = 0;
+    let missing = 0;
+
+    for (let i = 0; i < media.length; i++) {
+        if (isCancelled()) break;
+
+        const { user_id, media_id, file_path } = media[i];
+        if (fs.existsSync(file_path)) {
+            try {
+                const contentHash = await hashFile(file_path);
+                setMediaContentHash(user_id, media_id, contentHash, fs.statSync(file_path).size);
+                hashed++;
+            } catch (error) {
+                log(`⚠️ Could not hash ${file_path}: ${error.message}`);
+            }
+        } else {
+            missing++;
+        }
+
+        progressCallback(i + 1, media.length);
+    }
+
+    return { hashed, missing };
+};
+
+/**
+ * Format a duplicate cluster for display
+ * @param {{content_hash: string, file_size: number|null, copies: number, media: Array<{uid: string, media_id: string, file_path: string}>}} cluster - Cluster from getDuplicateClusters
+ * @returns {string} Multi-line description
+ */
+export const formatDuplicateCluster = (cluster) => {
+    const sizeKb = cluster.file_size ? `${Math.round(cluster.file_size / 1024)} KB` : '? KB';
+    const lines = [`${cluster.content_hash.slice(0, 12)}  ${cluster.copies} copies × ${sizeKb}`];
+    cluster.media.forEach((m) => lines.push(`   ${m.uid}  ${m.media_id}  ${m.file_path}`));
+    return lines.join('\n');
+};
@@ -1,27 +1,41 @@
-import { FB_API_HOST, S } from "./constants.js";
+import { API_TYPE, FB_API_HOST, LINK_FORMAT, MEDIA_TYPE, S } from "./constants.js";
 import {
   ACCESS_TOKEN,
   WAIT_BEFORE_NEXT_FETCH,
-  ID_LINK_SEPERATOR,
-  FOLDER_TO_SAVE_LINKS,
-  PHOTO_FILE_FORMAT,
   DATABASE_ENABLED,
   PLATFORM_FACEBOOK,
-  getSaveFolderPath,
 } from "../config.js";
+import path from "path";
 import {
   createIfNotExistDir,
-  deleteFile,
   download,
   getLargestPhotoLink,
   myFetch,
-  saveToFile,
+  GRAPH_IDS_LIMIT,
+  saveMetadataFile,
   sleep,
 } from "./utils.js";
 import { t } from "./lang.js";
 import { log } from "./logger.js";
-import { getOrCreateUser } from "./database.js";
-import { checkMediaSkip, attemptHDFetch, saveMediaWithTracking, logDownloadSummary } from "./download_helpers.js";
+import { getOrCreateUser, getUserIdByUID } from "./database.js";
+import {
+  checkMediaSkip,
+  attemptHDFetch,
+  prefetchHDPhotoLinks,
+  saveMediaWithTracking,
+  logDownloadSummary,
+  recordDownloadFailure,
+  buildMediaMetadata,
+  parseDateRange,
+  filterPageByDateRange,
+  resolveLargestPhotoLinks,
+} from "./download_helpers.js";
+import { PATH_TEMPLATE, getMediaSavePath } from "./path_template.js";
+import { createLinkExporter } from "./link_export.js";
+import { createSyncTracker } from "./incremental_sync.js";
+import { getDownloadQueue } from "./download_queue.js";
+import { deduplicateDownload, isDownloadKept, saveContentHash } from "./dedup.js";
+import { createDryRunEstimate, logDryRunEstimate } from "./dry_run.js";
 import { isCancelled } from "./cancellation.js";
 
 /**
@@ -30,19 +44,28 @@ import { isCancelled } from "./cancellation.js";
  * @param {Object} params - Fetch parameters
  * @param {string} params.albumId - Facebook album ID
  * @param {string|null} params.cursor - Pagination cursor for fetching next page
- * @returns {Promise<{imgData: Array<{id: string, url: string}>, nextCursor: string|null}|null>} Photo data and next cursor, or null on error
+ * @returns {Promise<{imgData: Array<{id: string, url: string, created_time: string, from: object|null, message: string|null, permalink: string|null, width: number, height: number}>, nextCursor: string|null}>} Photo data and next cursor
+ * @throws {GraphApiError} When the page cannot be fetched (see graph_errors.js)
  */
 const fetchAlbumPhotosFromCursor = async ({ albumId, cursor }) => {
   // create link to fetch
-  let url = `${FB_API_HOST}/${albumId}/photos?fields=largest_image&limit=100&access_token=${ACCESS_TOKEN}`;
+  let url = `${FB_API_HOST}/${albumId}/photos?fields=largest_image,created_time,from,name,link&limit=100&access_token=${ACCESS_TOKEN}`;
   if (cursor) url += `&after=${cursor}`;
 
   const json = await myFetch(url);
-  if (!json) return null;
 
   // return imgData + next cursor
   return {
-    imgData: json.data?.map((_) => ({ id: _.id, url: _.largest_image.source })),
+    imgData: json.data?.map((_) => ({
+      id: _.id,
+      url: _.largest_image.source,
+      created_time: _.created_time,
+      from: _.from || null, // uploader (group albums have photos from many members)
+      message: _.name || null, // photo caption
+      permalink: _.link || null,
+      width: _.largest_image.width,
+      height: _.largest_image.height,
+    })),
     nextCursor: json.paging?.cursors?.after || null,
   };
 };
@@ -50,10 +73,12 @@ const fetchAlbumPhotosFromCursor = async ({ albumId, cursor }) => {
 // Hàm này fetch về toàn bộ ảnh từ 1 album. Sử dụng hàm fetchAlbumPhotosFromCursor
 // Liên tục fetch ảnh và lấy nextCursor, rồi lại fetch ảnh tiếp ở cursor mới. Liên tục cho tới khi không còn nextCursor
 // Dữ liệu trả về là 1 mảng chứa dữ liệu {id, url} của từng ảnh. Có dạng [{id: .., url: ...}, {id: .., url: ...}, ...]
-const fetchAlbumPhotos = async ({
+export const fetchAlbumPhotos = async ({
   albumId,
   pageLimit = Infinity,
   fromPhotoId = null, // tải từ vị trí ảnh nào đó thay vì tải từ đầu
+  syncTracker = null, // incremental sync: dừng khi gặp trang đã đồng bộ
+  dateRange = parseDateRange(), // chỉ lấy ảnh trong khoảng thời gian (xem parseDateRange)
   pageFetchedCallback = async () => { },
 }) => {
   let currentPage = 1;
@@ -78,19 +103,38 @@ const fetchAlbumPhotos = async ({
     });
 
     if (data?.imgData) {
+      // the photos edge has no since/until: filter locally and stop once past the range
+      const { items: imgData, beforeRange } = filterPageByDateRange(data.imgData, dateRange);
+
       // concat data to result array
-      allImgsData.push(...data.imgData);
+      allImgsData.push(...imgData);
 
       log(
         S.BgGreen +
         t("foundAlbumMedia")
-          .replace("{length}", data.imgData.length)
+          .replace("{length}", imgData.length)
           .replace("{total}", allImgsData.length) +
         S.Reset
       );
 
+      // incremental sync: check before downloading, while saved_media still reflects previous runs
+      const reachedSynced = syncTracker?.checkPage(
+        data.imgData.map((_) => _.id),
+        data.imgData.map((_) => _.created_time)
+      ) || false;
+
       // callback when each page fetched
-      await pageFetchedCallback(data.imgData);
+      await pageFetchedCallback(imgData);
+
+      if (reachedSynced) {
+        log(t("reachedSyncedPage").replace("{page}", currentPage));
+        break;
+      }
+
+      if (beforeRange) {
+        log(t("reachedDateRangeStart").replace("{page}", currentPage));
+        break;
+      }
 
       // get next cursor AND increase pageNum
       nextCursor = data.nextCursor;
@@ -109,13 +153,16 @@ const fetchAlbumPhotos = async ({
     }
   }
 
+  if (!hasNextCursor) syncTracker?.markComplete();
+
   return allImgsData;
 };
 
 /**
  * Fetch album information including owner details
  * @param {string} albumId - Facebook album ID
- * @returns {Promise<{id: string, count: number, link: string, name: string, ownerId: string|null}|null>} Album info or null on error
+ * @returns {Promise<{id: string, count: number, link: string, name: string, ownerId: string|null}>} Album info
+ * @throws {ObjectNotFoundError} When the album was deleted (other errors: see graph_errors.js)
  */
 export const fetchAlbumInfo = async (albumId) => {
   // create link to fetch - now includes 'from' field to get owner info
@@ -125,7 +172,6 @@ export const fetchAlbumInfo = async (albumId) => {
   const json = await myFetch(url);
 
   // return album infomation
-  if (!json) return null;
   return {
     id: albumId,
     count: json.count,
@@ -136,42 +182,51 @@ export const fetchAlbumInfo = async (albumId) => {
 };
 
 /**
- * Download and save all photo links from an album to a text file
- * Saves IDs and URLs in the links folder for later use
+ * Download and save all photo links from an album to a file
+ * Saves the links in the links folder for later use (see link_export.js)
  * @param {Object} params - Download parameters
  * @param {string} params.albumId - Facebook album ID
  * @param {string|null} params.fromPhotoId - Start from this photo ID (optional)
  * @param {boolean} params.isGetLargestPhoto - Whether to fetch HD versions (default: false)
+ * @param {string|null} params.since - Only include photos created on or after this date (default: null)
+ * @param {string|null} params.until - Only include photos created on or before this date (default: null)
+ * @param {string} params.format - Link file format (see LINK_FORMAT, default: txt)
  * @returns {Promise<void>}
  */
 export const downloadAlbumPhotoLinks = async ({
   albumId,
   fromPhotoId,
   isGetLargestPhoto = false,
+  since = null,
+  until = null,
+  format = LINK_FORMAT.TXT,
 }) => {
   const from_text = fromPhotoId
     ? t("fromPhotoID") + fromPhotoId
     : t("fromBeginAlbum");
   log(t("downloadAlbumFrom").replace("{albumId}", albumId) + `${from_text}...`);
+  if (dryRun) log(t("dryRunNotice"));
 
-  const fileName = `${FOLDER_TO_SAVE_LINKS}/${albumId}.txt`;
-  deleteFile(fileName); // delete if file exist
+  // album name and owner are part of the exported metadata and output file names
+  const albumInfo = await fetchAlbumInfo(albumId);
+  const exporter = createLinkExporter({
+    id: albumId,
+    format,
+    uid: albumInfo?.ownerId || albumId,
+    album: { id: albumId, name: albumInfo?.name || null },
+  });
 
   await fetchAlbumPhotos({
     albumId,
     fromPhotoId,
-    pageFetchedCallback: (pageImgsData) => {
-      log(`Đang lưu link vào file ${fileName}`);
-
+    dateRange: parseDateRange(since, until),
+    pageFetchedCallback: async (pageImgsData) => {
       if (isGetLargestPhoto) {
-        // TODO  gett largest photo link
+        pageImgsData = await resolveLargestPhotoLinks(pageImgsData);
       }
 
-      saveToFile(
-        fileName,
-        pageImgsData.map((_) => _.id + ID_LINK_SEPERATOR + _.url).join("\n"),
-        false
-      );
+      log(`Đang lưu link vào file ${exporter.fileName}`);
+      exporter.write(pageImgsData);
     },
   });
 };
@@ -183,12 +238,26 @@ export const downloadAlbumPhotoLinks = async ({
  * @param {string} params.albumId - Facebook album ID
  * @param {string|null} params.fromPhotoId - Start from this photo ID (optional)
  * @param {boolean} params.isGetLargestPhoto - Whether to fetch HD versions (default: false)
- * @returns {Promise<{saved: number, skipped: number}>} Download statistics
+ * @param {boolean} params.incremental - Stop at the first page that was already synced (default: false)
+ * @param {string|null} params.syncedSince - Last synced time overriding the saved watermark (default: null)
+ * @param {string|null} params.since - Only download photos created on or after this date (default: null)
+ * @param {string|null} params.until - Only download photos created on or before this date (default: null)
+ * @param {boolean} params.albumFolder - Save into a subfolder named after the album (default: false)
+ * @param {boolean} params.dryRun - Only crawl and estimate the download (see dry_run.js, default: false)
+ * @param {boolean} params.estimateSize - Estimate bytes with HEAD requests in a dry run (default: false)
+ * @returns {Promise<{saved: number, skipped: number, failed: number, estimate?: Object}>} Download statistics
  */
 export const downloadAlbumPhoto = async ({
   albumId,
   fromPhotoId,
   isGetLargestPhoto = false,
+  incremental = false,
+  syncedSince = null,
+  since = null,
+  until = null,
+  albumFolder = false,
+  dryRun = false,
+  estimateSize = false,
 }) => {
   const from_text = fromPhotoId
     ? t("fromPhotoID") + fromPhotoId
@@ -204,29 +273,66 @@ export const downloadAlbumPhoto = async ({
   }
 
   const targetId = ownerId || albumId; // Use owner ID if available, fallback to album ID
-
-  // Get or create user in database
-  const userId = DATABASE_ENABLED && ownerId ? getOrCreateUser(PLATFORM_FACEBOOK, ownerId) : null;
+  const album = { id: albumId, name: albumInfo?.name || null };
+
+  // Get or create user in database (a dry run only looks it up)
+  const userId = !DATABASE_ENABLED || !ownerId ? null
+    : dryRun ? getUserIdByUID(ownerId) : getOrCreateUser(PLATFORM_FACEBOOK, ownerId);
+  const syncTracker = createSyncTracker({
+    userId,
+    apiType: API_TYPE.ALBUM_PHOTOS,
+    sourceId: albumId,
+    incremental,
+    syncedSince,
+  });
+  const dateRange = parseDateRange(since, until);
 
   let saved = 0;
   let skipped = 0;
+  let failed = 0;
+  const queue = getDownloadQueue();
+  const estimate = dryRun ? createDryRunEstimate({ userId, isGetLargestPhoto, estimateSize }) : null;
+  estimate?.addApiCall(); // album info
 
   await fetchAlbumPhotos({
     albumId,
     fromPhotoId,
+    syncTracker,
+    dateRange,
     pageFetchedCallback: async (pageImgsData) => {
-      // Use unified folder structure: downloads/{ownerId}/photos/
-      const dir = getSaveFolderPath(targetId, 'photos');
-      createIfNotExistDir(dir);
+      if (estimate) {
+        estimate.addApiCall();
+        let hdPhotos = 0;
+        for (const data of pageImgsData) {
+          if (await estimate.addMedia({ id: data.id, type: MEDIA_TYPE.PHOTO, url: data.url })) hdPhotos++;
+        }
+        // HD photos are looked up per page, in batched calls
+        if (isGetLargestPhoto) estimate.addApiCall(Math.ceil(hdPhotos / GRAPH_IDS_LIMIT));
+        return;
+      }
+
+      // HD photo URLs of the whole page in batched calls
+      const hdLinks = isGetLargestPhoto ? await prefetchHDPhotoLinks(pageImgsData, userId) : null;
 
       // save all photo to directory
       for (let data of pageImgsData) {
         let { id: photo_id, url: photo_url } = data;
 
-        const savePath = `${dir}/${photo_id}.${PHOTO_FILE_FORMAT}`;
+        // Default layout: downloads/{ownerId}/photos/[{albumName}/] (see MEDIA_PATH_TEMPLATE)
+        const savePath = getMediaSavePath({
+          uid: targetId,
+          mediaId: photo_id,
+          mediaType: MEDIA_TYPE.PHOTO,
+          album,
+          createdTime: data.created_time,
+          posterUid: data.from?.id,
+        }, albumFolder ? PATH_TEMPLATE.BY_ALBUM : PATH_TEMPLATE.DEFAULT);
 
         // Smart skip: check DB status for HD upgrade
-        const skipCheck = checkMediaSkip(userId, photo_id, isGetLargestPhoto);
+        // The same media can appear twice on a page (reshares, album subattachments)
+        const skipCheck = queue.has(savePath)
+          ? { skip: true, reason: "already queued on this page" }
+          : checkMediaSkip(userId, photo_id, isGetLargestPhoto);
 
         if (skipCheck.skip) {
           log(`⏭️  SKIPPING ${photo_id} (${skipCheck.reason})`);
@@ -240,7 +346,7 @@ export const downloadAlbumPhoto = async ({
 
         let isHdDownload = false;
         if (isGetLargestPhoto) {
-          const hdResult = await attemptHDFetch(photo_id, userId, skipCheck.needsUpgrade);
+          const hdResult = await attemptHDFetch(photo_id, userId, skipCheck.needsUpgrade, hdLinks);
 
           if (hdResult.shouldSkip) {
             log(`⏭️  SKIPPING ${photo_id} (HD fetch failed, keeping SD version)`);
@@ -254,28 +360,54 @@ export const downloadAlbumPhoto = async ({
           }
         }
 
-        try {
-          log(
-            t("saving").replace("{count}", saved).replace("{path}", savePath)
-          );
-          await download(photo_url, savePath);
-
-          // Mark as downloaded in database with HD status
-          saveMediaWithTracking(userId, photo_id, isHdDownload, savePath, skipCheck.needsUpgrade);
-
-          saved++;
-        } catch (e) {
-          log(
-            S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
-            e.toString()
-          );
-        }
+        createIfNotExistDir(path.dirname(savePath));
+        queue.add(photo_url, async () => {
+          try {
+            log(
+              t("saving").replace("{count}", saved).replace("{path}", savePath)
+            );
+            const filePath = await download(photo_url, savePath);
+            const stored = await deduplicateDownload(filePath);
+            if (isDownloadKept(filePath, stored)) {
+              saveMetadataFile(filePath, buildMediaMetadata(data, {
+                mediaId: photo_id,
+                mediaType: MEDIA_TYPE.PHOTO,
+                sourceUrl: photo_url,
+                album,
+              }));
+            }
+
+            // Mark as downloaded in database with HD status
+            saveMediaWithTracking(userId, photo_id, isHdDownload, stored.filePath, skipCheck.needsUpgrade);
+            saveContentHash(userId, photo_id, stored);
+
+            saved++;
+          } catch (e) {
+            log(
+              S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
+              e.toString()
+            );
+            recordDownloadFailure(userId, photo_id, MEDIA_TYPE.PHOTO, photo_url, savePath, e);
+            failed++;
+          }
+        }, savePath);
       }
+
+      // finish this page's downloads before fetching the next one
+      await queue.drain();
     },
   });
 
+  if (estimate) {
+    logDryRunEstimate(albumId, estimate.result());
+    return { saved: 0, skipped: 0, failed: 0, estimate: estimate.result() };
+  }
+
+  // photos older than `since` were not crawled, so the album is not fully synced
+  if (dateRange.since === null) syncTracker.finish();
+
   // Log summary
   logDownloadSummary({ saved, skipped, mediaType: 'photos' });
 
-  return { saved, skipped };
+  return { saved, skipped, failed };
 };
@@ -0,0 +1,185 @@
+/**
+ * All Albums Download Module
+ *
+ * Lists every album of a user or page and downloads the selected ones
+ * through downloadAlbumPhoto, each into a subfolder named after the album.
+ * @module download_all_albums
+ */
+
+import { ALBUM_TYPE, FB_API_HOST, S } from "./constants.js";
+import { ACCESS_TOKEN } from "../config.js";
+import { downloadAlbumPhoto } from "./download_album.js";
+import { myFetch } from "./utils.js";
+import { t } from "./lang.js";
+import { log } from "./logger.js";
+import { runBatchDownload } from "./batch_utils.js";
+import { isCancelled } from "./cancellation.js";
+
+/**
+ * Fetch all albums of a user or page
+ * @param {string} targetId - Facebook user/page ID
+ * @returns {Promise<Array<{id: string, name: string, type: string, count: number, updated_time: string}>>} Albums
+ */
+export const fetchAllAlbums = async (targetId) => {
+  const albums = [];
+  let url = `${FB_API_HOST}/${targetId}/albums?fields=id,name,type,count,updated_time&limit=100&access_token=${ACCESS_TOKEN}`;
+
+  while (url && !isCancelled()) {
+    const json = await myFetch(url);
+    if (!json?.data) break;
+
+    albums.push(...json.data);
+    url = json.paging?.next;
+  }
+
+  return albums;
+};
+
+/**
+ * Format an album as one line of the album list
+ * @param {{id: string, name: string, type: string, count: number, updated_time: string}} album - Album
+ * @param {number} index - Position in the list (0-based, shown 1-based)
+ * @returns {string} Album line
+ */
+export const formatAlbum = (album, index) =>
+  `${String(index + 1).padStart(3)}. [${album.type || "?"}] ${album.name || "(no name)"}` +
+  ` - ${album.count ?? "?"} photos, updated ${album.updated_time?.slice(0, 10) || "?"} (${album.id})`;
+
+/**
+ * Select albums from a list
+ * The selection is comma-separated; each entry is a list number (3), a range of
+ * numbers (5-7), an album type (profile, cover, mobile, wall, normal) or an album ID
+ * @param {Array<{id: string, type: string}>} albums - Albums from fetchAllAlbums
+ * @param {string} selection - Selection ("all" or empty for every album)
+ * @returns {Array} Selected albums, in list order
+ */
+export const selectAlbums = (albums, selection = "") => {
+  const entries = selection
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (entries.length === 0 || entries.includes("all")) return albums;
+
+  const types = Object.values(ALBUM_TYPE);
+
+  return albums.filter((album, index) =>
+    entries.some((entry) => {
+      if (types.includes(entry)) return album.type === entry;
+
+      const range = entry.match(/^(\d+)-(\d+)$/);
+      if (range) return index + 1 >= Number(range[1]) && index + 1 <= Number(range[2]);
+
+      return entry === String(index + 1) || entry === album.id;
+    })
+  );
+};
+
+/**
+ * Print the saved/skipped counts of each downloaded album
+ * @param {Array<{album: Object, saved: number, skipped: number, failed: number, error: string|null}>} results - Album results
+ * @returns {void}
+ */
+const printAlbumSummary = (results) => {
+  log("\n" + "=".repeat(50));
+  log("ALBUM SUMMARY".padStart(32));
+  log("=".repeat(50));
+
+  results.forEach(({ album, saved, skipped, failed, error }) => {
+    const status = error
+      ? S.FgRed + `failed: ${error}` + S.Reset
+      : `${saved} saved, ${skipped} skipped` + (failed > 0 ? S.FgRed + `, ${failed} failed` + S.Reset : "");
+    log(`[${album.type || "?"}] ${album.name || album.id}: ${status}`);
+  });
+
+  log("=".repeat(50) + "\n");
+};
+
+/**
+ * Download the selected albums of a user or page
+ * Each album is saved into its own subfolder named after the album
+ * @param {Object} params - Download parameters
+ * @param {string} params.targetId - Facebook user/page ID
+ * @param {string} params.selection - Albums to download (see selectAlbums, default: all)
+ * @param {Array|null} params.albums - Albums already listed and selected (skips listing and selection)
+ * @param {boolean} params.isGetLargestPhoto - Whether to fetch HD versions (default: false)
+ * @param {boolean} params.incremental - Stop each album at the first page already synced (default: false)
+ * @param {string|null} params.syncedSince - Last synced time overriding the saved watermarks (default: null)
+ * @param {string|null} params.since - Only download photos created on or after this date (default: null)
+ * @param {string|null} params.until - Only download photos created on or before this date (default: null)
+ * @returns {Promise<{saved: number, skipped: number, failed: number, albums: number}>} Download statistics
+ *   (failed counts the files that failed and the albums that could not be downloaded)
+ */
+export const downloadAllAlbums = async ({
+  targetId,
+  selection = "",
+  albums = null,
+  isGetLargestPhoto = false,
+  incremental = false,
+  syncedSince = null,
+  since = null,
+  until = null,
+}) => {
+  let selected = albums;
+
+  if (!selected) {
+    log(t("gettingAlbumList").replace("{id}", targetId));
+    const allAlbums = await fetchAllAlbums(targetId);
+    selected = selectAlbums(allAlbums, selection);
+    log(t("selectedAlbums").replace("{count}", selected.length).replace("{total}", allAlbums.length));
+  }
+
+  const results = [];
+
+  for (let i = 0; i < selected.length; i++) {
+    if (isCancelled()) break;
+
+    const album = selected[i];
+    log(
+      S.BgBlue +
+      t("downloadingAlbumOf")
+        .replace("{current}", i + 1)
+        .replace("{total}", selected.length)
+        .replace("{name}", album.name || album.id) +
+      S.Reset
+    );
+
+    try {
+      const result = await downloadAlbumPhoto({
+        albumId: album.id,
+        isGetLargestPhoto,
+        incremental,
+        syncedSince,
+        since,
+        until,
+        albumFolder: true,
+      });
+      results.push({ album, ...result, error: null });
+    } catch (error) {
+      log(S.BgRed + t("errorWhenSave").replace("{path}", album.name || album.id) + S.Reset, error.toString());
+      results.push({ album, saved: 0, skipped: 0, failed: 1, error: error.message || String(error) });
+    }
+  }
+
+  if (results.length > 0) printAlbumSummary(results);
+
+  return {
+    saved: results.reduce((sum, r) => sum + r.saved, 0),
+    skipped: results.reduce((sum, r) => sum + r.skipped, 0),
+    failed: results.reduce((sum, r) => sum + r.failed, 0),
+    albums: results.length,
+  };
+};
+
+/**
+ * Batch download the albums of multiple users/pages
+ * Uses runBatchDownload for consistent progress reporting
+ * @param {string[]} targetIds - Array of Facebook user/page IDs
+ * @param {Object} options - Download options (selection, isGetLargestPhoto, incremental, syncedSince, since, until)
+ * @returns {Promise<Array>} Array of results for each user/page
+ */
+export const downloadAllAlbumsBatch = async (targetIds, options) => {
+  return runBatchDownload(targetIds, downloadAllAlbums, options, {
+    mediaType: 'photos'
+  });
+};
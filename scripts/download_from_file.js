@@ -0,0 +1,145 @@
+/**
+ * Download From File Module
+ *
+ * Downloads every link listed in a file: link files exported by this tool
+ * (see link_export.js, in any LINK_FORMAT) or a plain list of URLs.
+ * Exported links keep their media ID as file name and are tracked in the
+ * database under their owner, so media that is already saved is skipped.
+ * Shared by the interactive menu and the command-line interface.
+ * @module download_from_file
+ */
+
+import fs from "fs";
+import path from "path";
+import { DATABASE_ENABLED, PLATFORM_FACEBOOK } from "../config.js";
+import { t } from "./lang.js";
+import { log } from "./logger.js";
+import { download, createIfNotExistDir } from "./utils.js";
+import { getOrCreateUser } from "./database.js";
+import {
+    checkMediaSkip,
+    recordDownloadFailure,
+    saveMediaWithTracking,
+    saveVideoWithTracking,
+} from "./download_helpers.js";
+import { deduplicateDownload, saveContentHash } from "./dedup.js";
+import { parseLinkFile } from "./link_export.js";
+import { PATH_TEMPLATE, getMediaSavePath } from "./path_template.js";
+import { resolveMedia } from "./retry_failed.js";
+import { isCancelled } from "./cancellation.js";
+import { isFatalGraphError } from "./graph_errors.js";
+
+/**
+ * HTTP status returned by the CDN once a signed URL has expired
+ * @constant {number}
+ */
+const EXPIRED_URL_STATUS = 403;
+
+/**
+ * Get where a link of the file should be saved (see path_template.js)
+ * Exported links are named after their media ID and grouped by album
+ * @param {string} folderName - Folder name of this download
+ * @param {{id: string|null, type: string, album_name: string|null}} link - Parsed link (see parseLinkFile)
+ * @param {string|null} owner - UID the link belongs to
+ * @param {number} index - Position of the link in the file (name of links without ID)
+ * @returns {string} File path
+ */
+const getLinkSavePath = (folderName, link, owner, index) => getMediaSavePath({
+    uid: owner || "unknown",
+    mediaId: link.id || String(index),
+    mediaType: link.type,
+    album: link.album_name ? { id: null, name: link.album_name } : null,
+    folder: folderName,
+}, link.album_name ? PATH_TEMPLATE.FROM_FILE_BY_ALBUM : PATH_TEMPLATE.FROM_FILE);
+
+/**
+ * Download a link, resolving a fresh URL by media ID when the stored one has expired
+ * @param {{id: string|null, type: string, url: string}} link - Parsed link
+ * @param {string} savePath - File path
+ * @param {number|null} userId - Database user ID of the owner
+ * @returns {Promise<{filePath: string, resolved: Object|null}>} Saved file and the refreshed media (see resolveMedia), if any
+ */
+const downloadLink = async (link, savePath, userId) => {
+    try {
+        return { filePath: await download(link.url, savePath), resolved: null };
+    } catch (e) {
+        if (e.statusCode !== EXPIRED_URL_STATUS || !link.id) throw e;
+
+        log(t("refreshingExpiredLink").replace("{id}", link.id));
+        const resolved = await resolveMedia(link.id, link.type, userId);
+        if (!resolved.url) throw e;
+
+        return { filePath: await download(resolved.url, savePath), resolved };
+    }
+};
+
+/**
+ * Download all links listed in a file into from-file/{folderName}/ of the downloads folder
+ * (or where MEDIA_PATH_TEMPLATE puts them)
+ * @param {Object} params - Download parameters
+ * @param {string} params.filePath - Path to the link file
+ * @param {string} params.folderName - Folder name to save files into
+ * @param {string|null} params.ownerId - UID to track links under when the file does not name their owner
+ * @returns {Promise<{total: number, downloaded: number, skipped: number, failed: number}>} Download statistics
+ */
+export const downloadFromFile = async ({ filePath, folderName, ownerId = null }) => {
+    const content = fs.readFileSync(filePath, "utf8");
+    const links = parseLinkFile(content);
+
+    log(t("foundLinks").replace("{length}", links.length));
+
+    if (DATABASE_ENABLED && !ownerId && links.some((link) => link.id && !link.uid)) {
+        log(t("fromFileNoOwner"));
+    }
+
+    let downloaded = 0;
+    let skipped = 0;
+    let failed = 0;
+    for (let i = 0; i < links.length; i++) {
+        if (isCancelled()) break;
+
+        const link = links[i];
+        const owner = link.uid || ownerId;
+        const userId = DATABASE_ENABLED && owner && link.id ? getOrCreateUser(PLATFORM_FACEBOOK, owner) : null;
+
+        const skipCheck = checkMediaSkip(userId, link.id);
+        if (skipCheck.skip) {
+            log(`⏭️  SKIPPING ${link.id} (${skipCheck.reason})`);
+            skipped++;
+            continue;
+        }
+
+        const savePath = getLinkSavePath(folderName, link, owner, i + 1);
+
+        try {
+            log(
+                t("downloadingLinks").replace(
+                    "{progress}",
+                    `${i + 1}/${links.length}`
+                )
+            );
+            createIfNotExistDir(path.dirname(savePath));
+            const { filePath: savedPath, resolved } = await downloadLink(link, savePath, userId);
+            const stored = await deduplicateDownload(savedPath);
+
+            if (resolved?.video) {
+                saveVideoWithTracking(userId, link.id, resolved.video, stored.filePath);
+            } else {
+                saveMediaWithTracking(userId, link.id, !!resolved?.isHd, stored.filePath);
+            }
+            saveContentHash(userId, link.id, stored);
+            downloaded++;
+        } catch (e) {
+            log(t("errorWhenDownloadUrl").replace("{url}", link.url), e.toString());
+            recordDownloadFailure(userId, link.id, link.type, link.url, savePath, e);
+            failed++;
+
+            // Refreshing the next expired links cannot succeed either
+            if (isFatalGraphError(e)) throw e;
+        }
+    }
+
+    log(`\n📊 Summary: ${downloaded} downloaded, ${skipped} already saved, ${failed} failed`);
+
+    return { total: links.length, downloaded, skipped, failed };
+};
@@ -0,0 +1,378 @@
+import { FB_API_HOST, MEDIA_TYPE, S } from "./constants.js";
+import path from "path";
+import {
+  ACCESS_TOKEN,
+  WAIT_BEFORE_NEXT_FETCH,
+  DATABASE_ENABLED,
+  PLATFORM_FACEBOOK,
+} from "../config.js";
+import { createIfNotExistDir, download, myFetch, saveMetadataFile, sleep } from "./utils.js";
+import { t } from "./lang.js";
+import { log } from "./logger.js";
+import { getOrCreateUser, hasUsername, saveUsername, setMediaPoster } from "./database.js";
+import {
+  checkMediaSkip,
+  attemptHDFetch,
+  prefetchHDPhotoLinks,
+  saveMediaWithTracking,
+  resolveVideoSource,
+  saveVideoWithTracking,
+  withVideoQuality,
+  logDownloadSummary,
+  recordDownloadFailure,
+  parseDateRange,
+  isWithinDateRange,
+  getDateRangeParams,
+  buildMediaMetadata,
+} from "./download_helpers.js";
+import { getMediaFromAttachment, getPostMetadata } from "./download_wall_media.js";
+import { fetchAlbumPhotos } from "./download_album.js";
+import { PATH_TEMPLATE, getMediaSavePath } from "./path_template.js";
+import { getDownloadQueue } from "./download_queue.js";
+import { deduplicateDownload, isDownloadKept, saveContentHash } from "./dedup.js";
+import { runBatchDownload } from "./batch_utils.js";
+import { isCancelled } from "./cancellation.js";
+
+/**
+ * Check whether a post/photo passes the poster and date filters
+ * @param {{from: {id: string}|null, created_time: string}} item - Post or album photo
+ * @param {Set<string>} posterIds - Only keep items posted by these UIDs (empty for all)
+ * @param {{since: number|null, until: number|null}} dateRange - Range from parseDateRange
+ * @returns {boolean} True if the item should be downloaded
+ */
+const matchesFilters = (item, posterIds, dateRange) => {
+  if (posterIds.size > 0 && !posterIds.has(item.from?.id)) return false;
+  return isWithinDateRange(item.created_time, dateRange);
+};
+
+/**
+ * Fetch media from a group's feed with pagination
+ * Posts outside the date range or not written by one of the posters are dropped
+ * @param {Object} params - Fetch parameters
+ * @param {string} params.groupId - Facebook group ID
+ * @param {number} params.pageLimit - Maximum number of pages to fetch (default: Infinity)
+ * @param {Set<string>} params.posterIds - Only keep posts by these UIDs (empty for all)
+ * @param {{since: number|null, until: number|null}} params.dateRange - Range from parseDateRange
+ * @param {Function} params.pageFetchedCallback - Callback called after each page with media array
+ * @returns {Promise<number>} Number of media found
+ */
+export const fetchGroupFeed = async ({
+  groupId,
+  pageLimit = Infinity,
+  posterIds = new Set(),
+  dateRange = { since: null, until: null },
+  pageFetchedCallback = async () => { },
+}) => {
+  let total = 0;
+  let page = 1;
+  let url = `${FB_API_HOST}/${groupId}/feed?fields=created_time,message,permalink_url,from,attachments{media,type,subattachments,target}&access_token=${ACCESS_TOKEN}`;
+  url += getDateRangeParams(dateRange);
+
+  while (url && page <= pageLimit) {
+    // Check for cancellation before each page fetch
+    if (isCancelled()) {
+      log(S.FgYellow + `⏸️  Stopping at page ${page - 1} (cancelled)` + S.Reset);
+      break;
+    }
+
+    log(t("downloadingPage").replace("{page}", page));
+    const fetchData = await myFetch(url);
+    page++;
+
+    if (!fetchData?.data) break;
+
+    const media = [];
+    fetchData.data
+      .filter((post) => matchesFilters(post, posterIds, dateRange))
+      .forEach((post) => {
+        post.attachments?.data.forEach((at) => {
+          media.push(
+            ...getMediaFromAttachment(at).map((m) => ({
+              ...m,
+              ...getPostMetadata(post),
+            }))
+          );
+        });
+      });
+
+    total += media.length;
+    log(
+      t("foundWallMedia")
+        .replace("{length}", media.length)
+        .replace("{total}", total)
+    );
+
+    // callback when each page fetched
+    await pageFetchedCallback(media);
+
+    // get next paging
+    url = fetchData.paging?.next;
+
+    // wait for next fetch - if needed
+    if (url && WAIT_BEFORE_NEXT_FETCH) {
+      log(t("pausing").replace("{ms}", WAIT_BEFORE_NEXT_FETCH));
+      await sleep(WAIT_BEFORE_NEXT_FETCH);
+    }
+  }
+
+  return total;
+};
+
+/**
+ * Fetch all albums of a group
+ * @param {string} groupId - Facebook group ID
+ * @returns {Promise<Array<{id: string, name: string}>>} Group albums
+ */
+const fetchGroupAlbums = async (groupId) => {
+  const albums = [];
+  let url = `${FB_API_HOST}/${groupId}/albums?fields=id,name&limit=100&access_token=${ACCESS_TOKEN}`;
+
+  while (url && !isCancelled()) {
+    const json = await myFetch(url);
+    if (!json?.data) break;
+
+    albums.push(...json.data);
+    url = json.paging?.next;
+  }
+
+  return albums;
+};
+
+/**
+ * Download all media (photos and videos) posted in a group
+ * Crawls the group feed and, optionally, the group albums
+ * Files are saved under the group's folder; the member who posted each item is stored in the database
+ * @param {Object} params - Download parameters
+ * @param {string} params.targetId - Facebook group ID
+ * @param {boolean} params.includeVideo - Whether to download videos (default: true)
+ * @param {number} params.pageLimit - Maximum feed pages to fetch, also used per album (default: Infinity)
+ * @param {boolean} params.isGetLargestPhoto - Whether to fetch HD photo versions (default: false)
+ * @param {boolean} params.includeAlbums - Whether to also download group albums (default: true)
+ * @param {string[]} params.posterIds - Only download media posted by these member UIDs (default: all)
+ * @param {string|null} params.since - Only download media created on or after this date (default: null)
+ * @param {string|null} params.until - Only download media created on or before this date (default: null)
+ * @returns {Promise<{saved: number, skipped: number, failed: number, savedPhotos: number, savedVideos: number, skippedPhotos: number, skippedVideos: number}>} Download statistics
+ */
+export const downloadGroupMedia = async ({
+  targetId,
+  includeVideo = true,
+  pageLimit = Infinity,
+  isGetLargestPhoto = false,
+  includeAlbums = true,
+  posterIds = [],
+  since = null,
+  until = null,
+}) => {
+  log(t("gettingGroupInfo").replace("{id}", targetId));
+
+  // Media are stored under the group; members are linked as posters
+  const userId = DATABASE_ENABLED ? getOrCreateUser(PLATFORM_FACEBOOK, targetId) : null;
+  const posterFilter = new Set(posterIds);
+  const dateRange = parseDateRange(since, until);
+  const posterUserIds = new Map(); // member uid => database user id
+
+  let savedPhotos = 0;
+  let savedVideos = 0;
+  let skippedPhotos = 0;
+  let skippedVideos = 0;
+  let failed = 0;
+  const queue = getDownloadQueue();
+
+  /**
+   * Get the database user of the member who posted a media
+   * @param {{id: string, name: string}|null} from - Poster from the Graph API
+   * @returns {number|null} Database user ID
+   */
+  const getPosterUserId = (from) => {
+    if (!userId || !from?.id) return null;
+    if (posterUserIds.has(from.id)) return posterUserIds.get(from.id);
+
+    const posterUserId = getOrCreateUser(PLATFORM_FACEBOOK, from.id);
+    if (posterUserId && from.name && !hasUsername(from.id).hasUsername) {
+      saveUsername(posterUserId, from.name);
+    }
+    posterUserIds.set(from.id, posterUserId);
+    return posterUserId;
+  };
+
+  /**
+   * Queue the downloads of one page of media
+   * @param {Array<{type: string, id: string, url: string, from: Object|null}>} media - Media of the page
+   * @param {{id: string, name: string}|null} album - Group album the media belongs to (album photos get their own folder)
+   * @returns {Promise<void>}
+   */
+  const saveMediaPage = async (media, album = null) => {
+    // HD photo URLs of the whole page in batched calls
+    const hdLinks = isGetLargestPhoto ? await prefetchHDPhotoLinks(media, userId) : null;
+
+    for (let data of media) {
+      let { id: media_id, url: media_url, type: media_type, from } = data;
+
+      // Determine file path for this media
+      const savePath = getMediaSavePath({
+        uid: targetId,
+        mediaId: media_id,
+        mediaType: media_type,
+        album,
+        createdTime: data.created_time,
+        posterUid: from?.id,
+      }, album ? PATH_TEMPLATE.BY_ALBUM : PATH_TEMPLATE.DEFAULT);
+
+      if (!includeVideo && media_type === MEDIA_TYPE.VIDEO) {
+        log(t("skipVideo").replace("{url}", media_url));
+        continue;
+      }
+
+      // Smart skip: check DB status for HD upgrade capability
+      // The same media can appear twice on a page (reshares, album subattachments)
+      const skipCheck = queue.has(savePath)
+        ? { skip: true, reason: "already queued on this page" }
+        : checkMediaSkip(userId, media_id, isGetLargestPhoto && media_type === MEDIA_TYPE.PHOTO);
+
+      if (skipCheck.skip) {
+        if (media_type === MEDIA_TYPE.PHOTO) {
+          log(`⏭️  SKIPPING photo ${media_id} (${skipCheck.reason})`);
+          skippedPhotos++;
+        } else {
+          log(`⏭️  SKIPPING video ${media_id} (${skipCheck.reason})`);
+          skippedVideos++;
+        }
+        continue;
+      }
+
+      if (skipCheck.needsUpgrade) {
+        log(`🔄 UPGRADE ${media_id} to HD (was SD)`);
+      }
+
+      // For photos, optionally fetch HD version
+      let isHdDownload = false;
+      if (isGetLargestPhoto && media_type == MEDIA_TYPE.PHOTO) {
+        const hdResult = await attemptHDFetch(media_id, userId, skipCheck.needsUpgrade, hdLinks);
+
+        if (hdResult.shouldSkip) {
+          log(`⏭️  SKIPPING ${media_id} (HD fetch failed, keeping SD version)`);
+          skippedPhotos++;
+          continue;
+        }
+
+        if (hdResult.url) {
+          media_url = hdResult.url;
+          isHdDownload = true;
+        }
+      }
+
+      // Resolve the real quality of videos through the video node
+      let video = null;
+      if (media_type === MEDIA_TYPE.VIDEO) {
+        video = await resolveVideoSource(media_id, media_url);
+        media_url = video.url;
+      }
+
+      // Create directory if needed
+      createIfNotExistDir(path.dirname(savePath));
+      const saved = media_type === MEDIA_TYPE.PHOTO ? savedPhotos : savedVideos;
+      const posterUserId = getPosterUserId(from);
+
+      queue.add(media_url, async () => {
+        try {
+          log(
+            t("saving").replace("{count}", saved).replace("{path}", savePath)
+          );
+          const filePath = await download(media_url, savePath);
+          const stored = await deduplicateDownload(filePath);
+          if (isDownloadKept(filePath, stored)) {
+            saveMetadataFile(filePath, buildMediaMetadata(withVideoQuality(data, video), {
+              mediaId: media_id,
+              mediaType: media_type,
+              sourceUrl: media_url,
+              album,
+            }));
+          }
+
+          // Mark as downloaded in database with HD status (real quality for videos) and poster
+          if (video) {
+            saveVideoWithTracking(userId, media_id, video, stored.filePath);
+          } else {
+            saveMediaWithTracking(userId, media_id, isHdDownload, stored.filePath, skipCheck.needsUpgrade);
+          }
+          saveContentHash(userId, media_id, stored);
+          if (userId && posterUserId) setMediaPoster(userId, media_id, posterUserId);
+
+          if (media_type === MEDIA_TYPE.PHOTO) {
+            savedPhotos++;
+          } else {
+            savedVideos++;
+          }
+        } catch (e) {
+          log(
+            S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
+            e.toString()
+          );
+          recordDownloadFailure(userId, media_id, media_type, media_url, savePath, e);
+          failed++;
+        }
+      }, savePath);
+    }
+
+    // finish this page's downloads before fetching the next one
+    await queue.drain();
+  };
+
+  await fetchGroupFeed({
+    groupId: targetId,
+    pageLimit,
+    posterIds: posterFilter,
+    dateRange,
+    pageFetchedCallback: (media) => saveMediaPage(media),
+  });
+
+  if (includeAlbums && !isCancelled()) {
+    const albums = await fetchGroupAlbums(targetId);
+    log(t("foundGroupAlbums").replace("{count}", albums.length));
+
+    for (const album of albums) {
+      if (isCancelled()) break;
+
+      log(t("downloadingGroupAlbum").replace("{name}", album.name || album.id));
+      await fetchAlbumPhotos({
+        albumId: album.id,
+        pageLimit,
+        dateRange,
+        pageFetchedCallback: (photos) =>
+          saveMediaPage(
+            photos
+              .filter((photo) => matchesFilters(photo, posterFilter, dateRange))
+              .map((photo) => ({ ...photo, type: MEDIA_TYPE.PHOTO })),
+            album
+          ),
+      });
+    }
+  }
+
+  // Log summary
+  logDownloadSummary({ savedPhotos, savedVideos, skippedPhotos, skippedVideos, failed });
+
+  return {
+    saved: savedPhotos + savedVideos,
+    skipped: skippedPhotos + skippedVideos,
+    failed,
+    savedPhotos,
+    savedVideos,
+    skippedPhotos,
+    skippedVideos
+  };
+};
+
+/**
+ * Batch download media from multiple groups
+ * Uses runBatchDownload for consistent progress reporting
+ * @param {string[]} groupIds - Array of Facebook group IDs
+ * @param {Object} options - Download options (includeVideo, pageLimit, isGetLargestPhoto, includeAlbums, posterIds, since, until)
+ * @returns {Promise<Array>} Array of results for each group
+ */
+export const downloadGroupMediaBatch = async (groupIds, options) => {
+  return runBatchDownload(groupIds, downloadGroupMedia, options, {
+    mediaType: 'group media',
+    showPhotoVideoSplit: true
+  });
+};
@@ -1,6 +1,19 @@
 import { DATABASE_ENABLED, WAIT_BEFORE_NEXT_FETCH_LARGEST_PHOTO } from "../config.js";
-import { getMediaStatus, saveMedia, updateMediaToHD } from "./database.js";
-import { getLargestPhotoLink, sleep } from "./utils.js";
+import { MEDIA_TYPE } from "./constants.js";
+import {
+  getMediaStatus,
+  saveMedia,
+  updateMediaToHD,
+  getApiTypeId,
+  getCursor,
+  updateCursor,
+  deleteCursor,
+  getUserIdByUID,
+  recordFailedMedia,
+  setMediaVideoInfo,
+} from "./database.js";
+import { getLargestPhotoLink, getLargestPhotoLinks, getVideoInfo, sleep } from "./utils.js";
+import { isCancelled } from "./cancellation.js";
 import { t } from "./lang.js";
 import { log } from "./logger.js";
 
@@ -41,18 +54,46 @@ export const checkMediaSkip = (userId, mediaId, isGetLargestPhoto = false) => {
     };
 };
 
+/**
+ * Resolve the HD URLs of a page of photos in batched Graph API calls
+ * Only photos that will be downloaded (new, or saved in SD) are looked up, so a page
+ * costs one call per GRAPH_IDS_LIMIT photos instead of one call per photo.
+ * Pass the result to attemptHDFetch for each photo of the page.
+ * @param {Array<{id: string, type?: string}>} items - Page of media (photos when type is missing)
+ * @param {number|null} userId - Database user ID
+ * @returns {Promise<Map<string, string>>} HD URL of each photo that has one
+ */
+export const prefetchHDPhotoLinks = async (items, userId) => {
+    const photoIds = items
+        .filter((item) => !item.type || item.type === MEDIA_TYPE.PHOTO)
+        .filter((item) => !checkMediaSkip(userId, item.id, true).skip)
+        .map((item) => item.id);
+
+    if (photoIds.length === 0) return new Map();
+
+    await sleep(WAIT_BEFORE_NEXT_FETCH_LARGEST_PHOTO);
+    log(t("fetchingHDPhotos").replace("{count}", photoIds.length));
+
+    return getLargestPhotoLinks(photoIds);
+};
+
 /**
  * Attempt to get HD version of a photo
  * @param {string} mediaId - Photo ID
  * @param {number|null} userId - Database user ID
  * @param {boolean} isUpgradeAttempt - Whether this is upgrading an existing SD photo
+ * @param {Map<string, string>|null} hdLinks - HD URLs of the page (see prefetchHDPhotoLinks); looked up alone when null
  * @returns {Promise<object>} { url: string|null, isHd: boolean, shouldSkip: boolean }
  */
-export const attemptHDFetch = async (mediaId, userId, isUpgradeAttempt = false) => {
-    await sleep(WAIT_BEFORE_NEXT_FETCH_LARGEST_PHOTO);
-    log(t("fetchingHDPhoto").replace("{media_id}", mediaId).replace("media_id", mediaId));
-
-    const hdUrl = await getLargestPhotoLink(mediaId);
+export const attemptHDFetch = async (mediaId, userId, isUpgradeAttempt = false, hdLinks = null) => {
+    let hdUrl = null;
+    if (hdLinks) {
+        hdUrl = hdLinks.get(mediaId) || null;
+    } else {
+        await sleep(WAIT_BEFORE_NEXT_FETCH_LARGEST_PHOTO);
+        log(t("fetchingHDPhoto").replace("{media_id}", mediaId).replace("media_id", mediaId));
+        hdUrl = await getLargestPhotoLink(mediaId);
+    }
 
     if (hdUrl) {
         return { url: hdUrl, isHd: true, shouldSkip: false };
@@ -68,6 +109,78 @@ export const attemptHDFetch = async (mediaId, userId, isUpgradeAttempt = false)
     return { url: null, isHd: false, shouldSkip: false };
 };
 
+/**
+ * Shortest side (in pixels) from which a video counts as HD
+ * @constant {number}
+ */
+const HD_VIDEO_MIN_SIZE = 720;
+
+/**
+ * Read the quality of a Graph API video node
+ * The resolution is taken from the native upload format, or the largest format
+ * @param {Object|null} video - Video node (source, format, length, thumbnails)
+ * @returns {{url: string|null, width: number|null, height: number|null, quality: string, isHd: boolean, duration: number|null, thumbnail: string|null}} Video quality
+ */
+export const getVideoQuality = (video) => {
+    const formats = (video?.format || []).filter((f) => f.width && f.height);
+    const best = formats.find((f) => f.filter === "native") ||
+        formats.reduce((a, b) => (!a || b.width * b.height > a.width * a.height ? b : a), null);
+    const thumbnails = video?.thumbnails?.data || [];
+    const thumbnail = thumbnails.find((thumb) => thumb.is_preferred) || thumbnails[0];
+    const size = best ? Math.min(best.width, best.height) : null;
+
+    return {
+        url: video?.source || null,
+        width: best?.width || null,
+        height: best?.height || null,
+        quality: size ? `${size}p` : "unknown",
+        isHd: size >= HD_VIDEO_MIN_SIZE,
+        duration: video?.length ?? null,
+        thumbnail: thumbnail?.uri || null,
+    };
+};
+
+/**
+ * Resolve the best source of a video through its Graph API video node
+ * @param {string} videoId - Video ID
+ * @param {string|null} fallbackUrl - URL to use when the video node has no source (e.g. from the attachment)
+ * @param {boolean} isUpgradeAttempt - Whether this is upgrading an existing SD video
+ * @returns {Promise<object>} Video quality (see getVideoQuality) with url and shouldSkip
+ */
+export const resolveVideoSource = async (videoId, fallbackUrl = null, isUpgradeAttempt = false) => {
+    log(t("resolvingVideo").replace("{media_id}", videoId));
+
+    const video = getVideoQuality(await getVideoInfo(videoId));
+
+    if (video.url) {
+        // No better version than the SD one we already have
+        return { ...video, shouldSkip: isUpgradeAttempt && !video.isHd };
+    }
+
+    // Video node unavailable: the fallback URL is of unknown quality
+    return { ...video, url: fallbackUrl, quality: "unknown", isHd: false, shouldSkip: isUpgradeAttempt };
+};
+
+/**
+ * Replace the photo URLs of a page of exported links with their largest versions
+ * The page is resolved in batched calls (see prefetchHDPhotoLinks); videos and
+ * photos without an HD version keep their URL. Returns no links when cancelled
+ * @param {Array<{id: string, url: string, type?: string}>} items - Page of media links (photos when type is missing)
+ * @returns {Promise<Array<{id: string, url: string}>>} Links with HD photo URLs
+ */
+export const resolveLargestPhotoLinks = async (items) => {
+    if (isCancelled()) {
+        log(t("hdLinksCancelled"));
+        return [];
+    }
+
+    const hdLinks = await prefetchHDPhotoLinks(items, null);
+    const photos = items.filter((item) => !item.type || item.type === MEDIA_TYPE.PHOTO).length;
+
+    log(t("hdLinksResolved").replace("{resolved}", hdLinks.size).replace("{total}", photos));
+    return items.map((item) => (hdLinks.has(item.id) ? { ...item, url: hdLinks.get(item.id) } : item));
+};
+
 /**
  * Save media to database with proper HD tracking
  * @param {number|null} userId - Database user ID
@@ -93,6 +206,40 @@ export const saveMediaWithTracking = (userId, mediaId, isHd, savePath, wasUpgrad
     }
 };
 
+/**
+ * Save a video to database with its resolved quality and duration
+ * @param {number|null} userId - Database user ID
+ * @param {string} mediaId - Video ID
+ * @param {{isHd: boolean, quality: string, duration: number|null}} video - Resolved video (see resolveVideoSource)
+ * @param {string} savePath - Path where file is saved
+ */
+export const saveVideoWithTracking = (userId, mediaId, video, savePath) => {
+    if (!DATABASE_ENABLED || !userId) return;
+
+    saveMediaWithTracking(userId, mediaId, video.isHd, savePath);
+    setMediaVideoInfo(userId, mediaId, video);
+};
+
+/**
+ * Remember a failed download so it can be retried later (see retry_failed.js)
+ * @param {number|null} userId - Database user ID
+ * @param {string} mediaId - Media ID
+ * @param {string} mediaType - Media type (see MEDIA_TYPE in constants.js)
+ * @param {string} sourceUrl - URL that failed
+ * @param {string} savePath - Path the file should be saved to
+ * @param {Error|string} error - Download error
+ */
+export const recordDownloadFailure = (userId, mediaId, mediaType, sourceUrl, savePath, error) => {
+    if (!DATABASE_ENABLED || !userId) return;
+
+    recordFailedMedia(userId, mediaId, {
+        mediaType,
+        sourceUrl,
+        filePath: savePath,
+        error: error?.message || String(error),
+    });
+};
+
 /**
  * Log download summary in consistent format
  * @param {object} stats - Download statistics
@@ -102,6 +249,7 @@ export const saveMediaWithTracking = (userId, mediaId, isHd, savePath, wasUpgrad
  * @param {number} stats.skippedVideos - Number of videos skipped
  * @param {number} stats.saved - Total items saved (for single media type)
  * @param {number} stats.skipped - Total items skipped (for single media type)
+ * @param {number} stats.failed - Items that failed to download (see recordDownloadFailure)
  * @param {string} stats.mediaType - Type of media: 'photos', 'videos', or 'media'
  */
 export const logDownloadSummary = (stats) => {
@@ -112,14 +260,233 @@ export const logDownloadSummary = (stats) => {
         skippedVideos,
         saved,
         skipped,
+        failed = 0,
         mediaType = 'media'
     } = stats;
+    const failedText = failed > 0 ? ` | ${failed} failed` : '';
 
     if (savedPhotos !== undefined && savedVideos !== undefined) {
         // Mixed media (wall)
-        log(`\n📊 Summary: ${savedPhotos} photos, ${savedVideos} videos saved | ${skippedPhotos || 0} photos, ${skippedVideos || 0} videos skipped (duplicates)`);
+        log(`\n📊 Summary: ${savedPhotos} photos, ${savedVideos} videos saved | ${skippedPhotos || 0} photos, ${skippedVideos || 0} videos skipped (duplicates)${failedText}`);
     } else {
         // Single media type
-        log(`\n📊 Summary: ${saved} ${mediaType} saved, ${skipped} skipped (duplicates)`);
+        log(`\n📊 Summary: ${saved} ${mediaType} saved, ${skipped} skipped (duplicates)${failedText}`);
     }
 };
+
+/**
+ * Get the `after` cursor of the next page from a Graph API paging object
+ * Falls back to the `after` query parameter of paging.next
+ * @param {object} paging - Graph API paging object
+ * @returns {string|null} Cursor of the next page, or null if unknown
+ */
+export const getNextPageCursor = (paging) => {
+    if (paging?.cursors?.after) return paging.cursors.after;
+    if (!paging?.next) return null;
+
+    try {
+        return new URL(paging.next).searchParams.get("after");
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Get the saved crawl cursor for a user and API type
+ * @param {number|null} userId - Database user ID
+ * @param {string} apiType - API type name (see API_TYPE in constants.js)
+ * @returns {{cursor: string, pagesLoaded: number, lastUpdated: string}|null} Saved cursor or null
+ */
+export const getSavedCrawlCursor = (userId, apiType) => {
+    if (!DATABASE_ENABLED || !userId) return null;
+
+    const apiTypeId = getApiTypeId(apiType);
+    if (!apiTypeId) return null;
+
+    const saved = getCursor(userId, apiTypeId);
+    if (!saved?.cursor) return null;
+
+    return {
+        cursor: saved.cursor,
+        pagesLoaded: saved.pages_loaded || 0,
+        lastUpdated: saved.last_updated,
+    };
+};
+
+/**
+ * Persist crawl progress after a page has been fully processed
+ * Saves the next page cursor, or clears it once the last page is reached.
+ * Nothing is saved when the page was interrupted by cancellation, so a resumed
+ * crawl re-reads that page (already saved media is skipped).
+ * @param {{userId: number|null, apiType: string}|null} tracking - Crawl to track (null to disable)
+ * @param {object} paging - Graph API paging object of the processed page
+ * @param {number} pagesLoaded - Total pages processed so far
+ */
+export const recordCrawlProgress = (tracking, paging, pagesLoaded) => {
+    if (!DATABASE_ENABLED || !tracking?.userId || isCancelled()) return;
+
+    const apiTypeId = getApiTypeId(tracking.apiType);
+    if (!apiTypeId) return;
+
+    if (!paging?.next) {
+        deleteCursor(tracking.userId, apiTypeId);
+        return;
+    }
+
+    const cursor = getNextPageCursor(paging);
+    if (cursor) {
+        updateCursor(tracking.userId, apiTypeId, cursor, pagesLoaded);
+    }
+};
+
+/**
+ * Resolve where a crawl should start
+ * An explicit cursor wins; otherwise the saved cursor is used when resuming
+ * @param {number|null} userId - Database user ID
+ * @param {string} apiType - API type name (see API_TYPE in constants.js)
+ * @param {string|null} fromCursor - Cursor entered by the user
+ * @param {boolean} resume - Whether to continue from the saved cursor
+ * @returns {{fromCursor: string|null, startPage: number}} Start cursor and page number
+ */
+export const resolveCrawlStart = (userId, apiType, fromCursor, resume) => {
+    if (fromCursor) {
+        return { fromCursor, startPage: 1 };
+    }
+
+    if (resume) {
+        const saved = getSavedCrawlCursor(userId, apiType);
+        if (saved) {
+            log(t("resumingFromCursor").replace("{page}", saved.pagesLoaded).replace("{time}", saved.lastUpdated));
+            return { fromCursor: saved.cursor, startPage: saved.pagesLoaded + 1 };
+        }
+    }
+
+    return { fromCursor: null, startPage: 1 };
+};
+
+/**
+ * Find UIDs that have an unfinished crawl saved (used by menus to offer resuming)
+ * Does not create users that are not in the database yet
+ * @param {string[]} uids - Facebook UIDs
+ * @param {string} apiType - API type name (see API_TYPE in constants.js)
+ * @returns {Array<{uid: string, pagesLoaded: number, lastUpdated: string}>} Saved crawls
+ */
+export const findSavedCrawlCursors = (uids, apiType) => {
+    if (!DATABASE_ENABLED) return [];
+
+    return uids
+        .map((uid) => ({ uid, saved: getSavedCrawlCursor(getUserIdByUID(uid), apiType) }))
+        .filter(({ saved }) => saved)
+        .map(({ uid, saved }) => ({ uid, pagesLoaded: saved.pagesLoaded, lastUpdated: saved.lastUpdated }));
+};
+
+/**
+ * Parse a since/until date range (ISO dates or date-times)
+ * An `until` date without a time includes that whole day
+ * @param {string|null} since - Earliest creation time to keep
+ * @param {string|null} until - Latest creation time to keep
+ * @returns {{since: number|null, until: number|null}} Range as timestamps in ms (null = open)
+ */
+export const parseDateRange = (since = null, until = null) => {
+    const range = {
+        since: since ? Date.parse(since) : null,
+        until: until ? Date.parse(until) : null,
+    };
+
+    if (range.until !== null && /^\d{4}-\d{2}-\d{2}$/.test(until.trim())) {
+        range.until += 24 * 60 * 60 * 1000 - 1;
+    }
+
+    return range;
+};
+
+/**
+ * Check whether a creation time falls within a date range
+ * Media without a readable time is kept
+ * @param {string} createdTime - created_time from the Graph API
+ * @param {{since: number|null, until: number|null}} range - Range from parseDateRange
+ * @returns {boolean} True if the media should be kept
+ */
+export const isWithinDateRange = (createdTime, range) => {
+    if (range.since === null && range.until === null) return true;
+
+    const time = Date.parse(createdTime);
+    if (Number.isNaN(time)) return true;
+
+    return (range.since === null || time >= range.since) && (range.until === null || time <= range.until);
+};
+
+/**
+ * Build the Graph API since/until query parameters for a date range
+ * Only feed edges filter on these; photo edges are filtered with filterPageByDateRange
+ * @param {{since: number|null, until: number|null}} range - Range from parseDateRange
+ * @returns {string} Query string to append to a URL (empty for an open range)
+ */
+export const getDateRangeParams = (range) => {
+    let params = "";
+    if (range.since !== null) params += "&since=" + Math.floor(range.since / 1000);
+    if (range.until !== null) params += "&until=" + Math.ceil(range.until / 1000);
+    return params;
+};
+
+/**
+ * Filter a fetched page of photos by date range
+ * Photo edges list newest first, so once a whole page is older than `since`
+ * the remaining pages are too and the crawl can stop
+ * @param {Array<{created_time: string}>} items - Items of the page
+ * @param {{since: number|null, until: number|null}} range - Range from parseDateRange
+ * @returns {{items: Array, beforeRange: boolean}} Items within the range, and whether the page is entirely older than the range
+ */
+export const filterPageByDateRange = (items, range) => ({
+    items: items.filter((item) => isWithinDateRange(item.created_time, range)),
+    beforeRange: range.since !== null && items.length > 0 &&
+        items.every((item) => Date.parse(item.created_time) < range.since),
+});
+
+/**
+ * Add the resolved size, quality and duration of a video to a media item
+ * @param {Object} item - Media as returned by a fetch function
+ * @param {Object|null} video - Resolved video (see resolveVideoSource), null for photos
+ * @returns {Object} Media item for buildMediaMetadata
+ */
+export const withVideoQuality = (item, video) => {
+    if (!video) return item;
+
+    return {
+        ...item,
+        width: video.width || item.width,
+        height: video.height || item.height,
+        quality: video.quality,
+        duration: video.duration,
+    };
+};
+
+/**
+ * Build the JSON sidecar saved next to a downloaded media file
+ * Fields the Graph API did not return are null
+ * @param {Object} item - Media as returned by a fetch function (post_id, permalink, created_time, message, album, from, width, height, quality, duration)
+ * @param {Object} details - Download details
+ * @param {string} details.mediaId - Media ID
+ * @param {string} details.mediaType - Media type (see MEDIA_TYPE in constants.js)
+ * @param {string} details.sourceUrl - CDN URL the file was downloaded from
+ * @param {{id: string, name: string}|null} details.album - Album, when not part of the item
+ * @returns {Object} Sidecar content
+ */
+export const buildMediaMetadata = (item, { mediaId, mediaType, sourceUrl, album = item.album }) => ({
+    media_id: mediaId,
+    media_type: mediaType,
+    post_id: item.post_id || null,
+    permalink: item.permalink || null,
+    created_time: item.created_time || null,
+    message: item.message || null,
+    album_id: album?.id || null,
+    album_name: album?.name || null,
+    poster_uid: item.from?.id || null,
+    poster_name: item.from?.name || null,
+    width: item.width || null,
+    height: item.height || null,
+    quality: item.quality || null,
+    duration: item.duration ?? null,
+    source_url: sourceUrl,
+    downloaded_at: new Date().toISOString(),
+});
@@ -0,0 +1,159 @@
+/**
+ * Download Queue for FB Media Downloader
+ * Runs file downloads concurrently with a global limit and a per-host limit
+ *
+ * Configuration via .env:
+ * - DOWNLOAD_CONCURRENCY=4 (files downloaded at the same time)
+ * - DOWNLOAD_PER_HOST_LIMIT=2 (files downloaded at the same time from one CDN host)
+ *
+ * Downloaders enqueue one task per file while processing a page, then await
+ * drain() before moving on, so cursors and summaries still follow page order.
+ * When cancelled, queued tasks are dropped and in-flight downloads finish.
+ * A task may be queued with a key (its save path): a second task with the same
+ * key is refused while the first is queued or running, so the same media found
+ * twice on a page is not written to the same file twice at once.
+ */
+
+import { isCancelled } from './cancellation.js';
+import { log } from './logger.js';
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_PER_HOST_LIMIT = 2;
+
+/**
+ * Read a positive integer from an environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when missing or invalid
+ * @returns {number} Parsed value
+ */
+const readLimit = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return value > 0 ? value : fallback;
+};
+
+/**
+ * Get the host a URL downloads from (used for per-host limits)
+ * @param {string} url - File URL
+ * @returns {string} Host name, or '' if the URL cannot be parsed
+ */
+export const getUrlHost = (url) => {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return '';
+    }
+};
+
+/**
+ * Create a download queue
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Maximum tasks running at once
+ * @param {number} options.perHostLimit - Maximum tasks running at once for one host
+ * @returns {{add: Function, has: Function, drain: Function, stats: Function}} Download queue
+ */
+export const createDownloadQueue = ({
+    concurrency = readLimit('DOWNLOAD_CONCURRENCY', DEFAULT_CONCURRENCY),
+    perHostLimit = readLimit('DOWNLOAD_PER_HOST_LIMIT', DEFAULT_PER_HOST_LIMIT),
+} = {}) => {
+    const pending = [];
+    const activeByHost = new Map();
+    const queuedKeys = new Set();
+    let active = 0;
+    let idleWaiters = [];
+
+    const notifyIfIdle = () => {
+        if (active > 0 || pending.length > 0) return;
+        idleWaiters.forEach((resolve) => resolve());
+        idleWaiters = [];
+    };
+
+    const pump = () => {
+        if (isCancelled() && pending.length > 0) {
+            log(`⏸️  Dropping ${pending.length} queued download(s) (cancelled)`);
+            pending.forEach((job) => queuedKeys.delete(job.key));
+            pending.length = 0;
+        }
+
+        for (let i = 0; i < pending.length && active < concurrency;) {
+            const job = pending[i];
+            const hostActive = activeByHost.get(job.host) || 0;
+
+            if (hostActive >= perHostLimit) {
+                i++;
+                continue;
+            }
+
+            pending.splice(i, 1);
+            active++;
+            activeByHost.set(job.host, hostActive + 1);
+
+            Promise.resolve()
+                .then(job.task)
+                .catch((error) => log(`⚠️ Download task failed: ${error?.message || error}`))
+                .finally(() => {
+                    active--;
+                    activeByHost.set(job.host, activeByHost.get(job.host) - 1);
+                    queuedKeys.delete(job.key);
+                    pump();
+                });
+        }
+
+        notifyIfIdle();
+    };
+
+    return {
+        /**
+         * Queue a download task
+         * Tasks should handle their own errors; uncaught ones are only logged
+         * @param {string} url - URL the task downloads (used for the per-host limit)
+         * @param {Function} task - Async function performing the download
+         * @param {string|null} key - Identifies the file the task writes (e.g. its save path)
+         * @returns {boolean} False if a task with the same key is already queued or running
+         */
+        add: (url, task, key = null) => {
+            if (key !== null) {
+                if (queuedKeys.has(key)) return false;
+                queuedKeys.add(key);
+            }
+
+            pending.push({ host: getUrlHost(url), task, key });
+            pump();
+            return true;
+        },
+
+        /**
+         * Check whether a task with this key is queued or running
+         * @param {string} key - Key given to add()
+         * @returns {boolean} True if the file is already being downloaded
+         */
+        has: (key) => queuedKeys.has(key),
+
+        /**
+         * Wait until every queued and running task has finished
+         * @returns {Promise<void>}
+         */
+        drain: () => new Promise((resolve) => {
+            idleWaiters.push(resolve);
+            pump();
+        }),
+
+        /**
+         * Get current queue counters
+         * @returns {{active: number, pending: number}} Running and waiting tasks
+         */
+        stats: () => ({ active, pending: pending.length }),
+    };
+};
+
+let sharedQueue = null;
+
+/**
+ * Get the download queue shared by all downloaders (created on first use)
+ * @returns {{add: Function, has: Function, drain: Function, stats: Function}} Download queue
+ */
+export const getDownloadQueue = () => {
+    if (!sharedQueue) {
+        sharedQueue = createDownloadQueue();
+    }
+    return sharedQueue;
+};
@@ -28,7 +28,6 @@ export const fetchTimeLineAlbumId_FBPage = async (page_id) => {
 
   // fetch data
   const json = await myFetch(url);
-  if (!json) return null;
 
   // find timeline album
   const timeLineAlbum = json.data.find((_) => _.type === "wall");
@@ -62,7 +61,7 @@ export const downloadTimeLineAlbumPhotoLinks_FBPage = async ({
  * @param {Object} params - Download parameters
  * @param {string} params.page_id - Facebook Page ID
  * @param {string|null} params.fromPhotoId - Start from this photo ID (optional)
- * @returns {Promise<void>}
+ * @returns {Promise<{saved: number, skipped: number, failed: number}|null>} Download statistics, or null if the page has no timeline album
  */
 export const downloadTimeLineAlbum_FBPage = async ({
   page_id,
@@ -71,8 +70,9 @@ export const downloadTimeLineAlbum_FBPage = async ({
   const album_id = await fetchTimeLineAlbumId_FBPage(page_id);
   if (album_id) {
     log(t("foundTimelineAlbumID"), album_id);
-    await downloadAlbumPhoto({ albumId: album_id, fromPhotoId });
+    return await downloadAlbumPhoto({ albumId: album_id, fromPhotoId });
   } else {
     console.error(t("pageDontHaveTimelineAlbum"));
+    return null;
   }
 };
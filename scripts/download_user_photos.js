@@ -1,45 +1,95 @@
+import path from "path";
 import {
   ACCESS_TOKEN,
-  PHOTO_FILE_FORMAT,
   WAIT_BEFORE_NEXT_FETCH,
   DATABASE_ENABLED,
   PLATFORM_FACEBOOK,
-  getSaveFolderPath,
 } from "../config.js";
-import { FB_API_HOST, S } from "./constants.js";
+import { ALBUM_TYPE, API_TYPE, FB_API_HOST, LINK_FORMAT, MEDIA_TYPE, USER_PHOTO_TYPE, S } from "./constants.js";
 import { t } from "./lang.js";
 import { log } from "./logger.js";
-import { createIfNotExistDir, download, myFetch, sleep, sanitizeFolderName, saveCaptionFile } from "./utils.js";
-import { getOrCreateUser, saveMedia } from "./database.js";
-import { checkMediaSkip, logDownloadSummary } from "./download_helpers.js";
+import { createIfNotExistDir, download, myFetch, sleep, removeExtension, saveCaptionFile, saveMetadataFile } from "./utils.js";
+import { getOrCreateUser, getUserIdByUID, saveMedia } from "./database.js";
+import {
+  checkMediaSkip,
+  buildMediaMetadata,
+  logDownloadSummary,
+  recordCrawlProgress,
+  recordDownloadFailure,
+  resolveCrawlStart,
+  parseDateRange,
+  filterPageByDateRange,
+} from "./download_helpers.js";
+import { PATH_TEMPLATE, getMediaSavePath } from "./path_template.js";
+import { fetchAllAlbums } from "./download_all_albums.js";
+import { createLinkExporter } from "./link_export.js";
+import { createSyncTracker } from "./incremental_sync.js";
+import { getDownloadQueue } from "./download_queue.js";
+import { deduplicateDownload, isDownloadKept, saveContentHash } from "./dedup.js";
 import { runBatchDownload } from "./batch_utils.js";
+import { createDryRunEstimate, logDryRunEstimate } from "./dry_run.js";
 import { isCancelled, throwIfCancelled } from "./cancellation.js";
 
 /**
- * Fetch user's uploaded photos with pagination support
+ * How each user photo set is crawled, tracked and saved
+ * Profile and cover pictures are read from the matching album of the user
+ * @constant {Object<string, {apiType: string, template: string, albumType: string|null}>}
+ */
+const USER_PHOTO_SOURCES = {
+  [USER_PHOTO_TYPE.UPLOADED]: { apiType: API_TYPE.USER_PHOTOS, template: PATH_TEMPLATE.BY_ALBUM, albumType: null },
+  [USER_PHOTO_TYPE.TAGGED]: { apiType: API_TYPE.USER_TAGGED_PHOTOS, template: PATH_TEMPLATE.TAGGED, albumType: null },
+  [USER_PHOTO_TYPE.PROFILE]: { apiType: API_TYPE.USER_PROFILE_PICTURES, template: PATH_TEMPLATE.PROFILE_PICTURES, albumType: ALBUM_TYPE.PROFILE },
+  [USER_PHOTO_TYPE.COVER]: { apiType: API_TYPE.USER_COVER_PHOTOS, template: PATH_TEMPLATE.COVER_PHOTOS, albumType: ALBUM_TYPE.COVER },
+};
+
+/**
+ * Get the API type a user photo set is tracked under (crawl cursor, sync watermark)
+ * @param {string} photoType - Photo set (see USER_PHOTO_TYPE in constants.js)
+ * @returns {string} API type name
+ * @throws {Error} If the photo set is unknown
+ */
+export const getUserPhotoApiType = (photoType) => {
+  const source = USER_PHOTO_SOURCES[photoType];
+  if (!source) throw new Error(`Unknown photo type: ${photoType}`);
+  return source.apiType;
+};
+
+/**
+ * Fetch user's photos with pagination support
  * Retrieves photos with album info and largest image URLs
  * @param {Object} params - Fetch parameters
- * @param {string} params.targetId - Facebook user ID
+ * @param {string} params.sourceId - Facebook user ID, or album ID for album based photo sets
+ * @param {string|null} params.photoType - type of the /{user-id}/photos edge (null for albums)
  * @param {number} params.pageLimit - Maximum number of pages to fetch (default: Infinity)
  * @param {string|null} params.fromCursor - Pagination cursor to start from
+ * @param {number} params.startPage - Page number of the first fetched page (when resuming)
+ * @param {{userId: number|null, apiType: string}|null} params.cursorTracking - Persist the cursor after each page
+ * @param {Object|null} params.syncTracker - Incremental sync tracker (see createSyncTracker)
+ * @param {{since: number|null, until: number|null}} params.dateRange - Only keep photos created in this range (see parseDateRange)
  * @param {Function} params.pageFetchedCallback - Callback called after each page is fetched
  * @returns {Promise<Array>} Array of all fetched photos with metadata
  */
 const fetchUserPhotos = async ({
-  targetId,
+  sourceId,
+  photoType = USER_PHOTO_TYPE.UPLOADED,
   pageLimit = Infinity,
   fromCursor,
+  startPage = 1,
+  cursorTracking = null,
+  syncTracker = null,
+  dateRange = parseDateRange(),
   pageFetchedCallback = () => { },
 }) => {
   const all_photos = [];
-  let page = 1;
-  let url = `${FB_API_HOST}/${targetId}/photos?type=uploaded&fields=largest_image,name,album&access_token=${ACCESS_TOKEN}`;
+  let page = startPage;
+  const typeParam = photoType ? `type=${photoType}&` : "";
+  let url = `${FB_API_HOST}/${sourceId}/photos?${typeParam}fields=largest_image,name,album,created_time,from,link&access_token=${ACCESS_TOKEN}`;
 
   if (fromCursor) {
     url += "&after=" + fromCursor;
   }
 
-  while (url && page <= pageLimit) {
+  while (url && page < startPage + Number(pageLimit)) {
     // Check for cancellation before each page fetch
     if (isCancelled()) {
       log(S.FgYellow + `⏸️  Stopping at page ${page - 1} (cancelled)` + S.Reset);
@@ -52,15 +102,35 @@ const fetchUserPhotos = async ({
 
     if (!fetchData?.data) break;
 
-    const photos = fetchData.data;
+    // the photos edge has no since/until: filter locally and stop once past the range
+    const { items: photos, beforeRange } = filterPageByDateRange(fetchData.data, dateRange);
     all_photos.push(...photos);
     log(`> TÌM THẤY ${photos.length} ảnh. (TỔNG: ${all_photos.length})`);
     log(t("currentPageID"), fetchData.paging?.cursors?.before);
     log(t("nextPageID"), fetchData.paging?.cursors?.after, "\n");
 
+    // incremental sync: check before downloading, while saved_media still reflects previous runs
+    const reachedSynced = syncTracker?.checkPage(
+      fetchData.data.map((p) => p.id),
+      fetchData.data.map((p) => p.created_time)
+    ) || false;
+
     // callback when each page fetched
     await pageFetchedCallback(photos);
 
+    // remember where to continue from (reaching synced media or the start of the range finishes the crawl)
+    recordCrawlProgress(cursorTracking, reachedSynced || beforeRange ? null : fetchData.paging, page - 1);
+
+    if (reachedSynced) {
+      log(t("reachedSyncedPage").replace("{page}", page - 1));
+      break;
+    }
+
+    if (beforeRange) {
+      log(t("reachedDateRangeStart").replace("{page}", page - 1));
+      break;
+    }
+
     // get next paging
     url = fetchData?.paging?.next;
 
@@ -71,98 +141,258 @@ const fetchUserPhotos = async ({
     }
   }
 
+  if (!url) syncTracker?.markComplete();
+
   return all_photos;
 };
 
 /**
- * Download all uploaded photos from a user's profile
- * Organizes photos by album in the user's photos folder
+ * Find the album holding a user's profile or cover pictures
+ * @param {string} targetId - Facebook user ID
+ * @param {string} albumType - Album type (see ALBUM_TYPE in constants.js)
+ * @returns {Promise<string|null>} Album ID, or null if the user has no such album
+ */
+export const findUserAlbumId = async (targetId, albumType) => {
+  const albums = await fetchAllAlbums(targetId);
+  return albums.find((album) => album.type === albumType)?.id || null;
+};
+
+/**
+ * Download photos from a user's profile
+ * Uploaded photos are organized by album in the user's photos folder;
+ * tagged, profile and cover photos each get their own folder and crawl state
  * @param {Object} params - Download parameters
  * @param {string} params.targetId - Facebook user ID
+ * @param {string} params.photoType - Photo set to download (see USER_PHOTO_TYPE, default: uploaded)
  * @param {string|null} params.fromCursor - Pagination cursor to resume from
  * @param {number} params.pageLimit - Maximum number of pages to fetch (default: Infinity)
- * @returns {Promise<{saved: number, skipped: number}>} Download statistics
+ * @param {boolean} params.resume - Continue from the cursor saved by a previous run (default: false)
+ * @param {boolean} params.incremental - Stop at the first page that was already synced (default: false)
+ * @param {string|null} params.syncedSince - Last synced time overriding the saved watermark (default: null)
+ * @param {string|null} params.since - Only download photos created on or after this date (default: null)
+ * @param {string|null} params.until - Only download photos created on or before this date (default: null)
+ * @param {boolean} params.dryRun - Only crawl and estimate the download (see dry_run.js, default: false)
+ * @param {boolean} params.estimateSize - Estimate bytes with HEAD requests in a dry run (default: false)
+ * @returns {Promise<{saved: number, skipped: number, failed: number, estimate?: Object}>} Download statistics
  */
 export const downloadUserPhotos = async ({
   targetId,
+  photoType = USER_PHOTO_TYPE.UPLOADED,
   fromCursor,
   pageLimit = Infinity,
+  resume = false,
+  incremental = false,
+  syncedSince = null,
+  since = null,
+  until = null,
+  dryRun = false,
+  estimateSize = false,
 }) => {
+  const apiType = getUserPhotoApiType(photoType);
+  const { template, albumType } = USER_PHOTO_SOURCES[photoType];
+
   log(t("downloadingUserImage").replace("{user_id}", targetId));
+  if (photoType !== USER_PHOTO_TYPE.UPLOADED) {
+    log(t("userPhotoType").replace("{type}", photoType));
+  }
+  if (dryRun) log(t("dryRunNotice"));
   let saved = 0;
   let skipped = 0;
+  let failed = 0;
+  const queue = getDownloadQueue();
+
+  // profile/cover history lives in an album of the user
+  const sourceId = albumType ? await findUserAlbumId(targetId, albumType) : targetId;
+  if (!sourceId) {
+    log(t("userPhotoAlbumNotFound").replace("{type}", photoType).replace("{user_id}", targetId));
+    return { saved, skipped, failed };
+  }
 
-  // Get or create user in database
-  const userId = DATABASE_ENABLED ? getOrCreateUser(PLATFORM_FACEBOOK, targetId) : null;
+  // Get or create user in database (a dry run only looks it up)
+  const userId = !DATABASE_ENABLED ? null
+    : dryRun ? getUserIdByUID(targetId) : getOrCreateUser(PLATFORM_FACEBOOK, targetId);
+  const crawlStart = resolveCrawlStart(userId, apiType, fromCursor, resume);
+  const syncTracker = createSyncTracker({
+    userId,
+    apiType,
+    incremental,
+    syncedSince,
+  });
+  const dateRange = parseDateRange(since, until);
+  const estimate = dryRun ? createDryRunEstimate({ userId, estimateSize }) : null;
+  if (estimate && albumType) estimate.addApiCall(); // album list
 
   await fetchUserPhotos({
-    targetId,
-    fromCursor,
+    sourceId,
+    photoType: albumType ? null : photoType,
     pageLimit,
+    ...crawlStart,
+    cursorTracking: dryRun ? null : { userId, apiType },
+    syncTracker,
+    dateRange,
     pageFetchedCallback: async (photos) => {
+      if (estimate) {
+        estimate.addApiCall();
+        for (const data of photos) {
+          await estimate.addMedia({ id: data.id, type: MEDIA_TYPE.PHOTO, url: data.largest_image.source });
+        }
+        return;
+      }
+
       // save all photos to directory
       for (let data of photos) {
         const { largest_image, name, album, id } = data;
 
-        // Organize by album: downloads/{userId}/photos/{albumName}/
-        const albumName = album?.name ? sanitizeFolderName(album.name) : '(no album)';
-        const baseDir = getSaveFolderPath(targetId, 'photos');
-        const albumDir = `${baseDir}/${albumName}`;
-        const savePath = `${albumDir}/${id}.${PHOTO_FILE_FORMAT}`;
+        // Uploaded photos by album: downloads/{userId}/photos/{albumName}/ (see MEDIA_PATH_TEMPLATE)
+        const savePath = getMediaSavePath({
+          uid: targetId,
+          mediaId: id,
+          mediaType: MEDIA_TYPE.PHOTO,
+          album,
+          createdTime: data.created_time,
+          posterUid: data.from?.id,
+        }, template);
 
         // Smart skip: check DB status only
-        const skipCheck = checkMediaSkip(userId, id, false);
+        // The same media can appear twice on a page (reshares, album subattachments)
+        const skipCheck = queue.has(savePath)
+          ? { skip: true, reason: "already queued on this page" }
+          : checkMediaSkip(userId, id, false);
         if (skipCheck.skip) {
           log(`⏭️  SKIPPING ${id} (${skipCheck.reason})`);
           skipped++;
           continue;
         }
 
-        createIfNotExistDir(albumDir);
+        createIfNotExistDir(path.dirname(savePath));
 
-        try {
-          const moreInfo = `[${album?.name || 'No album'}] [${name || ""}]`;
+        queue.add(largest_image.source, async () => {
+          try {
+            const moreInfo = `[${album?.name || 'No album'}] [${name || ""}]`;
 
-          log(
-            t("savingUserMedia")
-              .replace("{count}", saved)
-              .replace("{path}", savePath)
-              .replace("{moreInfo}", moreInfo)
-          );
-          await download(largest_image.source, savePath);
+            log(
+              t("savingUserMedia")
+                .replace("{count}", saved)
+                .replace("{path}", savePath)
+                .replace("{moreInfo}", moreInfo)
+            );
+            const filePath = await download(largest_image.source, savePath);
+            const stored = await deduplicateDownload(filePath);
 
-          // Save caption as text file if exists
-          if (name) {
-            saveCaptionFile(`${albumDir}/${id}`, name);
-          }
+            // Save caption as text file if exists (not when only the existing copy is kept)
+            if (isDownloadKept(filePath, stored)) {
+              if (name) {
+                saveCaptionFile(removeExtension(filePath), name);
+              }
+              saveMetadataFile(filePath, buildMediaMetadata(
+                { ...data, message: name, permalink: data.link, width: largest_image.width, height: largest_image.height },
+                { mediaId: id, mediaType: MEDIA_TYPE.PHOTO, sourceUrl: largest_image.source }
+              ));
+            }
 
-          // Mark as downloaded in database (photos from user_photos endpoint include largest_image, so HD)
-          if (DATABASE_ENABLED && userId) {
-            saveMedia(userId, id, true, savePath);
-          }
+            // Mark as downloaded in database (photos from user_photos endpoint include largest_image, so HD)
+            if (DATABASE_ENABLED && userId) {
+              saveMedia(userId, id, true, stored.filePath);
+              saveContentHash(userId, id, stored);
+            }
 
-          saved++;
-        } catch (e) {
-          log(
-            S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
-            e.toString()
-          );
-        }
+            saved++;
+          } catch (e) {
+            log(
+              S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
+              e.toString()
+            );
+            recordDownloadFailure(userId, id, MEDIA_TYPE.PHOTO, largest_image.source, savePath, e);
+            failed++;
+          }
+        }, savePath);
       }
+
+      // finish this page's downloads before fetching the next one
+      await queue.drain();
     },
   });
 
+  if (estimate) {
+    logDryRunEstimate(targetId, estimate.result());
+    return { saved: 0, skipped: 0, failed: 0, estimate: estimate.result() };
+  }
+
+  // photos older than `since` were not crawled, so the source is not fully synced
+  if (dateRange.since === null) syncTracker.finish();
+
   // Log summary
-  logDownloadSummary({ saved, skipped, mediaType: 'photos' });
+  logDownloadSummary({ saved, skipped, failed, mediaType: 'photos' });
+
+  return { saved, skipped, failed };
+};
+
+/**
+ * Save the photo links of a user to a file
+ * Photos from the user photos edge already use their largest image
+ * @param {Object} params - Download parameters
+ * @param {string} params.targetId - Facebook user ID
+ * @param {string} params.photoType - Photo set to export (see USER_PHOTO_TYPE, default: uploaded)
+ * @param {string|null} params.fromCursor - Pagination cursor to start from
+ * @param {number} params.pageLimit - Maximum number of pages to fetch (default: Infinity)
+ * @param {string|null} params.since - Only include photos created on or after this date (default: null)
+ * @param {string|null} params.until - Only include photos created on or before this date (default: null)
+ * @param {string} params.format - Link file format (see LINK_FORMAT, default: txt)
+ * @returns {Promise<{saved: number, skipped: number}>} Number of exported links
+ */
+export const downloadUserPhotoLinks = async ({
+  targetId,
+  photoType = USER_PHOTO_TYPE.UPLOADED,
+  fromCursor = null,
+  pageLimit = Infinity,
+  since = null,
+  until = null,
+  format = LINK_FORMAT.TXT,
+}) => {
+  const { template, albumType } = USER_PHOTO_SOURCES[photoType];
+
+  log(t("downloadingUserImage").replace("{user_id}", targetId));
+  const sourceId = albumType ? await findUserAlbumId(targetId, albumType) : targetId;
+  if (!sourceId) {
+    log(t("userPhotoAlbumNotFound").replace("{type}", photoType).replace("{user_id}", targetId));
+    return { saved: 0, skipped: 0 };
+  }
+
+  // tagged/profile/cover exports get their own file, like their own download folder
+  const exportId = photoType === USER_PHOTO_TYPE.UPLOADED ? targetId : `${targetId}_${photoType}`;
+  const exporter = createLinkExporter({ id: exportId, format, uid: targetId, template });
+  let saved = 0;
+
+  await fetchUserPhotos({
+    sourceId,
+    photoType: albumType ? null : photoType,
+    pageLimit,
+    fromCursor,
+    dateRange: parseDateRange(since, until),
+    pageFetchedCallback: async (photos) => {
+      log(`Đang lưu link vào file ${exporter.fileName}`);
+      saved += exporter.write(photos.map((photo) => ({
+        id: photo.id,
+        url: photo.largest_image.source,
+        album: photo.album || null,
+        created_time: photo.created_time,
+        message: photo.name || null,
+        permalink: photo.link || null,
+        from: photo.from || null,
+        width: photo.largest_image.width,
+        height: photo.largest_image.height,
+      })));
+    },
+  });
 
-  return { saved, skipped };
+  return { saved, skipped: 0 };
 };
 
 /**
  * Batch download photos from multiple users
  * Uses runBatchDownload for consistent progress reporting
  * @param {string[]} userIds - Array of Facebook user IDs
- * @param {Object} options - Download options (fromCursor, pageLimit)
+ * @param {Object} options - Download options (photoType, fromCursor, pageLimit, resume, incremental, syncedSince, since, until, dryRun, estimateSize)
  * @returns {Promise<Array>} Array of results for each user
  */
 export const downloadUserPhotosBatch = async (userIds, options) => {
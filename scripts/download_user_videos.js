@@ -1,18 +1,36 @@
+import path from "path";
 import {
   ACCESS_TOKEN,
-  VIDEO_FILE_FORMAT,
   WAIT_BEFORE_NEXT_FETCH,
   DATABASE_ENABLED,
   PLATFORM_FACEBOOK,
-  getSaveFolderPath,
 } from "../config.js";
-import { FB_API_HOST, S } from "./constants.js";
+import { API_TYPE, FB_API_HOST, MEDIA_TYPE, S } from "./constants.js";
 import { t } from "./lang.js";
 import { log } from "./logger.js";
-import { createIfNotExistDir, download, myFetch, sleep, saveCaptionFile } from "./utils.js";
-import { getOrCreateUser, saveMedia } from "./database.js";
-import { checkMediaSkip, logDownloadSummary } from "./download_helpers.js";
+import { createIfNotExistDir, download, myFetch, sleep, removeExtension, saveCaptionFile, saveMetadataFile } from "./utils.js";
+import { getOrCreateUser, getUserIdByUID } from "./database.js";
+import {
+  checkMediaSkip,
+  resolveVideoSource,
+  saveVideoWithTracking,
+  withVideoQuality,
+  buildMediaMetadata,
+  logDownloadSummary,
+  recordCrawlProgress,
+  recordDownloadFailure,
+  resolveCrawlStart,
+  parseDateRange,
+  isWithinDateRange,
+  getDateRangeParams,
+} from "./download_helpers.js";
+import { getPostMetadata } from "./download_wall_media.js";
+import { getMediaSavePath } from "./path_template.js";
+import { createSyncTracker } from "./incremental_sync.js";
+import { getDownloadQueue } from "./download_queue.js";
+import { deduplicateDownload, isDownloadKept, saveContentHash } from "./dedup.js";
 import { runBatchDownload } from "./batch_utils.js";
+import { createDryRunEstimate, logDryRunEstimate } from "./dry_run.js";
 import { isCancelled } from "./cancellation.js";
 
 /**
@@ -23,7 +41,7 @@ import { isCancelled } from "./cancellation.js";
  * @param {Object} attachment.target - Target object containing video ID
  * @param {Object} attachment.media - Media object containing video source URL
  * @param {Object} attachment.subattachments - Sub-attachments for albums
- * @returns {Array<{id: string, source: string, description: string, has_hd_quality: boolean}>} Array of video data
+ * @returns {Array<{id: string, source: string, description: string, width: number|null, height: number|null}>} Array of video data
  */
 const getVideoFromAttachment = (attachment) => {
   const videos = [];
@@ -39,8 +57,9 @@ const getVideoFromAttachment = (attachment) => {
         id: id,
         source: attachment.media.source,
         description: attachment.description || "",
-        // Estimate quality from URL or default to SD
-        has_hd_quality: attachment.media.source?.includes("hd") || false,
+        // dimensions of the thumbnail
+        width: attachment.media.image?.width || null,
+        height: attachment.media.image?.height || null,
       });
     }
   }
@@ -62,6 +81,10 @@ const getVideoFromAttachment = (attachment) => {
  * @param {string} params.targetId - Facebook user ID
  * @param {number} params.pageLimit - Maximum number of pages to fetch (default: Infinity)
  * @param {string|null} params.fromCursor - Pagination cursor to start from
+ * @param {number} params.startPage - Page number of the first fetched page (when resuming)
+ * @param {{userId: number|null, apiType: string}|null} params.cursorTracking - Persist the cursor after each page
+ * @param {Object|null} params.syncTracker - Incremental sync tracker (see createSyncTracker)
+ * @param {{since: number|null, until: number|null}} params.dateRange - Only keep posts created in this range (see parseDateRange)
  * @param {Function} params.pageFetchedCallback - Callback called after each page is fetched
  * @returns {Promise<Array>} Array of all fetched videos with metadata
  */
@@ -69,20 +92,25 @@ const fetchUserVideos = async ({
   targetId,
   pageLimit = Infinity,
   fromCursor,
+  startPage = 1,
+  cursorTracking = null,
+  syncTracker = null,
+  dateRange = parseDateRange(),
   pageFetchedCallback = () => { },
 }) => {
   const all_videos = [];
-  let page = 1;
+  let page = startPage;
 
   // Use feed endpoint with attachments - works for any user's public posts
   // This bypasses the Permission Denied error from /{user-id}/videos endpoint
-  let url = `${FB_API_HOST}/${targetId}/feed?fields=attachments{media,type,subattachments,target,description}&access_token=${ACCESS_TOKEN}`;
+  let url = `${FB_API_HOST}/${targetId}/feed?fields=created_time,message,permalink_url,from,attachments{media,type,subattachments,target,description}&access_token=${ACCESS_TOKEN}`;
+  url += getDateRangeParams(dateRange);
 
   if (fromCursor) {
     url += "&after=" + fromCursor;
   }
 
-  while (url && page <= pageLimit) {
+  while (url && page < startPage + Number(pageLimit)) {
     // Check for cancellation before each page fetch
     if (isCancelled()) {
       log(S.FgYellow + `⏸️  Stopping at page ${page - 1} (cancelled)` + S.Reset);
@@ -98,13 +126,24 @@ const fetchUserVideos = async ({
     // Extract videos from post attachments
     const videos = [];
     fetchData.data.forEach((post) => {
-      if (post.attachments?.data) {
+      if (post.attachments?.data && isWithinDateRange(post.created_time, dateRange)) {
         post.attachments.data.forEach((attachment) => {
-          videos.push(...getVideoFromAttachment(attachment));
+          videos.push(
+            ...getVideoFromAttachment(attachment).map((v) => ({
+              ...v,
+              ...getPostMetadata(post),
+            }))
+          );
         });
       }
     });
 
+    // incremental sync: check before downloading, while saved_media still reflects previous runs
+    const reachedSynced = syncTracker?.checkPage(
+      videos.map((v) => v.id),
+      fetchData.data.map((post) => post.created_time)
+    ) || false;
+
     if (videos.length > 0) {
       all_videos.push(...videos);
       log(
@@ -121,6 +160,14 @@ const fetchUserVideos = async ({
       log(`> Trang ${page - 1}: Không tìm thấy video nào.`);
     }
 
+    // remember where to continue from (reaching synced media finishes the crawl)
+    recordCrawlProgress(cursorTracking, reachedSynced ? null : fetchData.paging, page - 1);
+
+    if (reachedSynced) {
+      log(t("reachedSyncedPage").replace("{page}", page - 1));
+      break;
+    }
+
     // get next paging
     url = fetchData?.paging?.next;
 
@@ -131,6 +178,8 @@ const fetchUserVideos = async ({
     }
   }
 
+  if (!url) syncTracker?.markComplete();
+
   return all_videos;
 };
 
@@ -141,28 +190,63 @@ const fetchUserVideos = async ({
  * @param {string} params.targetId - Facebook user ID
  * @param {string|null} params.fromCursor - Pagination cursor to resume from
  * @param {number} params.pageLimit - Maximum number of pages to fetch (default: Infinity)
- * @returns {Promise<{saved: number, skipped: number}>} Download statistics
+ * @param {boolean} params.resume - Continue from the cursor saved by a previous run (default: false)
+ * @param {boolean} params.incremental - Stop at the first page that was already synced (default: false)
+ * @param {string|null} params.syncedSince - Last synced time overriding the saved watermark (default: null)
+ * @param {string|null} params.since - Only download posts created on or after this date (default: null)
+ * @param {string|null} params.until - Only download posts created on or before this date (default: null)
+ * @param {boolean} params.dryRun - Only crawl and estimate the download (see dry_run.js, default: false)
+ * @param {boolean} params.estimateSize - Estimate bytes with HEAD requests in a dry run (default: false)
+ * @returns {Promise<{saved: number, skipped: number, failed: number, estimate?: Object}>} Download statistics
  */
 export const downloadUserVideos = async ({
   targetId,
   fromCursor,
   pageLimit = Infinity,
+  resume = false,
+  incremental = false,
+  syncedSince = null,
+  since = null,
+  until = null,
+  dryRun = false,
+  estimateSize = false,
 }) => {
   log(t("downloadingUserVideo").replace("{user_id}", targetId));
+  if (dryRun) log(t("dryRunNotice"));
   let saved = 0;
   let skipped = 0;
+  let failed = 0;
+  const queue = getDownloadQueue();
 
-  // Get or create user in database
-  const userId = DATABASE_ENABLED ? getOrCreateUser(PLATFORM_FACEBOOK, targetId) : null;
+  // Get or create user in database (a dry run only looks it up)
+  const userId = !DATABASE_ENABLED ? null
+    : dryRun ? getUserIdByUID(targetId) : getOrCreateUser(PLATFORM_FACEBOOK, targetId);
+  const crawlStart = resolveCrawlStart(userId, API_TYPE.USER_VIDEOS, fromCursor, resume);
+  const syncTracker = createSyncTracker({
+    userId,
+    apiType: API_TYPE.USER_VIDEOS,
+    incremental,
+    syncedSince,
+  });
+  const dateRange = parseDateRange(since, until);
+  const estimate = dryRun ? createDryRunEstimate({ userId, estimateSize }) : null;
 
   await fetchUserVideos({
     targetId,
-    fromCursor,
     pageLimit,
+    ...crawlStart,
+    cursorTracking: dryRun ? null : { userId, apiType: API_TYPE.USER_VIDEOS },
+    syncTracker,
+    dateRange,
     pageFetchedCallback: async (videos) => {
-      // Use unified folder structure: downloads/{userId}/videos/
-      const dir = getSaveFolderPath(targetId, 'videos');
-      createIfNotExistDir(dir);
+      if (estimate) {
+        estimate.addApiCall();
+        for (const data of videos) {
+          // the video node is resolved before each download
+          await estimate.addMedia({ id: data.id, type: MEDIA_TYPE.VIDEO, url: data.source, extraApiCalls: 1 });
+        }
+        return;
+      }
 
       // save all videos to directory
       for (let data of videos) {
@@ -170,65 +254,101 @@ export const downloadUserVideos = async ({
           source,
           id,
           description,
-          has_hd_quality,
         } = data;
 
-        const url = source;
-        const savePath = `${dir}/${id}.${VIDEO_FILE_FORMAT}`;
+        // Default layout: downloads/{userId}/videos/ (see MEDIA_PATH_TEMPLATE)
+        const savePath = getMediaSavePath({
+          uid: targetId,
+          mediaId: id,
+          mediaType: MEDIA_TYPE.VIDEO,
+          createdTime: data.created_time,
+          posterUid: data.from?.id,
+        });
 
         // Smart skip: check DB status only
-        const skipCheck = checkMediaSkip(userId, id, false);
+        // The same media can appear twice on a page (reshares, album subattachments)
+        const skipCheck = queue.has(savePath)
+          ? { skip: true, reason: "already queued on this page" }
+          : checkMediaSkip(userId, id, false);
         if (skipCheck.skip) {
           log(`⏭️  SKIPPING ${id} (${skipCheck.reason})`);
           skipped++;
           continue;
         }
 
-        try {
-          const moreInfo =
-            (has_hd_quality ? "[HD]" : "[sd]") +
-            (description ? ` [${description}]` : "");
+        // Resolve the real quality through the video node (the attachment source may be SD)
+        const video = await resolveVideoSource(id, source);
+        const url = video.url;
 
-          log(
-            t("savingUserMedia")
-              .replace("{count}", saved)
-              .replace("{path}", savePath)
-              .replace("{moreInfo}", moreInfo)
-          );
-          await download(url, savePath);
+        createIfNotExistDir(path.dirname(savePath));
+        queue.add(url, async () => {
+          try {
+            const moreInfo =
+              `[${video.quality}]` +
+              (description ? ` [${description}]` : "");
 
-          // Save description as text file if exists
-          if (description) {
-            saveCaptionFile(`${dir}/${id}`, description);
-          }
+            log(
+              t("savingUserMedia")
+                .replace("{count}", saved)
+                .replace("{path}", savePath)
+                .replace("{moreInfo}", moreInfo)
+            );
+            const filePath = await download(url, savePath);
+            const stored = await deduplicateDownload(filePath);
 
-          // Mark as downloaded in database (videos are always considered HD)
-          if (DATABASE_ENABLED && userId) {
-            saveMedia(userId, id, true, savePath);
-          }
+            // Save description as text file if exists (not when only the existing copy is kept)
+            if (isDownloadKept(filePath, stored)) {
+              if (description) {
+                saveCaptionFile(removeExtension(filePath), description);
+              }
+              saveMetadataFile(filePath, buildMediaMetadata(
+                withVideoQuality(data, video),
+                { mediaId: id, mediaType: MEDIA_TYPE.VIDEO, sourceUrl: url }
+              ));
+            }
 
-          saved++;
-        } catch (e) {
-          log(
-            S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
-            e.toString()
-          );
-        }
+            // Mark as downloaded in database with the resolved quality and duration
+            if (DATABASE_ENABLED && userId) {
+              saveVideoWithTracking(userId, id, video, stored.filePath);
+              saveContentHash(userId, id, stored);
+            }
+
+            saved++;
+          } catch (e) {
+            log(
+              S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
+              e.toString()
+            );
+            recordDownloadFailure(userId, id, MEDIA_TYPE.VIDEO, url, savePath, e);
+            failed++;
+          }
+        }, savePath);
       }
+
+      // finish this page's downloads before fetching the next one
+      await queue.drain();
     },
   });
 
+  if (estimate) {
+    logDryRunEstimate(targetId, estimate.result());
+    return { saved: 0, skipped: 0, failed: 0, estimate: estimate.result() };
+  }
+
+  // videos older than `since` were not crawled, so the feed is not fully synced
+  if (dateRange.since === null) syncTracker.finish();
+
   // Log summary
-  logDownloadSummary({ saved, skipped, mediaType: 'videos' });
+  logDownloadSummary({ saved, skipped, failed, mediaType: 'videos' });
 
-  return { saved, skipped };
+  return { saved, skipped, failed };
 };
 
 /**
  * Batch download videos from multiple users
  * Uses runBatchDownload for consistent progress reporting
  * @param {string[]} userIds - Array of Facebook user IDs
- * @param {Object} options - Download options (fromCursor, pageLimit)
+ * @param {Object} options - Download options (fromCursor, pageLimit, resume, incremental, syncedSince, since, until, dryRun, estimateSize)
  * @returns {Promise<Array>} Array of results for each user
  */
 export const downloadUserVideosBatch = async (userIds, options) => {
@@ -1,29 +1,48 @@
-import { FB_API_HOST, MEDIA_TYPE, S } from "./constants.js";
+import { API_TYPE, FB_API_HOST, LINK_FORMAT, MEDIA_TYPE, S } from "./constants.js";
 import {
   ACCESS_TOKEN,
-  FOLDER_TO_SAVE_LINKS,
-  ID_LINK_SEPERATOR,
-  PHOTO_FILE_FORMAT,
-  VIDEO_FILE_FORMAT,
   WAIT_BEFORE_NEXT_FETCH,
   DATABASE_ENABLED,
   PLATFORM_FACEBOOK,
-  getSaveFolderPath,
 } from "../config.js";
+import path from "path";
 import {
   createIfNotExistDir,
-  deleteFile,
   download,
   getLargestPhotoLink,
   myFetch,
-  saveToFile,
+  GRAPH_IDS_LIMIT,
+  saveMetadataFile,
   sleep,
 } from "./utils.js";
 import { t } from "./lang.js";
 import { log } from "./logger.js";
-import { getOrCreateUser } from "./database.js";
-import { checkMediaSkip, attemptHDFetch, saveMediaWithTracking, logDownloadSummary } from "./download_helpers.js";
+import { getOrCreateUser, getUserIdByUID } from "./database.js";
+import {
+  checkMediaSkip,
+  attemptHDFetch,
+  prefetchHDPhotoLinks,
+  saveMediaWithTracking,
+  resolveVideoSource,
+  resolveLargestPhotoLinks,
+  saveVideoWithTracking,
+  withVideoQuality,
+  logDownloadSummary,
+  recordDownloadFailure,
+  recordCrawlProgress,
+  buildMediaMetadata,
+  resolveCrawlStart,
+  parseDateRange,
+  isWithinDateRange,
+  getDateRangeParams,
+} from "./download_helpers.js";
+import { getMediaSavePath } from "./path_template.js";
+import { createLinkExporter } from "./link_export.js";
+import { createSyncTracker } from "./incremental_sync.js";
+import { getDownloadQueue } from "./download_queue.js";
+import { deduplicateDownload, isDownloadKept, saveContentHash } from "./dedup.js";
 import { runBatchDownload } from "./batch_utils.js";
+import { createDryRunEstimate, logDryRunEstimate } from "./dry_run.js";
 import { isCancelled } from "./cancellation.js";
 
 /**
@@ -34,9 +53,9 @@ import { isCancelled } from "./cancellation.js";
  * @param {Object} attachment.target - Target object containing media ID
  * @param {Object} attachment.media - Media object with image/video data
  * @param {Object} attachment.subattachments - Sub-attachments for album types
- * @returns {Array<{type: string, id: string, url: string}>} Array of extracted media items
+ * @returns {Array<{type: string, id: string, url: string, width: number|null, height: number|null}>} Array of extracted media items
  */
-const getMediaFromAttachment = (attachment) => {
+export const getMediaFromAttachment = (attachment) => {
   const filtered_media = [];
 
   let id = attachment?.target?.id;
@@ -44,6 +63,12 @@ const getMediaFromAttachment = (attachment) => {
 
   if (!id || !type) return filtered_media;
 
+  // dimensions of the attached image (the thumbnail for videos)
+  const dimensions = {
+    width: attachment.media?.image?.width || null,
+    height: attachment.media?.image?.height || null,
+  };
+
   /*
     Attachment LOẠI PHOTO có cấu trúc như sau
     {
@@ -66,6 +91,7 @@ const getMediaFromAttachment = (attachment) => {
       type: MEDIA_TYPE.PHOTO,
       id: id,
       url: attachment.media.image.src,
+      ...dimensions,
     });
   }
 
@@ -96,6 +122,7 @@ const getMediaFromAttachment = (attachment) => {
       type: MEDIA_TYPE.VIDEO,
       id: id,
       url: attachment.media.source,
+      ...dimensions,
     });
   }
 
@@ -134,25 +161,53 @@ const getMediaFromAttachment = (attachment) => {
   return filtered_media;
 };
 
+/**
+ * Get the post fields kept in the metadata sidecar of each of its media
+ * @param {Object} post - Post from a feed API response
+ * @returns {{post_id: string, permalink: string|null, created_time: string, message: string|null, from: Object|null}} Post metadata
+ */
+export const getPostMetadata = (post) => ({
+  post_id: post.id,
+  permalink: post.permalink_url || null,
+  created_time: post.created_time,
+  message: post.message || null,
+  from: post.from || null,
+});
+
 /**
  * Fetch all media from a user's wall/feed with pagination
  * Retrieves photos and videos from post attachments
  * @param {Object} params - Fetch parameters
  * @param {string} params.targetId - Facebook user/page/group ID
  * @param {number} params.pageLimit - Maximum number of pages to fetch (default: Infinity)
+ * @param {string|null} params.fromCursor - Pagination cursor to start from
+ * @param {number} params.startPage - Page number of the first fetched page (when resuming)
+ * @param {{userId: number|null, apiType: string}|null} params.cursorTracking - Persist the cursor after each page
+ * @param {Object|null} params.syncTracker - Incremental sync tracker (see createSyncTracker)
+ * @param {{since: number|null, until: number|null}} params.dateRange - Only keep posts created in this range (see parseDateRange)
  * @param {Function} params.pageFetchedCallback - Callback called after each page with media array
- * @returns {Promise<Array<{type: string, id: string, url: string}>>} Array of all fetched media
+ * @returns {Promise<Array<{type: string, id: string, url: string, created_time: string, post_id: string}>>} Array of all fetched media
  */
 const fetchWallMedia = async ({
   targetId,
   pageLimit = Infinity,
+  fromCursor = null,
+  startPage = 1,
+  cursorTracking = null,
+  syncTracker = null,
+  dateRange = parseDateRange(),
   pageFetchedCallback = () => { },
 }) => {
-  const all_media = []; // store all media {id, url, type}
-  let page = 1;
-  let url = `${FB_API_HOST}/${targetId}/feed?fields=attachments{media,type,subattachments,target}&access_token=${ACCESS_TOKEN}`;
+  const all_media = []; // store all media {id, url, type, created_time}
+  let page = startPage;
+  let url = `${FB_API_HOST}/${targetId}/feed?fields=created_time,message,permalink_url,from,attachments{media,type,subattachments,target}&access_token=${ACCESS_TOKEN}`;
+  url += getDateRangeParams(dateRange);
+
+  if (fromCursor) {
+    url += "&after=" + fromCursor;
+  }
 
-  while (url && page <= pageLimit) {
+  while (url && page < startPage + Number(pageLimit)) {
     // Check for cancellation before each page fetch
     if (isCancelled()) {
       log(S.FgYellow + `⏸️  Stopping at page ${page - 1} (cancelled)` + S.Reset);
@@ -166,11 +221,18 @@ const fetchWallMedia = async ({
     if (fetchData?.data) {
       // Get all media from each attachment
       const media = [];
-      fetchData.data.forEach((feedData) => {
-        feedData.attachments?.data.forEach((at) => {
-          media.push(...getMediaFromAttachment(at));
+      fetchData.data
+        .filter((feedData) => isWithinDateRange(feedData.created_time, dateRange))
+        .forEach((feedData) => {
+          feedData.attachments?.data.forEach((at) => {
+            media.push(
+              ...getMediaFromAttachment(at).map((m) => ({
+                ...m,
+                ...getPostMetadata(feedData),
+              }))
+            );
+          });
         });
-      });
 
       all_media.push(...media);
       log(
@@ -179,9 +241,23 @@ const fetchWallMedia = async ({
           .replace("{total}", all_media.length)
       );
 
+      // incremental sync: check before downloading, while saved_media still reflects previous runs
+      const reachedSynced = syncTracker?.checkPage(
+        media.map((m) => m.id),
+        fetchData.data.map((feedData) => feedData.created_time)
+      ) || false;
+
       // callback when each page fetched
       await pageFetchedCallback(media);
 
+      // remember where to continue from (reaching synced media finishes the crawl)
+      recordCrawlProgress(cursorTracking, reachedSynced ? null : fetchData.paging, page - 1);
+
+      if (reachedSynced) {
+        log(t("reachedSyncedPage").replace("{page}", page - 1));
+        break;
+      }
+
       // get next paging
       url = fetchData?.paging?.next;
 
@@ -195,6 +271,8 @@ const fetchWallMedia = async ({
     }
   }
 
+  if (!url) syncTracker?.markComplete();
+
   return all_media;
 };
 
@@ -206,6 +284,10 @@ const fetchWallMedia = async ({
  * @param {boolean} params.includeVideo - Whether to include videos (default: true)
  * @param {number} params.pageLimit - Maximum pages to fetch (default: Infinity)
  * @param {boolean} params.isGetLargestPhoto - Whether to fetch HD photo URLs (default: false)
+ * @param {string|null} params.fromCursor - Pagination cursor to start from (default: null)
+ * @param {string|null} params.since - Only include posts created on or after this date (default: null)
+ * @param {string|null} params.until - Only include posts created on or before this date (default: null)
+ * @param {string} params.format - Link file format (see LINK_FORMAT, default: txt)
  * @returns {Promise<void>}
  */
 export const downloadWallMediaLinks = async ({
@@ -213,28 +295,29 @@ export const downloadWallMediaLinks = async ({
   includeVideo = true,
   pageLimit = Infinity,
   isGetLargestPhoto = false,
+  fromCursor = null,
+  since = null,
+  until = null,
+  format = LINK_FORMAT.TXT,
 }) => {
   log(t("gettingWallInfo").replace("{id}", targetId));
 
-  const fileName = `${FOLDER_TO_SAVE_LINKS}/${targetId}.txt`;
-  deleteFile(fileName); // delete if file exist
+  const exporter = createLinkExporter({ id: targetId, format });
 
   await fetchWallMedia({
     targetId: targetId,
+    fromCursor: fromCursor,
     pageLimit: pageLimit,
-    pageFetchedCallback: (media) => {
+    dateRange: parseDateRange(since, until),
+    pageFetchedCallback: async (media) => {
       if (!includeVideo)
         media = media.filter((m) => m.type !== MEDIA_TYPE.VIDEO);
 
       if (isGetLargestPhoto) {
-        // TODO get largest photo link
+        media = await resolveLargestPhotoLinks(media);
       }
 
-      saveToFile(
-        fileName,
-        media.map((_) => _.id + ID_LINK_SEPERATOR + _.url).join("\n"),
-        false
-      );
+      exporter.write(media);
     },
   });
 };
@@ -248,40 +331,101 @@ export const downloadWallMediaLinks = async ({
  * @param {boolean} params.includeVideo - Whether to download videos (default: true)
  * @param {number} params.pageLimit - Maximum pages to fetch (default: Infinity)
  * @param {boolean} params.isGetLargestPhoto - Whether to fetch HD photo versions (default: false)
- * @returns {Promise<{saved: number, skipped: number, savedPhotos: number, savedVideos: number, skippedPhotos: number, skippedVideos: number}>} Download statistics
+ * @param {string|null} params.fromCursor - Pagination cursor to start from
+ * @param {boolean} params.resume - Continue from the cursor saved by a previous run (default: false)
+ * @param {boolean} params.incremental - Stop at the first page that was already synced (default: false)
+ * @param {string|null} params.syncedSince - Last synced time overriding the saved watermark (default: null)
+ * @param {string|null} params.since - Only download posts created on or after this date (default: null)
+ * @param {string|null} params.until - Only download posts created on or before this date (default: null)
+ * @param {boolean} params.dryRun - Only crawl and estimate the download (see dry_run.js, default: false)
+ * @param {boolean} params.estimateSize - Estimate bytes with HEAD requests in a dry run (default: false)
+ * @returns {Promise<{saved: number, skipped: number, failed: number, savedPhotos: number, savedVideos: number, skippedPhotos: number, skippedVideos: number, estimate?: Object}>} Download statistics
  */
 export const downloadWallMedia = async ({
   targetId,
   includeVideo = true,
   pageLimit = Infinity,
   isGetLargestPhoto = false,
+  fromCursor = null,
+  resume = false,
+  incremental = false,
+  syncedSince = null,
+  since = null,
+  until = null,
+  dryRun = false,
+  estimateSize = false,
 }) => {
   log(t("gettingWallInfo").replace("{id}", targetId));
-
-  // Get or create user in database
-  const userId = DATABASE_ENABLED ? getOrCreateUser(PLATFORM_FACEBOOK, targetId) : null;
+  if (dryRun) log(t("dryRunNotice"));
+
+  // Get or create user in database (a dry run only looks it up)
+  const userId = !DATABASE_ENABLED ? null
+    : dryRun ? getUserIdByUID(targetId) : getOrCreateUser(PLATFORM_FACEBOOK, targetId);
+  const crawlStart = resolveCrawlStart(userId, API_TYPE.WALL_FEED, fromCursor, resume);
+  const syncTracker = createSyncTracker({
+    userId,
+    apiType: API_TYPE.WALL_FEED,
+    incremental,
+    syncedSince,
+  });
+  const dateRange = parseDateRange(since, until);
 
   let savedPhotos = 0;
   let savedVideos = 0;
   let skippedPhotos = 0;
   let skippedVideos = 0;
+  let failed = 0;
+  const queue = getDownloadQueue();
+  const estimate = dryRun ? createDryRunEstimate({ userId, isGetLargestPhoto, estimateSize }) : null;
 
   await fetchWallMedia({
     targetId: targetId,
     pageLimit: pageLimit,
+    ...crawlStart,
+    cursorTracking: dryRun ? null : { userId, apiType: API_TYPE.WALL_FEED },
+    syncTracker,
+    dateRange,
     pageFetchedCallback: async (media) => {
+      if (estimate) {
+        estimate.addApiCall();
+        let hdPhotos = 0;
+        for (const data of media) {
+          if (!includeVideo && data.type === MEDIA_TYPE.VIDEO) continue;
+          const isPhoto = data.type === MEDIA_TYPE.PHOTO;
+          // videos resolve their video node, HD photos are looked up per page below
+          const willDownload = await estimate.addMedia({
+            id: data.id,
+            type: data.type,
+            url: data.url,
+            extraApiCalls: isPhoto ? 0 : 1,
+          });
+          if (willDownload && isPhoto && isGetLargestPhoto) hdPhotos++;
+        }
+        estimate.addApiCall(Math.ceil(hdPhotos / GRAPH_IDS_LIMIT));
+        return;
+      }
+
+      // HD photo URLs of the whole page in batched calls
+      const hdLinks = isGetLargestPhoto ? await prefetchHDPhotoLinks(media, userId) : null;
+
       // save all media to directory
       for (let data of media) {
         let { id: media_id, url: media_url, type: media_type } = data;
 
         // Determine file path for this media
-        const mediaSubfolder = media_type === MEDIA_TYPE.PHOTO ? 'photos' : 'videos';
-        const dir = getSaveFolderPath(targetId, mediaSubfolder);
-        const file_format = media_type === MEDIA_TYPE.PHOTO ? PHOTO_FILE_FORMAT : VIDEO_FILE_FORMAT;
-        const savePath = `${dir}/${media_id}.${file_format}`;
+        const savePath = getMediaSavePath({
+          uid: targetId,
+          mediaId: media_id,
+          mediaType: media_type,
+          createdTime: data.created_time,
+          posterUid: data.from?.id,
+        });
 
         // Smart skip: check DB status for HD upgrade capability
-        const skipCheck = checkMediaSkip(userId, media_id, isGetLargestPhoto && media_type === MEDIA_TYPE.PHOTO);
+        // The same media can appear twice on a page (reshares, album subattachments)
+        const skipCheck = queue.has(savePath)
+          ? { skip: true, reason: "already queued on this page" }
+          : checkMediaSkip(userId, media_id, isGetLargestPhoto && media_type === MEDIA_TYPE.PHOTO);
 
         if (skipCheck.skip) {
           if (media_type === MEDIA_TYPE.PHOTO) {
@@ -301,7 +445,7 @@ export const downloadWallMedia = async ({
         // For photos, optionally fetch HD version
         let isHdDownload = false;
         if (isGetLargestPhoto && media_type == MEDIA_TYPE.PHOTO) {
-          const hdResult = await attemptHDFetch(media_id, userId, skipCheck.needsUpgrade);
+          const hdResult = await attemptHDFetch(media_id, userId, skipCheck.needsUpgrade, hdLinks);
 
           if (hdResult.shouldSkip) {
             log(`⏭️  SKIPPING ${media_id} (HD fetch failed, keeping SD version)`);
@@ -320,42 +464,75 @@ export const downloadWallMedia = async ({
           continue;
         }
 
+        // Resolve the real quality of videos through the video node
+        let video = null;
+        if (media_type === MEDIA_TYPE.VIDEO) {
+          video = await resolveVideoSource(media_id, media_url);
+          media_url = video.url;
+        }
+
         // Create directory if needed
-        createIfNotExistDir(dir);
+        createIfNotExistDir(path.dirname(savePath));
         const saved = media_type === MEDIA_TYPE.PHOTO ? savedPhotos : savedVideos;
-        // Determine HD status for this save
-        const mediaIsHd = media_type === MEDIA_TYPE.VIDEO ? true : isHdDownload;
 
-        try {
-          log(
-            t("saving").replace("{count}", saved).replace("{path}", savePath)
-          );
-          await download(media_url, savePath);
+        queue.add(media_url, async () => {
+          try {
+            log(
+              t("saving").replace("{count}", saved).replace("{path}", savePath)
+            );
+            const filePath = await download(media_url, savePath);
+            const stored = await deduplicateDownload(filePath);
+            if (isDownloadKept(filePath, stored)) {
+              saveMetadataFile(filePath, buildMediaMetadata(
+                withVideoQuality(data, video),
+                { mediaId: media_id, mediaType: media_type, sourceUrl: media_url }
+              ));
+            }
 
-          // Mark as downloaded in database with HD status
-          saveMediaWithTracking(userId, media_id, mediaIsHd, savePath, skipCheck.needsUpgrade);
+            // Mark as downloaded in database with HD status (real quality for videos)
+            if (video) {
+              saveVideoWithTracking(userId, media_id, video, stored.filePath);
+            } else {
+              saveMediaWithTracking(userId, media_id, isHdDownload, stored.filePath, skipCheck.needsUpgrade);
+            }
+            saveContentHash(userId, media_id, stored);
 
-          if (media_type === MEDIA_TYPE.PHOTO) {
-            savedPhotos++;
-          } else {
-            savedVideos++;
+            if (media_type === MEDIA_TYPE.PHOTO) {
+              savedPhotos++;
+            } else {
+              savedVideos++;
+            }
+          } catch (e) {
+            log(
+              S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
+              e.toString()
+            );
+            recordDownloadFailure(userId, media_id, media_type, media_url, savePath, e);
+            failed++;
           }
-        } catch (e) {
-          log(
-            S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
-            e.toString()
-          );
-        }
+        }, savePath);
       }
+
+      // finish this page's downloads before fetching the next one
+      await queue.drain();
     },
   });
 
+  if (estimate) {
+    logDryRunEstimate(targetId, estimate.result());
+    return { saved: 0, skipped: 0, failed: 0, estimate: estimate.result() };
+  }
+
+  // media older than `since` were not crawled, so the feed is not fully synced
+  if (dateRange.since === null) syncTracker.finish();
+
   // Log summary
-  logDownloadSummary({ savedPhotos, savedVideos, skippedPhotos, skippedVideos });
+  logDownloadSummary({ savedPhotos, savedVideos, skippedPhotos, skippedVideos, failed });
 
   return {
     saved: savedPhotos + savedVideos,
     skipped: skippedPhotos + skippedVideos,
+    failed,
     savedPhotos,
     savedVideos,
     skippedPhotos,
@@ -367,7 +544,7 @@ export const downloadWallMedia = async ({
  * Batch download wall media from multiple users
  * Uses runBatchDownload for consistent progress reporting
  * @param {string[]} userIds - Array of Facebook user IDs
- * @param {Object} options - Download options (includeVideo, pageLimit, isGetLargestPhoto)
+ * @param {Object} options - Download options (includeVideo, pageLimit, isGetLargestPhoto, fromCursor, resume, incremental, syncedSince, since, until, dryRun, estimateSize)
  * @returns {Promise<Array>} Array of results for each user
  */
 export const downloadWallMediaBatch = async (userIds, options) => {
@@ -0,0 +1,150 @@
+/**
+ * Dry Run Module
+ *
+ * Estimates the work of a download before running it: the downloaders crawl
+ * metadata only and hand every media item to an estimate instead of the
+ * download queue. Nothing is written to disk or to the media tables.
+ * @module dry_run
+ */
+
+import { MEDIA_TYPE } from "./constants.js";
+import { t } from "./lang.js";
+import { log } from "./logger.js";
+import { getContentLength } from "./utils.js";
+import { checkMediaSkip } from "./download_helpers.js";
+
+/**
+ * Format a byte count for the estimate report
+ * @param {number} bytes - Byte count
+ * @returns {string} Size in KB, MB or GB
+ */
+export const formatBytes = (bytes) => {
+    const units = ["KB", "MB", "GB"];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+};
+
+/**
+ * Create an empty estimate
+ * @returns {{photos: number, videos: number, new: number, existing: number, needsUpgrade: number, apiCalls: number, bytes: number, unsized: number, sizeEstimated: boolean}} Estimate
+ */
+export const emptyEstimate = () => ({
+    photos: 0,
+    videos: 0,
+    new: 0,
+    existing: 0,
+    needsUpgrade: 0,
+    apiCalls: 0,
+    bytes: 0,
+    unsized: 0,
+    sizeEstimated: false,
+});
+
+/**
+ * Add up the estimates of several users
+ * @param {Array<Object>} estimates - Estimates (see emptyEstimate)
+ * @returns {Object} Total estimate
+ */
+export const sumEstimates = (estimates) => estimates.reduce((total, estimate) => {
+    for (const key of Object.keys(total)) {
+        total[key] = key === "sizeEstimated" ? total[key] || estimate[key] : total[key] + estimate[key];
+    }
+    return total;
+}, emptyEstimate());
+
+/**
+ * Start the estimate of one download
+ * Graph API calls are counted as one per crawled page plus the calls a real run
+ * would make for the media it downloads (batched HD photo lookups, video resolution).
+ * @param {Object} params - Estimate parameters
+ * @param {number|null} params.userId - Database user ID of the target (null if not in the database yet)
+ * @param {boolean} params.isGetLargestPhoto - Whether the real run would fetch HD photos
+ * @param {boolean} params.estimateSize - Send a HEAD request for each media that would be downloaded
+ * @returns {{addApiCall: function(number=): void, addMedia: function(Object): Promise<boolean>, result: function(): Object}} Estimate collector
+ */
+export const createDryRunEstimate = ({ userId, isGetLargestPhoto = false, estimateSize = false }) => {
+    const estimate = { ...emptyEstimate(), sizeEstimated: estimateSize };
+
+    return {
+        /**
+         * Count Graph API calls made by the crawl (a page, an album lookup) or a real run
+         * @param {number} count - Number of calls (default: 1)
+         * @returns {void}
+         */
+        addApiCall: (count = 1) => {
+            estimate.apiCalls += count;
+        },
+
+        /**
+         * Count a media found by the crawl
+         * @param {Object} media - Media to count
+         * @param {string} media.id - Media ID
+         * @param {string} media.type - Media type (see MEDIA_TYPE in constants.js)
+         * @param {string|null} media.url - URL the crawl returned (sized by HEAD when estimating bytes,
+         *   except for photos a real run downloads in HD from another URL)
+         * @param {number} media.extraApiCalls - Graph API calls a real run makes before downloading it
+         * @returns {Promise<boolean>} True if a real run would download it
+         */
+        addMedia: async ({ id, type, url = null, extraApiCalls = 0 }) => {
+            if (type === MEDIA_TYPE.VIDEO) estimate.videos++;
+            else estimate.photos++;
+
+            const skipCheck = checkMediaSkip(userId, id, isGetLargestPhoto && type === MEDIA_TYPE.PHOTO);
+            if (skipCheck.skip) {
+                estimate.existing++;
+                return false;
+            }
+
+            if (skipCheck.needsUpgrade) estimate.needsUpgrade++;
+            else estimate.new++;
+            estimate.apiCalls += extraApiCalls;
+
+            if (estimateSize) {
+                // The HD URL is only looked up by a real run, and the crawled SD file is smaller
+                const isHdPhoto = isGetLargestPhoto && type === MEDIA_TYPE.PHOTO;
+                const size = url && !isHdPhoto ? await getContentLength(url) : null;
+                if (size === null) estimate.unsized++;
+                else estimate.bytes += size;
+            }
+            return true;
+        },
+
+        /**
+         * Get the estimate
+         * @returns {Object} Estimate (see emptyEstimate)
+         */
+        result: () => ({ ...estimate }),
+    };
+};
+
+/**
+ * Log the estimate of one target
+ * @param {string} targetId - Target ID
+ * @param {Object} estimate - Estimate (see emptyEstimate)
+ * @returns {void}
+ */
+export const logDryRunEstimate = (targetId, estimate) => {
+    log(
+        t("dryRunEstimate")
+            .replace("{id}", targetId)
+            .replace("{photos}", estimate.photos)
+            .replace("{videos}", estimate.videos)
+            .replace("{new}", estimate.new)
+            .replace("{existing}", estimate.existing)
+            .replace("{upgrade}", estimate.needsUpgrade)
+            .replace("{calls}", estimate.apiCalls)
+    );
+
+    if (estimate.sizeEstimated) {
+        log(
+            t("dryRunSize")
+                .replace("{size}", formatBytes(estimate.bytes))
+                .replace("{unsized}", estimate.unsized)
+        );
+    }
+};
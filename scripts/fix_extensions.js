@@ -0,0 +1,63 @@
+/**
+ * Fix File Extensions Module
+ *
+ * One-off migration for files saved before download() detected the real file type:
+ * photos were named with PHOTO_FILE_FORMAT (png by default) although fbcdn serves JPEG.
+ * Renames mislabelled files from their magic bytes and updates saved_media.file_path.
+ * Shared by the interactive menu and the command-line interface.
+ * @module fix_extensions
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getSavedMediaFilePaths, updateMediaFilePath } from './database.js';
+import { detectFileExtension, readFileHeader, replaceExtension } from './utils.js';
+import { log } from './logger.js';
+
+/**
+ * Extensions treated as the same type
+ * @constant {Object<string, string>}
+ */
+const EXTENSION_ALIASES = {
+    jpeg: 'jpg',
+};
+
+/**
+ * Rename saved media files whose extension does not match their content
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Only report what would be renamed (default: false)
+ * @returns {{checked: number, renamed: number, missing: number, conflicts: number}} Migration statistics
+ */
+export const fixFileExtensions = ({ dryRun = false } = {}) => {
+    const stats = { checked: 0, renamed: 0, missing: 0, conflicts: 0 };
+
+    for (const filePath of getSavedMediaFilePaths()) {
+        if (!fs.existsSync(filePath)) {
+            stats.missing++;
+            continue;
+        }
+        stats.checked++;
+
+        const extension = detectFileExtension(readFileHeader(filePath));
+        const current = path.extname(filePath).slice(1).toLowerCase();
+        if (!extension || extension === (EXTENSION_ALIASES[current] || current)) continue;
+
+        const newPath = replaceExtension(filePath, extension);
+        if (fs.existsSync(newPath)) {
+            log(`⚠️ Skipping ${filePath}: ${newPath} already exists`);
+            stats.conflicts++;
+            continue;
+        }
+
+        log(`${dryRun ? '[dry run] ' : ''}📝 ${filePath} → ${path.basename(newPath)}`);
+        if (!dryRun) {
+            fs.renameSync(filePath, newPath);
+            updateMediaFilePath(filePath, newPath);
+        }
+        stats.renamed++;
+    }
+
+    log(`\n📊 Summary: ${stats.checked} files checked, ${stats.renamed} ${dryRun ? 'to rename' : 'renamed'}, ${stats.missing} missing, ${stats.conflicts} conflicts`);
+
+    return stats;
+};
@@ -0,0 +1,154 @@
+/**
+ * Graph API Errors Module
+ *
+ * Typed errors thrown by myFetch (see utils.js) instead of returning null, so
+ * callers can tell an expired token from a deleted object or a network failure.
+ * Errors about the requested object (deleted, or not visible to the token) only
+ * concern that object: skip it and continue. The others stop every request.
+ * @module graph_errors
+ */
+
+import { log } from "./logger.js";
+
+/**
+ * Graph API error codes meaning the token hit a rate limit
+ * 4 = app limit, 17 = user limit, 32 = page limit
+ * @constant {number[]}
+ */
+export const RATE_LIMIT_ERROR_CODES = [4, 17, 32];
+
+/**
+ * Graph API error codes of invalid or expired access tokens
+ * @constant {number[]}
+ */
+const TOKEN_ERROR_CODES = [102, 190];
+
+/**
+ * Base class of Graph API request errors
+ */
+export class GraphApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Error details
+     * @param {number|null} details.code - Graph API error code
+     * @param {number|null} details.subcode - Graph API error subcode
+     * @param {number|null} details.status - HTTP status
+     * @param {Error} details.cause - Underlying error
+     */
+    constructor(message, { code = null, subcode = null, status = null, cause } = {}) {
+        super(message, { cause });
+        this.name = "GraphApiError";
+        this.code = code;
+        this.subcode = subcode;
+        this.status = status;
+    }
+}
+
+/**
+ * The access token is invalid or expired (code 190)
+ */
+export class TokenExpiredError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "TokenExpiredError";
+    }
+}
+
+/**
+ * The token lacks a permission needed to read the object (code 10, 200-299)
+ */
+export class PermissionMissingError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "PermissionMissingError";
+    }
+}
+
+/**
+ * The object was deleted or never existed (code 100/33, 803, HTTP 404)
+ */
+export class ObjectNotFoundError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "ObjectNotFoundError";
+    }
+}
+
+/**
+ * Still rate limited after every retry (HTTP 429, codes 4/17/32)
+ */
+export class RateLimitedError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "RateLimitedError";
+    }
+}
+
+/**
+ * The request could not reach the Graph API after every retry
+ */
+export class NetworkError extends GraphApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "NetworkError";
+    }
+}
+
+/**
+ * Build the typed error of a failed Graph API response
+ * @param {{message: string, code: number, error_subcode: number}|null} error - Error object of the response body
+ * @param {number} status - HTTP status
+ * @param {string} statusText - HTTP status text (message when the body has no error)
+ * @returns {GraphApiError} Typed error
+ */
+export const toGraphError = (error, status, statusText = "") => {
+    const code = error?.code ?? null;
+    const subcode = error?.error_subcode ?? null;
+    const message = error?.message || `HTTP ${status} ${statusText}`.trim();
+    const details = { code, subcode, status };
+
+    if (TOKEN_ERROR_CODES.includes(code)) return new TokenExpiredError(message, details);
+    if (RATE_LIMIT_ERROR_CODES.includes(code) || status === 429) return new RateLimitedError(message, details);
+    if (code === 10 || (code >= 200 && code <= 299)) return new PermissionMissingError(message, details);
+    if ((code === 100 && subcode === 33) || code === 803 || (code === null && status === 404)) {
+        return new ObjectNotFoundError(message, details);
+    }
+    return new GraphApiError(message, details);
+};
+
+/**
+ * Whether an error only concerns the requested object (deleted, or not visible to the token)
+ * @param {Error} error - Error thrown by myFetch
+ * @returns {boolean} True if the object can be skipped and the next requests still work
+ */
+export const isObjectError = (error) =>
+    error instanceof ObjectNotFoundError || error instanceof PermissionMissingError;
+
+/**
+ * Whether an error stops every further request (no valid token, rate limit or network down)
+ * @param {Error} error - Error thrown by myFetch
+ * @returns {boolean} True if the whole run should stop
+ */
+export const isFatalGraphError = (error) =>
+    error instanceof TokenExpiredError || error instanceof RateLimitedError || error instanceof NetworkError;
+
+/**
+ * Describe an object that is skipped because it cannot be read
+ * @param {string} objectId - ID of the object
+ * @param {GraphApiError} error - Object error (see isObjectError)
+ * @returns {string} Log line with the Graph API code and subcode
+ */
+export const describeSkippedObject = (objectId, error) =>
+    `⏭️  Skipping ${objectId}: ${error.message} (${error.name}, code ${error.code ?? "-"}, subcode ${error.subcode ?? "-"})`;
+
+/**
+ * Catch handler resolving to null for errors about the requested object, rethrowing the others
+ * The skipped object is logged with the error code, e.g. `await myFetch(url).catch(ignoreObjectError(photo_id))`
+ * @param {string|null} objectId - Requested object (null when its objects are looked up again one by one)
+ * @returns {function(Error): null} Catch handler; throws any other error
+ */
+export const ignoreObjectError = (objectId = null) => (error) => {
+    if (!isObjectError(error)) throw error;
+    if (objectId) log(describeSkippedObject(objectId, error));
+    return null;
+};
@@ -0,0 +1,130 @@
+/**
+ * Incremental Sync Module
+ *
+ * Lets repeat crawls of the same source stop paginating once they reach media
+ * that a previous run already synced, instead of walking the whole feed again.
+ * A watermark (newest media time) is recorded per user and source after each
+ * crawl that reached the end of the source or the previously synced media.
+ * @module incremental_sync
+ */
+
+import { DATABASE_ENABLED } from "../config.js";
+import {
+    getApiTypeId,
+    getSavedMediaIds,
+    getSyncWatermark,
+    updateSyncWatermark,
+} from "./database.js";
+import { isCancelled } from "./cancellation.js";
+import { t } from "./lang.js";
+import { log } from "./logger.js";
+
+/**
+ * Parse a Graph API created_time or user supplied date
+ * @param {string|number|Date|null|undefined} value - Timestamp to parse
+ * @returns {Date|null} Parsed date, or null if missing/invalid
+ */
+export const parseSyncTime = (value) => {
+    if (value === null || value === undefined || value === "") return null;
+
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Check whether a fetched page was already covered by a previous sync
+ * A page is synced when it contains an item created at or before the last synced
+ * time, or when it has media and all of it was saved before this run. Saved media
+ * alone only counts once a watermark exists: without one, the media may come from
+ * a run that stopped early (page limit, cancelled) and older pages were never crawled.
+ * @param {Object} page - Page summary
+ * @param {string[]} page.mediaIds - Media IDs found on the page
+ * @param {Array<string>} page.createdTimes - created_time of the page items
+ * @param {Set<string>} page.knownIds - Media IDs saved before this run
+ * @param {Date|null} page.since - Last synced time (null if unknown)
+ * @returns {boolean} True if pagination can stop after this page
+ */
+export const isPageAlreadySynced = ({ mediaIds, createdTimes, knownIds, since }) => {
+    if (!since) return false;
+
+    if (mediaIds.length > 0 && mediaIds.every((id) => knownIds.has(id))) {
+        return true;
+    }
+
+    return createdTimes.some((value) => {
+        const time = parseSyncTime(value);
+        return time !== null && time <= since;
+    });
+};
+
+/**
+ * Create the sync state of a single crawl
+ * Fetchers report each page with checkPage() and call markComplete() when the
+ * source has no more pages; the downloader calls finish() to record the watermark.
+ * @param {Object} params - Tracker parameters
+ * @param {number|null} params.userId - Database user ID
+ * @param {string} params.apiType - API type name (see API_TYPE in constants.js)
+ * @param {string} params.sourceId - Source ID within the API type (album ID, default: '')
+ * @param {boolean} params.incremental - Stop at the first already synced page (default: false)
+ * @param {string|null} params.syncedSince - Last synced time overriding the saved watermark
+ * @returns {{checkPage: Function, markComplete: Function, finish: Function}} Sync tracker
+ */
+export const createSyncTracker = ({
+    userId,
+    apiType,
+    sourceId = "",
+    incremental = false,
+    syncedSince = null,
+}) => {
+    const apiTypeId = DATABASE_ENABLED && userId ? getApiTypeId(apiType) : null;
+    const watermark = apiTypeId ? getSyncWatermark(userId, apiTypeId, sourceId) : null;
+    const since = parseSyncTime(syncedSince) || parseSyncTime(watermark?.newest_media_time);
+    const knownIds = incremental && apiTypeId ? getSavedMediaIds(userId) : new Set();
+
+    let newestTime = null;
+    let complete = false;
+
+    if (incremental) {
+        log(since
+            ? t("incrementalSyncSince").replace("{time}", since.toISOString())
+            : t("incrementalSyncNoWatermark"));
+    }
+
+    return {
+        /**
+         * Record a fetched page (before its media is downloaded)
+         * @param {string[]} mediaIds - Media IDs found on the page
+         * @param {Array<string>} createdTimes - created_time of the page items
+         * @returns {boolean} True if incremental mode should stop after this page
+         */
+        checkPage: (mediaIds, createdTimes = []) => {
+            createdTimes.forEach((value) => {
+                const time = parseSyncTime(value);
+                if (time && (!newestTime || time > newestTime)) newestTime = time;
+            });
+
+            if (!incremental) return false;
+
+            const synced = isPageAlreadySynced({ mediaIds, createdTimes, knownIds, since });
+            if (synced) complete = true;
+            return synced;
+        },
+
+        /**
+         * Mark that the crawl reached the last page of the source
+         * @returns {void}
+         */
+        markComplete: () => {
+            complete = true;
+        },
+
+        /**
+         * Save the watermark if the crawl completed and was not cancelled
+         * @returns {boolean} True if the watermark was saved
+         */
+        finish: () => {
+            if (!apiTypeId || !complete || isCancelled()) return false;
+            return updateSyncWatermark(userId, apiTypeId, sourceId, newestTime?.toISOString() || null);
+        },
+    };
+};
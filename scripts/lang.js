@@ -59,11 +59,27 @@ export const langs = {
     downAlbumTitle: "FB Media Downloader Tool > Tải Album",
     downloadAllImageInAlbum: "Tải tất cả ẢNH trong album",
     downloadAllLinkInAlbum: "Tải tất cả LINK của ảnh trong album",
+    downloadAllAlbums: "Tải tất cả album của user/page",
+    enterAlbumOwnerID: "> Nhập ID user/page (Nhập -1 để quay lại): ",
+    gettingAlbumList: "ĐANG LẤY DANH SÁCH ALBUM CỦA {id}...",
+    noAlbumsFound: "[!] Không tìm thấy album nào.",
+    selectAlbums: "> Chọn album (Enter = tất cả; số thứ tự 1,3,5-7; loại profile,cover,mobile,wall,normal; hoặc ID album): ",
+    noAlbumSelected: "[!] Không có album nào được chọn.",
+    selectedAlbums: "> Đã chọn {count}/{total} album",
+    downloadingAlbumOf: "ĐANG TẢI ALBUM {current}/{total}: {name}",
     enterAlbumID: "> Nhập album id (Nhập -1 để quay lại): ",
     enterStartPhotoID:
       "> Tải từ vị trí id ảnh nào? (Nhập 0 để tải từ đầu album): ",
     downloadHD: "> Tải ảnh chất lượng cao nhất? (0-Không, 1-Có): ",
-    saveHDLinkNotSupported: "[!] Lưu LINK ảnh chất lương cao hiện chưa hỗ trợ.",
+    saveHDLinkSlow: "[!] Lấy LINK ảnh chất lượng cao cần 1 request cho mỗi ảnh, sẽ chậm hơn.",
+    chooseLinkFormat: "> Định dạng file link (txt, csv, jsonl, aria2, wget. Enter = txt): ",
+    invalidLinkFormat: "[!] Định dạng file link không hợp lệ: {format}",
+    chooseDryRun: "> Tải ngay hay chỉ ước tính? (0-Tải, 1-Chạy thử: chỉ ước tính, 2-Chạy thử kèm dung lượng (chậm hơn)): ",
+    dryRunNotice: "🧪 Chạy thử: chỉ đọc danh sách media, không tải và không lưu gì.",
+    dryRunEstimate: "🧪 {id}: {photos} ảnh, {videos} video | {new} mới, {existing} đã lưu, {upgrade} cần nâng cấp HD | ~{calls} lượt gọi Graph API",
+    dryRunSize: "🧪 Dung lượng ước tính: ~{size} ({unsized} file không rõ dung lượng)",
+    downloadUserPhotoLinks: "Lưu LINK ảnh của user",
+    chooseUserPhotoType: "> Loại ảnh (1-Ảnh đăng, 2-Ảnh được gắn thẻ, 3-Ảnh đại diện, 4-Ảnh bìa): ",
     downloadWallTitle: "FB Media Downloader Tool > Tải ảnh/video trên tường",
     downloadAllMediaInWall:
       "Tải tất cả ẢNH/VIDEO trên tường của đối tượng (user/gorup/page)",
@@ -79,6 +95,9 @@ export const langs = {
       "FB Media Downloader Tool > Tải toàn bộ ảnh/video của user",
     downloadUserImagePost: "Tải toàn bộ Ảnh được đăng bởi user",
     downloadUserVideoPost: "Tải toàn bộ Video được đăng bởi user",
+    downloadUserTaggedPhotos: "Tải toàn bộ Ảnh user được gắn thẻ",
+    downloadUserProfilePictures: "Tải lịch sử Ảnh đại diện của user",
+    downloadUserCoverPhotos: "Tải lịch sử Ảnh bìa của user",
     enterUserID: "> Nhập id của user (Nhập -1 để quay lại): ",
     startPageUser:
       "> Tải từ trang nào (Nhập id trang. Nhập 0 để tải từ trang đầu): ",
@@ -88,6 +107,10 @@ export const langs = {
     foundLinks: `Tìm thấy {length} links.`,
     downloadingLinks: `Đang tải {progress}`,
     errorWhenDownloadUrl: `[LỖI]: Lỗi khi tải. {url}.`,
+    enterLinkOwner: "> Nhập UID chủ sở hữu các link để lưu vào database (Enter để bỏ qua): ",
+    fromFileNoOwner: "[!] File không ghi UID chủ sở hữu, các link sẽ được tải nhưng không lưu vào database.",
+    refreshingExpiredLink: "🔄 Link của {id} đã hết hạn, đang lấy link mới...",
+    graphRequestFailed: "❌ Đã dừng do lỗi Graph API ({name}): {message}",
     error: "[LỖI]: ",
     contact:
       "---- Liên hệ mình để được hỗ trợ: https://www.facebook.com/99.hoangtran/ ----",
@@ -100,6 +123,10 @@ export const langs = {
     pausing: `ĐANG TẠM DỪNG {ms}ms...`,
     gettingWallInfo: `ĐANG TẢI DỮ LIỆU TRÊN TƯỜNG CỦA {id}...`,
     fetchingHDPhoto: "Đang tìm ảnh có độ phân giải lớn nhất của {media_id}...",
+    fetchingHDPhotos: "Đang tìm ảnh có độ phân giải lớn nhất của {count} ảnh...",
+    hdLinksResolved: "> Đã lấy {resolved}/{total} link ảnh chất lượng cao",
+    hdLinksCancelled: "⏸️  Đã dừng lấy link chất lượng cao, trang này không được lưu",
+    resolvingVideo: "Đang tìm chất lượng cao nhất của video {media_id}...",
     skipVideo: `Bỏ qua video: {url}`,
     saving: `Đang lưu {count}: {path}...`,
     errorWhenSave: `[!] LỖI khi tải {path}`,
@@ -109,6 +136,8 @@ export const langs = {
     downloadingUserVideo: `ĐANG TẢI VIDEOS CỦA USER {user_id}...`,
     savingUserMedia: `Đang lưu {count}: {path}... {moreInfo}`,
     downloadingUserImage: `ĐANG TẢI ẢNH CỦA USER {user_id}...`,
+    userPhotoType: "> Loại ảnh: {type}",
+    userPhotoAlbumNotFound: "[!] User {user_id} không có album ảnh {type}.",
     pageDontHaveTimelineAlbum: "! Page facebook này không có timeline album.",
     downloadingAlbum: `ĐANG TẢI TRANG: {page}, Kích thước trang: 100 ảnh...`,
     foundAlbumMedia: `> TÌM THẤY {length} ẢNH. (TỔNG: {total})`,
@@ -125,6 +154,66 @@ export const langs = {
     profileNoChanges: "Không có thay đổi",
     profileFailed: "Tải thất bại",
     fieldsChanged: "Trường thay đổi",
+    // Resume crawl
+    savedCrawlFound: "> Tìm thấy vị trí tải dở của {uid}: đã tải {page} trang (lưu lúc {time})",
+    resumeCrawl: "> Tiếp tục từ vị trí đã lưu? (0-Không, 1-Có): ",
+    resumingFromCursor: "↩️  Tiếp tục từ vị trí đã lưu (sau trang {page}, lưu lúc {time})",
+    incrementalSync: "> Chỉ tải media mới (dừng khi gặp media đã đồng bộ)? (0-Không, 1-Có): ",
+    incrementalSyncSince: "🔁 Chế độ đồng bộ: chỉ tải media mới hơn {time}",
+    incrementalSyncNoWatermark: "🔁 Chế độ đồng bộ: chưa có mốc đồng bộ, tải toàn bộ để tạo mốc",
+    reachedSyncedPage: "✅ Trang {page} đã được đồng bộ trước đó. Dừng tải.",
+    // Date range
+    enterSinceDate: "> Chỉ tải media từ ngày (YYYY-MM-DD, Enter để bỏ qua): ",
+    enterUntilDate: "> Chỉ tải media đến ngày (YYYY-MM-DD, Enter để bỏ qua): ",
+    invalidDate: "[!] Ngày không hợp lệ: {date}",
+    reachedDateRangeStart: "✅ Trang {page} cũ hơn ngày bắt đầu. Dừng tải.",
+    // Retry failed downloads
+    retryFailedDownloads: "Tải lại các file bị lỗi",
+    enterUIDsToRetry: "> Nhập UID(s) cần tải lại (phân cách bằng dấu phẩy, Enter để tải lại tất cả): ",
+    retryFailedNone: "✅ Không có file nào bị lỗi cần tải lại.",
+    retryFailedFound: "> TÌM THẤY {count} file bị lỗi. Đang lấy link mới và tải lại...",
+    retryFailedNoUrl: "[!] Không lấy được link tải của {id}",
+    retryingMedia: "Đang tải lại {progress}: {path}... (đã lỗi {attempts} lần)",
+    upgradeSDVideos: "Nâng cấp video SD lên HD",
+    enterUIDsToUpgrade: "> Nhập UID(s) cần nâng cấp video (phân cách bằng dấu phẩy, Enter để nâng cấp tất cả): ",
+    upgradeVideosNone: "✅ Không có video SD nào cần nâng cấp.",
+    upgradeVideosFound: "> TÌM THẤY {count} video SD. Đang kiểm tra bản HD...",
+    upgradingVideo: "Đang nâng cấp {progress}: {path}... ({from} → {to})",
+    // Downloaded files
+    duplicateFilesReport: "Báo cáo các file trùng lặp",
+    fixFileExtensions: "Sửa đuôi file theo định dạng thật",
+    // Group download
+    downloadGroup: "Tải ảnh/video trong nhóm (bảng tin và album của nhóm)",
+    enterGroupIDs: "> Nhập ID nhóm (phân cách bằng dấu phẩy): ",
+    downloadGroupAlbums: "> Tải cả album của nhóm? (0-Không, 1-Có): ",
+    enterPosterIDs: "> Chỉ tải media của các thành viên (UID, phân cách bằng dấu phẩy, Enter để tải tất cả): ",
+    gettingGroupInfo: `ĐANG TẢI DỮ LIỆU TRONG NHÓM {id}...`,
+    foundGroupAlbums: "> TÌM THẤY {count} album của nhóm",
+    downloadingGroupAlbum: "ĐANG TẢI ALBUM {name}...",
+    // Access token menu
+    manageTokens: "Quản lý access token",
+    manageTokensTitle: "FB Media Downloader Tool > Access token",
+    listTokens: "Xem danh sách token",
+    addToken: "Thêm token",
+    toggleToken: "Bật / tắt token",
+    setTokenPriority: "Đặt độ ưu tiên của token",
+    removeToken: "Xóa token",
+    rateLimitHistory: "Lịch sử sử dụng giới hạn request (rate limit)",
+    noTokensInPool: "Chưa có token nào. Đang dùng FB_ACCESS_TOKEN trong .env.",
+    enterTokenId: "> ID token: ",
+    enterAccessToken: "> Access token: ",
+    enterTokenLabel: "> Nhãn (không bắt buộc): ",
+    enterTokenPriority: "> Độ ưu tiên (cao hơn được dùng trước, mặc định 0): ",
+    enableOrDisableToken: "> 1-Bật, 0-Tắt: ",
+    enterNewPriority: "> Độ ưu tiên mới: ",
+    tokenEnabled: "✅ Đã bật token #{id}",
+    tokenDisabled: "✅ Đã tắt token #{id}",
+    tokenPrioritySet: "✅ Đã đặt độ ưu tiên của token #{id} thành {priority}",
+    tokenRemoved: "✅ Đã xóa token #{id}",
+    tokenNotFound: "❌ Không tìm thấy token #{id}",
+    enterHistoryHours: "> Xem lịch sử bao nhiêu giờ (mặc định 24): ",
+    rateLimitProfile: "Chế độ giới hạn: {profile} (RATE_LIMIT_PROFILE trong .env)",
+    noRateLimitHistory: "Không có dữ liệu sử dụng trong {hours} giờ qua.",
   },
   en: {
     albumInfo: "Get album info",
@@ -143,12 +232,28 @@ export const langs = {
     downAlbumTitle: "FB Media Downloader Tool > Download Album",
     downloadAllImageInAlbum: "Download all images FILE in album",
     downloadAllLinkInAlbum: "Download all images LINK in album",
+    downloadAllAlbums: "Download all albums of a user/page",
+    enterAlbumOwnerID: "> Enter user/page ID (Enter -1 to go back): ",
+    gettingAlbumList: "FETCHING ALBUMS OF {id}...",
+    noAlbumsFound: "[!] No albums found.",
+    selectAlbums: "> Select albums (Enter = all; numbers 1,3,5-7; types profile,cover,mobile,wall,normal; or album IDs): ",
+    noAlbumSelected: "[!] No album selected.",
+    selectedAlbums: "> Selected {count}/{total} albums",
+    downloadingAlbumOf: "DOWNLOADING ALBUM {current}/{total}: {name}",
     enterAlbumID: "> Enter album id (Enter -1 to go back): ",
     enterStartPhotoID:
       "> Start download from which image's ID? (Enter 0 to download all album): ",
     downloadHD: "> Download highest resolution image? (0-No, 1-Yes): ",
-    saveHDLinkNotSupported:
-      "[!] Save image's LINK with highest resolution is not supported yet.",
+    saveHDLinkSlow:
+      "[!] Saving highest resolution image LINKs takes one request per image, this is slower.",
+    chooseLinkFormat: "> Link file format (txt, csv, jsonl, aria2, wget. Enter = txt): ",
+    invalidLinkFormat: "[!] Invalid link file format: {format}",
+    chooseDryRun: "> Download now or only estimate? (0-Download, 1-Dry run: estimate only, 2-Dry run with sizes (slower)): ",
+    dryRunNotice: "🧪 Dry run: only listing media, nothing is downloaded or saved.",
+    dryRunEstimate: "🧪 {id}: {photos} photos, {videos} videos | {new} new, {existing} already saved, {upgrade} need HD upgrade | ~{calls} Graph API calls",
+    dryRunSize: "🧪 Estimated size: ~{size} ({unsized} files of unknown size)",
+    downloadUserPhotoLinks: "Save user's image LINKs",
+    chooseUserPhotoType: "> Photo type (1-Uploaded, 2-Tagged, 3-Profile pictures, 4-Cover photos): ",
     downloadWallTitle:
       "FB Media Downloader Tool > Download wall media (images/video)",
     downloadAllMediaInWall:
@@ -165,6 +270,9 @@ export const langs = {
       "FB Media Downloader Tool > Download all media from user",
     downloadUserImagePost: "Download all Image posted by user",
     downloadUserVideoPost: "Download all Video posted by user",
+    downloadUserTaggedPhotos: "Download all Image the user is tagged in",
+    downloadUserProfilePictures: "Download user's profile picture history",
+    downloadUserCoverPhotos: "Download user's cover photo history",
     enterUserID: "> Enter user id (Enter -1 to go back): ",
     startPageUser:
       "> Download from page id? (Enter 0 to download from the first page): ",
@@ -176,6 +284,10 @@ export const langs = {
     foundLinks: `Found {length} links.`,
     downloadingLinks: `Đang tải {progress}`,
     errorWhenDownloadUrl: `[ERROR]: Error when download. {url}.`,
+    enterLinkOwner: "> Enter the UID owning these links to track them in the database (Enter to skip): ",
+    fromFileNoOwner: "[!] The file does not name the owner UID, links are downloaded without database tracking.",
+    refreshingExpiredLink: "🔄 Link of {id} has expired, fetching a new one...",
+    graphRequestFailed: "❌ Stopped by a Graph API error ({name}): {message}",
     error: "[ERROR]: ",
     contact:
       "---- Contact me to get help: https://www.facebook.com/99.hoangtran/ ----",
@@ -189,6 +301,10 @@ export const langs = {
     pausing: `PAUSE for {ms}ms...`,
     gettingWallInfo: `FETCHING DATA FROM WALL OF {id}...`,
     fetchingHDPhoto: "Fetching highest resolution of {media_id}...",
+    fetchingHDPhotos: "Fetching highest resolution of {count} photos...",
+    hdLinksResolved: "> Resolved {resolved}/{total} highest resolution image links",
+    hdLinksCancelled: "⏸️  Stopped resolving highest resolution links, this page is not saved",
+    resolvingVideo: "Resolving highest quality of video {media_id}...",
     skipVideo: `Skip video: {url}`,
     saving: `Saving {count}: {path}...`,
     errorWhenSave: `[!] LỖI khi tải {path}`,
@@ -198,6 +314,8 @@ export const langs = {
     downloadingUserVideo: `DOWNLOADING VIDEOS OF USER {user_id}...`,
     savingUserMedia: `Saving {count}: {path}... {moreInfo}`,
     downloadingUserImage: `DOWNLOADING PHOTOS OF USER {user_id}...`,
+    userPhotoType: "> Photo type: {type}",
+    userPhotoAlbumNotFound: "[!] User {user_id} has no {type} photos album.",
     pageDontHaveTimelineAlbum: "! This fb page dont have timeline album.",
     downloadingAlbum: `DOWNLOADING PAGE: {page}, Page size: 100 photos...`,
     foundAlbumMedia: `> FOUND {length} PHOTOS. (TOTAL: {total})`,
@@ -214,5 +332,65 @@ export const langs = {
     profileNoChanges: "No changes",
     profileFailed: "Fetch failed",
     fieldsChanged: "Fields changed",
+    // Resume crawl
+    savedCrawlFound: "> Unfinished crawl found for {uid}: {page} pages loaded (saved {time})",
+    resumeCrawl: "> Continue from the saved position? (0-No, 1-Yes): ",
+    resumingFromCursor: "↩️  Resuming from saved cursor (after page {page}, saved {time})",
+    incrementalSync: "> Only download new media (stop at already synced media)? (0-No, 1-Yes): ",
+    incrementalSyncSince: "🔁 Incremental sync: only media newer than {time}",
+    incrementalSyncNoWatermark: "🔁 Incremental sync: no watermark yet, crawling everything to create one",
+    reachedSyncedPage: "✅ Page {page} was already synced. Stopping.",
+    // Date range
+    enterSinceDate: "> Only download media since (YYYY-MM-DD, Enter to skip): ",
+    enterUntilDate: "> Only download media until (YYYY-MM-DD, Enter to skip): ",
+    invalidDate: "[!] Invalid date: {date}",
+    reachedDateRangeStart: "✅ Page {page} is older than the start date. Stopping.",
+    // Retry failed downloads
+    retryFailedDownloads: "Retry failed downloads",
+    enterUIDsToRetry: "> Enter UID(s) to retry (comma-separated, Enter to retry all): ",
+    retryFailedNone: "✅ No failed downloads to retry.",
+    retryFailedFound: "> FOUND {count} failed downloads. Fetching fresh links and retrying...",
+    retryFailedNoUrl: "[!] Could not get a download link for {id}",
+    retryingMedia: "Retrying {progress}: {path}... (failed {attempts} times)",
+    upgradeSDVideos: "Upgrade SD videos to HD",
+    enterUIDsToUpgrade: "> Enter UID(s) to upgrade videos of (comma-separated, Enter to upgrade all): ",
+    upgradeVideosNone: "✅ No SD videos to upgrade.",
+    upgradeVideosFound: "> FOUND {count} SD videos. Checking for HD versions...",
+    upgradingVideo: "Upgrading {progress}: {path}... ({from} → {to})",
+    // Downloaded files
+    duplicateFilesReport: "Duplicate files report",
+    fixFileExtensions: "Fix file extensions",
+    // Group download
+    downloadGroup: "Download group media (feed and group albums)",
+    enterGroupIDs: "> Enter group ID(s) (comma-separated): ",
+    downloadGroupAlbums: "> Also download group albums? (0-No, 1-Yes): ",
+    enterPosterIDs: "> Only download media posted by these members (UIDs, comma-separated, Enter for everyone): ",
+    gettingGroupInfo: `FETCHING DATA FROM GROUP {id}...`,
+    foundGroupAlbums: "> FOUND {count} group albums",
+    downloadingGroupAlbum: "DOWNLOADING ALBUM {name}...",
+    // Access token menu
+    manageTokens: "Access tokens",
+    manageTokensTitle: "FB Media Downloader Tool > Access tokens",
+    listTokens: "List tokens",
+    addToken: "Add token",
+    toggleToken: "Enable / disable token",
+    setTokenPriority: "Set token priority",
+    removeToken: "Remove token",
+    rateLimitHistory: "Rate limit usage history",
+    noTokensInPool: "No tokens in the pool. FB_ACCESS_TOKEN from .env is used.",
+    enterTokenId: "> Token ID: ",
+    enterAccessToken: "> Access token: ",
+    enterTokenLabel: "> Label (optional): ",
+    enterTokenPriority: "> Priority (higher is used first, default 0): ",
+    enableOrDisableToken: "> 1-Enable, 0-Disable: ",
+    enterNewPriority: "> New priority: ",
+    tokenEnabled: "✅ Token #{id} enabled",
+    tokenDisabled: "✅ Token #{id} disabled",
+    tokenPrioritySet: "✅ Token #{id} priority set to {priority}",
+    tokenRemoved: "✅ Token #{id} removed",
+    tokenNotFound: "❌ Token #{id} not found",
+    enterHistoryHours: "> Hours of history (default 24): ",
+    rateLimitProfile: "Profile: {profile} (RATE_LIMIT_PROFILE in .env)",
+    noRateLimitHistory: "No rate limit usage recorded in the last {hours} hours.",
   },
 };
@@ -0,0 +1,374 @@
+/**
+ * Link Export Module
+ *
+ * Writes the media links found by the album, wall and user-photo link modes
+ * into ./links/ in one of the LINK_FORMAT formats, so they can be fed to
+ * external download managers (aria2c, wget) or other pipelines (CSV, JSON Lines),
+ * and reads them back for the "download from file" mode (see parseLinkFile).
+ * @module link_export
+ */
+
+import path from "path";
+import { FOLDER_TO_SAVE_LINKS, ID_LINK_SEPERATOR, VIDEO_FILE_FORMAT } from "../config.js";
+import { LINK_FORMAT, MEDIA_TYPE } from "./constants.js";
+import { createIfNotExistDir, deleteFile, saveToFile } from "./utils.js";
+import { PATH_TEMPLATE, getMediaSavePath } from "./path_template.js";
+
+/**
+ * File name suffix of each link format
+ * @constant {Object<string, string>}
+ */
+const LINK_FILE_SUFFIX = {
+    [LINK_FORMAT.TXT]: ".txt",
+    [LINK_FORMAT.CSV]: ".csv",
+    [LINK_FORMAT.JSONL]: ".jsonl",
+    [LINK_FORMAT.ARIA2]: ".aria2.txt",
+    [LINK_FORMAT.WGET]: ".wget.sh",
+};
+
+/**
+ * Columns of the CSV format
+ * @constant {string[]}
+ */
+const CSV_COLUMNS = ["id", "type", "url", "album", "created_time", "caption", "uid"];
+
+/**
+ * Comment line naming the owner of the links in aria2 and wget files
+ * @constant {string}
+ */
+const UID_COMMENT = "# uid=";
+
+/**
+ * Comment line before each link of aria2 and wget files naming its media ID,
+ * since the output file name does not always contain it (see MEDIA_PATH_TEMPLATE)
+ * @constant {string}
+ */
+const MEDIA_ID_COMMENT = "# id=";
+
+/**
+ * Get the file a link export is written to
+ * @param {string} id - Album/target ID the links belong to
+ * @param {string} format - Link format (see LINK_FORMAT in constants.js)
+ * @returns {string} File path inside FOLDER_TO_SAVE_LINKS
+ */
+export const getLinkFileName = (id, format = LINK_FORMAT.TXT) =>
+    `${FOLDER_TO_SAVE_LINKS}/${id}${LINK_FILE_SUFFIX[format]}`;
+
+/**
+ * Build the exported record of a media link
+ * @param {Object} item - Media as returned by a fetch function (id, url, type, album, created_time, message, ...)
+ * @param {Object} source - Where the links come from
+ * @param {string} source.uid - Owner of the links, also used for the output file name (see getMediaSavePath)
+ * @param {{id: string, name: string}|null} source.album - Album, when not part of the item
+ * @param {string} source.template - Layout used for the output file name
+ * @returns {Object} Link record
+ */
+export const toLinkRecord = (item, { uid, album = null, template = PATH_TEMPLATE.DEFAULT }) => {
+    const type = item.type || MEDIA_TYPE.PHOTO;
+    const itemAlbum = item.album || album;
+
+    return {
+        id: item.id,
+        type,
+        url: item.url,
+        uid,
+        album_id: itemAlbum?.id || null,
+        album_name: itemAlbum?.name || null,
+        created_time: item.created_time || null,
+        caption: item.message || null,
+        permalink: item.permalink || null,
+        post_id: item.post_id || null,
+        poster_uid: item.from?.id || null,
+        poster_name: item.from?.name || null,
+        width: item.width || null,
+        height: item.height || null,
+        file: getMediaSavePath({
+            uid,
+            mediaId: item.id,
+            mediaType: type,
+            album: itemAlbum,
+            createdTime: item.created_time,
+            posterUid: item.from?.id,
+        }, template),
+    };
+};
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Quote a shell argument
+ * @param {string} value - Argument
+ * @returns {string} Single-quoted argument
+ */
+const shellArg = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Format link records in a link format
+ * @param {Array<Object>} records - Link records (see toLinkRecord)
+ * @param {string} format - Link format (see LINK_FORMAT in constants.js)
+ * @returns {string} File content for these records (ends with a newline unless empty)
+ */
+export const formatLinkRecords = (records, format = LINK_FORMAT.TXT) => {
+    const lines = records.map((record) => {
+        switch (format) {
+            case LINK_FORMAT.CSV:
+                return [record.id, record.type, record.url, record.album_name, record.created_time, record.caption, record.uid]
+                    .map(csvField)
+                    .join(",");
+            case LINK_FORMAT.JSONL:
+                return JSON.stringify(record);
+            case LINK_FORMAT.ARIA2:
+                return `${MEDIA_ID_COMMENT}${record.id}\n` +
+                    `${record.url}\n  dir=${path.dirname(record.file)}\n  out=${path.basename(record.file)}`;
+            case LINK_FORMAT.WGET:
+                return `${MEDIA_ID_COMMENT}${record.id}\n` +
+                    `mkdir -p ${shellArg(path.dirname(record.file))} && ` +
+                    `wget -nc -O ${shellArg(record.file)} ${shellArg(record.url)}`;
+            default:
+                return record.id + ID_LINK_SEPERATOR + record.url;
+        }
+    });
+
+    return lines.length > 0 ? lines.join("\n") + "\n" : "";
+};
+
+/**
+ * Start a link export, replacing any previous export of the same ID and format
+ * @param {Object} params - Export parameters
+ * @param {string} params.id - Album/target ID the links belong to (file name)
+ * @param {string} params.format - Link format (see LINK_FORMAT in constants.js, default: txt)
+ * @param {string} params.uid - UID used for output file names
+ * @param {{id: string, name: string}|null} params.album - Album of every link, if known
+ * @param {string} params.template - Layout used for output file names
+ * @returns {{fileName: string, write: function(Array<Object>): number}} Exporter; write() appends a page of media and returns how many links were written
+ */
+export const createLinkExporter = ({
+    id,
+    format = LINK_FORMAT.TXT,
+    uid = id,
+    album = null,
+    template = PATH_TEMPLATE.DEFAULT,
+}) => {
+    if (!LINK_FILE_SUFFIX[format]) {
+        throw new Error(`Unknown link format: ${format}`);
+    }
+
+    const fileName = getLinkFileName(id, format);
+    createIfNotExistDir(FOLDER_TO_SAVE_LINKS);
+    deleteFile(fileName); // delete if file exist
+
+    if (format === LINK_FORMAT.CSV) {
+        saveToFile(fileName, CSV_COLUMNS.join(",") + "\n", true);
+    } else if (format === LINK_FORMAT.WGET) {
+        saveToFile(fileName, `#!/bin/sh\n${UID_COMMENT}${uid}\n`, true);
+    } else if (format === LINK_FORMAT.ARIA2) {
+        saveToFile(fileName, `${UID_COMMENT}${uid}\n`, true);
+    }
+
+    return {
+        fileName,
+        write: (items) => {
+            const records = items.map((item) => toLinkRecord(item, { uid, album, template }));
+            if (records.length > 0) {
+                saveToFile(fileName, formatLinkRecords(records, format), false);
+            }
+            return records.length;
+        },
+    };
+};
+
+/**
+ * Split CSV content into rows of fields (quoted fields may contain newlines)
+ * @param {string} content - CSV content
+ * @returns {string[][]} Rows
+ */
+const parseCsv = (content) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && content[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter((fields) => fields.some(Boolean));
+};
+
+/**
+ * Split a shell command line into arguments (single quotes only, as written by the wget format)
+ * @param {string} line - Command line
+ * @returns {string[]} Arguments
+ */
+const parseShellArgs = (line) => {
+    const args = [];
+    let arg = null;
+    let quoted = false;
+
+    for (const char of line) {
+        if (quoted) {
+            if (char === "'") quoted = false;
+            else arg += char;
+        } else if (char === "'") {
+            quoted = true;
+            arg = arg ?? "";
+        } else if (char === "\\") {
+            // only used for the escaped quote in '\''
+            arg = arg ?? "";
+        } else if (/\s/.test(char)) {
+            if (arg !== null) args.push(arg);
+            arg = null;
+        } else {
+            arg = (arg ?? "") + char;
+        }
+    }
+
+    if (arg !== null) args.push(arg);
+    return args;
+};
+
+/**
+ * Guess the media type of a link from its URL or file name
+ * @param {string} value - URL or file name
+ * @returns {string} Media type (see MEDIA_TYPE in constants.js)
+ */
+const guessMediaType = (value) => {
+    const name = value.split("?")[0].toLowerCase();
+    return name.endsWith(".mp4") || name.endsWith(`.${VIDEO_FILE_FORMAT}`) ? MEDIA_TYPE.VIDEO : MEDIA_TYPE.PHOTO;
+};
+
+/**
+ * Build a parsed link from the fields available in a link file
+ * @param {Object} fields - Known fields (id, type, url, uid, album_name, file)
+ * @returns {{id: string|null, type: string, url: string, uid: string|null, album_name: string|null, file: string|null}} Parsed link
+ */
+const toParsedLink = ({ id = null, type = null, url, uid = null, album_name = null, file = null }) => ({
+    id: id || null,
+    type: type || guessMediaType(file || url),
+    url,
+    uid: uid || null,
+    album_name: album_name || null,
+    file: file || null,
+});
+
+/**
+ * Read the links of a file written by createLinkExporter, or a plain list of URLs
+ * The format is detected from the content: JSON Lines, CSV with our header,
+ * a wget script, or aria2 input / `id;url` / URL lines.
+ * @param {string} content - File content
+ * @returns {Array<{id: string|null, type: string, url: string, uid: string|null, album_name: string|null, file: string|null}>} Links (id is null for bare URLs)
+ */
+export const parseLinkFile = (content) => {
+    const lines = content.split(/\r?\n/);
+    const firstLine = lines.find((line) => line.trim()) || "";
+
+    if (firstLine.trim().startsWith("{")) {
+        return lines
+            .filter((line) => line.trim())
+            .map((line) => JSON.parse(line))
+            .filter((record) => record.url)
+            .map(toParsedLink);
+    }
+
+    if (firstLine.trim().startsWith(CSV_COLUMNS.slice(0, 3).join(","))) {
+        const [header, ...rows] = parseCsv(content);
+        return rows
+            .map((row) => Object.fromEntries(header.map((column, i) => [column, row[i]])))
+            .filter((record) => record.url)
+            .map((record) => toParsedLink({ ...record, album_name: record.album }));
+    }
+
+    const links = [];
+    let uid = null;
+    // Media ID of the next link, from its comment line (older files only have the file name)
+    let mediaId = null;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith(UID_COMMENT)) {
+            uid = line.slice(UID_COMMENT.length).trim() || null;
+            continue;
+        }
+        if (line.startsWith(MEDIA_ID_COMMENT)) {
+            mediaId = line.slice(MEDIA_ID_COMMENT.length).trim() || null;
+            continue;
+        }
+        if (line.startsWith("#")) continue;
+
+        // wget script line: mkdir -p 'dir' && wget -nc -O 'file' 'url'
+        if (line.includes("wget ")) {
+            const args = parseShellArgs(line.slice(line.indexOf("wget ")));
+            const outIndex = args.indexOf("-O");
+            const file = outIndex >= 0 ? args[outIndex + 1] : null;
+            const url = args[args.length - 1];
+            if (url && url !== file) {
+                links.push(toParsedLink({ id: mediaId || (file && path.parse(file).name), url, uid, file }));
+            }
+            mediaId = null;
+            continue;
+        }
+
+        // aria2 options of the previous URL (indented dir=/out=)
+        const previous = links[links.length - 1];
+        if (/^\s/.test(rawLine) && previous) {
+            const [key, ...value] = line.split("=");
+            if (key === "dir") previous.dir = value.join("=");
+            if (key === "out") previous.out = value.join("=");
+            continue;
+        }
+
+        // id;url, or a bare URL
+        const separatorIndex = line.indexOf(ID_LINK_SEPERATOR);
+        const hasId = separatorIndex > 0 && !line.slice(0, separatorIndex).includes("://");
+        links.push({
+            id: hasId ? line.slice(0, separatorIndex) : mediaId,
+            url: hasId ? line.slice(separatorIndex + ID_LINK_SEPERATOR.length) : line,
+            uid,
+        });
+        mediaId = null;
+    }
+
+    return links.map(({ dir, out, ...link }) => {
+        const file = out ? path.join(dir || "", out) : null;
+        return toParsedLink({ ...link, id: link.id || (out && path.parse(out).name), file });
+    });
+};
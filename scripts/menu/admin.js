@@ -5,22 +5,35 @@
  * @module menu/admin
  */
 
-import fs from "fs";
 import { prompt, choose, waitForKeyPressed } from "./core.js";
 import { S } from "../constants.js";
 import { t, LANGKEY, setLang } from "../lang.js";
 import { log } from "../logger.js";
-import { download, createIfNotExistDir, parseUserIds } from "../utils.js";
-import { getAllUIDs } from "../database.js";
+import { parseUserIds } from "../utils.js";
+import { getAllUIDs, getDuplicateClusters } from "../database.js";
 import { ensureUsername, scanAllUIDs } from "../user_info.js";
-import { ensureUserProfile, fetchAndSaveProfile, fetchUserProfile } from "../user_profile.js";
+import { ensureUserProfile, fetchAndSaveProfiles, fetchUserProfile } from "../user_profile.js";
 import { fetchTimeLineAlbumId_FBPage } from "../download_timeline_album.js";
 import { fetchAlbumInfo } from "../download_album.js";
-import { checkAllProxies, reorderByLatency, isProxyEnabled, getProxyStats, toggleProxy } from "../proxy_manager.js";
+import { downloadFromFile } from "../download_from_file.js";
+import { retryFailedMedia } from "../retry_failed.js";
+import { upgradeSDVideos } from "../upgrade_videos.js";
+import { hashSavedMedia, formatDuplicateCluster } from "../dedup.js";
+import { fixFileExtensions } from "../fix_extensions.js";
+import { runCancellable } from "../cancellation.js";
+import {
+    checkAllProxies,
+    reorderByLatency,
+    isProxyEnabled,
+    getProxyStats,
+    toggleProxy,
+    getProxyHealthTable,
+    formatProxyHealthTable
+} from "../proxy_manager.js";
 
 /**
- * Menu handler for downloading media from a text file containing URLs
- * Reads URLs from file and downloads each one
+ * Menu handler for downloading media from a link file
+ * Reads exported link files (any link format) or plain URL lists and downloads each link
  * @returns {Promise<void>}
  */
 export const menuDownloadFromFile = async () => {
@@ -28,39 +41,54 @@ export const menuDownloadFromFile = async () => {
 
     if (file_path) {
         const folder_name = await prompt(t("folderToSave"));
-        const folder_path = `downloads/from-file/${folder_name}/`;
-        createIfNotExistDir(folder_path);
+        const owner_id = (await prompt(t("enterLinkOwner"))).trim();
 
         try {
-            const content = fs.readFileSync(file_path, "utf8");
-            const urls = content.split("\n");
-
-            log(t("foundLinks").replace("{length}", urls.length));
-
-            let index = 1;
-            for (let url of urls) {
-                try {
-                    let isPhoto = url.indexOf(".jpg") > 0;
-                    let fileName = `${folder_path}/${index}.${isPhoto ? "jpg" : "mp4"}`;
-
-                    log(
-                        t("downloadingLinks").replace(
-                            "{progress}",
-                            `${index}/${urls.length}`
-                        )
-                    );
-                    await download(url, fileName);
-                    index++;
-                } catch (e) {
-                    log(t("errorWhenDownloadUrl").replace("{url}", url), e);
-                }
-            }
+            await runCancellable(() => downloadFromFile({
+                filePath: file_path,
+                folderName: folder_name,
+                ownerId: owner_id || null,
+            }));
         } catch (e) {
             log(t("error"), e);
         }
     }
 };
 
+/**
+ * Menu handler for retrying failed downloads with fresh URLs
+ * Retries every failed download, or only those of the entered UIDs
+ * @returns {Promise<void>}
+ */
+export const menuRetryFailedDownloads = async () => {
+    const uidInput = await prompt(t("enterUIDsToRetry"));
+    if (uidInput === '-1') return;
+
+    try {
+        await runCancellable(() => retryFailedMedia({ uids: parseUserIds(uidInput) }));
+    } catch (e) {
+        log(t("error"), e);
+    }
+    await waitForKeyPressed();
+};
+
+/**
+ * Menu handler for upgrading saved SD videos to HD
+ * Checks every SD video, or only those of the entered UIDs
+ * @returns {Promise<void>}
+ */
+export const menuUpgradeSDVideos = async () => {
+    const uidInput = await prompt(t("enterUIDsToUpgrade"));
+    if (uidInput === '-1') return;
+
+    try {
+        await runCancellable(() => upgradeSDVideos({ uids: parseUserIds(uidInput) }));
+    } catch (e) {
+        log(t("error"), e);
+    }
+    await waitForKeyPressed();
+};
+
 /**
  * Menu handler for selecting application language
  * Supports Vietnamese and English
@@ -117,6 +145,50 @@ export const menuPrintAllUIDs = async () => {
     await waitForKeyPressed();
 };
 
+/**
+ * Show clusters of saved media with identical content
+ * Optionally hashes files saved before deduplication was added
+ * @returns {Promise<void>}
+ */
+export const menuDuplicateReport = async () => {
+    const scan = await prompt("Hash files saved before deduplication first? (0-No, 1-Yes): ");
+
+    if (scan === '1') {
+        const { result } = await runCancellable(() => hashSavedMedia((current, total) => {
+            if (current % 100 === 0 || current === total) log(`  Hashed ${current}/${total}`);
+        }));
+        if (result) {
+            log(`🔎 ${result.hashed} files hashed, ${result.missing} not found on disk`);
+        }
+    }
+
+    const clusters = getDuplicateClusters();
+    if (clusters.length === 0) {
+        log("No duplicate files found.");
+    } else {
+        log(`\n📋 Duplicate files (${clusters.length} clusters):\n`);
+        clusters.forEach((cluster) => log(formatDuplicateCluster(cluster)));
+    }
+    await waitForKeyPressed();
+};
+
+/**
+ * Rename saved files whose extension does not match their content
+ * Shows what would change first and asks before renaming
+ * @returns {Promise<void>}
+ */
+export const menuFixFileExtensions = async () => {
+    const preview = fixFileExtensions({ dryRun: true });
+
+    if (preview.renamed > 0) {
+        const answer = await prompt(`Rename ${preview.renamed} files and update the database? (0-No, 1-Yes): `);
+        if (answer === '1') {
+            fixFileExtensions();
+        }
+    }
+    await waitForKeyPressed();
+};
+
 /**
  * Scan UIDs and fetch missing usernames
  * @returns {Promise<void>}
@@ -194,7 +266,7 @@ export const menuProxyHealthCheck = async () => {
     const proxyStatus = isProxyEnabled() ? '✅ ENABLED' : '❌ DISABLED';
     log(`\n📊 Proxy Status: ${proxyStatus}`);
     if (isProxyEnabled()) {
-        log(`   Loaded: ${stats.total} proxies, ${stats.failed} marked as failed`);
+        log(`   Loaded: ${stats.total} proxies, ${stats.coolingDown} cooling down after failures`);
         log(`   Current: ${stats.current || 'none'}`);
     }
 
@@ -204,10 +276,19 @@ export const menuProxyHealthCheck = async () => {
         2: "Test all proxies",
         3: "Test all & remove dead proxies",
         4: "Test all & reorder by speed (fastest first)",
+        5: "Show health table (saved across runs)",
     });
 
     if (healthAction.key == 1) {
         toggleProxy();
+    } else if (healthAction.key == 5) {
+        const rows = getProxyHealthTable();
+        if (rows.length === 0) {
+            log("\n⚠️ No proxies loaded.");
+        } else {
+            log("");
+            formatProxyHealthTable(rows).forEach((line) => log(line));
+        }
     } else if (healthAction.key >= 2 && healthAction.key <= 4) {
         if (!isProxyEnabled()) {
             log("\n⚠️ Proxy is disabled. Enable it first to run health checks.");
@@ -266,38 +347,32 @@ export const menuFetchUserProfiles = async () => {
 
     const results = { fetched: 0, updated: 0, noChanges: 0, failed: 0 };
 
-    for (let i = 0; i < uids.length; i++) {
-        const uid = uids[i];
+    // Profiles are fetched several UIDs per batch request
+    const showResult = (uid, result, i) => {
         log(`\n[${i + 1}/${uids.length}] UID: ${uid}`);
 
-        try {
-            const result = await fetchAndSaveProfile(uid, { includeLikes });
-
-            if (result.saved) {
-                if (result.isNew) {
-                    log(`   ✅ ${t("profileFetched")}: ${result.profile?.name || 'N/A'}`);
-                    results.fetched++;
-                } else if (result.changedFields && result.changedFields.length > 0) {
-                    log(`   📝 ${t("profileUpdated")}: ${result.profile?.name || 'N/A'}`);
-                    log(`   ${t("fieldsChanged")}: ${result.changedFields.join(', ')}`);
-                    results.updated++;
-                } else {
-                    log(`   ⏭️ ${t("profileNoChanges")}: ${result.profile?.name || 'N/A'}`);
-                    results.noChanges++;
-                }
+        if (result.saved) {
+            if (result.isNew) {
+                log(`   ✅ ${t("profileFetched")}: ${result.profile?.name || 'N/A'}`);
+                results.fetched++;
+            } else if (result.changedFields && result.changedFields.length > 0) {
+                log(`   📝 ${t("profileUpdated")}: ${result.profile?.name || 'N/A'}`);
+                log(`   ${t("fieldsChanged")}: ${result.changedFields.join(', ')}`);
+                results.updated++;
             } else {
-                log(`   ❌ ${t("profileFailed")}: ${result.reason || 'Unknown error'}`);
-                results.failed++;
+                log(`   ⏭️ ${t("profileNoChanges")}: ${result.profile?.name || 'N/A'}`);
+                results.noChanges++;
             }
-        } catch (error) {
-            log(`   ❌ ${t("profileFailed")}: ${error.message}`);
+        } else {
+            log(`   ❌ ${t("profileFailed")}: ${result.reason || 'Unknown error'}`);
             results.failed++;
         }
+    };
 
-        // Small delay between UIDs
-        if (i < uids.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 500));
-        }
+    try {
+        await fetchAndSaveProfiles(uids, { includeLikes }, showResult);
+    } catch (error) {
+        log(`   ❌ ${t("profileFailed")}: ${error.message}`);
     }
 
     // Summary
@@ -5,7 +5,7 @@
  * @module menu/album
  */
 
-import { prompt, choose, waitForKeyPressed } from "./core.js";
+import { prompt, choose, waitForKeyPressed, promptDateRange, promptLinkFormat, promptDryRun } from "./core.js";
 import { t } from "../lang.js";
 import { log } from "../logger.js";
 import {
@@ -13,6 +13,7 @@ import {
     downloadAlbumPhotoLinks,
     fetchAlbumInfo,
 } from "../download_album.js";
+import { fetchAllAlbums, formatAlbum, selectAlbums, downloadAllAlbums } from "../download_all_albums.js";
 import { runCancellable } from "../cancellation.js";
 
 /**
@@ -26,9 +27,14 @@ export const menuDownloadAlbum = async () => {
             0: t("back"),
             1: t("downloadAllImageInAlbum"),
             2: t("downloadAllLinkInAlbum"),
+            3: t("downloadAllAlbums"),
         });
 
         if (action.key == 0) break;
+        if (action.key == 3) {
+            await menuDownloadAllAlbums();
+            continue;
+        }
         if (action.key == 1 || action.key == 2) {
             const album_id = await prompt(t("enterAlbumID"));
             if (album_id != -1) {
@@ -39,9 +45,18 @@ export const menuDownloadAlbum = async () => {
                 const is_largest_photo = largest_photo == "0" ? false : true;
 
                 if (action.key == 2 && is_largest_photo) {
-                    log(t("saveHDLinkNotSupported"));
+                    log(t("saveHDLinkSlow"));
                 }
 
+                const incremental = action.key == 1
+                    ? (await prompt(t("incrementalSync"))) == "1"
+                    : false;
+                const date_range = await promptDateRange();
+                if (!date_range) continue;
+                const format = action.key == 2 ? await promptLinkFormat() : null;
+                if (action.key == 2 && !format) continue;
+                const dry_run = action.key == 1 ? await promptDryRun() : {};
+
                 // Wrap download in cancellable operation
                 await runCancellable(async () => {
                     if (action.key == 1) {
@@ -49,12 +64,17 @@ export const menuDownloadAlbum = async () => {
                             albumId: album_id,
                             fromPhotoId: from_photo_id,
                             isGetLargestPhoto: is_largest_photo,
+                            incremental,
+                            ...date_range,
+                            ...dry_run,
                         });
                     } else {
                         await downloadAlbumPhotoLinks({
                             albumId: album_id,
                             fromPhotoId: from_photo_id,
                             isGetLargestPhoto: is_largest_photo,
+                            format,
+                            ...date_range,
                         });
                     }
                 });
@@ -63,6 +83,46 @@ export const menuDownloadAlbum = async () => {
     }
 };
 
+/**
+ * Menu handler for downloading every album of a user or page
+ * Lists the albums, then downloads the selected ones into per-album folders
+ * @returns {Promise<void>}
+ */
+const menuDownloadAllAlbums = async () => {
+    const target_id = await prompt(t("enterAlbumOwnerID"));
+    if (!target_id || target_id == -1) return;
+
+    log(t("gettingAlbumList").replace("{id}", target_id));
+    const albums = await fetchAllAlbums(target_id);
+    if (albums.length === 0) {
+        log(t("noAlbumsFound"));
+        return;
+    }
+    albums.forEach((album, index) => log(formatAlbum(album, index)));
+
+    const selected = selectAlbums(albums, await prompt(t("selectAlbums")));
+    if (selected.length === 0) {
+        log(t("noAlbumSelected"));
+        return;
+    }
+    log(t("selectedAlbums").replace("{count}", selected.length).replace("{total}", albums.length));
+
+    const largest_photo = await prompt(t("downloadHD"));
+    const incremental = (await prompt(t("incrementalSync"))) == "1";
+    const date_range = await promptDateRange();
+    if (!date_range) return;
+
+    await runCancellable(async () => {
+        await downloadAllAlbums({
+            targetId: target_id,
+            albums: selected,
+            isGetLargestPhoto: largest_photo != "0",
+            incremental,
+            ...date_range,
+        });
+    });
+};
+
 /**
  * Show album information for a given album ID
  * @returns {Promise<void>}
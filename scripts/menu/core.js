@@ -6,9 +6,10 @@
  */
 
 import readline from "readline";
-import { S } from "../constants.js";
+import { LINK_FORMAT, S } from "../constants.js";
 import { t } from "../lang.js";
 import { log } from "../logger.js";
+import { findSavedCrawlCursors } from "../download_helpers.js";
 
 /**
  * Readline interface for user input
@@ -63,6 +64,73 @@ export const choose = async (title, menuItems) => {
     }
 };
 
+/**
+ * Offer to resume unfinished crawls saved by a previous run
+ * Only asks when at least one of the UIDs has a saved cursor
+ * @param {string[]} uids - Target UIDs
+ * @param {string} apiType - API type name (see API_TYPE in constants.js)
+ * @returns {Promise<boolean>} True if the user chose to resume
+ */
+export const promptResumeCrawl = async (uids, apiType) => {
+    const savedCrawls = findSavedCrawlCursors(uids, apiType);
+    if (savedCrawls.length === 0) return false;
+
+    savedCrawls.forEach(({ uid, pagesLoaded, lastUpdated }) => {
+        log(
+            t("savedCrawlFound")
+                .replace("{uid}", uid)
+                .replace("{page}", pagesLoaded)
+                .replace("{time}", lastUpdated)
+        );
+    });
+
+    const answer = await prompt(t("resumeCrawl"));
+    return answer == "1";
+};
+
+/**
+ * Ask for an optional since/until date range
+ * @returns {Promise<{since: string|null, until: string|null}|null>} Range (null dates are open), or null if a date is invalid
+ */
+export const promptDateRange = async () => {
+    const range = {};
+
+    for (const [key, question] of [["since", "enterSinceDate"], ["until", "enterUntilDate"]]) {
+        const value = (await prompt(t(question))).trim();
+        if (value && Number.isNaN(Date.parse(value))) {
+            log(t("invalidDate").replace("{date}", value));
+            return null;
+        }
+        range[key] = value || null;
+    }
+
+    return range;
+};
+
+/**
+ * Ask for the format of a link export
+ * @returns {Promise<string|null>} Link format (see LINK_FORMAT, txt when empty), or null if unknown
+ */
+export const promptLinkFormat = async () => {
+    const format = (await prompt(t("chooseLinkFormat"))).trim().toLowerCase() || LINK_FORMAT.TXT;
+
+    if (!Object.values(LINK_FORMAT).includes(format)) {
+        log(t("invalidLinkFormat").replace("{format}", format));
+        return null;
+    }
+
+    return format;
+};
+
+/**
+ * Ask whether to download or only estimate the download (dry run)
+ * @returns {Promise<{dryRun: boolean, estimateSize: boolean}>} Dry run options for the downloaders
+ */
+export const promptDryRun = async () => {
+    const answer = (await prompt(t("chooseDryRun"))).trim();
+    return { dryRun: answer == "1" || answer == "2", estimateSize: answer == "2" };
+};
+
 /**
  * Close the readline interface
  * Should be called when the application exits
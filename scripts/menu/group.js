@@ -0,0 +1,48 @@
+/**
+ * Group Media Download Menu Module
+ *
+ * Handles the group feed and group album download prompts.
+ * @module menu/group
+ */
+
+import { prompt, promptDateRange } from "./core.js";
+import { t } from "../lang.js";
+import { log } from "../logger.js";
+import { parseUserIds } from "../utils.js";
+import { downloadGroupMediaBatch } from "../download_group.js";
+import { runCancellable } from "../cancellation.js";
+
+/**
+ * Menu handler for downloading group media
+ * Downloads photos and optionally videos from the group feed and group albums,
+ * optionally only those posted by some members or within a date range
+ * @returns {Promise<void>}
+ */
+export const menuDownloadGroup = async () => {
+    const groupIds = parseUserIds(await prompt(t("enterGroupIDs")));
+    if (groupIds.length === 0) {
+        log("No valid IDs entered.");
+        return;
+    }
+
+    const pageLimit = await prompt(t("howManyPageWall"));
+    if (!(pageLimit >= 0)) return;
+
+    const includeVideo = await prompt(t("downloadVideoWall"));
+    const largestPhoto = await prompt(t("downloadHDWall"));
+    const includeAlbums = await prompt(t("downloadGroupAlbums"));
+    const posterIds = parseUserIds(await prompt(t("enterPosterIDs")));
+    const dateRange = await promptDateRange();
+    if (!dateRange) return;
+
+    await runCancellable(async () => {
+        await downloadGroupMediaBatch(groupIds, {
+            includeVideo: includeVideo == 1,
+            pageLimit: pageLimit == 0 ? Infinity : pageLimit,
+            isGetLargestPhoto: largestPhoto != "0",
+            includeAlbums: includeAlbums != "0",
+            posterIds,
+            ...dateRange,
+        });
+    });
+};
@@ -8,21 +8,31 @@
 import { choose, closeReadline, waitForKeyPressed } from "./core.js";
 import { t } from "../lang.js";
 import { initDatabase } from "../database.js";
+import { log } from "../logger.js";
+import { setTokenExpiredHandler } from "../utils.js";
+import { GraphApiError } from "../graph_errors.js";
+import { promptForNewToken } from "../token_validator.js";
 
 // Import menu handlers
 import { menuDownloadAlbum, showAlbumInfo } from "./album.js";
 import { menuDownloadWallMedia } from "./wall.js";
+import { menuDownloadGroup } from "./group.js";
 import { menuDownloadPhotoVideoOfUser } from "./user.js";
 import {
     menuDownloadFromFile,
+    menuRetryFailedDownloads,
+    menuUpgradeSDVideos,
     menuSelectLanguage,
     menuFindTimelineAlbum,
     menuPrintAllUIDs,
     menuScanUIDs,
     menuProxyHealthCheck,
     menuShowHelp,
+    menuDuplicateReport,
+    menuFixFileExtensions,
     menuFetchUserProfiles
 } from "./admin.js";
+import { menuManageTokens } from "./tokens.js";
 
 // Re-export core utilities
 export { prompt, choose, waitForKeyPressed, closeReadline } from "./core.js";
@@ -37,6 +47,9 @@ export const menu = async () => {
     // Initialize database for UID listing
     initDatabase();
 
+    // Ask for a new token when it expires in the middle of a download
+    setTokenExpiredHandler(promptForNewToken);
+
     while (true) {
         const action = await choose("FB Media Downloader Tool", {
             1: t("albumInfo"),
@@ -51,46 +64,78 @@ export const menu = async () => {
             10: "Scan UIDs for usernames",
             11: "Proxy Health Check",
             12: t("fetchUserProfiles"),
-            13: t("exit"),
+            13: t("manageTokens"),
+            14: t("retryFailedDownloads"),
+            15: t("duplicateFilesReport"),
+            16: t("fixFileExtensions"),
+            17: t("downloadGroup"),
+            18: t("upgradeSDVideos"),
+            19: t("exit"),
         });
 
-        if (action.key == 1) {
-            await showAlbumInfo();
-        }
-        if (action.key == 2) {
-            await menuFindTimelineAlbum();
-        }
-        if (action.key == 3) {
-            await menuDownloadAlbum();
-        }
-        if (action.key == 4) {
-            await menuDownloadWallMedia();
-        }
-        if (action.key == 5) {
-            await menuDownloadPhotoVideoOfUser();
-        }
-        if (action.key == 6) {
-            await menuDownloadFromFile();
-        }
-        if (action.key == 7) {
-            await menuSelectLanguage();
-        }
-        if (action.key == 8) {
-            await menuShowHelp();
-        }
-        if (action.key == 9) {
-            await menuPrintAllUIDs();
-        }
-        if (action.key == 10) {
-            await menuScanUIDs();
-        }
-        if (action.key == 11) {
-            await menuProxyHealthCheck();
-        }
-        if (action.key == 12) {
-            await menuFetchUserProfiles();
+        if (action.key == 19) break;
+
+        try {
+            if (action.key == 1) {
+                await showAlbumInfo();
+            }
+            if (action.key == 2) {
+                await menuFindTimelineAlbum();
+            }
+            if (action.key == 3) {
+                await menuDownloadAlbum();
+            }
+            if (action.key == 4) {
+                await menuDownloadWallMedia();
+            }
+            if (action.key == 5) {
+                await menuDownloadPhotoVideoOfUser();
+            }
+            if (action.key == 6) {
+                await menuDownloadFromFile();
+            }
+            if (action.key == 7) {
+                await menuSelectLanguage();
+            }
+            if (action.key == 8) {
+                await menuShowHelp();
+            }
+            if (action.key == 9) {
+                await menuPrintAllUIDs();
+            }
+            if (action.key == 10) {
+                await menuScanUIDs();
+            }
+            if (action.key == 11) {
+                await menuProxyHealthCheck();
+            }
+            if (action.key == 12) {
+                await menuFetchUserProfiles();
+            }
+            if (action.key == 13) {
+                await menuManageTokens();
+            }
+            if (action.key == 14) {
+                await menuRetryFailedDownloads();
+            }
+            if (action.key == 15) {
+                await menuDuplicateReport();
+            }
+            if (action.key == 16) {
+                await menuFixFileExtensions();
+            }
+            if (action.key == 17) {
+                await menuDownloadGroup();
+            }
+            if (action.key == 18) {
+                await menuUpgradeSDVideos();
+            }
+        } catch (error) {
+            // A failed Graph API request ends the action (see graph_errors.js), not the app
+            if (!(error instanceof GraphApiError)) throw error;
+            log(t("graphRequestFailed").replace("{name}", error.name).replace("{message}", error.message));
+            await waitForKeyPressed();
         }
-        if (action.key == 13) break;
     }
 
     closeReadline();
@@ -0,0 +1,117 @@
+/**
+ * Access Token Menu Module
+ *
+ * Handles the token pool submenu: list, add, enable/disable, prioritise and remove tokens,
+ * and the rate limit usage history of each token.
+ * @module menu/tokens
+ */
+
+import { prompt, choose, waitForKeyPressed } from "./core.js";
+import { log } from "../logger.js";
+import { t } from "../lang.js";
+import TokenManager, { formatTokenRow } from "../token_manager.js";
+import { validateAndSaveToken } from "../token_validator.js";
+import { getRateLimitHistory } from "../database.js";
+import { formatRateLimitStatus, formatUsageHistory, getRateLimitProfile } from "../rate_limit_manager.js";
+
+/**
+ * Print every token of the pool
+ * @returns {Array<object>} Listed tokens
+ */
+const printTokens = () => {
+    const tokens = TokenManager.listTokens();
+    if (tokens.length === 0) {
+        log("\n" + t("noTokensInPool"));
+    } else {
+        log("");
+        tokens.forEach((row) => log(formatTokenRow(row)));
+    }
+    return tokens;
+};
+
+/**
+ * Ask for the ID of a listed token
+ * @returns {Promise<number|null>} Token ID or null if none was chosen
+ */
+const promptTokenId = async () => {
+    if (printTokens().length === 0) return null;
+
+    const input = await prompt(t("enterTokenId"));
+    const tokenId = Number(input);
+    return Number.isInteger(tokenId) && tokenId > 0 ? tokenId : null;
+};
+
+/**
+ * Token pool management menu
+ * myFetch rotates through active tokens by priority and skips rate-limited ones
+ * @returns {Promise<void>}
+ */
+export const menuManageTokens = async () => {
+    while (true) {
+        const action = await choose(t("manageTokensTitle"), {
+            0: t("back"),
+            1: t("listTokens"),
+            2: t("addToken"),
+            3: t("toggleToken"),
+            4: t("setTokenPriority"),
+            5: t("removeToken"),
+            6: t("rateLimitHistory"),
+        });
+
+        if (action.key == 0) break;
+
+        if (action.key == 1) {
+            printTokens();
+        }
+
+        if (action.key == 2) {
+            const token = (await prompt(t("enterAccessToken"))).trim();
+            if (token) {
+                const label = (await prompt(t("enterTokenLabel"))).trim();
+                const priority = parseInt(await prompt(t("enterTokenPriority"))) || 0;
+                await validateAndSaveToken(token, { label: label || null, priority });
+            }
+        }
+
+        if (action.key == 3) {
+            const tokenId = await promptTokenId();
+            if (tokenId) {
+                const enable = (await prompt(t("enableOrDisableToken"))) == "1";
+                const updated = TokenManager.setActive(tokenId, enable);
+                log(t(!updated ? "tokenNotFound" : enable ? "tokenEnabled" : "tokenDisabled").replace("{id}", tokenId));
+            }
+        }
+
+        if (action.key == 4) {
+            const tokenId = await promptTokenId();
+            if (tokenId) {
+                const priority = parseInt(await prompt(t("enterNewPriority")));
+                if (Number.isInteger(priority)) {
+                    const updated = TokenManager.setPriority(tokenId, priority);
+                    log(t(updated ? "tokenPrioritySet" : "tokenNotFound").replace("{id}", tokenId).replace("{priority}", priority));
+                }
+            }
+        }
+
+        if (action.key == 5) {
+            const tokenId = await promptTokenId();
+            if (tokenId) {
+                const updated = TokenManager.removeToken(tokenId);
+                log(t(updated ? "tokenRemoved" : "tokenNotFound").replace("{id}", tokenId));
+            }
+        }
+
+        if (action.key == 6) {
+            const hours = parseInt(await prompt(t("enterHistoryHours"))) || 24;
+            const rows = getRateLimitHistory({ hours });
+            log("\n" + t("rateLimitProfile").replace("{profile}", getRateLimitProfile()));
+            log(formatRateLimitStatus());
+            if (rows.length === 0) {
+                log(t("noRateLimitHistory").replace("{hours}", hours));
+            }
+            formatUsageHistory(rows).forEach((line) => log(line));
+        }
+
+        await waitForKeyPressed();
+    }
+};
@@ -5,18 +5,81 @@
  * @module menu/user
  */
 
-import { prompt, choose } from "./core.js";
+import { prompt, choose, promptResumeCrawl, promptDateRange, promptLinkFormat, promptDryRun } from "./core.js";
+import { API_TYPE, USER_PHOTO_TYPE } from "../constants.js";
 import { t } from "../lang.js";
 import { log } from "../logger.js";
 import { parseUserIds } from "../utils.js";
-import { downloadUserPhotos, downloadUserPhotosBatch } from "../download_user_photos.js";
+import {
+    downloadUserPhotos,
+    downloadUserPhotosBatch,
+    downloadUserPhotoLinks,
+    getUserPhotoApiType,
+} from "../download_user_photos.js";
 import { downloadUserVideos, downloadUserVideosBatch } from "../download_user_videos.js";
 import { ensureUserProfileForUIDs } from "../user_profile.js";
 import { runCancellable } from "../cancellation.js";
 
 /**
- * Menu handler for downloading user's uploaded photos and videos
- * Fetches from user's photo albums and video posts
+ * Photo set downloaded by each photo action of the user menu
+ * @constant {Object<number, string>}
+ */
+const PHOTO_ACTIONS = {
+    1: USER_PHOTO_TYPE.UPLOADED,
+    3: USER_PHOTO_TYPE.TAGGED,
+    4: USER_PHOTO_TYPE.PROFILE,
+    5: USER_PHOTO_TYPE.COVER,
+};
+
+/**
+ * Photo set of each answer to the chooseUserPhotoType question
+ * @constant {Object<number, string>}
+ */
+const LINK_PHOTO_TYPES = {
+    1: USER_PHOTO_TYPE.UPLOADED,
+    2: USER_PHOTO_TYPE.TAGGED,
+    3: USER_PHOTO_TYPE.PROFILE,
+    4: USER_PHOTO_TYPE.COVER,
+};
+
+/**
+ * Menu handler for saving the photo links of a user to a file
+ * @returns {Promise<void>}
+ */
+const menuDownloadUserPhotoLinks = async () => {
+    const target_id = await prompt(t("enterUserID"));
+    if (target_id == -1) return;
+
+    const photo_type = LINK_PHOTO_TYPES[(await prompt(t("chooseUserPhotoType"))).trim() || 1];
+    if (!photo_type) {
+        log(t("wrongChoice"));
+        return;
+    }
+
+    const from_cursor = await prompt(t("startPageUser"));
+    const page_limit = await prompt(t("howManyPageUser"));
+    if (!(page_limit >= 0)) return;
+
+    const date_range = await promptDateRange();
+    if (!date_range) return;
+    const format = await promptLinkFormat();
+    if (!format) return;
+
+    await runCancellable(async () => {
+        await downloadUserPhotoLinks({
+            targetId: target_id,
+            photoType: photo_type,
+            fromCursor: from_cursor == 0 ? null : from_cursor,
+            pageLimit: page_limit == 0 ? Infinity : page_limit,
+            format,
+            ...date_range,
+        });
+    });
+};
+
+/**
+ * Menu handler for downloading user's photos and videos
+ * Fetches uploaded/tagged photos, profile/cover picture history and video posts
  * Supports batch downloads for multiple user IDs
  * @returns {Promise<void>}
  */
@@ -26,10 +89,20 @@ export const menuDownloadPhotoVideoOfUser = async () => {
             0: t("back"),
             1: t("downloadUserImagePost"),
             2: t("downloadUserVideoPost"),
+            3: t("downloadUserTaggedPhotos"),
+            4: t("downloadUserProfilePictures"),
+            5: t("downloadUserCoverPhotos"),
+            6: t("downloadUserPhotoLinks"),
         });
 
         if (action.key == 0) break;
-        if (action.key == 1 || action.key == 2) {
+        if (action.key == 6) {
+            await menuDownloadUserPhotoLinks();
+            continue;
+        }
+        if (action.key in PHOTO_ACTIONS || action.key == 2) {
+            const photo_type = PHOTO_ACTIONS[action.key] || null;
+
             // Accept comma-separated IDs
             const target_ids_input = await prompt(t("enterUserID") + " (comma-separated)");
             if (target_ids_input != -1) {
@@ -44,27 +117,41 @@ export const menuDownloadPhotoVideoOfUser = async () => {
                 const page_limit = await prompt(t("howManyPageUser"));
 
                 if (page_limit >= 0) {
+                    // Offer to continue unfinished crawls when no start cursor was entered
+                    const apiType = photo_type ? getUserPhotoApiType(photo_type) : API_TYPE.USER_VIDEOS;
+                    const resume = from_cursor == 0
+                        ? await promptResumeCrawl(target_ids, apiType)
+                        : false;
+                    const incremental = (await prompt(t("incrementalSync"))) == "1";
+                    const date_range = await promptDateRange();
+                    if (!date_range) continue;
+                    const dry_run = await promptDryRun();
+
                     const options = {
                         fromCursor: from_cursor == 0 ? null : from_cursor,
                         pageLimit: page_limit == 0 ? Infinity : page_limit,
+                        resume,
+                        incremental,
+                        ...date_range,
+                        ...dry_run,
                     };
 
                     // Wrap download in cancellable operation
                     await runCancellable(async () => {
-                        // Fetch user profiles before starting download
-                        await ensureUserProfileForUIDs(target_ids);
+                        // Fetch user profiles before starting download (a dry run saves nothing)
+                        if (!dry_run.dryRun) await ensureUserProfileForUIDs(target_ids);
 
                         // Use batch download for multiple users
                         if (target_ids.length > 1) {
-                            if (action.key == 1) {
-                                await downloadUserPhotosBatch(target_ids, options);
+                            if (photo_type) {
+                                await downloadUserPhotosBatch(target_ids, { photoType: photo_type, ...options });
                             } else {
                                 await downloadUserVideosBatch(target_ids, options);
                             }
                         } else {
                             // Single user - original function
-                            if (action.key == 1) {
-                                await downloadUserPhotos({ targetId: target_ids[0], ...options });
+                            if (photo_type) {
+                                await downloadUserPhotos({ targetId: target_ids[0], photoType: photo_type, ...options });
                             } else {
                                 await downloadUserVideos({ targetId: target_ids[0], ...options });
                             }
@@ -5,7 +5,8 @@
  * @module menu/wall
  */
 
-import { prompt, choose } from "./core.js";
+import { prompt, choose, promptResumeCrawl, promptDateRange, promptLinkFormat, promptDryRun } from "./core.js";
+import { API_TYPE } from "../constants.js";
 import { t } from "../lang.js";
 import { log } from "../logger.js";
 import { parseUserIds } from "../utils.js";
@@ -50,19 +51,36 @@ export const menuDownloadWallMedia = async () => {
                     const is_largest_photo = largest_photo == "0" ? false : true;
 
                     if (action.key == 2 && is_largest_photo) {
-                        log(t("saveHDLinkNotSupported"));
+                        log(t("saveHDLinkSlow"));
                     }
 
+                    // Offer to continue unfinished crawls (file downloads only)
+                    const resume = action.key == 1
+                        ? await promptResumeCrawl(target_ids, API_TYPE.WALL_FEED)
+                        : false;
+                    const incremental = action.key == 1
+                        ? (await prompt(t("incrementalSync"))) == "1"
+                        : false;
+                    const date_range = await promptDateRange();
+                    if (!date_range) continue;
+                    const format = action.key == 2 ? await promptLinkFormat() : null;
+                    if (action.key == 2 && !format) continue;
+                    const dry_run = action.key == 1 ? await promptDryRun() : {};
+
                     const options = {
                         includeVideo: include_video == 1 ? true : false,
                         pageLimit: page_limit == 0 ? Infinity : page_limit,
                         isGetLargestPhoto: is_largest_photo,
+                        resume,
+                        incremental,
+                        ...date_range,
+                        ...dry_run,
                     };
 
                     // Wrap download in cancellable operation
                     await runCancellable(async () => {
-                        // Fetch user profiles before starting download
-                        await ensureUserProfileForUIDs(target_ids);
+                        // Fetch user profiles before starting download (a dry run saves nothing)
+                        if (!dry_run.dryRun) await ensureUserProfileForUIDs(target_ids);
 
                         if (action.key == 1) {
                             // Download media (not links)
@@ -80,6 +98,7 @@ export const menuDownloadWallMedia = async () => {
                             // Download links - batch not needed for links
                             await downloadWallMediaLinks({
                                 targetId: target_ids[0], // Only use first ID for links
+                                format,
                                 ...options
                             });
                         }
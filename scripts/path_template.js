@@ -0,0 +1,197 @@
+/**
+ * Media Path Templates for FB Media Downloader
+ * Builds where each downloaded file is saved, relative to DOWNLOADS_FOLDER.
+ *
+ * Configuration via .env:
+ * - MEDIA_PATH_TEMPLATE={username}/{year}/{month}/{album}/{created}_{media_id}.{ext}
+ *   When empty, each downloader keeps its default layout (see PATH_TEMPLATE).
+ *   A template without {media_id} gets `_{media_id}` added to its file name,
+ *   so two media are never saved to the same file.
+ *
+ * Placeholders:
+ * - {uid}         UID of the user/page/group being downloaded
+ * - {username}    Current username from username_history (the UID when unknown)
+ * - {poster}      UID of the member who posted the media (the UID when unknown)
+ * - {album}       Album name, {album_id} album ID ("(no album)" when not in an album)
+ * - {year} {month} {day} {created}  Creation date (UTC), {created} is YYYY-MM-DD
+ * - {media_id}    Photo/video ID
+ * - {source}      Folders of the downloader's default layout after the UID folder
+ *                 (e.g. {type}/{album}, tagged, profile_pictures, from-file/{folder})
+ * - {folder}      Folder name given to a download from a link file
+ * - {type}        photos | videos, {media_type} photo | video
+ * - {ext}         File extension (corrected to the real file type after download)
+ *
+ * Every folder/file segment is sanitized after expansion, so values cannot add folders.
+ */
+
+import { DOWNLOADS_FOLDER, PHOTO_FILE_FORMAT, VIDEO_FILE_FORMAT } from '../config.js';
+import { MEDIA_TYPE } from './constants.js';
+import { hasUsername } from './database.js';
+import { log } from './logger.js';
+import { sanitizeFolderName } from './utils.js';
+
+/**
+ * Default layouts of the downloaders (used when MEDIA_PATH_TEMPLATE is empty)
+ * @constant {Object}
+ */
+export const PATH_TEMPLATE = Object.freeze({
+    DEFAULT: '{uid}/{type}/{media_id}.{ext}',
+    BY_ALBUM: '{uid}/{type}/{album}/{media_id}.{ext}',
+    TAGGED: '{uid}/tagged/{media_id}.{ext}',
+    PROFILE_PICTURES: '{uid}/profile_pictures/{media_id}.{ext}',
+    COVER_PHOTOS: '{uid}/cover_photos/{media_id}.{ext}',
+    FROM_FILE: 'from-file/{folder}/{media_id}.{ext}',
+    FROM_FILE_BY_ALBUM: 'from-file/{folder}/{album}/{media_id}.{ext}',
+});
+
+/**
+ * Value used for album placeholders of media outside albums
+ * @constant {string}
+ */
+const NO_ALBUM = '(no album)';
+
+/**
+ * Usernames looked up during this run (uid => username|null)
+ * @type {Map<string, string|null>}
+ */
+const usernameCache = new Map();
+
+/**
+ * Whether the missing {media_id} of MEDIA_PATH_TEMPLATE was already reported
+ * @type {boolean}
+ */
+let reportedMissingMediaId = false;
+
+/**
+ * Get the folders a default layout puts after the UID folder ({source} placeholder)
+ * @param {string} layout - Default layout of the downloader (see PATH_TEMPLATE)
+ * @returns {string} Source folders, e.g. "{type}/{album}" or "tagged"
+ */
+export const getSourceFolders = (layout) =>
+    layout.split('/').slice(0, -1).filter((segment) => segment !== '{uid}').join('/');
+
+/**
+ * Add `_{media_id}` to the file name of a template that has no {media_id}
+ * @param {string} template - Path template
+ * @returns {string} Template naming each file after its media ID
+ */
+export const withMediaId = (template) => {
+    if (template.includes('{media_id}')) return template;
+    return template.endsWith('.{ext}')
+        ? `${template.slice(0, -'.{ext}'.length)}_{media_id}.{ext}`
+        : `${template}_{media_id}`;
+};
+
+/**
+ * Get the configured path template
+ * {source} is replaced by the source folders of the fallback layout
+ * @param {string} fallback - Template used when MEDIA_PATH_TEMPLATE is empty
+ * @returns {string} Path template
+ */
+export const getPathTemplate = (fallback = PATH_TEMPLATE.DEFAULT) => {
+    const configured = (process.env.MEDIA_PATH_TEMPLATE || '').trim();
+    if (!configured) return fallback;
+
+    const template = withMediaId(configured);
+    if (template !== configured && !reportedMissingMediaId) {
+        reportedMissingMediaId = true;
+        log(`⚠️ MEDIA_PATH_TEMPLATE has no {media_id}, saving files as ${template}`);
+    }
+
+    return template.replace(/\{source\}/g, getSourceFolders(fallback));
+};
+
+/**
+ * Get the current username of a UID (cached for the run)
+ * @param {string} uid - Facebook UID
+ * @returns {string|null} Username, or null if none is stored
+ */
+const getCachedUsername = (uid) => {
+    if (!usernameCache.has(uid)) {
+        usernameCache.set(uid, hasUsername(uid).username);
+    }
+    return usernameCache.get(uid);
+};
+
+/**
+ * Build the placeholder values of a media
+ * @param {Object} media - Media details
+ * @param {string} media.uid - UID of the user/page/group being downloaded
+ * @param {string} media.mediaId - Photo/video ID
+ * @param {string} media.mediaType - Media type (see MEDIA_TYPE in constants.js)
+ * @param {{id: string, name: string}|null} media.album - Album of the media
+ * @param {string|null} media.createdTime - created_time from the Graph API
+ * @param {string|null} media.posterUid - UID of the member who posted the media
+ * @param {string|null} media.folder - Folder name of a download from a link file
+ * @param {string|null} media.username - Username of the UID (looked up when needed)
+ * @returns {Object<string, string>} Placeholder values
+ */
+export const getTemplateValues = ({
+    uid,
+    mediaId,
+    mediaType,
+    album = null,
+    createdTime = null,
+    posterUid = null,
+    folder = null,
+    username = null,
+}) => {
+    const isPhoto = mediaType === MEDIA_TYPE.PHOTO;
+    const date = createdTime ? new Date(createdTime) : null;
+    const hasDate = date && !Number.isNaN(date.getTime());
+    const pad = (n) => String(n).padStart(2, '0');
+
+    const year = hasDate ? String(date.getUTCFullYear()) : 'unknown';
+    const month = hasDate ? pad(date.getUTCMonth() + 1) : 'unknown';
+    const day = hasDate ? pad(date.getUTCDate()) : 'unknown';
+
+    return {
+        uid,
+        username: username || uid,
+        poster: posterUid || uid,
+        album: album?.name || NO_ALBUM,
+        album_id: album?.id || NO_ALBUM,
+        folder: folder || 'unknown',
+        year,
+        month,
+        day,
+        created: hasDate ? `${year}-${month}-${day}` : 'unknown',
+        media_id: mediaId,
+        type: isPhoto ? 'photos' : 'videos',
+        media_type: isPhoto ? 'photo' : 'video',
+        ext: isPhoto ? PHOTO_FILE_FORMAT : VIDEO_FILE_FORMAT,
+    };
+};
+
+/**
+ * Expand a path template
+ * Unknown placeholders are kept as is; each segment is sanitized
+ * @param {string} template - Path template (segments separated by /)
+ * @param {Object<string, string>} values - Placeholder values
+ * @returns {string} Relative file path
+ */
+export const expandPathTemplate = (template, values) =>
+    template
+        .split('/')
+        .filter((segment) => segment.trim())
+        .map((segment) => {
+            const expanded = sanitizeFolderName(
+                segment.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match))
+            );
+            // never let a value climb out of the downloads folder
+            return expanded === '.' || expanded === '..' ? '_' : expanded;
+        })
+        .join('/');
+
+/**
+ * Get where a downloaded media should be saved
+ * @param {Object} media - Media details (see getTemplateValues)
+ * @param {string} fallbackTemplate - Layout of the downloader, used when MEDIA_PATH_TEMPLATE is empty
+ * @returns {string} File path inside DOWNLOADS_FOLDER
+ */
+export const getMediaSavePath = (media, fallbackTemplate = PATH_TEMPLATE.DEFAULT) => {
+    const template = getPathTemplate(fallbackTemplate);
+    const username = template.includes('{username}') ? getCachedUsername(media.uid) : null;
+
+    return `${DOWNLOADS_FOLDER}/${expandPathTemplate(template, getTemplateValues({ username, ...media }))}`;
+};
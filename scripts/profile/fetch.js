@@ -3,13 +3,15 @@
  *
  * Handles fetching user profile data from the Facebook Graph API.
  * Fetches fields individually for better resilience - if one fails, others still work.
+ * The field groups of several UIDs are sent together as one Graph batch request.
  * @module profile/fetch
  */
 
 import { FB_API_HOST } from '../constants.js';
 import { ACCESS_TOKEN } from '../../config.js';
-import { myFetch, sleep } from '../utils.js';
+import { GRAPH_BATCH_LIMIT, graphBatch, myFetch, sleep } from '../utils.js';
 import { log } from '../logger.js';
+import { isObjectError } from '../graph_errors.js';
 
 /**
  * Profile fields to fetch individually for resilience
@@ -52,33 +54,28 @@ export const fetchFieldGroup = async (uid, fields) => {
         }
         return data;
     } catch (error) {
+        // Only errors about this UID are skipped (an expired token stops the fetch)
+        if (!isObjectError(error)) throw error;
         return {};
     }
 };
 
 /**
- * Fetch user profile by trying each field group individually
- * Uses resilient fetching - if one group fails, others still work
- * @param {string} uid - User ID
- * @returns {Promise<Object|null>} Complete profile or null on total failure
+ * Number of UIDs whose field groups fit in one batch request
+ * @constant {number}
  */
-export const fetchUserProfile = async (uid) => {
-    log(`\n🔍 Fetching profile for UID: ${uid}`);
-
-    let profile = {};
-    let hasAnyData = false;
+export const PROFILE_UIDS_PER_BATCH = Math.floor(GRAPH_BATCH_LIMIT / PROFILE_FIELD_GROUPS.length);
 
-    for (const fields of PROFILE_FIELD_GROUPS) {
-        const data = await fetchFieldGroup(uid, fields);
-        if (Object.keys(data).length > 0) {
-            profile = { ...profile, ...data };
-            hasAnyData = true;
-        }
-        // Small delay between requests
-        await sleep(200);
-    }
+/**
+ * Merge the field groups fetched for a UID into its profile
+ * @param {string} uid - User ID
+ * @param {Array<Object|null>} groups - Data of each field group (null for failed groups)
+ * @returns {Object|null} Complete profile or null on total failure
+ */
+const mergeFieldGroups = (uid, groups) => {
+    const profile = Object.assign({}, ...groups.filter(Boolean));
 
-    if (!hasAnyData || !profile.id) {
+    if (!profile.id) {
         log(`❌ Could not fetch any data for UID: ${uid}`);
         return null;
     }
@@ -86,6 +83,42 @@ export const fetchUserProfile = async (uid) => {
     return profile;
 };
 
+/**
+ * Fetch the profiles of several users
+ * Every field group is a separate request of a Graph batch request, so a field
+ * that fails (e.g. permission denied) only leaves that group out;
+ * PROFILE_UIDS_PER_BATCH users are fetched per batch request
+ * @param {string[]} uids - User IDs
+ * @returns {Promise<Map<string, Object|null>>} Profile of each UID (null on total failure)
+ */
+export const fetchUserProfiles = async (uids) => {
+    const profiles = new Map();
+
+    for (let i = 0; i < uids.length; i += PROFILE_UIDS_PER_BATCH) {
+        const chunk = uids.slice(i, i + PROFILE_UIDS_PER_BATCH);
+        log(`\n🔍 Fetching profile for UID: ${chunk.join(', ')}`);
+
+        const groups = await graphBatch(chunk.flatMap((uid) =>
+            PROFILE_FIELD_GROUPS.map((fields) => `${uid}?fields=${fields.join(',')}`)
+        ));
+
+        chunk.forEach((uid, j) => {
+            const start = j * PROFILE_FIELD_GROUPS.length;
+            profiles.set(uid, mergeFieldGroups(uid, groups.slice(start, start + PROFILE_FIELD_GROUPS.length)));
+        });
+    }
+
+    return profiles;
+};
+
+/**
+ * Fetch the profile of one user (one batch request, see fetchUserProfiles)
+ * A field group the token cannot read is left out, the others still work
+ * @param {string} uid - User ID
+ * @returns {Promise<Object|null>} Complete profile or null on total failure
+ */
+export const fetchUserProfile = async (uid) => (await fetchUserProfiles([uid])).get(uid);
+
 /**
  * Fetch ALL page likes by following pagination
  * @param {string} uid - User ID
@@ -121,7 +154,8 @@ export const fetchAllLikes = async (uid, limit = Infinity) => {
             }
 
         } catch (error) {
-            log(`   ⚠️ Error: ${error.message}`);
+            if (!isObjectError(error)) throw error;
+            log(`   ⚠️ Likes error: ${error.message}`);
             break;
         }
     }
@@ -9,9 +9,16 @@ import { DATABASE_ENABLED, PLATFORM_FACEBOOK } from '../../config.js';
 import { getDatabase } from '../database/connection.js';
 import { getOrCreateUser } from '../database/users.js';
 import { log } from '../logger.js';
+import { isCancelled } from '../cancellation.js';
 
 // Import fetch functions
-import { fetchUserProfile, fetchAllLikes, fetchFieldGroup } from './fetch.js';
+import {
+    fetchUserProfile,
+    fetchUserProfiles,
+    fetchAllLikes,
+    fetchFieldGroup,
+    PROFILE_UIDS_PER_BATCH
+} from './fetch.js';
 
 // Import save functions
 import {
@@ -26,6 +33,7 @@ import {
 // Re-export all functions
 export {
     fetchUserProfile,
+    fetchUserProfiles,
     fetchAllLikes,
     fetchFieldGroup,
     saveProfile,
@@ -48,29 +56,22 @@ function displayProfileSummary(profile) {
 }
 
 /**
- * Fetch user profile and save to database
- * Main entry point for getting complete user profile
- * Matches original test_user_profile.js logic
+ * Save a fetched profile to database
  * @param {string} uid - User's UID
- * @param {Object} options - Options
- * @param {boolean} options.includeLikes - Whether to fetch likes (default: false)
- * @param {number} options.likesLimit - Maximum likes to fetch (default: unlimited)
+ * @param {Object|null} profile - Profile returned by fetchUserProfile(s)
+ * @param {Object} options - Options (see fetchAndSaveProfile)
  * @returns {Promise<Object>} Result with profile data and save status
  */
-export const fetchAndSaveProfile = async (uid, options = {}) => {
+const saveFetchedProfile = async (uid, profile, options = {}) => {
     const { includeLikes = false, likesLimit = Infinity } = options;
 
     const db = getDatabase();
     if (!db || !DATABASE_ENABLED) {
-        // Just fetch without saving
-        const profile = await fetchUserProfile(uid);
+        // Return the fetched profile without saving
         return { profile, saved: false, reason: 'database_disabled', isNew: false, changedFields: [] };
     }
 
     try {
-        // Fetch profile
-        const profile = await fetchUserProfile(uid);
-
         if (!profile || !profile.id) {
             return { profile: null, saved: false, reason: 'fetch_failed', isNew: false, changedFields: [] };
         }
@@ -132,6 +133,48 @@ export const fetchAndSaveProfile = async (uid, options = {}) => {
     }
 };
 
+/**
+ * Fetch user profile and save to database
+ * Main entry point for getting complete user profile
+ * Matches original test_user_profile.js logic
+ * @param {string} uid - User's UID
+ * @param {Object} options - Options
+ * @param {boolean} options.includeLikes - Whether to fetch likes (default: false)
+ * @param {number} options.likesLimit - Maximum likes to fetch (default: unlimited)
+ * @returns {Promise<Object>} Result with profile data and save status
+ */
+export const fetchAndSaveProfile = async (uid, options = {}) => {
+    const profile = await fetchUserProfile(uid);
+    return saveFetchedProfile(uid, profile, options);
+};
+
+/**
+ * Fetch and save the profiles of several users
+ * Profiles are fetched PROFILE_UIDS_PER_BATCH at a time in one batch request
+ * @param {string[]} uids - Users' UIDs
+ * @param {Object} options - Options (see fetchAndSaveProfile)
+ * @param {Function} onResult - Called with (uid, result, index) once each profile is saved
+ * @returns {Promise<Array<Object>>} Result of each UID processed (stops early when cancelled)
+ */
+export const fetchAndSaveProfiles = async (uids, options = {}, onResult = () => {}) => {
+    const results = [];
+
+    for (let i = 0; i < uids.length; i += PROFILE_UIDS_PER_BATCH) {
+        if (isCancelled()) break;
+
+        const chunk = uids.slice(i, i + PROFILE_UIDS_PER_BATCH);
+        const profiles = await fetchUserProfiles(chunk);
+
+        for (const uid of chunk) {
+            const result = await saveFetchedProfile(uid, profiles.get(uid), options);
+            onResult(uid, result, results.length);
+            results.push(result);
+        }
+    }
+
+    return results;
+};
+
 /**
  * Ensure a user has a profile, fetching if missing
  * @param {string} uid - User's UID
@@ -153,15 +196,10 @@ export const ensureUserProfile = async (uid, platformId = PLATFORM_FACEBOOK) =>
  * @returns {Promise<{total: number, fetched: number, existing: number, failed: number}>} Stats
  */
 export const ensureUserProfileForUIDs = async (uids) => {
-    const stats = { total: uids.length, fetched: 0, existing: 0, failed: 0 };
-
-    for (const uid of uids) {
-        if (hasUserProfile(uid)) {
-            stats.existing++;
-            continue;
-        }
+    const missing = uids.filter((uid) => !hasUserProfile(uid));
+    const stats = { total: uids.length, fetched: 0, existing: uids.length - missing.length, failed: 0 };
 
-        const result = await fetchAndSaveProfile(uid);
+    for (const result of await fetchAndSaveProfiles(missing)) {
         if (result.saved) {
             stats.fetched++;
         } else {
@@ -1,6 +1,12 @@
 /**
  * Proxy Manager for FB Media Downloader
  * Supports single proxy, proxy list file, and automatic rotation
+ *
+ * The health of each proxy (success/failure counts, latency, last error) is saved
+ * in the database under a hash of its URL, so credentials are never stored.
+ * Rotation picks the next proxy at random weighted by health score; a failed
+ * proxy cools down (30s, doubled on each consecutive failure up to 1 hour) and
+ * comes back by itself once the cooldown is over.
  * 
  * Configuration via .env:
  * - PROXY_ENABLED=true/false
@@ -16,16 +22,41 @@
  * - socks5://user:pass@ip:port
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 import { HttpsProxyAgent } from 'https-proxy-agent';
 import { SocksProxyAgent } from 'socks-proxy-agent';
 import { log } from './logger.js';
+import { isDatabaseReady, getProxyHealth, saveProxyHealth } from './database.js';
+
+/**
+ * Cooldown after the first failure, doubled on each consecutive failure
+ * @constant {number}
+ */
+const PROXY_COOLDOWN_BASE = 30 * 1000;
+
+/**
+ * Longest cooldown of a failing proxy
+ * @constant {number}
+ */
+const PROXY_COOLDOWN_MAX = 60 * 60 * 1000;
+
+/**
+ * Weight of the newest latency in the moving average
+ * @constant {number}
+ */
+const LATENCY_SMOOTHING = 0.3;
 
 // Proxy state
 let proxyList = [];
 let currentProxyIndex = 0;
 let proxyEnabled = false;
-let failedProxies = new Set();
+
+// Health of each proxy URL (see newProxyHealth)
+const proxyHealth = new Map();
+// Health saved by previous runs, by proxy ID (see getProxyId), loaded from the database on first use
+const savedProxyHealth = new Map();
+let healthRestored = false;
 
 /**
  * Initialize proxy configuration from environment variables
@@ -84,14 +115,181 @@ export const loadProxyListFromFile = (filePath) => {
     }
 };
 
+/**
+ * Create the health of a proxy that was never used
+ * @returns {{successCount: number, failureCount: number, consecutiveFailures: number, latency: number|null, lastError: string|null, cooldownUntil: string|null, lastSuccessAt: string|null, lastFailureAt: string|null}} Health
+ */
+const newProxyHealth = () => ({
+    successCount: 0,
+    failureCount: 0,
+    consecutiveFailures: 0,
+    latency: null,
+    lastError: null,
+    cooldownUntil: null,
+    lastSuccessAt: null,
+    lastFailureAt: null
+});
+
+/**
+ * Get the ID a proxy is saved under in the database
+ * A hash of the URL, so user:pass of authenticated proxies is not stored
+ * @param {string} proxyUrl - Proxy URL
+ * @returns {string} SHA-256 hex digest of the URL
+ */
+export const getProxyId = (proxyUrl) => crypto.createHash('sha256').update(proxyUrl).digest('hex');
+
+/**
+ * Load the health saved by previous runs (once the database is ready)
+ * @returns {void}
+ */
+const restoreProxyHealth = () => {
+    if (healthRestored || !isDatabaseReady()) return;
+    healthRestored = true;
+
+    for (const row of getProxyHealth()) {
+        savedProxyHealth.set(row.proxy_id, {
+            successCount: row.success_count,
+            failureCount: row.failure_count,
+            consecutiveFailures: row.consecutive_failures,
+            latency: row.latency_ms,
+            lastError: row.last_error,
+            cooldownUntil: row.cooldown_until,
+            lastSuccessAt: row.last_success_at,
+            lastFailureAt: row.last_failure_at
+        });
+    }
+};
+
+/**
+ * Get the health of a proxy
+ * @param {string} proxyUrl - Proxy URL
+ * @returns {Object} Health (see newProxyHealth)
+ */
+const getHealth = (proxyUrl) => {
+    restoreProxyHealth();
+
+    if (!proxyHealth.has(proxyUrl)) {
+        proxyHealth.set(proxyUrl, savedProxyHealth.get(getProxyId(proxyUrl)) || newProxyHealth());
+    }
+    return proxyHealth.get(proxyUrl);
+};
+
+/**
+ * Get how long a proxy still cools down
+ * @param {Object} health - Health (see newProxyHealth)
+ * @param {number} now - Current time in ms
+ * @returns {number} Remaining cooldown in ms (0 when usable)
+ */
+const getCooldownRemaining = (health, now = Date.now()) =>
+    health.cooldownUntil ? Math.max(0, Date.parse(health.cooldownUntil) - now) : 0;
+
+/**
+ * Calculate the health score of a proxy (higher is better)
+ * Success rate (smoothed so new proxies start at 50%) times a latency factor
+ * (1 at 0ms, 0.5 at 1s, 0.5 for proxies without measured latency)
+ * @param {Object} health - Health (see newProxyHealth)
+ * @returns {number} Score between 0 and 1
+ */
+export const calculateHealthScore = (health) => {
+    const successRate = (health.successCount + 1) / (health.successCount + health.failureCount + 2);
+    const latencyFactor = health.latency === null ? 0.5 : 1000 / (1000 + health.latency);
+    return successRate * latencyFactor;
+};
+
+/**
+ * Get the cooldown of a proxy after consecutive failures (exponential backoff)
+ * @param {number} consecutiveFailures - Failures since the last success
+ * @returns {number} Cooldown in ms
+ */
+export const getProxyCooldown = (consecutiveFailures) =>
+    Math.min(PROXY_COOLDOWN_BASE * 2 ** Math.max(0, consecutiveFailures - 1), PROXY_COOLDOWN_MAX);
+
+/**
+ * Record a request that went through a proxy
+ * Resets its cooldown and updates the average latency
+ * @param {string} proxyUrl - Proxy URL
+ * @param {number|null} latency - Request duration in ms
+ * @returns {void}
+ */
+export const recordProxySuccess = (proxyUrl, latency = null) => {
+    if (!proxyUrl) return;
+
+    const health = getHealth(proxyUrl);
+    health.successCount++;
+    health.consecutiveFailures = 0;
+    health.cooldownUntil = null;
+    health.lastSuccessAt = new Date().toISOString();
+    if (latency !== null) {
+        health.latency = health.latency === null
+            ? latency
+            : Math.round(health.latency * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING);
+    }
+    saveProxyHealth(getProxyId(proxyUrl), health);
+};
+
+/**
+ * Record a failed request through a proxy and start its cooldown
+ * @param {string} proxyUrl - Proxy URL
+ * @param {string|null} error - Error message
+ * @returns {number} Cooldown in ms
+ */
+export const recordProxyFailure = (proxyUrl, error = null) => {
+    if (!proxyUrl) return 0;
+
+    const health = getHealth(proxyUrl);
+    const cooldown = getProxyCooldown(health.consecutiveFailures + 1);
+    health.failureCount++;
+    health.consecutiveFailures++;
+    health.lastError = error;
+    health.lastFailureAt = new Date().toISOString();
+    health.cooldownUntil = new Date(Date.now() + cooldown).toISOString();
+    saveProxyHealth(getProxyId(proxyUrl), health);
+    return cooldown;
+};
+
+/**
+ * Pick a proxy at random, weighted by health score, among those not cooling down
+ * When every proxy is cooling down, the one whose cooldown ends first is used
+ * @param {string|null} exclude - Proxy to avoid (the one being rotated away from), unless it is the only usable one
+ * @param {function(): number} random - Random number generator in [0, 1)
+ * @returns {string|null} Proxy URL or null if the list is empty
+ */
+export const selectProxy = (exclude = null, random = Math.random) => {
+    if (proxyList.length === 0) return null;
+
+    const now = Date.now();
+    const usable = proxyList.filter(p => getCooldownRemaining(getHealth(p), now) === 0);
+    const candidates = usable.length > 1 ? usable.filter(p => p !== exclude) : usable;
+
+    if (candidates.length === 0) {
+        return proxyList.reduce((first, p) =>
+            getCooldownRemaining(getHealth(p), now) < getCooldownRemaining(getHealth(first), now) ? p : first
+        );
+    }
+
+    const scores = candidates.map(p => calculateHealthScore(getHealth(p)));
+    let threshold = random() * scores.reduce((sum, score) => sum + score, 0);
+    for (let i = 0; i < candidates.length; i++) {
+        threshold -= scores[i];
+        if (threshold < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+};
+
 /**
  * Get the current proxy URL
+ * Moves on to another proxy when the current one is cooling down (e.g. failed in a previous run)
  * @returns {string|null} Current proxy URL or null if disabled
  */
 export const getCurrentProxy = () => {
     if (!proxyEnabled || proxyList.length === 0) {
         return null;
     }
+
+    const current = proxyList[currentProxyIndex];
+    if (getCooldownRemaining(getHealth(current)) > 0) {
+        currentProxyIndex = proxyList.indexOf(selectProxy(current));
+    }
     return proxyList[currentProxyIndex];
 };
 
@@ -126,39 +324,30 @@ export const getProxyAgent = () => {
 };
 
 /**
- * Rotate to the next proxy in the list
- * @param {boolean} markFailed - Whether to mark current proxy as failed
+ * Rotate to another proxy, picked by health score (see selectProxy)
+ * @param {boolean} markFailed - Whether to mark current proxy as failed (starts its cooldown)
+ * @param {string|null} error - Error message saved with the failure
  * @returns {string|null} New proxy URL or null if no more proxies
  */
-export const rotateProxy = (markFailed = false) => {
+export const rotateProxy = (markFailed = false, error = null) => {
     if (!proxyEnabled || proxyList.length === 0) {
         return null;
     }
 
+    const previousProxy = proxyList[currentProxyIndex];
     if (markFailed) {
-        const failedProxy = proxyList[currentProxyIndex];
-        failedProxies.add(failedProxy);
-        log(`❌ Marking proxy as failed: ${maskProxyUrl(failedProxy)}`);
+        const cooldown = recordProxyFailure(previousProxy, error);
+        log(`❌ Marking proxy as failed (cooldown ${Math.round(cooldown / 1000)}s): ${maskProxyUrl(previousProxy)}`);
     }
 
-    // Find next working proxy
-    let attempts = 0;
-    do {
-        currentProxyIndex = (currentProxyIndex + 1) % proxyList.length;
-        attempts++;
-    } while (
-        failedProxies.has(proxyList[currentProxyIndex]) &&
-        attempts < proxyList.length
-    );
-
-    // If all proxies failed, reset and try again
-    if (attempts >= proxyList.length) {
-        log('⚠️ All proxies failed. Resetting failed list...');
-        failedProxies.clear();
-        currentProxyIndex = 0;
+    const newProxy = selectProxy(previousProxy);
+    currentProxyIndex = proxyList.indexOf(newProxy);
+
+    // Every proxy is cooling down: use the one that comes back first
+    if (getCooldownRemaining(getHealth(newProxy)) > 0) {
+        log('⚠️ All proxies are cooling down. Using the one that recovers first...');
     }
 
-    const newProxy = proxyList[currentProxyIndex];
     log(`🔄 Switched to proxy: ${maskProxyUrl(newProxy)}`);
     return newProxy;
 };
@@ -189,7 +378,7 @@ export const getProxyStats = () => {
         enabled: proxyEnabled,
         total: proxyList.length,
         currentIndex: currentProxyIndex,
-        failed: failedProxies.size,
+        coolingDown: proxyList.length - getHealthyProxies().length,
         current: proxyEnabled ? maskProxyUrl(getCurrentProxy()) : null
     };
 };
@@ -358,6 +547,12 @@ export const checkAllProxies = async (options = {}) => {
                 const result = await testSingleProxy(proxyUrl, timeout);
                 completed++;
 
+                if (result.success) {
+                    recordProxySuccess(proxyUrl, result.latency);
+                } else {
+                    recordProxyFailure(proxyUrl, result.error);
+                }
+
                 if (onProgress) {
                     onProgress(completed, proxyList.length, result);
                 }
@@ -419,7 +614,6 @@ export const checkAllProxies = async (options = {}) => {
         const originalCount = proxyList.length;
         proxyList = proxyList.filter(p => !deadUrls.has(p));
         currentProxyIndex = 0; // Reset to first proxy
-        failedProxies.clear(); // Clear failed list
 
         log(`\n🧹 Removed ${originalCount - proxyList.length} dead proxies. ${proxyList.length} remaining.`);
     }
@@ -440,12 +634,53 @@ export const checkAllProxies = async (options = {}) => {
 
 /**
  * Get list of healthy proxies only
- * @returns {string[]} Array of healthy proxy URLs
+ * @returns {string[]} Array of proxy URLs that are not cooling down
  */
 export const getHealthyProxies = () => {
-    return proxyList.filter(p => !failedProxies.has(p));
+    const now = Date.now();
+    return proxyList.filter(p => getCooldownRemaining(getHealth(p), now) === 0);
 };
 
+/**
+ * Get the health of every loaded proxy, best score first
+ * @returns {Array<{proxy: string, score: number, successCount: number, failureCount: number, latency: number|null, lastError: string|null, cooldownRemaining: number}>} Health rows (proxy URLs masked)
+ */
+export const getProxyHealthTable = () => {
+    const now = Date.now();
+    return proxyList
+        .map((proxyUrl) => {
+            const health = getHealth(proxyUrl);
+            return {
+                proxy: maskProxyUrl(proxyUrl),
+                score: calculateHealthScore(health),
+                successCount: health.successCount,
+                failureCount: health.failureCount,
+                latency: health.latency,
+                lastError: health.lastError,
+                cooldownRemaining: getCooldownRemaining(health, now)
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Format the proxy health table for display
+ * @param {Array<Object>} rows - Rows from getProxyHealthTable
+ * @returns {string[]} Header line followed by one line per proxy
+ */
+export const formatProxyHealthTable = (rows) => [
+    `${'#'.padStart(4)}  ${'Proxy'.padEnd(40)} ${'Score'.padStart(5)} ${'OK'.padStart(6)} ${'Fail'.padStart(6)} ${'Latency'.padStart(8)}  Status`,
+    ...rows.map((row, i) => {
+        const status = row.cooldownRemaining > 0
+            ? `⏳ cooldown ${Math.ceil(row.cooldownRemaining / 1000)}s${row.lastError ? ` (${row.lastError})` : ''}`
+            : '✅ ready';
+        const latency = row.latency === null ? '-' : `${row.latency}ms`;
+
+        return `${String(i + 1).padStart(4)}  ${row.proxy.slice(0, 40).padEnd(40)} ${row.score.toFixed(2).padStart(5)} ` +
+            `${String(row.successCount).padStart(6)} ${String(row.failureCount).padStart(6)} ${latency.padStart(8)}  ${status}`;
+    })
+];
+
 /**
  * Reorder proxies by latency (fastest first)
  * @param {object[]} healthResults - Results from checkAllProxies
@@ -461,7 +696,6 @@ export const reorderByLatency = (healthResults) => {
     if (healthyByLatency.length > 0) {
         proxyList = healthyByLatency;
         currentProxyIndex = 0;
-        failedProxies.clear();
         log(`🔄 Reordered ${proxyList.length} proxies by latency (fastest first)`);
     }
 };
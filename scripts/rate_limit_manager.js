@@ -1,45 +1,169 @@
 /**
  * Rate Limit Manager for Facebook Graph API
- * Automatically handles rate limiting based on X-App-Usage header
- * 
+ * Automatically handles rate limiting based on the usage headers of each response
+ *
  * Facebook's X-App-Usage header format:
  * { "call_count": 28, "total_cputime": 15, "total_time": 24 }
  * Values are percentages (0-100) of the rolling 1-hour limit
+ *
+ * X-Business-Use-Case-Usage reports the same values per business ID, with
+ * estimated_time_to_regain_access (minutes) once throttled; X-Ad-Account-Usage
+ * reports acc_id_util_pct and reset_time_duration (seconds), which only
+ * throttles once acc_id_util_pct reaches 100.
+ *
+ * Usage is tracked per token and per header, and saved in the database so a
+ * new run still waits for a token that was throttled by the previous one.
+ * Delays are chosen by a profile: RATE_LIMIT_PROFILE=safe|normal|aggressive in .env.
  */
 
 import { WAIT_BEFORE_NEXT_FETCH } from '../config.js';
 import { log } from './logger.js';
+import {
+    isDatabaseReady,
+    recordRateLimitUsage,
+    getLatestRateLimitUsage,
+    pruneRateLimitUsage
+} from './database.js';
 
-// Rate limit state
-let currentUsage = {
-    call_count: 0,
-    total_cputime: 0,
-    total_time: 0,
-    lastUpdated: null
-};
+/**
+ * Usage header types
+ * @constant {Object<string, string>}
+ */
+export const USAGE_HEADER = Object.freeze({
+    APP: 'app',
+    BUSINESS: 'business',
+    AD_ACCOUNT: 'ad_account',
+});
+
+/**
+ * Length of the rolling window of the Graph API limits
+ * Older usage no longer counts
+ * @constant {number}
+ */
+const USAGE_WINDOW_MINUTES = 60;
+
+/**
+ * Days of usage history kept in the database
+ * @constant {number}
+ */
+const USAGE_HISTORY_DAYS = 7;
+
+/**
+ * Unchanged usage is saved at most once per interval (every response carries the headers)
+ * @constant {number}
+ */
+const USAGE_SAMPLE_MS = 5 * 60 * 1000;
+
+/**
+ * Interval between two prunes of the usage history during a run
+ * @constant {number}
+ */
+const USAGE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
 
-// Configuration thresholds
-const THRESHOLDS = {
-    // Below this: no delay needed
-    LOW: 20,
-    // Between LOW and MEDIUM: use minimum delay
-    MEDIUM: 50,
-    // Between MEDIUM and HIGH: use moderate delay
-    HIGH: 80,
-    // Above HIGH: use maximum delay (approaching rate limit)
-    CRITICAL: 95
+/**
+ * Threshold and delay tables of each rate limit profile
+ * Thresholds are usage percentages, delays are milliseconds
+ * - safe: slows down early, for tokens that must not be throttled
+ * - normal: default
+ * - aggressive: only slows down close to the limit
+ * @constant {Object<string, {thresholds: Object<string, number>, delays: Object<string, number>}>}
+ */
+export const RATE_LIMIT_PROFILES = {
+    safe: {
+        thresholds: { LOW: 10, MEDIUM: 30, HIGH: 60, CRITICAL: 85 },
+        delays: {
+            NONE: 0,
+            MINIMUM: Math.max(WAIT_BEFORE_NEXT_FETCH || 500, 1000),
+            MODERATE: 4000,
+            HIGH: 10000,
+            CRITICAL: 30000,
+            RATE_LIMITED: 120000,
+        },
+    },
+    normal: {
+        thresholds: {
+            // Below this: no delay needed
+            LOW: 20,
+            // Between LOW and MEDIUM: use minimum delay
+            MEDIUM: 50,
+            // Between MEDIUM and HIGH: use moderate delay
+            HIGH: 80,
+            // Above HIGH: use maximum delay (approaching rate limit)
+            CRITICAL: 95,
+        },
+        delays: {
+            NONE: 0,
+            MINIMUM: WAIT_BEFORE_NEXT_FETCH || 500,
+            MODERATE: 2000,
+            HIGH: 5000,
+            CRITICAL: 15000,
+            RATE_LIMITED: 60000,  // When 429 received
+        },
+    },
+    aggressive: {
+        thresholds: { LOW: 40, MEDIUM: 70, HIGH: 90, CRITICAL: 98 },
+        delays: {
+            NONE: 0,
+            MINIMUM: 200,
+            MODERATE: 1000,
+            HIGH: 3000,
+            CRITICAL: 10000,
+            RATE_LIMITED: 60000,
+        },
+    },
 };
 
-// Delay values in milliseconds
-const DELAYS = {
-    NONE: 0,
-    MINIMUM: WAIT_BEFORE_NEXT_FETCH || 500,
-    MODERATE: 2000,
-    HIGH: 5000,
-    CRITICAL: 15000,
-    RATE_LIMITED: 60000  // When 429 received
+// Active profile
+let profileName = 'normal';
+let THRESHOLDS = RATE_LIMIT_PROFILES.normal.thresholds;
+let DELAYS = RATE_LIMIT_PROFILES.normal.delays;
+
+// Usage of each token and header: key -> {tokenId, headerType, scopeId, call_count, total_cputime, total_time, regainAccessAt, lastUpdated, savedAt}
+const usageState = new Map();
+let restored = false;
+let lastPrunedAt = 0;
+
+/**
+ * Switch the threshold and delay tables
+ * @param {string} name - Profile name (see RATE_LIMIT_PROFILES)
+ * @returns {boolean} True if the profile exists
+ */
+export const setRateLimitProfile = (name) => {
+    const profile = RATE_LIMIT_PROFILES[name];
+    if (!profile) return false;
+
+    profileName = name;
+    THRESHOLDS = profile.thresholds;
+    DELAYS = profile.delays;
+    return true;
 };
 
+/**
+ * Get the name of the active profile
+ * @returns {string} Profile name
+ */
+export const getRateLimitProfile = () => profileName;
+
+if (process.env.RATE_LIMIT_PROFILE && !setRateLimitProfile(process.env.RATE_LIMIT_PROFILE)) {
+    log(`⚠️ Unknown RATE_LIMIT_PROFILE "${process.env.RATE_LIMIT_PROFILE}", using normal`);
+}
+
+/**
+ * Key of a usage entry
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
+ * @param {string} headerType - Header type (see USAGE_HEADER)
+ * @param {string} scopeId - Business or ad account ID
+ * @returns {string} Map key
+ */
+const usageKey = (tokenId, headerType, scopeId) => `${tokenId ?? ''}|${headerType}|${scopeId}`;
+
+/**
+ * Get the date access is regained from an estimated wait
+ * @param {number} ms - Estimated wait in milliseconds
+ * @returns {string|null} ISO date, or null when not throttled
+ */
+const regainAccessAt = (ms) => (ms > 0 ? new Date(Date.now() + ms).toISOString() : null);
+
 /**
  * Parse the X-App-Usage header from Facebook API response
  * @param {Response} response - Fetch response object
@@ -51,9 +175,12 @@ export const parseRateLimitHeader = (response) => {
         if (usageHeader) {
             const usage = JSON.parse(usageHeader);
             return {
+                headerType: USAGE_HEADER.APP,
+                scopeId: '',
                 call_count: usage.call_count || 0,
                 total_cputime: usage.total_cputime || 0,
-                total_time: usage.total_time || 0
+                total_time: usage.total_time || 0,
+                regainAccessAt: null
             };
         }
     } catch (e) {
@@ -63,43 +190,228 @@ export const parseRateLimitHeader = (response) => {
 };
 
 /**
- * Update the current rate limit usage state
- * @param {object} usage - New usage data from header
+ * Parse the X-Business-Use-Case-Usage header (one entry per business ID and use case)
+ * @param {Response} response - Fetch response object
+ * @returns {Array<object>} Parsed usage data
+ */
+const parseBusinessUsageHeader = (response) => {
+    try {
+        const businessHeader = response.headers.get('x-business-use-case-usage');
+        if (!businessHeader) return [];
+
+        const data = JSON.parse(businessHeader);
+        return Object.entries(data).flatMap(([businessId, items]) =>
+            (Array.isArray(items) ? items : []).map((item) => ({
+                headerType: USAGE_HEADER.BUSINESS,
+                scopeId: item.type ? `${businessId}:${item.type}` : businessId,
+                call_count: item.call_count || 0,
+                total_cputime: item.total_cputime || 0,
+                total_time: item.total_time || 0,
+                regainAccessAt: regainAccessAt((item.estimated_time_to_regain_access || 0) * 60 * 1000) // minutes
+            }))
+        );
+    } catch (e) {
+        // Ignore parsing errors
+        return [];
+    }
+};
+
+/**
+ * Parse the X-Ad-Account-Usage header
+ * @param {Response} response - Fetch response object
+ * @returns {Array<object>} Parsed usage data
+ */
+const parseAdAccountUsageHeader = (response) => {
+    try {
+        const adAccountHeader = response.headers.get('x-ad-account-usage');
+        if (!adAccountHeader) return [];
+
+        const data = JSON.parse(adAccountHeader);
+        return [{
+            headerType: USAGE_HEADER.AD_ACCOUNT,
+            scopeId: '',
+            call_count: data.acc_id_util_pct || 0,
+            total_cputime: 0,
+            total_time: 0,
+            // reset_time_duration is only a wait once the ad account is throttled
+            regainAccessAt: data.acc_id_util_pct >= 100
+                ? regainAccessAt((data.reset_time_duration || 0) * 1000) // seconds
+                : null
+        }];
+    } catch (e) {
+        // Ignore parsing errors
+        return [];
+    }
+};
+
+/**
+ * Parse every usage header of a response
+ * @param {Response} response - Fetch response object
+ * @returns {Array<{headerType: string, scopeId: string, call_count: number, total_cputime: number, total_time: number, regainAccessAt: string|null}>} Usage of each header
+ */
+export const parseUsageHeaders = (response) => {
+    const appUsage = parseRateLimitHeader(response);
+    return [
+        ...(appUsage ? [appUsage] : []),
+        ...parseBusinessUsageHeader(response),
+        ...parseAdAccountUsageHeader(response),
+    ];
+};
+
+/**
+ * Load the usage saved by previous runs (once the database is ready)
+ * Only usage still inside the rolling window is loaded; older history is pruned
+ * @returns {void}
+ */
+const restoreRateLimitState = () => {
+    if (restored || !isDatabaseReady()) return;
+    restored = true;
+
+    pruneRateLimitUsage(USAGE_HISTORY_DAYS);
+    lastPrunedAt = Date.now();
+
+    for (const row of getLatestRateLimitUsage(USAGE_WINDOW_MINUTES)) {
+        const key = usageKey(row.token_id, row.header_type, row.scope_id);
+        if (usageState.has(key)) continue;
+
+        usageState.set(key, {
+            tokenId: row.token_id,
+            headerType: row.header_type,
+            scopeId: row.scope_id,
+            call_count: row.call_count,
+            total_cputime: row.total_cputime,
+            total_time: row.total_time,
+            regainAccessAt: row.regain_access_at,
+            lastUpdated: Date.parse(`${row.recorded_at}Z`), // SQLite CURRENT_TIMESTAMP is UTC
+            savedAt: Date.parse(`${row.recorded_at}Z`)
+        });
+    }
+};
+
+/**
+ * Whether new usage must be saved: it changed, or the last saved sample is getting old
+ * @param {object|undefined} previous - Current state of the header
+ * @param {object} usage - New usage (see parseUsageHeaders)
+ * @returns {boolean} True to save the new usage
+ */
+const shouldSaveUsage = (previous, usage) => {
+    if (!previous?.savedAt || Date.now() - previous.savedAt >= USAGE_SAMPLE_MS) return true;
+
+    // Regain times are recomputed on every response, only a new throttle or a moved deadline counts
+    const previousRegain = previous.regainAccessAt ? Date.parse(previous.regainAccessAt) : null;
+    const regain = usage.regainAccessAt ? Date.parse(usage.regainAccessAt) : null;
+    if ((previousRegain === null) !== (regain === null)) return true;
+    if (regain !== null && Math.abs(regain - previousRegain) > 60 * 1000) return true;
+
+    return previous.call_count !== usage.call_count ||
+        previous.total_cputime !== usage.total_cputime ||
+        previous.total_time !== usage.total_time;
+};
+
+/**
+ * Update the rate limit usage state of a token and save it
+ * Usage is only saved when it changed or every USAGE_SAMPLE_MS, and old history
+ * is pruned every USAGE_PRUNE_INTERVAL_MS
+ * @param {Array<object>} usages - Usage of each header (see parseUsageHeaders)
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
  */
-export const updateRateLimitUsage = (usage) => {
-    if (usage) {
-        currentUsage = {
+export const updateRateLimitUsage = (usages, tokenId = null) => {
+    restoreRateLimitState();
+
+    for (const usage of usages) {
+        const key = usageKey(tokenId, usage.headerType, usage.scopeId);
+        const previous = usageState.get(key);
+        const save = shouldSaveUsage(previous, usage);
+
+        usageState.set(key, {
             ...usage,
-            lastUpdated: Date.now()
-        };
+            tokenId,
+            lastUpdated: Date.now(),
+            savedAt: save ? Date.now() : previous.savedAt
+        });
+        if (save) recordRateLimitUsage(tokenId, usage);
+    }
+
+    if (restored && Date.now() - lastPrunedAt >= USAGE_PRUNE_INTERVAL_MS) {
+        pruneRateLimitUsage(USAGE_HISTORY_DAYS);
+        lastPrunedAt = Date.now();
     }
 };
 
 /**
- * Get the current rate limit usage
+ * Get the usage entries of a token that are still inside the rolling window
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
+ * @returns {Array<object>} Usage entries
+ */
+const getTokenUsage = (tokenId) => {
+    restoreRateLimitState();
+
+    const since = Date.now() - USAGE_WINDOW_MINUTES * 60 * 1000;
+    return [...usageState.values()].filter((usage) =>
+        usage.tokenId === tokenId && usage.lastUpdated > since
+    );
+};
+
+/**
+ * Get the current X-App-Usage of a token
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
  * @returns {object} Current usage state
  */
-export const getRateLimitUsage = () => ({ ...currentUsage });
+export const getRateLimitUsage = (tokenId = null) => {
+    const appUsage = getTokenUsage(tokenId).find((usage) => usage.headerType === USAGE_HEADER.APP);
+    return {
+        call_count: appUsage?.call_count || 0,
+        total_cputime: appUsage?.total_cputime || 0,
+        total_time: appUsage?.total_time || 0,
+        lastUpdated: appUsage?.lastUpdated || null
+    };
+};
 
 /**
- * Get the highest usage percentage among all metrics
+ * Get the highest usage percentage among all metrics and headers of a token
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
  * @returns {number} Maximum usage percentage (0-100)
  */
-export const getMaxUsagePercent = () => {
+export const getMaxUsagePercent = (tokenId = null) => {
+    return Math.max(
+        0,
+        ...getTokenUsage(tokenId).map((usage) =>
+            Math.max(usage.call_count, usage.total_cputime, usage.total_time)
+        )
+    );
+};
+
+/**
+ * Get how long a token is still throttled (estimated_time_to_regain_access of any header)
+ * Includes throttling reported to previous runs
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
+ * @returns {number} Milliseconds to wait (0 when not throttled)
+ */
+export const getRegainAccessWait = (tokenId = null) => {
+    const now = Date.now();
     return Math.max(
-        currentUsage.call_count,
-        currentUsage.total_cputime,
-        currentUsage.total_time
+        0,
+        ...getTokenUsage(tokenId)
+            .filter((usage) => usage.regainAccessAt)
+            .map((usage) => Date.parse(usage.regainAccessAt) - now)
     );
 };
 
+/**
+ * Get how long to wait after a rate limit error of a token
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
+ * @returns {number} Wait in milliseconds (estimated_time_to_regain_access, or the profile's RATE_LIMITED delay)
+ */
+export const getRateLimitWait = (tokenId = null) => getRegainAccessWait(tokenId) || DELAYS.RATE_LIMITED;
+
 /**
  * Calculate the recommended delay based on current rate limit usage
  * @param {boolean} verbose - Whether to log delay decisions
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
  * @returns {number} Recommended delay in milliseconds
  */
-export const calculateSmartDelay = (verbose = false) => {
-    const maxUsage = getMaxUsagePercent();
+export const calculateSmartDelay = (verbose = false, tokenId = null) => {
+    const maxUsage = getMaxUsagePercent(tokenId);
     let delay;
     let reason;
 
@@ -131,10 +443,11 @@ export const calculateSmartDelay = (verbose = false) => {
  * Smart sleep based on current rate limit usage
  * Replaces the fixed WAIT_BEFORE_NEXT_FETCH approach
  * @param {boolean} verbose - Whether to log delay decisions
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
  * @returns {Promise<void>}
  */
-export const smartSleep = async (verbose = true) => {
-    const delay = calculateSmartDelay(verbose);
+export const smartSleep = async (verbose = true, tokenId = null) => {
+    const delay = calculateSmartDelay(verbose, tokenId);
     if (delay > 0) {
         await new Promise(resolve => setTimeout(resolve, delay));
     }
@@ -142,7 +455,7 @@ export const smartSleep = async (verbose = true) => {
 
 /**
  * Handle 429 Too Many Requests response
- * Parses Retry-After header if available
+ * Parses Retry-After header if available, then estimated_time_to_regain_access
  * @param {Response} response - Fetch response object
  * @returns {number} Recommended wait time in milliseconds
  */
@@ -156,25 +469,16 @@ export const handle429Response = (response) => {
         }
     }
 
-    // Try business use case header for estimated time
-    try {
-        const businessHeader = response.headers.get('x-business-use-case-usage');
-        if (businessHeader) {
-            const data = JSON.parse(businessHeader);
-            // Find estimated_time_to_regain_access in any account
-            for (const accountId of Object.keys(data)) {
-                const accountData = data[accountId];
-                if (Array.isArray(accountData)) {
-                    for (const item of accountData) {
-                        if (item.estimated_time_to_regain_access) {
-                            return item.estimated_time_to_regain_access * 60 * 1000; // Convert minutes to ms
-                        }
-                    }
-                }
-            }
-        }
-    } catch (e) {
-        // Ignore parsing errors
+    // Business use case / ad account headers estimate when access is regained
+    const now = Date.now();
+    const regainWait = Math.max(
+        0,
+        ...parseUsageHeaders(response)
+            .filter((usage) => usage.regainAccessAt)
+            .map((usage) => Date.parse(usage.regainAccessAt) - now)
+    );
+    if (regainWait > 0) {
+        return regainWait;
     }
 
     // Default wait time for 429
@@ -183,30 +487,59 @@ export const handle429Response = (response) => {
 
 /**
  * Format rate limit status for display
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
  * @returns {string} Formatted status string
  */
-export const formatRateLimitStatus = () => {
-    const { call_count, total_cputime, total_time, lastUpdated } = currentUsage;
-    const maxUsage = getMaxUsagePercent();
+export const formatRateLimitStatus = (tokenId = null) => {
+    const { call_count, total_cputime, total_time, lastUpdated } = getRateLimitUsage(tokenId);
+    const maxUsage = getMaxUsagePercent(tokenId);
+    const throttledFor = getRegainAccessWait(tokenId);
 
     let statusIcon = '🟢';
-    if (maxUsage >= THRESHOLDS.CRITICAL) statusIcon = '🔴';
+    if (throttledFor > 0 || maxUsage >= THRESHOLDS.CRITICAL) statusIcon = '🔴';
     else if (maxUsage >= THRESHOLDS.HIGH) statusIcon = '🟠';
     else if (maxUsage >= THRESHOLDS.MEDIUM) statusIcon = '🟡';
 
     const lastUpdateStr = lastUpdated
         ? `${Math.round((Date.now() - lastUpdated) / 1000)}s ago`
         : 'never';
+    const throttledStr = throttledFor > 0 ? ` ⏳ throttled for ${Math.ceil(throttledFor / 1000)}s` : '';
 
-    return `${statusIcon} Rate Limit: calls=${call_count}% cpu=${total_cputime}% time=${total_time}% (updated ${lastUpdateStr})`;
+    return `${statusIcon} Rate Limit [${profileName}]: calls=${call_count}% cpu=${total_cputime}% time=${total_time}% max=${maxUsage}% (updated ${lastUpdateStr})${throttledStr}`;
 };
 
+/**
+ * Format the usage history as one line per time bucket, token and header
+ * @param {Array<object>} rows - Rows from getRateLimitHistory
+ * @returns {string[]} Lines with a bar of the highest usage
+ */
+export const formatUsageHistory = (rows) => rows.map((row) => {
+    const max = Math.min(100, Math.max(row.call_count, row.total_cputime, row.total_time));
+    const bar = '█'.repeat(Math.round(max / 5)).padEnd(20, '·');
+    const token = row.token_id ? `#${row.token_id}` : '.env';
+    const header = row.scope_id ? `${row.header_type} ${row.scope_id}` : row.header_type;
+
+    return `${row.bucket}  ${token.padEnd(5)} ${header.padEnd(24)} ${bar} ${String(Math.round(max)).padStart(3)}% ` +
+        `(calls ${Math.round(row.call_count)}% cpu ${Math.round(row.total_cputime)}% time ${Math.round(row.total_time)}%, ` +
+        `${row.samples} samples)${row.throttled > 0 ? ' ⏳ throttled' : ''}`;
+});
+
 /**
  * Check if we should proceed with API call or wait
+ * @param {number|null} tokenId - Pool token ID (null for FB_ACCESS_TOKEN from .env)
  * @returns {{ canProceed: boolean, waitTime: number }}
  */
-export const checkRateLimit = () => {
-    const maxUsage = getMaxUsagePercent();
+export const checkRateLimit = (tokenId = null) => {
+    const maxUsage = getMaxUsagePercent(tokenId);
+    const throttledFor = getRegainAccessWait(tokenId);
+
+    if (throttledFor > 0) {
+        return {
+            canProceed: false,
+            waitTime: throttledFor,
+            message: `Rate limited, access regained in ${Math.ceil(throttledFor / 1000)}s`
+        };
+    }
 
     if (maxUsage >= THRESHOLDS.CRITICAL) {
         return {
@@ -218,7 +551,7 @@ export const checkRateLimit = () => {
 
     return {
         canProceed: true,
-        waitTime: calculateSmartDelay(false),
+        waitTime: calculateSmartDelay(false, tokenId),
         message: null
     };
 };
@@ -0,0 +1,148 @@
+/**
+ * Retry Failed Downloads Module
+ *
+ * Retries downloads recorded in the failed_media table.
+ * CDN URLs are signed and expire, so a fresh URL is resolved through the
+ * Graph API by media ID first; the stored URL is only used as a fallback.
+ * Shared by the interactive menu and the command-line interface.
+ * @module retry_failed
+ */
+
+import path from "path";
+import { MEDIA_TYPE, S } from "./constants.js";
+import { t } from "./lang.js";
+import { log } from "./logger.js";
+import { createIfNotExistDir, download } from "./utils.js";
+import { clearFailedMedia, getFailedMedia, getUserIdByUID } from "./database.js";
+import {
+    attemptHDFetch,
+    recordDownloadFailure,
+    resolveVideoSource,
+    saveMediaWithTracking,
+    saveVideoWithTracking,
+} from "./download_helpers.js";
+import { getDownloadQueue } from "./download_queue.js";
+import { deduplicateDownload, saveContentHash } from "./dedup.js";
+import { getMediaSavePath } from "./path_template.js";
+import { isCancelled } from "./cancellation.js";
+import { isFatalGraphError } from "./graph_errors.js";
+
+/**
+ * Resolve a fresh download URL for a media
+ * Photos re-resolved through largest_image are HD, videos get their real quality
+ * @param {string} mediaId - Media ID
+ * @param {string} mediaType - Media type (see MEDIA_TYPE in constants.js)
+ * @param {number} userId - Database user ID
+ * @returns {Promise<{url: string|null, isHd: boolean, video: Object|null}>} Download URL (null if the
+ *   Graph API returned none), HD status and the resolved video (see resolveVideoSource)
+ */
+export const resolveMedia = async (mediaId, mediaType, userId) => {
+    if (mediaType === MEDIA_TYPE.PHOTO) {
+        const hdResult = await attemptHDFetch(mediaId, userId);
+        return { url: hdResult.url, isHd: hdResult.isHd, video: null };
+    }
+
+    const video = await resolveVideoSource(mediaId);
+    return { url: video.url, isHd: video.isHd, video };
+};
+
+/**
+ * Get where a failed media should be saved
+ * Uses the recorded path, or the path template of its owner
+ * @param {{uid: string, media_id: string, media_type: string, file_path: string|null}} item - Failed media
+ * @returns {string} File path
+ */
+const getRetryPath = (item) =>
+    item.file_path || getMediaSavePath({ uid: item.uid, mediaId: item.media_id, mediaType: item.media_type });
+
+/**
+ * Retry failed downloads
+ * @param {Object} params - Retry parameters
+ * @param {string[]} params.uids - Only retry media of these UIDs (empty for all)
+ * @param {number|null} params.maxAttempts - Skip media that already failed this many times
+ * @returns {Promise<{total: number, saved: number, failed: number}>} Retry statistics
+ */
+export const retryFailedMedia = async ({ uids = [], maxAttempts = null } = {}) => {
+    const userIds = uids.length > 0 ? uids.map((uid) => getUserIdByUID(uid)).filter(Boolean) : null;
+    const items = getFailedMedia({ userIds, maxAttempts });
+
+    if (items.length === 0) {
+        log(t("retryFailedNone"));
+        return { total: 0, saved: 0, failed: 0 };
+    }
+
+    log(t("retryFailedFound").replace("{count}", items.length));
+
+    let saved = 0;
+    let failed = 0;
+    const queue = getDownloadQueue();
+
+    for (let i = 0; i < items.length; i++) {
+        if (isCancelled()) break;
+
+        const item = items[i];
+        const savePath = getRetryPath(item);
+        let resolved;
+        try {
+            resolved = await resolveMedia(item.media_id, item.media_type, item.user_id);
+        } catch (e) {
+            if (isFatalGraphError(e)) {
+                // Let the queued retries finish before stopping
+                await queue.drain();
+                throw e;
+            }
+
+            // Only this media cannot be resolved (e.g. a temporary API error)
+            log(S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset, e.toString());
+            recordDownloadFailure(item.user_id, item.media_id, item.media_type, item.source_url, savePath, e);
+            failed++;
+            continue;
+        }
+        const url = resolved.url || item.source_url;
+
+        if (!url) {
+            log(S.BgRed + t("retryFailedNoUrl").replace("{id}", item.media_id) + S.Reset);
+            recordDownloadFailure(item.user_id, item.media_id, item.media_type, null, savePath, "No download URL");
+            failed++;
+            continue;
+        }
+
+        const progress = `${i + 1}/${items.length}`;
+
+        queue.add(url, async () => {
+            try {
+                log(
+                    t("retryingMedia")
+                        .replace("{progress}", progress)
+                        .replace("{path}", savePath)
+                        .replace("{attempts}", item.attempts)
+                );
+                createIfNotExistDir(path.dirname(savePath));
+                const filePath = await download(url, savePath);
+                const stored = await deduplicateDownload(filePath);
+
+                if (resolved.video) {
+                    saveVideoWithTracking(item.user_id, item.media_id, resolved.video, stored.filePath);
+                } else {
+                    saveMediaWithTracking(item.user_id, item.media_id, resolved.isHd, stored.filePath);
+                }
+                saveContentHash(item.user_id, item.media_id, stored);
+                clearFailedMedia(item.user_id, item.media_id);
+                saved++;
+            } catch (e) {
+                log(
+                    S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
+                    e.toString()
+                );
+                recordDownloadFailure(item.user_id, item.media_id, item.media_type, url, savePath, e);
+                failed++;
+            }
+        });
+    }
+
+    await queue.drain();
+
+    log(`\n📊 Summary: ${saved} retried successfully, ${failed} still failing`);
+
+    return { total: items.length, saved, failed };
+};
@@ -2,6 +2,30 @@ import { getDatabase } from './database.js';
 import { DATABASE_ENABLED, PLATFORM_FACEBOOK } from '../config.js';
 import { log } from './logger.js';
 
+/**
+ * Mask a token for display (first and last 6 characters)
+ * @param {string} token - Access token
+ * @returns {string} Masked token
+ */
+export const maskToken = (token) => {
+    if (!token || token.length <= 12) return '***';
+    return `${token.substring(0, 6)}...${token.substring(token.length - 6)}`;
+};
+
+/**
+ * Format a row from TokenManager.listTokens() for display
+ * @param {object} row - Token row
+ * @returns {string} One-line description
+ */
+export const formatTokenRow = (row) => {
+    const status = !row.is_active
+        ? '⛔ disabled'
+        : row.is_rate_limited && row.rate_limit_reset && new Date(row.rate_limit_reset) > new Date()
+            ? `⏳ rate limited until ${row.rate_limit_reset}`
+            : '✅ active';
+    return `#${row.id} ${row.masked} [${row.label || 'no label'}] priority=${row.priority} requests=${row.requests_made} ${status}`;
+};
+
 /**
  * TokenManager - Handles multi-token load balancing and usage tracking
  */
@@ -25,7 +49,7 @@ class TokenManager {
         FROM access_tokens
         WHERE platform_id = ? 
           AND is_active = 1
-          AND (is_rate_limited = 0 OR rate_limit_reset IS NULL OR rate_limit_reset < datetime('now'))
+          AND (is_rate_limited = 0 OR rate_limit_reset IS NULL OR datetime(rate_limit_reset) < datetime('now'))
         ORDER BY priority DESC, requests_made ASC
         LIMIT 1
       `).get(platformId);
@@ -51,6 +75,156 @@ class TokenManager {
         }
     }
 
+    /**
+     * Check whether any token of the pool can currently be used
+     * @param {number} platformId - Platform ID (1=Facebook, 2=Instagram)
+     * @returns {boolean} True if at least one active, non rate-limited token exists
+     */
+    static hasAvailableToken(platformId = PLATFORM_FACEBOOK) {
+        if (!DATABASE_ENABLED) return false;
+
+        const db = getDatabase();
+        if (!db) return false;
+
+        try {
+            const result = db.prepare(`
+        SELECT 1
+        FROM access_tokens
+        WHERE platform_id = ?
+          AND is_active = 1
+          AND (is_rate_limited = 0 OR rate_limit_reset IS NULL OR datetime(rate_limit_reset) < datetime('now'))
+        LIMIT 1
+      `).get(platformId);
+
+            return !!result;
+        } catch (error) {
+            log(`⚠️ Error checking tokens: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Add a token to the pool (re-activates and updates it if already present)
+     * @param {string} token - Access token
+     * @param {object} options - Token options
+     * @param {number} options.platformId - Platform ID (default: Facebook)
+     * @param {string|null} options.label - Name shown in token lists
+     * @param {Array<string>} options.permissions - Granted permissions
+     * @param {number} options.priority - Higher priority tokens are used first (default: 0)
+     * @returns {number|null} Token ID or null on error
+     */
+    static addToken(token, { platformId = PLATFORM_FACEBOOK, label = null, permissions = [], priority = 0 } = {}) {
+        if (!DATABASE_ENABLED || !token) return null;
+
+        const db = getDatabase();
+        if (!db) return null;
+
+        try {
+            db.prepare(`
+        INSERT INTO access_tokens (platform_id, token, label, permissions, priority)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(token) DO UPDATE SET
+          label = COALESCE(excluded.label, label),
+          permissions = excluded.permissions,
+          priority = excluded.priority,
+          is_active = 1
+      `).run(platformId, token, label, JSON.stringify(permissions), priority);
+
+            return db.prepare('SELECT id FROM access_tokens WHERE token = ?').get(token).id;
+        } catch (error) {
+            log(`⚠️ Error adding token: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * List tokens of the pool (token values are masked)
+     * @param {number} platformId - Platform ID (1=Facebook, 2=Instagram)
+     * @returns {Array<object>} Tokens ordered by priority
+     */
+    static listTokens(platformId = PLATFORM_FACEBOOK) {
+        if (!DATABASE_ENABLED) return [];
+
+        const db = getDatabase();
+        if (!db) return [];
+
+        try {
+            return db.prepare(`
+        SELECT id, token, label, priority, is_active, is_rate_limited, rate_limit_reset, requests_made, last_used
+        FROM access_tokens
+        WHERE platform_id = ?
+        ORDER BY priority DESC, id ASC
+      `).all(platformId).map(({ token, ...row }) => ({ ...row, masked: maskToken(token) }));
+        } catch (error) {
+            log(`⚠️ Error listing tokens: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Enable or disable a token
+     * @param {number} tokenId - Token ID
+     * @param {boolean} isActive - Whether the token may be used
+     * @returns {boolean} True if a token was updated
+     */
+    static setActive(tokenId, isActive) {
+        if (!DATABASE_ENABLED || !tokenId) return false;
+
+        const db = getDatabase();
+        if (!db) return false;
+
+        try {
+            const result = db.prepare('UPDATE access_tokens SET is_active = ? WHERE id = ?')
+                .run(isActive ? 1 : 0, tokenId);
+            return result.changes > 0;
+        } catch (error) {
+            log(`⚠️ Error updating token: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Change the priority of a token
+     * @param {number} tokenId - Token ID
+     * @param {number} priority - New priority (higher is used first)
+     * @returns {boolean} True if a token was updated
+     */
+    static setPriority(tokenId, priority) {
+        if (!DATABASE_ENABLED || !tokenId) return false;
+
+        const db = getDatabase();
+        if (!db) return false;
+
+        try {
+            const result = db.prepare('UPDATE access_tokens SET priority = ? WHERE id = ?')
+                .run(priority, tokenId);
+            return result.changes > 0;
+        } catch (error) {
+            log(`⚠️ Error updating token: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a token and its usage log
+     * @param {number} tokenId - Token ID
+     * @returns {boolean} True if a token was removed
+     */
+    static removeToken(tokenId) {
+        if (!DATABASE_ENABLED || !tokenId) return false;
+
+        const db = getDatabase();
+        if (!db) return false;
+
+        try {
+            const result = db.prepare('DELETE FROM access_tokens WHERE id = ?').run(tokenId);
+            return result.changes > 0;
+        } catch (error) {
+            log(`⚠️ Error removing token: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Record token usage for analytics and load balancing
      * @param {number} tokenId - Token ID
@@ -190,4 +364,16 @@ class TokenManager {
     }
 }
 
+/**
+ * Save a validated token to the pool
+ * @param {number} platformId - Platform ID
+ * @param {string} token - Access token
+ * @param {Array<string>} permissions - Granted permissions
+ * @param {string|null} label - Name shown in token lists
+ * @param {number} priority - Higher priority tokens are used first (default: 0)
+ * @returns {boolean} Success status
+ */
+export const saveToken = (platformId, token, permissions = [], label = null, priority = 0) =>
+    TokenManager.addToken(token, { platformId, permissions, label, priority }) !== null;
+
 export default TokenManager;
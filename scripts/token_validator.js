@@ -1,8 +1,10 @@
 import fetch from 'node-fetch';
 import { FB_API_HOST, S } from './constants.js';
-import { ACCESS_TOKEN, PLATFORM_FACEBOOK } from '../config.js';
+import { ACCESS_TOKEN, DATABASE_ENABLED, PLATFORM_FACEBOOK } from '../config.js';
 import { log } from './logger.js';
 import { getSharedReadline } from './shared_readline.js';
+import TokenManager, { saveToken } from './token_manager.js';
+import { withKeyListenerPaused } from './cancellation.js';
 
 // Use shared readline - DO NOT create separate instance
 const prompt = (query) =>
@@ -272,9 +274,12 @@ export const promptForToken = async () => {
 /**
  * Validate and save token
  * @param {string} token - Token to validate
+ * @param {object} options - Save options
+ * @param {string} options.label - Name shown in token lists (default: 'User-entered token')
+ * @param {number} options.priority - Higher priority tokens are used first (default: 0)
  * @returns {Promise<boolean>} Success status
  */
-export const validateAndSaveToken = async (token) => {
+export const validateAndSaveToken = async (token, { label = 'User-entered token', priority = 0 } = {}) => {
     console.log(S.FgCyan + '\n🔍 Validating token...' + S.Reset);
 
     // Validate token
@@ -314,7 +319,7 @@ export const validateAndSaveToken = async (token) => {
 
     // Save token to database
     console.log(S.FgCyan + '\n💾 Saving token to database...' + S.Reset);
-    const saved = saveToken(PLATFORM_FACEBOOK, token, permissions, 'User-entered token');
+    const saved = saveToken(PLATFORM_FACEBOOK, token, permissions, label, priority);
 
     if (saved) {
         console.log(S.FgGreen + '✅ Token saved successfully!\n' + S.Reset);
@@ -325,17 +330,42 @@ export const validateAndSaveToken = async (token) => {
     }
 };
 
+/**
+ * Ask for a new token after the current one expired in the middle of a download
+ * Registered with setTokenExpiredHandler (see utils.js) by the interactive menu;
+ * the new token is saved to the token pool when the database is enabled
+ * @returns {Promise<string|null>} New valid token, or null to stop the download
+ */
+export const promptForNewToken = () => withKeyListenerPaused(async () => {
+    console.log(S.BgRed + '\n❌ Access token expired or was revoked!' + S.Reset);
+    console.log('Paste a new token to continue, or press Enter to stop.');
+
+    const token = (await prompt('> Enter your access token: ')).trim();
+    if (!token) return null;
+
+    if (DATABASE_ENABLED) {
+        return (await validateAndSaveToken(token, { label: 'Replacement token' })) ? token : null;
+    }
+
+    const validation = await validateTokenWithAPI(token);
+    if (!validation.valid) {
+        console.log(S.FgRed + `Error: ${validation.error}` + S.Reset);
+        return null;
+    }
+    return token;
+});
+
 /**
  * Main token validation flow for startup
  * @returns {Promise<boolean>} True if valid token available, false otherwise
  */
 export const ensureValidToken = async () => {
-    // Use ACCESS_TOKEN from config (loaded from .env)
-    const existingToken = ACCESS_TOKEN;
+    // Use ACCESS_TOKEN from config (loaded from .env), or a token from the token pool
+    const existingToken = ACCESS_TOKEN || TokenManager.getToken(PLATFORM_FACEBOOK)?.token;
 
     if (!existingToken || existingToken.trim() === '') {
         console.log(S.BgYellow + '\n⚠️  No access token found in .env file!' + S.Reset);
-        console.log('Please add FB_ACCESS_TOKEN to your .env file.');
+        console.log('Please add FB_ACCESS_TOKEN to your .env file, or add tokens with: node index.js tokens add <token>');
         console.log('Get a token from: ' + S.FgCyan + 'https://developers.facebook.com/tools/explorer/' + S.Reset);
         return false;
     }
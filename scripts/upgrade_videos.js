@@ -0,0 +1,96 @@
+/**
+ * SD Video Upgrade Module
+ *
+ * Re-resolves videos that were only available in SD when they were downloaded
+ * and downloads them again once the video node offers an HD version.
+ * Shared by the interactive menu and the command-line interface.
+ * @module upgrade_videos
+ */
+
+import path from "path";
+import { MEDIA_TYPE, S } from "./constants.js";
+import { t } from "./lang.js";
+import { log } from "./logger.js";
+import { createIfNotExistDir, download } from "./utils.js";
+import { getUserIdByUID, getVideosNeedingHDUpgrade, setMediaVideoInfo } from "./database.js";
+import { recordDownloadFailure, resolveVideoSource, saveVideoWithTracking } from "./download_helpers.js";
+import { getDownloadQueue } from "./download_queue.js";
+import { deduplicateDownload, saveContentHash } from "./dedup.js";
+import { getMediaSavePath } from "./path_template.js";
+import { isCancelled } from "./cancellation.js";
+
+/**
+ * Upgrade saved SD videos to HD
+ * @param {Object} params - Upgrade parameters
+ * @param {string[]} params.uids - Only upgrade videos of these UIDs (empty for all)
+ * @returns {Promise<{total: number, upgraded: number, kept: number, failed: number}>} Upgrade statistics
+ */
+export const upgradeSDVideos = async ({ uids = [] } = {}) => {
+    const userIds = uids.length > 0 ? uids.map((uid) => getUserIdByUID(uid)).filter(Boolean) : null;
+    const items = getVideosNeedingHDUpgrade({ userIds });
+
+    if (items.length === 0) {
+        log(t("upgradeVideosNone"));
+        return { total: 0, upgraded: 0, kept: 0, failed: 0 };
+    }
+
+    log(t("upgradeVideosFound").replace("{count}", items.length));
+
+    let upgraded = 0;
+    let kept = 0;
+    let failed = 0;
+    const queue = getDownloadQueue();
+
+    for (let i = 0; i < items.length; i++) {
+        if (isCancelled()) break;
+
+        const item = items[i];
+        const video = await resolveVideoSource(item.media_id, null, true);
+
+        if (video.shouldSkip) {
+            log(`⏭️  SKIPPING ${item.media_id} (no HD version, keeping ${item.quality})`);
+            // the video node may now report the quality of a video saved from an attachment URL
+            if (video.url && video.quality !== item.quality) {
+                setMediaVideoInfo(item.user_id, item.media_id, video);
+            }
+            kept++;
+            continue;
+        }
+
+        const savePath = item.file_path ||
+            getMediaSavePath({ uid: item.uid, mediaId: item.media_id, mediaType: MEDIA_TYPE.VIDEO });
+        const progress = `${i + 1}/${items.length}`;
+
+        queue.add(video.url, async () => {
+            try {
+                log(
+                    t("upgradingVideo")
+                        .replace("{progress}", progress)
+                        .replace("{path}", savePath)
+                        .replace("{from}", item.quality)
+                        .replace("{to}", video.quality)
+                );
+                createIfNotExistDir(path.dirname(savePath));
+                const filePath = await download(video.url, savePath);
+                const stored = await deduplicateDownload(filePath);
+
+                saveVideoWithTracking(item.user_id, item.media_id, video, stored.filePath);
+                saveContentHash(item.user_id, item.media_id, stored);
+                upgraded++;
+            } catch (e) {
+                log(
+                    S.BgRed + t("errorWhenSave").replace("{path}", savePath) + S.Reset,
+                    e.toString()
+                );
+                recordDownloadFailure(item.user_id, item.media_id, MEDIA_TYPE.VIDEO, video.url, savePath, e);
+                failed++;
+            }
+        });
+    }
+
+    await queue.drain();
+
+    log(`\n📊 Summary: ${upgraded} videos upgraded to HD, ${kept} kept in SD, ${failed} failed`);
+
+    return { total: items.length, upgraded, kept, failed };
+};
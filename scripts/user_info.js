@@ -2,6 +2,7 @@ import { FB_API_HOST } from './constants.js';
 import { ACCESS_TOKEN, PLATFORM_FACEBOOK } from '../config.js';
 import { myFetch } from './utils.js';
 import { log } from './logger.js';
+import { isObjectError } from './graph_errors.js';
 import {
     hasUsername,
     getOrCreateUser,
@@ -29,6 +30,7 @@ export const fetchUserInfo = async (uid) => {
             name: data.name
         };
     } catch (error) {
+        if (!isObjectError(error)) throw error;
         log(`⚠️ Error fetching user info for ${uid}: ${error.message}`);
         return null;
     }
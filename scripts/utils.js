@@ -1,21 +1,48 @@
 import fetch from "node-fetch";
+import http from "http";
 import https from "https";
 import fs from "fs";
+import path from "path";
 import { FB_API_HOST } from "./constants.js";
 import { ACCESS_TOKEN } from "../config.js";
 import { log } from "./logger.js";
 import {
-  parseRateLimitHeader,
+  parseUsageHeaders,
   updateRateLimitUsage,
   handle429Response,
+  getRegainAccessWait,
+  getRateLimitWait,
   smartSleep,
   formatRateLimitStatus
 } from "./rate_limit_manager.js";
 import {
   getProxyAgent,
+  getCurrentProxy,
+  createProxyAgent,
+  recordProxySuccess,
+  recordProxyFailure,
   rotateProxy,
   isProxyEnabled
 } from "./proxy_manager.js";
+import TokenManager from "./token_manager.js";
+import { isCancelled } from "./cancellation.js";
+import {
+  GraphApiError,
+  NetworkError,
+  RateLimitedError,
+  TokenExpiredError,
+  describeSkippedObject,
+  ignoreObjectError,
+  isFatalGraphError,
+  isObjectError,
+  toGraphError
+} from "./graph_errors.js";
+
+/**
+ * Maximum number of IDs in one multi-ID (?ids=) Graph API request
+ * @constant {number}
+ */
+export const GRAPH_IDS_LIMIT = 50;
 
 /**
  * Fetch the largest available photo URL from Facebook API
@@ -25,77 +52,341 @@ import {
  */
 export const getLargestPhotoLink = async (photo_id) => {
   const url = `${FB_API_HOST}/${photo_id}?fields=largest_image&access_token=${ACCESS_TOKEN}`;
-  const json = await myFetch(url);
+  const json = await myFetch(url).catch(ignoreObjectError(photo_id));
   return json?.largest_image?.source;
 };
 
+/**
+ * Fetch the largest available photo URLs of many photos at once
+ * Uses the multi-ID form (?ids=a,b,c), one request per GRAPH_IDS_LIMIT photos.
+ * The Graph API fails the whole request when one of the IDs cannot be read,
+ * so the photos of a failed request are looked up one by one.
+ * @param {string[]} photo_ids - Facebook photo IDs
+ * @returns {Promise<Map<string, string>>} Largest image URL of each photo that has one
+ */
+export const getLargestPhotoLinks = async (photo_ids) => {
+  const links = new Map();
+
+  for (let i = 0; i < photo_ids.length; i += GRAPH_IDS_LIMIT) {
+    const chunk = photo_ids.slice(i, i + GRAPH_IDS_LIMIT);
+    const url = `${FB_API_HOST}/?ids=${chunk.join(",")}&fields=largest_image&access_token=${ACCESS_TOKEN}`;
+    // Looked up one by one below when one of the photos cannot be read
+    const json = await myFetch(url).catch(ignoreObjectError());
+
+    for (const id of chunk) {
+      const source = json ? json[id]?.largest_image?.source : await getLargestPhotoLink(id);
+      if (source) links.set(id, source);
+    }
+  }
+
+  return links;
+};
+
+/**
+ * Maximum number of requests in one Graph API batch request
+ * @constant {number}
+ */
+export const GRAPH_BATCH_LIMIT = 50;
+
+/**
+ * Read the body of one response of a Graph API batch request
+ * @param {{code: number, body: string}|null} response - Batch response item (null when the request timed out)
+ * @returns {Object} Parsed body
+ * @throws {GraphApiError} Typed error of that request (see toGraphError), NetworkError when it timed out
+ */
+export const parseBatchResponse = (response) => {
+  if (!response) throw new NetworkError("Batch request timed out");
+
+  let body = null;
+  try {
+    body = JSON.parse(response.body);
+  } catch (e) {
+    if (response.code === 200) throw new GraphApiError("Invalid JSON in batch response", { status: 200, cause: e });
+  }
+
+  if (response.code !== 200 || body?.error) {
+    throw toGraphError(body?.error, response.code);
+  }
+  return body;
+};
+
+/**
+ * Settle one request of a batch: errors about the object are logged and resolve to null,
+ * rate limits, expired tokens and timeouts are sent again on their own through
+ * myFetch (which waits, switches token or asks for a new one), others are thrown
+ * @param {string} relative_url - Request path without host and version
+ * @param {{code: number, body: string}|null} response - Batch response item
+ * @returns {Promise<Object|null>} Body of the request, or null when the object cannot be read
+ */
+const settleBatchResponse = async (relative_url, response) => {
+  try {
+    return parseBatchResponse(response);
+  } catch (error) {
+    if (isObjectError(error)) {
+      log(describeSkippedObject(relative_url, error));
+      return null;
+    }
+    if (!isFatalGraphError(error)) throw error;
+
+    log(`[!] Batch request ${relative_url} failed (${error.message}). Retrying it alone...`);
+    const url = `${FB_API_HOST}/${relative_url}${relative_url.includes("?") ? "&" : "?"}access_token=${ACCESS_TOKEN}`;
+    return myFetch(url).catch(ignoreObjectError(relative_url));
+  }
+};
+
+/**
+ * Send GET requests through the Graph API batch endpoint
+ * Requests are sent GRAPH_BATCH_LIMIT at a time in one HTTP request;
+ * each request succeeds or fails on its own (see settleBatchResponse).
+ * @param {string[]} relative_urls - Request paths without host and version (e.g. "123?fields=name")
+ * @returns {Promise<Array<Object|null>>} Body of each request in the same order, or null when its object cannot be read
+ * @throws {GraphApiError} Errors that are not about the requested object
+ */
+export const graphBatch = async (relative_urls) => {
+  const results = [];
+
+  for (let i = 0; i < relative_urls.length; i += GRAPH_BATCH_LIMIT) {
+    const chunk = relative_urls.slice(i, i + GRAPH_BATCH_LIMIT);
+    const batch = JSON.stringify(chunk.map((relative_url) => ({ method: "GET", relative_url })));
+    const responses = await myFetch(`${FB_API_HOST}/?access_token=${ACCESS_TOKEN}`, { form: { batch } });
+
+    for (const [j, relative_url] of chunk.entries()) {
+      results.push(await settleBatchResponse(relative_url, Array.isArray(responses) ? responses[j] : null));
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Fetch a video node from Facebook API
+ * Includes the playable source, the available formats, the length and the thumbnails
+ * @param {string} video_id - The Facebook video ID
+ * @returns {Promise<Object|null>} The video node, or null if it could not be fetched
+ */
+export const getVideoInfo = async (video_id) => {
+  const url = `${FB_API_HOST}/${video_id}?fields=source,format,length,thumbnails{uri,width,height,is_preferred}&access_token=${ACCESS_TOKEN}`;
+  return await myFetch(url).catch(ignoreObjectError(video_id));
+};
+
+/**
+ * Replace (or add) the access_token query parameter of a URL
+ * @param {string} url - Request URL
+ * @param {string} token - Access token to use
+ * @returns {string} URL using the given token
+ */
+export const withAccessToken = (url, token) => {
+  const param = "access_token=" + encodeURIComponent(token);
+  if (/([?&])access_token=[^&]*/.test(url)) {
+    return url.replace(/([?&])access_token=[^&]*/, `$1${param}`);
+  }
+  return url + (url.includes("?") ? "&" : "?") + param;
+};
+
+/**
+ * Get the Graph API endpoint of a URL for usage stats (version and numeric IDs removed)
+ * @param {string} url - Request URL
+ * @returns {string} Endpoint such as /{id}/photos
+ */
+export const getEndpointName = (url) => {
+  try {
+    return new URL(url).pathname
+      .replace(/^\/v\d+(\.\d+)?/, "")
+      .replace(/\/\d+(?=\/|$)/g, "/{id}");
+  } catch (e) {
+    return url;
+  }
+};
+
+/**
+ * Headers of form POST requests
+ * @constant {Object<string, string>}
+ */
+const FORM_HEADERS = { "Content-Type": "application/x-www-form-urlencoded" };
+
+/**
+ * Token given by the token expired handler, used when the pool has no token
+ * @type {string|null}
+ */
+let replacementToken = null;
+
+/**
+ * Asks for a new token when the token of a request expired (see setTokenExpiredHandler)
+ * @type {Function|null}
+ */
+let tokenExpiredHandler = null;
+
+/**
+ * Set how myFetch gets a new access token when the current one expired
+ * The interactive menu asks the user; without a handler, myFetch throws TokenExpiredError.
+ * @param {Function|null} handler - Async function resolving to a new valid token, or null to give up
+ * @returns {void}
+ */
+export const setTokenExpiredHandler = (handler) => {
+  tokenExpiredHandler = handler;
+};
+
+/**
+ * Get another token after the token of a request expired
+ * An expired pool token is disabled and the next one is used, otherwise the handler is asked
+ * @param {{token: string, tokenId: number}|null} pooled - Pool token used by the request
+ * @returns {Promise<boolean>} True if the request can be retried with another token
+ */
+const replaceExpiredToken = async (pooled) => {
+  if (pooled) {
+    TokenManager.setActive(pooled.tokenId, false);
+    if (TokenManager.hasAvailableToken()) {
+      log(`🔄 Token ${pooled.tokenId} expired. Retrying with the next token...`);
+      return true;
+    }
+  }
+
+  const token = tokenExpiredHandler ? await tokenExpiredHandler() : null;
+  if (!token) return false;
+
+  replacementToken = token;
+  return true;
+};
+
 /**
  * Enhanced fetch with automatic rate limit handling and proxy support
- * - Parses X-App-Usage header to track rate limit usage
+ * - Parses the X-App-Usage, X-Business-Use-Case-Usage and X-Ad-Account-Usage headers
+ *   to track rate limit usage per token
+ * - Waits (or switches token) while a token is still throttled, even by a previous run
  * - Handles 429 responses with smart retry logic
  * - Applies smart delays based on current usage levels
- * - Routes requests through proxy if configured
+ * - Routes requests through proxy if configured, recording the health of each proxy
+ * - Uses a token from the token pool (if any) for each request, switching to the
+ *   next token when one is rate limited (429 or error codes 4/17/32) or expired
+ * - Throws typed errors (see graph_errors.js) instead of returning null
  * 
  * @param {string} _url - URL to fetch
  * @param {object} options - Optional fetch options
  * @param {number} options.maxRetries - Max retries for 429 errors (default: 3)
  * @param {boolean} options.skipRateLimitDelay - Skip the smart delay after fetch
- * @returns {Promise<object|null>} JSON response or null on error
+ * @param {Object<string, string>|null} options.form - Send a POST request with this form body (e.g. batch requests)
+ * @returns {Promise<object>} JSON response
+ * @throws {GraphApiError} TokenExpiredError, PermissionMissingError, ObjectNotFoundError,
+ *   RateLimitedError (retries exhausted), NetworkError or GraphApiError for other errors
  */
 export const myFetch = async (_url, options = {}) => {
-  const { maxRetries = 17, skipRateLimitDelay = false } = options;
+  const { maxRetries = 17, skipRateLimitDelay = false, form = null } = options;
+  const request = form ? { method: "POST", body: new URLSearchParams(form).toString(), headers: FORM_HEADERS } : {};
   let retryCount = 0;
+  let lastError = null;
 
   while (retryCount <= maxRetries) {
+    // Pick a token from the pool (falls back to a replacement token, then to the token already in the URL)
+    const pooled = TokenManager.getToken();
+    const token = pooled?.token || replacementToken;
+    const url = token ? withAccessToken(_url, token) : _url;
+    const tokenId = pooled?.tokenId ?? null;
+    const endpoint = pooled ? getEndpointName(_url) : null;
+
+    // Don't call the API with a token that is still throttled (estimated_time_to_regain_access)
+    const throttledFor = getRegainAccessWait(tokenId);
+    if (throttledFor > 0) {
+      if (pooled) {
+        TokenManager.markRateLimited(pooled.tokenId, new Date(Date.now() + throttledFor).toISOString());
+        if (TokenManager.hasAvailableToken()) {
+          log(`🔄 Token ${pooled.tokenId} still throttled for ${Math.ceil(throttledFor / 1000)}s. Using the next token...`);
+          continue;
+        }
+      }
+
+      log(`⏳ Token throttled. Waiting ${Math.ceil(throttledFor / 1000)}s until access is regained...`);
+      await new Promise(resolve => setTimeout(resolve, throttledFor));
+    }
+
+    const startedAt = Date.now();
+    const proxyUrl = getCurrentProxy();
+
     try {
       // Get proxy agent if enabled
-      const agent = getProxyAgent();
-      const fetchOptions = agent ? { agent } : {};
+      const agent = createProxyAgent(proxyUrl);
+      const fetchOptions = agent ? { agent, ...request } : request;
 
-      const response = await fetch(_url, fetchOptions);
+      const response = await fetch(url, fetchOptions);
+      recordProxySuccess(proxyUrl, Date.now() - startedAt);
 
-      // Parse and update rate limit usage from header
-      const usage = parseRateLimitHeader(response);
-      if (usage) {
-        updateRateLimitUsage(usage);
+      // Parse and update rate limit usage from the usage headers
+      const usages = parseUsageHeaders(response);
+      if (usages.length > 0) {
+        updateRateLimitUsage(usages, tokenId);
       }
 
       // Handle rate limit (429 Too Many Requests)
       if (response.status === 429) {
         const waitTime = handle429Response(response);
+        lastError = new RateLimitedError("Rate limited (429)", { status: 429 });
+
+        if (pooled) {
+          TokenManager.recordUsage(pooled.tokenId, endpoint, false, 429, Date.now() - startedAt, "Rate limited (429)");
+          TokenManager.markRateLimited(pooled.tokenId, new Date(Date.now() + waitTime).toISOString());
+          if (TokenManager.hasAvailableToken()) {
+            log(`🔄 Token ${pooled.tokenId} rate limited (429). Retrying with the next token...`);
+            retryCount++;
+            continue;
+          }
+        }
+
         log(`⚠️ Rate limited (429). Waiting ${Math.round(waitTime / 1000)}s before retry... (attempt ${retryCount + 1}/${maxRetries + 1})`);
         await new Promise(resolve => setTimeout(resolve, waitTime));
         retryCount++;
         continue;
       }
 
-      // Handle other HTTP errors
-      if (!response.ok) {
-        log(`[!] HTTP Error: ${response.status} ${response.statusText}`);
-        return null;
+      // Graph API errors come with an error object in the body (usually with a 4xx status)
+      const json = response.ok ? await response.json() : await response.json().catch(() => null);
+      const error = !response.ok || json?.error
+        ? toGraphError(json?.error, response.status, response.statusText)
+        : null;
+
+      if (pooled) {
+        TokenManager.recordUsage(pooled.tokenId, endpoint, !error, response.status, Date.now() - startedAt, error?.message || null);
       }
 
-      const json = await response.json();
+      if (error) {
+        lastError = error;
 
-      if (json.error) {
         // Check if it's a rate limit error in the response body
-        if (json.error.code === 4 || json.error.code === 17 || json.error.code === 32) {
-          log(`⚠️ Rate limit error in response. Waiting 60s before retry...`);
-          await new Promise(resolve => setTimeout(resolve, 60000));
+        if (error instanceof RateLimitedError) {
+          if (pooled) {
+            // Reset when the usage headers say access is regained (default: 1 hour)
+            const regainWait = getRegainAccessWait(tokenId);
+            TokenManager.markRateLimited(pooled.tokenId, regainWait > 0 ? new Date(Date.now() + regainWait).toISOString() : null);
+            if (TokenManager.hasAvailableToken()) {
+              log(`🔄 Token ${pooled.tokenId} rate limited (code ${error.code}). Retrying with the next token...`);
+              retryCount++;
+              continue;
+            }
+          }
+
+          const waitTime = getRateLimitWait(tokenId);
+          log(`⚠️ Rate limit error in response. Waiting ${Math.round(waitTime / 1000)}s before retry...`);
+          await new Promise(resolve => setTimeout(resolve, waitTime));
           retryCount++;
           continue;
         }
-        log("[!] ERROR", JSON.stringify(json, null, 4));
-        return null;
+
+        if (error instanceof TokenExpiredError && await replaceExpiredToken(pooled)) {
+          retryCount++;
+          continue;
+        }
+
+        log(`[!] ${error.name}: ${error.message}`);
+        throw error;
       }
 
       // Apply smart delay after successful requests (based on current usage)
       if (!skipRateLimitDelay) {
-        await smartSleep(false); // Silent delay
+        await smartSleep(false, tokenId); // Silent delay
       }
 
       return json;
     } catch (e) {
+      if (e instanceof GraphApiError) throw e;
+
       // Check for network errors that warrant a retry with proxy rotation
       const isNetworkError = e.code === 'ECONNRESET' ||
         e.code === 'ETIMEDOUT' ||
@@ -112,9 +403,9 @@ export const myFetch = async (_url, options = {}) => {
         retryCount++;
         log(`[!] Network error: ${e.message}. Rotating proxy and retrying... (attempt ${retryCount}/${maxRetries + 1})`);
 
-        // Rotate to a different proxy before retrying
+        // Rotate to a different proxy before retrying (the failed one cools down)
         if (isProxyEnabled()) {
-          rotateProxy();
+          rotateProxy(true, e.message);
         }
 
         // Wait a bit before retrying
@@ -122,13 +413,16 @@ export const myFetch = async (_url, options = {}) => {
         continue;
       }
 
+      if (isNetworkError) {
+        recordProxyFailure(proxyUrl, e.message);
+      }
       log("[!] ERROR", e.toString());
-      return null;
+      throw new NetworkError(e.message, { cause: e });
     }
   }
 
   log(`[!] Max retries (${maxRetries}) exceeded. Giving up.`);
-  return null;
+  throw lastError || new RateLimitedError(`Max retries (${maxRetries}) exceeded`);
 };
 
 /**
@@ -187,95 +481,438 @@ export const saveToFile = (fileName, data, override = false) => {
 };
 
 /**
- * Download a file with atomic write mechanism
- * Downloads to a temporary file first, then renames to final destination
- * to prevent corrupted partial downloads from being treated as complete files
+ * Default number of retries for a failed download (override with DOWNLOAD_RETRIES)
+ * @constant {number}
+ */
+const DEFAULT_DOWNLOAD_RETRIES = 3;
+
+/**
+ * Default delay before the first download retry in ms, doubled on each retry
+ * (override with DOWNLOAD_RETRY_DELAY_MS)
+ * @constant {number}
+ */
+const DEFAULT_DOWNLOAD_RETRY_DELAY = 2000;
+
+/**
+ * HTTP status codes that are worth retrying (other 4xx errors are permanent)
+ * @constant {number[]}
+ */
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
+
+/**
+ * Read a non-negative integer from an environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when missing or invalid
+ * @returns {number} Parsed value
+ */
+const readEnvInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return value >= 0 ? value : fallback;
+};
+
+/**
+ * Create an error for a failed download
+ * @param {string} message - Error message
+ * @param {number} [statusCode] - HTTP status code, if the server answered
+ * @returns {Error} Error with a statusCode property
+ */
+const downloadError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check whether a failed download should be retried
+ * Network errors, timeouts, incomplete files and 5xx responses are retried;
+ * 4xx responses (expired or missing media) are not, except 408/425/429
+ * @param {Error} error - Download error
+ * @returns {boolean} True if the download should be retried
+ */
+export const isRetryableDownloadError = (error) => {
+  const status = error?.statusCode;
+  if (!status) return true;
+  return status >= 500 || RETRYABLE_STATUS_CODES.includes(status);
+};
+
+/**
+ * Parse a Content-Range header such as "bytes 100-999/1000"
+ * @param {string} header - Content-Range header value
+ * @returns {{start: number, total: number|null}|null} Range start and total size, or null if invalid
+ */
+export const parseContentRange = (header) => {
+  const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(header || "");
+  if (!match) return null;
+  return {
+    start: parseInt(match[1]),
+    total: match[2] === "*" ? null : parseInt(match[2]),
+  };
+};
+
+/**
+ * File extensions by Content-Type
+ * @constant {Object<string, string>}
+ */
+const CONTENT_TYPE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "video/mp4": "mp4",
+};
+
+/**
+ * Number of bytes needed to recognise a file type (see detectFileExtension)
+ * @constant {number}
+ */
+const FILE_HEADER_LENGTH = 12;
+
+/**
+ * Detect the real extension of a media file
+ * Magic bytes win over the Content-Type, which CDNs sometimes get wrong
+ * @param {Buffer} header - First bytes of the file
+ * @param {string|null} contentType - Content-Type of the response (optional)
+ * @returns {string|null} jpg, png, webp, gif or mp4, or null if unknown
+ */
+export const detectFileExtension = (header, contentType = null) => {
+  if (header?.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return "jpg";
+  if (header?.length >= 8 && header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "png";
+  if (header?.length >= 6 && ["GIF87a", "GIF89a"].includes(header.toString("latin1", 0, 6))) return "gif";
+  if (header?.length >= 12 && header.toString("latin1", 0, 4) === "RIFF" && header.toString("latin1", 8, 12) === "WEBP") return "webp";
+  if (header?.length >= 8 && header.toString("latin1", 4, 8) === "ftyp") return "mp4";
+
+  const mimeType = (contentType || "").split(";")[0].trim().toLowerCase();
+  return CONTENT_TYPE_EXTENSIONS[mimeType] || null;
+};
+
+/**
+ * Read the first bytes of a file (for detectFileExtension)
+ * @param {string} filePath - File to read
+ * @returns {Buffer} Header bytes (may be shorter for tiny files)
+ */
+export const readFileHeader = (filePath) => {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const header = Buffer.alloc(FILE_HEADER_LENGTH);
+    const bytesRead = fs.readSync(fd, header, 0, FILE_HEADER_LENGTH, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Remove the extension of a file path
+ * @param {string} filePath - File path
+ * @returns {string} File path without its extension
+ */
+export const removeExtension = (filePath) => {
+  const ext = path.extname(filePath);
+  return ext ? filePath.slice(0, -ext.length) : filePath;
+};
+
+/**
+ * Replace the extension of a file path
+ * @param {string} filePath - File path
+ * @param {string} extension - New extension (without the dot)
+ * @returns {string} File path with the new extension
+ */
+export const replaceExtension = (filePath, extension) => removeExtension(filePath) + "." + extension;
+
+/**
+ * Remove a file, ignoring errors
+ * @param {string} filePath - File to remove
+ * @returns {void}
+ */
+const removeQuietly = (filePath) => {
+  try {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch (e) {
+    // Ignore cleanup errors
+  }
+};
+
+/**
+ * Read the metadata saved next to a partial download
+ * @param {string} metaPath - Metadata file path
+ * @returns {{url: string, etag: string|null, lastModified: string|null, contentType: string|null, totalSize: number|null}|null} Metadata, or null if missing
+ */
+const readPartialMeta = (metaPath) => {
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, "utf8"));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Delete the partial file of a download and its metadata
+ * @param {string} destination - Final file path
+ * @returns {void}
+ */
+const discardPartialDownload = (destination) => {
+  removeQuietly(`${destination}.tmp`);
+  removeQuietly(`${destination}.tmp.json`);
+};
+
+/**
+ * Download a file once, resuming a partial download when possible
+ * - Keeps `${destination}.tmp` and `${destination}.tmp.json` (URL, ETag, size) on failure
+ * - Sends a Range request with If-Range to continue a partial file of the same URL and
+ *   appends to it on 206; a 200 response means the server ignored the range (or the
+ *   file changed), so the file restarts
+ * - A partial file of another URL (e.g. a refreshed signed CDN link) or without
+ *   ETag/Last-Modified cannot be checked, so it is discarded and the download restarts
+ * - Checks the size against Content-Length / Content-Range before the atomic rename
+ * - Optionally renames the file to its real type (magic bytes, then Content-Type)
  *
  * @param {string} url - URL to download from
  * @param {string} destination - Final file path
- * @returns {Promise<boolean>} Resolves to true on success
+ * @param {boolean} detectType - Whether to fix the extension of the destination
+ * @param {number} redirectsLeft - Redirects still allowed
+ * @param {string} requestedUrl - URL the caller asked for (before redirects), saved with the partial file
+ * @returns {Promise<string>} Resolves to the saved file path
  */
-export const download = (url, destination) =>
+const downloadOnce = (url, destination, detectType = true, redirectsLeft = 5, requestedUrl = url) =>
   new Promise((resolve, reject) => {
     const tempDestination = `${destination}.tmp`;
-
-    // Clean up any existing temp file from previous failed attempts
-    if (fs.existsSync(tempDestination)) {
-      try {
-        fs.unlinkSync(tempDestination);
-      } catch (e) {
-        // Ignore cleanup errors
-      }
+    const metaDestination = `${tempDestination}.json`;
+
+    // Only resume when we know what the partial file belongs to and the server can tell if it changed
+    const meta = readPartialMeta(metaDestination);
+    const canResume = meta?.url === requestedUrl && !!(meta.etag || meta.lastModified);
+    if (!canResume) discardPartialDownload(destination);
+    const partialSize = canResume && fs.existsSync(tempDestination)
+      ? fs.statSync(tempDestination).size
+      : 0;
+
+    const headers = {};
+    if (partialSize > 0) {
+      headers.Range = `bytes=${partialSize}-`;
+      // Let the server send the whole file instead if it changed since
+      headers["If-Range"] = meta.etag || meta.lastModified;
     }
 
-    const file = fs.createWriteStream(tempDestination);
+    let file = null;
+    let settled = false;
 
-    const cleanupAndReject = (error) => {
-      // Close the file stream if still open
+    // The partial file is kept so the next attempt can resume it; reject once it is
+    // closed, so the next attempt does not read its size while a write is still pending
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      if (!file || file.closed) {
+        reject(error);
+        return;
+      }
+      file.once("close", () => reject(error));
       file.destroy();
-      // Remove temp file on error
-      if (fs.existsSync(tempDestination)) {
-        try {
-          fs.unlinkSync(tempDestination);
-        } catch (e) {
-          // Ignore cleanup errors
+    };
+
+    const discardPartial = () => discardPartialDownload(destination);
+
+    const finalize = (expectedSize, contentType) => {
+      try {
+        const size = fs.statSync(tempDestination).size;
+        if (expectedSize !== null && size !== expectedSize) {
+          // A file larger than expected cannot be resumed
+          if (size > expectedSize) discardPartial();
+          fail(downloadError(`Incomplete download: ${size}/${expectedSize} bytes`));
+          return;
         }
+
+        const extension = detectType && detectFileExtension(readFileHeader(tempDestination), contentType);
+        const finalPath = extension ? replaceExtension(destination, extension) : destination;
+
+        // Atomic rename: move temp file to final destination
+        fs.renameSync(tempDestination, finalPath);
+        removeQuietly(metaDestination);
+        settled = true;
+        resolve(finalPath);
+      } catch (error) {
+        fail(error);
       }
-      reject(error.message || error);
     };
 
     // Get proxy agent if enabled
     const agent = getProxyAgent();
-    const requestOptions = agent ? { agent } : {};
+    const requestOptions = agent ? { headers, agent } : { headers };
+    const client = url.startsWith("http:") ? http : https;
+
+    const request = client.get(url, requestOptions, (response) => {
+      const { statusCode } = response;
 
-    const request = https.get(url, requestOptions, (response) => {
       // Handle HTTP redirects (3xx status codes)
-      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-        file.destroy();
-        if (fs.existsSync(tempDestination)) {
-          try {
-            fs.unlinkSync(tempDestination);
-          } catch (e) {
-            // Ignore cleanup errors
-          }
+      if (statusCode >= 300 && statusCode < 400 && response.headers.location) {
+        response.resume();
+        if (redirectsLeft <= 0) {
+          fail(downloadError("Too many redirects"));
+          return;
+        }
+        settled = true;
+        const location = new URL(response.headers.location, url).toString();
+        downloadOnce(location, destination, detectType, redirectsLeft - 1, requestedUrl).then(resolve, reject);
+        return;
+      }
+
+      // Range not satisfiable: the partial file may already be complete
+      if (statusCode === 416 && partialSize > 0) {
+        response.resume();
+        if (meta.totalSize === partialSize) {
+          finalize(partialSize, meta.contentType);
+        } else {
+          discardPartial();
+          fail(downloadError(`HTTP 416: ${response.statusMessage}`));
         }
-        // Follow redirect
-        download(response.headers.location, destination).then(resolve).catch(reject);
         return;
       }
 
       // Check for successful HTTP status
-      if (response.statusCode !== 200) {
-        cleanupAndReject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+      if (statusCode !== 200 && statusCode !== 206) {
+        response.resume();
+        fail(downloadError(`HTTP ${statusCode}: ${response.statusMessage}`, statusCode));
         return;
       }
 
+      let append = false;
+      let expectedSize = null;
+
+      if (statusCode === 206) {
+        const range = parseContentRange(response.headers["content-range"]);
+        if (!range || range.start !== partialSize) {
+          response.resume();
+          discardPartial();
+          fail(downloadError(`Unexpected Content-Range: ${response.headers["content-range"]}`));
+          return;
+        }
+        append = partialSize > 0;
+        expectedSize = range.total;
+        if (append) {
+          log(`↩️  Resuming ${destination} from ${partialSize} bytes`);
+        }
+      } else {
+        const length = parseInt(response.headers["content-length"]);
+        expectedSize = Number.isNaN(length) ? null : length;
+      }
+
+      try {
+        fs.writeFileSync(metaDestination, JSON.stringify({
+          url: requestedUrl,
+          etag: response.headers.etag || null,
+          lastModified: response.headers["last-modified"] || null,
+          contentType: response.headers["content-type"] || null,
+          totalSize: expectedSize,
+        }));
+      } catch (e) {
+        // Without metadata the download still works, it just cannot resume
+      }
+
+      file = fs.createWriteStream(tempDestination, { flags: append ? "a" : "w" });
       response.pipe(file);
 
       // Handle stream errors
-      response.on("error", cleanupAndReject);
-      file.on("error", cleanupAndReject);
+      response.on("error", fail);
+      response.on("aborted", () => fail(downloadError("Connection closed before the download finished")));
+      file.on("error", fail);
 
       file.on("finish", () => {
         file.close(() => {
-          try {
-            // Atomic rename: move temp file to final destination
-            fs.renameSync(tempDestination, destination);
-            resolve(true);
-          } catch (renameError) {
-            cleanupAndReject(renameError);
-          }
+          if (!settled) finalize(expectedSize, response.headers["content-type"]);
         });
       });
     });
 
-    request.on("error", cleanupAndReject);
+    request.on("error", fail);
 
     // Set a timeout to prevent hanging downloads
     request.setTimeout(60000, () => {
       request.destroy();
-      cleanupAndReject(new Error("Download timeout (60s)"));
+      fail(downloadError("Download timeout (60s)"));
+    });
+  });
+
+/**
+ * Download a file with resume, size verification and retries
+ * Downloads to a temporary file first, then renames to final destination
+ * to prevent corrupted partial downloads from being treated as complete files.
+ * Failed attempts keep the partial file and are retried with exponential backoff,
+ * continuing from where the previous attempt stopped (see downloadOnce).
+ * Permanent errors (e.g. 403/404 of an expired link) discard the partial file.
+ * The extension of the destination is replaced by the real file type
+ * (e.g. a JPEG requested as 123.png is saved as 123.jpg), so callers should
+ * use the returned path.
+ *
+ * Configuration via .env:
+ * - DOWNLOAD_RETRIES=3 (retries after the first attempt)
+ * - DOWNLOAD_RETRY_DELAY_MS=2000 (delay before the first retry, doubled each time)
+ *
+ * @param {string} url - URL to download from
+ * @param {string} destination - Final file path
+ * @param {object} options - Optional download options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.retryDelay - Delay before the first retry in ms
+ * @param {boolean} options.detectType - Fix the extension from the file type (default: true)
+ * @returns {Promise<string>} Resolves to the saved file path
+ * @throws {Error} Last download error (with statusCode for HTTP errors)
+ */
+export const download = async (url, destination, options = {}) => {
+  const {
+    retries = readEnvInt("DOWNLOAD_RETRIES", DEFAULT_DOWNLOAD_RETRIES),
+    retryDelay = readEnvInt("DOWNLOAD_RETRY_DELAY_MS", DEFAULT_DOWNLOAD_RETRY_DELAY),
+    detectType = true,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await downloadOnce(url, destination, detectType);
+    } catch (error) {
+      if (!isRetryableDownloadError(error)) {
+        // The URL will not work again: a retry uses a new URL and must start from 0
+        discardPartialDownload(destination);
+        throw error;
+      }
+      if (attempt >= retries || isCancelled()) {
+        throw error;
+      }
+
+      const waitTime = retryDelay * 2 ** attempt;
+      log(`⚠️ Download failed (${error.message}). Retrying in ${Math.round(waitTime / 1000)}s... (attempt ${attempt + 2}/${retries + 1})`);
+      await sleep(waitTime);
+    }
+  }
+};
+
+/**
+ * Read the size of a remote file with a HEAD request (used by dry runs)
+ * Follows redirects; nothing is downloaded.
+ * @param {string} url - File URL
+ * @param {number} redirectsLeft - Redirects still allowed
+ * @returns {Promise<number|null>} Size in bytes, or null if the server does not report it
+ */
+export const getContentLength = (url, redirectsLeft = 5) =>
+  new Promise((resolve) => {
+    const agent = getProxyAgent();
+    const client = url.startsWith("http:") ? http : https;
+    const request = client.request(url, { method: "HEAD", ...(agent ? { agent } : {}) }, (response) => {
+      response.resume();
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location && redirectsLeft > 0) {
+        getContentLength(new URL(headers.location, url).toString(), redirectsLeft - 1).then(resolve);
+        return;
+      }
+
+      const length = parseInt(headers["content-length"]);
+      resolve(statusCode === 200 && !Number.isNaN(length) ? length : null);
+    });
+
+    request.on("error", () => resolve(null));
+    request.setTimeout(15000, () => {
+      request.destroy();
+      resolve(null);
     });
+    request.end();
   });
 
 /**
@@ -343,6 +980,20 @@ export const saveCaptionFile = (mediaPath, caption) => {
   }
 };
 
+/**
+ * Save post metadata as a JSON sidecar next to a media file
+ * @param {string} filePath - Path to the media file (the sidecar replaces its extension with .json)
+ * @param {Object} metadata - Metadata to save (see buildMediaMetadata in download_helpers.js)
+ */
+export const saveMetadataFile = (filePath, metadata) => {
+  try {
+    fs.writeFileSync(replaceExtension(filePath, 'json'), JSON.stringify(metadata, null, 2), 'utf8');
+  } catch (error) {
+    // Same as captions: the sidecar is nice to have but must not fail the download
+    console.error(`Failed to save metadata: ${error.message}`);
+  }
+};
+
 // Re-export rate limit utilities for convenience
 export {
   smartSleep,